@@ -1,21 +1,7 @@
-import fs from "node:fs";
 import path from "node:path";
 import puppeteer from "puppeteer-core";
 
-const chromeCandidates = [
-  process.env.CHROME_PATH,
-  "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
-  "/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary",
-].filter(Boolean);
-
-function resolveChromePath() {
-  for (const candidate of chromeCandidates) {
-    if (fs.existsSync(candidate)) {
-      return candidate;
-    }
-  }
-  throw new Error("Chrome executable not found. Set CHROME_PATH.");
-}
+import { resolveChromePath } from "../../../tools/react-profiler-mcp/packages/core/src/chrome-discovery.js";
 
 const outputPath = path.resolve(process.cwd(), "profiles/next-footguns-trace.json");
 const url = process.env.PROFILE_URL ?? "http://localhost:3001";
@@ -22,6 +22,14 @@ function parseArgs(argv) {
       args.enableHookNameEnrichment = false;
       continue;
     }
+    if (token === "--component-filters") {
+      args.componentFiltersPath = argv[++i];
+      continue;
+    }
+    if (token === "--component-filters-json") {
+      args.componentFiltersJson = argv[++i];
+      continue;
+    }
     if (token === "--help" || token === "-h") {
       args.help = true;
       continue;
@@ -34,16 +42,47 @@ function parseArgs(argv) {
 function usage() {
   return [
     "Usage:",
-    "  node scripts/analyze-profile.mjs --input <profile-or-trace.json> [--output <report.json>] [--source-root <repo-root>] [--no-hook-name-enrichment]",
+    "  node scripts/analyze-profile.mjs --input <profile-or-trace.json> [--output <report.json>] [--source-root <repo-root>] [--no-hook-name-enrichment] [--component-filters <filters.json> | --component-filters-json <json>]",
     "",
     "Supported inputs:",
     "  - Chrome DevTools trace JSON (traceEvents), including React 19 Components track events",
     "  - React DevTools Profiler export JSON (normalized component-level analysis)",
+    "  - react-profiler-mcp run manifest (multi-run recording; per-component median/p95/CV across runs)",
   ].join("\n");
 }
 
 const ELEMENT_TYPE_ROOT = 11;
 
+// Component filter and element type codes from react-devtools-shared (frontend/types.js).
+const COMPONENT_FILTER_TYPES = {
+  elementType: 1,
+  displayName: 2,
+  location: 3,
+  hoc: 4,
+  environmentName: 5,
+};
+const ELEMENT_TYPE_CODES = {
+  class: 1,
+  context: 2,
+  function: 5,
+  "forward-ref": 6,
+  host: 7,
+  memo: 8,
+  other: 9,
+  profiler: 10,
+  root: 11,
+  suspense: 12,
+  "suspense-list": 13,
+  "tracing-marker": 14,
+  virtual: 15,
+  "view-transition": 16,
+  activity: 17,
+};
+// The backend hides these element types for the "Client" environment filter.
+const CLIENT_COMPONENT_ELEMENT_TYPES = new Set([1, 5, 6, 8]);
+
+const RUN_MANIFEST_FORMAT = "react-profiler-mcp/run-manifest";
+
 const TREE_OPERATION_ADD = 1;
 const TREE_OPERATION_REMOVE = 2;
 const TREE_OPERATION_REORDER_CHILDREN = 3;
@@ -80,6 +119,24 @@ function round(num, digits = 2) {
   return Math.round(num * factor) / factor;
 }
 
+function coefficientOfVariation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean === 0) return null;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance) / mean;
+}
+
+function summarizeAcrossRuns(values) {
+  return {
+    median: round(median(values) ?? 0),
+    p95: round(percentile(values, 95) ?? 0),
+    min: round(values.length ? Math.min(...values) : 0),
+    max: round(values.length ? Math.max(...values) : 0),
+    cv: values.length >= 2 ? round(coefficientOfVariation(values) ?? 0, 3) : null,
+  };
+}
+
 function summarizeCadence(timestampsMs) {
   if (!timestampsMs || timestampsMs.length < 4) {
     return {
@@ -1084,6 +1141,7 @@ function createRuntimeHookResolver({ profileData, warningSet }) {
     rootsScanned: roots.length,
     elementsScanned: 0,
     elementsWithHookSlots: 0,
+    elementsWithHostNodes: 0,
     resolvedHookSlots: 0,
     unresolvedHookSlots: 0,
     hookNameParsing: {
@@ -1211,9 +1269,17 @@ function createRuntimeHookResolver({ profileData, warningSet }) {
         slotByIndex.set(index, slot);
       }
 
+      const hostNodes = Array.isArray(element?.hostNodes)
+        ? element.hostNodes.filter((hostNode) => hostNode && typeof hostNode === "object")
+        : [];
+      if (hostNodes.length > 0) {
+        stats.elementsWithHostNodes += 1;
+      }
+
       byRootFiber.set(makeKey(rootID, fiberID), {
         source: element?.source ?? null,
         owners: Array.isArray(element?.owners) ? element.owners : [],
+        hostNodes,
         slotByIndex,
       });
     }
@@ -1421,6 +1487,229 @@ function resolveFiberName({ fiberId, node, fallbackFiberNameMap, rootName }) {
   };
 }
 
+// Same shapes as the recorder's componentFilters option: DevTools filters ({ type: 2, value: "^Styled" })
+// or named types and element types ({ type: "elementType", value: "host" }).
+function normalizeComponentFilters(componentFilters) {
+  if (!Array.isArray(componentFilters)) {
+    throw new Error("componentFilters must be an array");
+  }
+
+  return componentFilters.map((filter, index) => {
+    const label = `componentFilters[${index}]`;
+    if (!filter || typeof filter !== "object") {
+      throw new Error(`${label} must be an object`);
+    }
+    const type = typeof filter.type === "string" ? COMPONENT_FILTER_TYPES[filter.type] : filter.type;
+    if (!Object.values(COMPONENT_FILTER_TYPES).includes(type)) {
+      throw new Error(`${label} has unsupported type ${JSON.stringify(filter.type)}`);
+    }
+    const isEnabled = filter.isEnabled !== false;
+
+    if (type === COMPONENT_FILTER_TYPES.elementType) {
+      const value = typeof filter.value === "string" ? ELEMENT_TYPE_CODES[filter.value] : filter.value;
+      if (!Object.values(ELEMENT_TYPE_CODES).includes(value)) {
+        throw new Error(`${label} has unsupported element type ${JSON.stringify(filter.value)}`);
+      }
+      return { type, value, isEnabled };
+    }
+    if (type === COMPONENT_FILTER_TYPES.hoc) {
+      return { type, isEnabled, isValid: true };
+    }
+    if (typeof filter.value !== "string" || filter.value.length === 0) {
+      throw new Error(`${label} requires a non-empty string value`);
+    }
+    if (type === COMPONENT_FILTER_TYPES.environmentName) {
+      return { type, value: filter.value, isEnabled };
+    }
+    try {
+      new RegExp(filter.value, "i");
+    } catch (error) {
+      throw new Error(`${label} value ${JSON.stringify(filter.value)} is not a valid regex: ${error.message}`);
+    }
+    return { type, value: filter.value, isEnabled, isValid: true };
+  });
+}
+
+// Explicit filters win; otherwise the filters the export was recorded with are re-applied, which
+// only hides more when the backend could not apply them (location filters in later documents).
+function resolveAnalysisComponentFilters(profileData, componentFilters, warningSet) {
+  let recorded = null;
+  if (Array.isArray(profileData?.automationMeta?.componentFilters)) {
+    try {
+      recorded = normalizeComponentFilters(profileData.automationMeta.componentFilters);
+    } catch (error) {
+      addWarningOnce(warningSet, `automationMeta.componentFilters was ignored: ${error.message}`);
+    }
+  }
+
+  if (Array.isArray(componentFilters)) {
+    if (recorded && JSON.stringify(recorded) !== JSON.stringify(componentFilters)) {
+      addWarningOnce(
+        warningSet,
+        "The export was recorded with different component filters (automationMeta.componentFilters); components hidden while recording cannot be shown again, and their time stays with their visible ancestors.",
+      );
+    }
+    return { source: "option", filters: componentFilters };
+  }
+  return recorded ? { source: "recorded", filters: recorded } : null;
+}
+
+function createComponentFilterMatcher(filters, runtimeHookResolver, warningSet) {
+  const enabledFilters = filters.filter((filter) => filter.isEnabled);
+  const hiddenTypes = new Set(
+    enabledFilters
+      .filter((filter) => filter.type === COMPONENT_FILTER_TYPES.elementType)
+      .map((filter) => filter.value),
+  );
+  const displayNamePatterns = enabledFilters
+    .filter((filter) => filter.type === COMPONENT_FILTER_TYPES.displayName)
+    .map((filter) => new RegExp(filter.value, "i"));
+  const locationPatterns = enabledFilters
+    .filter((filter) => filter.type === COMPONENT_FILTER_TYPES.location)
+    .map((filter) => new RegExp(filter.value, "i"));
+  const hideHocs = enabledFilters.some((filter) => filter.type === COMPONENT_FILTER_TYPES.hoc);
+  const environmentNames = enabledFilters
+    .filter((filter) => filter.type === COMPONENT_FILTER_TYPES.environmentName)
+    .map((filter) => filter.value);
+  const hideClientComponents = environmentNames.includes("Client");
+  if (environmentNames.some((name) => name !== "Client")) {
+    addWarningOnce(
+      warningSet,
+      "Only the \"Client\" environmentName filter can be applied to an export; other environment filters were ignored.",
+    );
+  }
+
+  if (
+    hiddenTypes.size === 0 &&
+    displayNamePatterns.length === 0 &&
+    locationPatterns.length === 0 &&
+    !hideHocs &&
+    !hideClientComponents
+  ) {
+    return null;
+  }
+
+  // Snapshot display names have HOC wrappers split into hocDisplayNames, which the backend's
+  // HOC filter matches as a "(" in the full name.
+  return (node, rootID) => {
+    if (hiddenTypes.has(node.type)) return true;
+    if (hideClientComponents && CLIENT_COMPONENT_ELEMENT_TYPES.has(node.type)) return true;
+    if (hideHocs && Array.isArray(node.hocDisplayNames) && node.hocDisplayNames.length > 0) return true;
+
+    const displayName = getSnapshotDisplayName(node);
+    if (displayName && displayNamePatterns.some((pattern) => pattern.test(displayName))) return true;
+
+    if (locationPatterns.length > 0) {
+      const fileName = runtimeHookResolver.getElementMeta({ rootID, fiberID: node.id })?.source?.fileName;
+      if (typeof fileName === "string" && locationPatterns.some((pattern) => pattern.test(fileName))) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+// Drops hidden fibers from the commit tree and moves their self time onto the nearest visible
+// ancestor, as the backend does for components it filters while recording. An ancestor that did
+// not render itself also takes the subtree time of the topmost hidden fibers below it.
+function applyComponentFiltersToCommit({
+  commitTree,
+  isHidden,
+  renderedFibers,
+  actualByFiber,
+  selfByFiber,
+  reasonsByFiber,
+}) {
+  const hiddenFiberIDs = new Set();
+  for (const node of commitTree.nodes.values()) {
+    if (node.id !== commitTree.rootID && isHidden(node)) {
+      hiddenFiberIDs.add(node.id);
+    }
+  }
+  if (hiddenFiberIDs.size === 0) {
+    return { commitTree, hiddenRenderedFiberIDs: [], rolledUpSelfByFiber: new Map() };
+  }
+
+  const getParentID = (fiberId) => Number(commitTree.nodes.get(fiberId)?.parentID ?? 0);
+  const findVisibleAncestor = (fiberId) => {
+    let cursor = getParentID(fiberId);
+    let coveredByHiddenAncestor = false;
+    const seen = new Set();
+    while (hiddenFiberIDs.has(cursor) && !seen.has(cursor)) {
+      seen.add(cursor);
+      coveredByHiddenAncestor = coveredByHiddenAncestor || actualByFiber.has(cursor);
+      cursor = getParentID(cursor);
+    }
+    return { ancestorID: hiddenFiberIDs.has(cursor) ? 0 : cursor, coveredByHiddenAncestor };
+  };
+  const expandVisibleChildren = (childIDs) => {
+    const visibleChildren = [];
+    const stack = [...childIDs].reverse();
+    const seen = new Set();
+    while (stack.length > 0) {
+      const childID = stack.pop();
+      if (!hiddenFiberIDs.has(childID)) {
+        visibleChildren.push(childID);
+        continue;
+      }
+      if (seen.has(childID)) continue;
+      seen.add(childID);
+      const grandchildren = commitTree.nodes.get(childID)?.children ?? [];
+      for (let i = grandchildren.length - 1; i >= 0; i--) {
+        stack.push(grandchildren[i]);
+      }
+    }
+    return visibleChildren;
+  };
+
+  const nodes = new Map();
+  for (const node of commitTree.nodes.values()) {
+    if (hiddenFiberIDs.has(node.id)) continue;
+    nodes.set(node.id, {
+      ...node,
+      parentID: node.id === commitTree.rootID ? node.parentID : findVisibleAncestor(node.id).ancestorID,
+      children: expandVisibleChildren(node.children),
+    });
+  }
+
+  const renderedAncestorIDs = new Set(actualByFiber.keys());
+  const hiddenRenderedFiberIDs = [...renderedFibers].filter((fiberId) => hiddenFiberIDs.has(fiberId));
+  const rolledUpSelfByFiber = new Map();
+  const rolledUpActualByFiber = new Map();
+  for (const fiberId of hiddenRenderedFiberIDs) {
+    const { ancestorID, coveredByHiddenAncestor } = findVisibleAncestor(fiberId);
+    if (ancestorID !== 0) {
+      const selfMs = Number(selfByFiber.get(fiberId) ?? 0);
+      rolledUpSelfByFiber.set(
+        ancestorID,
+        (rolledUpSelfByFiber.get(ancestorID) ?? 0) + (Number.isFinite(selfMs) ? selfMs : 0),
+      );
+      const actualMs = Number(actualByFiber.get(fiberId) ?? 0);
+      if (!renderedAncestorIDs.has(ancestorID) && !coveredByHiddenAncestor && Number.isFinite(actualMs)) {
+        rolledUpActualByFiber.set(ancestorID, (rolledUpActualByFiber.get(ancestorID) ?? 0) + actualMs);
+      }
+    }
+    renderedFibers.delete(fiberId);
+    actualByFiber.delete(fiberId);
+    selfByFiber.delete(fiberId);
+    reasonsByFiber.delete(fiberId);
+  }
+
+  for (const [ancestorID, selfMs] of rolledUpSelfByFiber) {
+    selfByFiber.set(ancestorID, Number(selfByFiber.get(ancestorID) ?? 0) + selfMs);
+    renderedFibers.add(ancestorID);
+  }
+  for (const [ancestorID, actualMs] of rolledUpActualByFiber) {
+    actualByFiber.set(ancestorID, actualMs);
+  }
+
+  return {
+    commitTree: { rootID: commitTree.rootID, nodes },
+    hiddenRenderedFiberIDs,
+    rolledUpSelfByFiber,
+  };
+}
+
 function buildCommitFlamegraph({
   rootID,
   commitTree,
@@ -1433,6 +1722,7 @@ function buildCommitFlamegraph({
   hookNameResolver,
   runtimeHookResolver,
   commitUpdaterIDs,
+  rolledUpSelfByFiber = null,
 }) {
   const nodesByID = commitTree?.nodes ?? new Map();
   let rootFiberId = Number.isFinite(commitTree?.rootID) ? commitTree.rootID : null;
@@ -1571,6 +1861,7 @@ function buildCommitFlamegraph({
       });
       const selfMs = Number(selfByFiber.get(fiberId) ?? 0);
       const subtreeMs = Number(actualByFiber.get(fiberId) ?? 0);
+      const rolledUpSelfMs = Number(rolledUpSelfByFiber?.get(fiberId) ?? 0);
       const runtimeElementMeta = runtimeHookResolver
         ? runtimeHookResolver.getElementMeta({
             rootID,
@@ -1603,11 +1894,13 @@ function buildCommitFlamegraph({
           whyRendered !== null,
         usedFallbackName: nameMeta.usedFallback,
         selfMs: round(Number.isFinite(selfMs) ? selfMs : 0),
+        ...(rolledUpSelfMs > 0 ? { rolledUpSelfMs: round(rolledUpSelfMs) } : {}),
         subtreeMs: round(Number.isFinite(subtreeMs) ? subtreeMs : 0),
         computedSubtreeMs: round(Number(computedSubtreeMsByFiberID.get(fiberId) ?? 0)),
         treeBaseDurationMs: round(Number(node?.treeBaseDuration ?? 0)),
         inspectedSource: runtimeElementMeta?.source ?? null,
         inspectedOwners: runtimeElementMeta?.owners ?? [],
+        ...(runtimeElementMeta?.hostNodes?.length > 0 ? { inspectedHostNodes: runtimeElementMeta.hostNodes } : {}),
         whyRendered,
       };
     })
@@ -1675,6 +1968,708 @@ function buildCommitFlamegraph({
   };
 }
 
+function getChromeTraceCorrelation(profileData) {
+  const chromeTrace = profileData?.automationMeta?.chromeTrace;
+  if (!chromeTrace || typeof chromeTrace !== "object") {
+    return null;
+  }
+
+  const clockSync = chromeTrace.clockSync ?? {};
+  const profilingStartTraceTsUs = Number.isFinite(clockSync.profilingStartTraceTsUs)
+    ? Number(clockSync.profilingStartTraceTsUs)
+    : null;
+
+  return {
+    path: typeof chromeTrace.path === "string" ? chromeTrace.path : null,
+    method: typeof clockSync.method === "string" ? clockSync.method : null,
+    profilingStartTraceTsUs,
+    pageTimeToTraceOffsetUs: Number.isFinite(clockSync.pageTimeToTraceOffsetUs)
+      ? Number(clockSync.pageTimeToTraceOffsetUs)
+      : null,
+    profilingStartUncertaintyMs: Number.isFinite(clockSync.profilingStartUncertaintyMs)
+      ? round(clockSync.profilingStartUncertaintyMs, 3)
+      : null,
+    synced: profilingStartTraceTsUs !== null,
+    errorMessage: typeof clockSync.errorMessage === "string" ? clockSync.errorMessage : null,
+  };
+}
+
+function getProfilingSegments(profileData) {
+  const segments = profileData?.automationMeta?.segments;
+  if (!Array.isArray(segments)) {
+    return [];
+  }
+  return segments
+    .filter(
+      (segment) =>
+        segment &&
+        Number.isFinite(segment.startTimestamp) &&
+        Number.isFinite(segment.endTimestamp) &&
+        segment.endTimestamp >= segment.startTimestamp,
+    )
+    .map((segment) => ({
+      name: typeof segment.name === "string" && segment.name ? segment.name : "segment",
+      startTimestamp: Number(segment.startTimestamp),
+      endTimestamp: Number(segment.endTimestamp),
+      closedAtStop: segment.closedAtStop === true,
+    }));
+}
+
+// Fibers the recorder ranked as hot but did not inspect, named from the commit flamegraphs.
+function buildSkippedInspectFibers(profileData, commits) {
+  const skipped = profileData?.automationMeta?.inspectedElements?.skippedFibers;
+  if (!skipped || !Array.isArray(skipped.hottest)) {
+    return null;
+  }
+  const names = new Map();
+  for (const commit of commits) {
+    for (const node of commit.flamegraph.nodes) {
+      names.set(`${commit.rootID}:${node.fiberId}`, node.name);
+    }
+  }
+  return {
+    maxPerRoot: Number.isFinite(skipped.maxPerRoot) ? skipped.maxPerRoot : 0,
+    timeBudget: Number.isFinite(skipped.timeBudget) ? skipped.timeBudget : 0,
+    hottest: skipped.hottest.map((fiber) => ({
+      ...fiber,
+      name: names.get(`${fiber.rootID}:${fiber.fiberID}`) ?? null,
+    })),
+  };
+}
+
+// One entry per document the recorder merged after a navigation or reload.
+function buildDocumentBreakdown(profileData, commits) {
+  const documents = profileData?.automationMeta?.documents;
+  if (!Array.isArray(documents) || documents.length < 2) {
+    return null;
+  }
+  return documents
+    .filter((document) => document && Number.isFinite(document.documentIndex))
+    .map((document) => {
+      const documentCommits = commits.filter((commit) => commit.documentIndex === document.documentIndex);
+      return {
+        documentIndex: document.documentIndex,
+        url: typeof document.url === "string" ? document.url : null,
+        captured: document.captured !== false,
+        commitCount: documentCommits.length,
+        reactTimeMs: round(documentCommits.reduce((sum, commit) => sum + commit.durationMs, 0)),
+      };
+    });
+}
+
+// Segments may nest or overlap, so a commit counts toward every segment whose window contains it.
+function buildSegmentBreakdown(profileData, commits) {
+  const segments = getProfilingSegments(profileData);
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const commitsInAnySegment = new Set();
+  const bySegment = segments.map((segment) => {
+    const segmentCommits = commits.filter(
+      (commit) => commit.timestampMs >= segment.startTimestamp && commit.timestampMs <= segment.endTimestamp,
+    );
+    const durations = segmentCommits.map((commit) => commit.durationMs);
+    const hotspotMap = new Map();
+    for (const commit of segmentCommits) {
+      commitsInAnySegment.add(commit);
+      for (const rendered of commit.flamegraph.renderedComponents) {
+        const selfMs = Number(rendered.selfMs ?? 0);
+        const subtreeMs = Number(rendered.subtreeMs ?? 0);
+        const aggregate = hotspotMap.get(rendered.name) ?? { name: rendered.name, count: 0, totalMs: 0, selfMs: 0 };
+        aggregate.count += 1;
+        aggregate.totalMs += selfMs > 0 ? selfMs : subtreeMs;
+        aggregate.selfMs += selfMs;
+        hotspotMap.set(rendered.name, aggregate);
+      }
+    }
+
+    return {
+      name: segment.name,
+      startTimestampMs: round(segment.startTimestamp),
+      endTimestampMs: round(segment.endTimestamp),
+      durationMs: round(segment.endTimestamp - segment.startTimestamp),
+      closedAtStop: segment.closedAtStop,
+      commitCount: segmentCommits.length,
+      commitIndexes: segmentCommits.map((commit) => ({ rootID: commit.rootID, commitIndex: commit.commitIndex })),
+      reactTimeMs: round(durations.reduce((sum, value) => sum + value, 0)),
+      avgCommitMs: round(median(durations) ?? 0),
+      p95CommitMs: round(percentile(durations, 95) ?? 0),
+      hotspots: [...hotspotMap.values()]
+        .map((hotspot) => ({
+          name: hotspot.name,
+          count: hotspot.count,
+          totalMs: round(hotspot.totalMs),
+          selfMs: round(hotspot.selfMs),
+        }))
+        .sort((a, b) => {
+          if (b.totalMs !== a.totalMs) return b.totalMs - a.totalMs;
+          return b.count - a.count;
+        })
+        .slice(0, 10),
+    };
+  });
+
+  const marks = Array.isArray(profileData?.automationMeta?.marks)
+    ? profileData.automationMeta.marks
+        .filter((mark) => mark && Number.isFinite(mark.timestamp))
+        .map((mark) => ({ name: String(mark.name ?? "mark"), timestampMs: round(mark.timestamp) }))
+    : [];
+  const outsideCommits = commits.filter((commit) => !commitsInAnySegment.has(commit));
+
+  return {
+    segments: bySegment,
+    marks,
+    outsideSegments: {
+      commitCount: outsideCommits.length,
+      reactTimeMs: round(outsideCommits.reduce((sum, commit) => sum + commit.durationMs, 0)),
+    },
+  };
+}
+
+function getFilmstrip(inputPath, profileData) {
+  const filmstrip = profileData?.automationMeta?.filmstrip;
+  if (!filmstrip || !Array.isArray(filmstrip.frames)) {
+    return null;
+  }
+  // Frame paths are stored relative to the export, so resolve them against its directory.
+  const exportDir = path.dirname(path.resolve(inputPath));
+  const frames = filmstrip.frames
+    .filter((frame) => frame && typeof frame.file === "string" && Number.isFinite(frame.timestamp))
+    .map((frame) => ({
+      index: frame.index,
+      path: path.resolve(exportDir, frame.file),
+      timestampMs: Number(frame.timestamp),
+    }))
+    .sort((a, b) => a.timestampMs - b.timestampMs);
+  return {
+    directory: typeof filmstrip.directory === "string" ? path.resolve(exportDir, filmstrip.directory) : null,
+    frames,
+  };
+}
+
+// A commit shows up in the first frame painted at or after it; commits after the last paint fall
+// back to the last frame.
+function findCommitFrame(filmstrip, timestampMs) {
+  if (!filmstrip || filmstrip.frames.length === 0 || !Number.isFinite(timestampMs)) {
+    return null;
+  }
+  const frame =
+    filmstrip.frames.find((candidate) => candidate.timestampMs >= timestampMs) ??
+    filmstrip.frames[filmstrip.frames.length - 1];
+  return {
+    index: frame.index,
+    path: frame.path,
+    timestampMs: round(frame.timestampMs),
+    deltaMs: round(frame.timestampMs - timestampMs),
+  };
+}
+
+function getHeapData(inputPath, profileData) {
+  const heap = profileData?.automationMeta?.heap;
+  if (!heap || typeof heap !== "object") {
+    return null;
+  }
+  const byCommit = new Map();
+  for (const heapCommit of Array.isArray(heap.commits) ? heap.commits : []) {
+    byCommit.set(`${heapCommit.rootID}:${heapCommit.commitIndex}`, heapCommit);
+  }
+  return {
+    profilePath:
+      typeof heap.profilePath === "string" ? path.resolve(path.dirname(path.resolve(inputPath)), heap.profilePath) : null,
+    heap,
+    byCommit,
+    hasGcEvents: Array.isArray(heap.gcEvents),
+  };
+}
+
+// GC time inside a commit's render window is time the commit did not spend in React, so a slow
+// commit with a large gcShare is noise rather than a regression.
+function buildMemoryReport(heapData, commits) {
+  const gcAffectedCommits = commits
+    .filter((commit) => commit.heap?.gcCount > 0)
+    .map((commit) => ({
+      rootID: commit.rootID,
+      commitIndex: commit.commitIndex,
+      timestampMs: commit.timestampMs,
+      durationMs: commit.durationMs,
+      gcCount: commit.heap.gcCount,
+      gcDurationMs: commit.heap.gcDurationMs,
+      gcTypes: commit.heap.gcTypes,
+      gcShare: commit.durationMs > 0 ? round(Math.min(1, commit.heap.gcDurationMs / commit.durationMs), 3) : null,
+    }))
+    .sort((a, b) => b.gcDurationMs - a.gcDurationMs);
+  const topAllocatingCommits = commits
+    .filter((commit) => commit.heap?.allocatedBytes > 0)
+    .map((commit) => ({
+      rootID: commit.rootID,
+      commitIndex: commit.commitIndex,
+      timestampMs: commit.timestampMs,
+      allocatedBytes: commit.heap.allocatedBytes,
+      topComponent: commit.rankedBySelfMs[0]?.name ?? null,
+    }))
+    .sort((a, b) => b.allocatedBytes - a.allocatedBytes)
+    .slice(0, 10);
+  const { heap } = heapData;
+
+  return {
+    profilePath: heapData.profilePath,
+    samplingIntervalBytes: heap.samplingIntervalBytes ?? null,
+    totalSampledBytes: heap.totalSampledBytes ?? null,
+    topAllocators: Array.isArray(heap.topAllocators) ? heap.topAllocators.slice(0, 10) : [],
+    gcEventsRecorded: heapData.hasGcEvents,
+    allocatedBytes: heap.allocatedBytes ?? null,
+    gcCount: heap.gcCount ?? null,
+    gcDurationMs: heap.gcDurationMs ?? null,
+    gcAffectedCommits,
+    topAllocatingCommits,
+  };
+}
+
+// Per-fiber counts come from the backend's errors/warnings operations and are exact; console
+// messages add the text and cover warnings React attributes to filtered host fibers (key warnings
+// name their owner instead).
+function buildComponentWarnings(profileData, hotspotMap) {
+  const fibers = Array.isArray(profileData?.automationMeta?.errorsAndWarnings)
+    ? profileData.automationMeta.errorsAndWarnings
+    : [];
+  const consoleCapture = profileData?.automationMeta?.console;
+  const messages = Array.isArray(consoleCapture?.messages) ? consoleCapture.messages : [];
+  if (fibers.length === 0 && messages.length === 0) {
+    return null;
+  }
+
+  const byName = new Map();
+  const getEntry = (name) => {
+    const entry = byName.get(name) ?? {
+      name,
+      errorCount: 0,
+      warningCount: 0,
+      consoleMessageCount: 0,
+      kinds: new Map(),
+      sampleMessages: [],
+      firstTimestampMs: null,
+    };
+    byName.set(name, entry);
+    return entry;
+  };
+
+  for (const fiber of fibers) {
+    const entry = getEntry(fiber.displayName ?? `Fiber#${fiber.fiberID}`);
+    entry.errorCount += Number(fiber.errorCount) || 0;
+    entry.warningCount += Number(fiber.warningCount) || 0;
+  }
+
+  const byKind = new Map();
+  let unattributedCount = 0;
+  for (const message of messages) {
+    const kind = typeof message.kind === "string" ? message.kind : "other";
+    byKind.set(kind, (byKind.get(kind) ?? 0) + 1);
+    if (!message.componentName) {
+      unattributedCount += 1;
+      continue;
+    }
+    const entry = getEntry(message.componentName);
+    entry.consoleMessageCount += 1;
+    entry.kinds.set(kind, (entry.kinds.get(kind) ?? 0) + 1);
+    const firstLine = String(message.text ?? "").split("\n")[0].slice(0, 200);
+    if (entry.sampleMessages.length < 3 && !entry.sampleMessages.includes(firstLine)) {
+      entry.sampleMessages.push(firstLine);
+    }
+    if (Number.isFinite(message.timestamp)) {
+      entry.firstTimestampMs =
+        entry.firstTimestampMs === null ? message.timestamp : Math.min(entry.firstTimestampMs, message.timestamp);
+    }
+  }
+
+  const components = [...byName.values()]
+    .map((entry) => {
+      const hotspot = hotspotMap.get(entry.name);
+      return {
+        name: entry.name,
+        errorCount: entry.errorCount,
+        warningCount: entry.warningCount,
+        consoleMessageCount: entry.consoleMessageCount,
+        kinds: Object.fromEntries(entry.kinds),
+        sampleMessages: entry.sampleMessages,
+        firstTimestampMs: entry.firstTimestampMs === null ? null : round(entry.firstTimestampMs),
+        renderCount: hotspot?.count ?? 0,
+        totalMs: round(hotspot?.totalMs ?? 0),
+        selfMs: round(hotspot?.totalSelfMs ?? 0),
+        topReasons: hotspot
+          ? [...hotspot.reasonCounts.entries()]
+              .map(([reason, count]) => ({ reason, count }))
+              .sort((a, b) => b.count - a.count)
+              .slice(0, 3)
+          : [],
+      };
+    })
+    .sort((a, b) => {
+      if (b.totalMs !== a.totalMs) return b.totalMs - a.totalMs;
+      return b.errorCount + b.warningCount + b.consoleMessageCount - (a.errorCount + a.warningCount + a.consoleMessageCount);
+    });
+
+  return {
+    components,
+    console: consoleCapture
+      ? {
+          errorCount: consoleCapture.errorCount ?? 0,
+          warningCount: consoleCapture.warningCount ?? 0,
+          uncaughtCount: consoleCapture.uncaughtCount ?? 0,
+          byKind: Object.fromEntries(byKind),
+          unattributedCount,
+        }
+      : null,
+  };
+}
+
+// A commit renders in the `duration` ms that end at its timestamp; only that part can be blamed on
+// React, the rest of a slow interaction is input delay, other scripts, style/layout or paint.
+function findOverlappingCommits(commits, startMs, endMs) {
+  return commits
+    .map((commit) => {
+      const overlapMs = Math.min(endMs, commit.timestampMs) - Math.max(startMs, commit.timestampMs - commit.durationMs);
+      return { commit, overlapMs };
+    })
+    .filter(({ overlapMs }) => overlapMs > 0)
+    .sort((a, b) => b.overlapMs - a.overlapMs)
+    .map(({ commit, overlapMs }) => ({
+      rootID: commit.rootID,
+      rootName: commit.rootName,
+      commitIndex: commit.commitIndex,
+      timestampMs: commit.timestampMs,
+      durationMs: commit.durationMs,
+      overlapMs: round(overlapMs),
+      topComponent: commit.rankedBySelfMs[0]?.name ?? null,
+    }));
+}
+
+function withCommitOverlap(entry, commits) {
+  const overlappingCommits = findOverlappingCommits(commits, entry.timestampMs, entry.timestampMs + entry.durationMs);
+  return {
+    ...entry,
+    reactMs: round(overlappingCommits.reduce((sum, commit) => sum + commit.overlapMs, 0)),
+    commits: overlappingCommits,
+  };
+}
+
+// CLS is the largest burst of shifts (under 1s apart, at most 5s long) not caused by recent input.
+function computeCumulativeLayoutShift(layoutShifts) {
+  let best = { value: 0, shiftCount: 0, sources: [] };
+  let current = null;
+  for (const shift of layoutShifts.filter((entry) => !entry.hadRecentInput)) {
+    if (!current || shift.timestamp - current.lastMs > 1000 || shift.timestamp - current.firstMs > 5000) {
+      current = { firstMs: shift.timestamp, lastMs: shift.timestamp, value: 0, shifts: [] };
+    }
+    current.lastMs = shift.timestamp;
+    current.value += Number(shift.value) || 0;
+    current.shifts.push(shift);
+    if (current.value > best.value) {
+      best = {
+        value: current.value,
+        shiftCount: current.shifts.length,
+        sources: [...new Set(current.shifts.flatMap((entry) => entry.sources ?? []))].slice(0, 5),
+      };
+    }
+  }
+  return { ...best, value: round(best.value, 4) };
+}
+
+// Event Timing reports each event of an interaction (pointerdown, pointerup, click) separately;
+// the interaction's latency is its longest event.
+function buildWebVitalsReport(profileData, commits) {
+  const webVitals = profileData?.automationMeta?.webVitals;
+  if (!webVitals || typeof webVitals !== "object") {
+    return null;
+  }
+
+  const byInteraction = new Map();
+  for (const event of Array.isArray(webVitals.events) ? webVitals.events : []) {
+    if (!(event.interactionId > 0)) {
+      continue;
+    }
+    const current = byInteraction.get(event.interactionId);
+    if (!current || event.durationMs > current.durationMs) {
+      byInteraction.set(event.interactionId, event);
+    }
+  }
+  const interactions = [...byInteraction.values()]
+    .map((event) =>
+      withCommitOverlap(
+        {
+          interactionId: event.interactionId,
+          type: event.name,
+          target: event.target ?? null,
+          timestampMs: round(event.timestamp),
+          durationMs: round(event.durationMs),
+          inputDelayMs: round(event.inputDelayMs),
+          processingMs: round(event.processingMs),
+          presentationDelayMs: round(event.presentationDelayMs),
+        },
+        commits,
+      ),
+    )
+    .sort((a, b) => b.durationMs - a.durationMs);
+  const longTasks = (Array.isArray(webVitals.longTasks) ? webVitals.longTasks : [])
+    .map((task) => withCommitOverlap({ timestampMs: round(task.timestamp), durationMs: round(task.durationMs) }, commits))
+    .sort((a, b) => b.durationMs - a.durationMs);
+  const lcpEntries = Array.isArray(webVitals.lcp) ? webVitals.lcp : [];
+  const lcp = lcpEntries[lcpEntries.length - 1] ?? null;
+
+  return {
+    supported: webVitals.supported ?? {},
+    // INP ignores one outlier per 50 interactions.
+    inp:
+      interactions.length > 0 ? interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))] : null,
+    interactionCount: interactions.length,
+    interactions: interactions.slice(0, 20),
+    longTaskCount: longTasks.length,
+    longTaskMs: round(longTasks.reduce((sum, task) => sum + task.durationMs, 0)),
+    longTasks: longTasks.slice(0, 20),
+    lcp: lcp
+      ? {
+          sinceNavigationMs: lcp.sinceNavigationMs ?? null,
+          timestampMs: round(lcp.timestamp),
+          size: lcp.size ?? null,
+          element: lcp.element ?? null,
+          url: lcp.url ?? null,
+        }
+      : null,
+    cls: computeCumulativeLayoutShift(Array.isArray(webVitals.layoutShifts) ? webVitals.layoutShifts : []),
+  };
+}
+
+// DevTools Timeline flags nested updates whose synchronous re-render takes longer than this.
+const NESTED_UPDATE_DURATION_THRESHOLD_MS = 20;
+
+const SCHEDULING_EVENT_KEYS = {
+  "schedule-render": "render",
+  "schedule-state-update": "stateUpdate",
+  "schedule-force-update": "forceUpdate",
+};
+
+function isWithinMeasure(measure, timestamp) {
+  return timestamp >= measure.timestamp && timestamp <= measure.timestamp + measure.duration;
+}
+
+// timelineData is the backend's Timeline tab data, one entry per renderer (and document). Its
+// timestamps count from the timeline's own start, so events are only compared within one entry.
+function buildTimelineReport(profileData) {
+  const timelines = Array.isArray(profileData?.timelineData)
+    ? profileData.timelineData.filter((timeline) => timeline && typeof timeline === "object")
+    : [];
+  if (timelines.length === 0) {
+    return null;
+  }
+
+  const lanesByValue = new Map();
+  const componentMeasuresByKey = new Map();
+  const suspenseEvents = [];
+  const thrownErrors = [];
+  const nestedUpdates = [];
+  const renderPhaseUpdates = [];
+  const reactVersions = new Set();
+  let schedulingEventCount = 0;
+
+  const getLane = (lane, laneLabels) => {
+    const entry = lanesByValue.get(lane) ?? {
+      lane,
+      label: laneLabels.get(lane) ?? null,
+      scheduledCount: 0,
+      scheduledByType: { render: 0, stateUpdate: 0, forceUpdate: 0 },
+      componentCounts: new Map(),
+      batchUIDs: new Set(),
+      renderMs: 0,
+      commitMs: 0,
+      layoutEffectsMs: 0,
+      passiveEffectsMs: 0,
+    };
+    entry.label = entry.label ?? laneLabels.get(lane) ?? null;
+    lanesByValue.set(lane, entry);
+    return entry;
+  };
+
+  for (const timeline of timelines) {
+    const documentMeta = Number.isFinite(timeline.documentIndex) ? { documentIndex: timeline.documentIndex } : {};
+    if (typeof timeline.reactVersion === "string" && timeline.reactVersion) {
+      reactVersions.add(timeline.reactVersion);
+    }
+    const laneLabels = new Map(normalizePairEntries(timeline.laneToLabelKeyValueArray));
+    const describeLanes = (lanes) =>
+      (Array.isArray(lanes) ? lanes : []).map((lane) => laneLabels.get(lane) ?? String(lane));
+
+    const reactMeasures = normalizePairEntries(timeline.batchUIDToMeasuresKeyValueArray)
+      .flatMap(([, measures]) => (Array.isArray(measures) ? measures : []))
+      .filter((measure) => Number.isFinite(measure?.timestamp) && Number.isFinite(measure?.duration))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    for (const measure of reactMeasures) {
+      for (const lane of Array.isArray(measure.lanes) ? measure.lanes : []) {
+        const entry = getLane(lane, laneLabels);
+        entry.batchUIDs.add(`${documentMeta.documentIndex ?? 0}:${measure.batchUID}`);
+        if (measure.type === "render") entry.renderMs += measure.duration;
+        else if (measure.type === "commit") entry.commitMs += measure.duration;
+        else if (measure.type === "layout-effects") entry.layoutEffectsMs += measure.duration;
+        else if (measure.type === "passive-effects") entry.passiveEffectsMs += measure.duration;
+      }
+    }
+
+    const componentMeasures = (Array.isArray(timeline.componentMeasures) ? timeline.componentMeasures : []).filter(
+      (measure) => Number.isFinite(measure?.timestamp) && Number.isFinite(measure?.duration),
+    );
+    for (const measure of componentMeasures) {
+      const name = measure.componentName || "Unknown";
+      const key = `${name}\u0000${measure.type}`;
+      const aggregate = componentMeasuresByKey.get(key) ?? { name, type: measure.type, count: 0, totalMs: 0, maxMs: 0 };
+      aggregate.count += 1;
+      aggregate.totalMs += measure.duration;
+      aggregate.maxMs = Math.max(aggregate.maxMs, measure.duration);
+      componentMeasuresByKey.set(key, aggregate);
+    }
+    const componentRenders = componentMeasures.filter((measure) => measure.type === "render");
+
+    for (const event of Array.isArray(timeline.schedulingEvents) ? timeline.schedulingEvents : []) {
+      const typeKey = SCHEDULING_EVENT_KEYS[event?.type];
+      if (!typeKey || !Number.isFinite(event.timestamp)) continue;
+      schedulingEventCount += 1;
+      for (const lane of Array.isArray(event.lanes) ? event.lanes : []) {
+        const entry = getLane(lane, laneLabels);
+        entry.scheduledCount += 1;
+        entry.scheduledByType[typeKey] += 1;
+        if (event.componentName) {
+          entry.componentCounts.set(event.componentName, (entry.componentCounts.get(event.componentName) ?? 0) + 1);
+        }
+      }
+      if (typeKey === "render") continue;
+
+      // An update scheduled while React commits (layout effects) is flushed synchronously before paint.
+      if (reactMeasures.some((measure) => measure.type === "commit" && isWithinMeasure(measure, event.timestamp))) {
+        const nextRender = reactMeasures.find(
+          (measure) =>
+            measure.type === "render" &&
+            measure.timestamp >= event.timestamp &&
+            measure.lanes?.some((lane) => event.lanes?.includes(lane)),
+        );
+        const renderMs = nextRender
+          ? reactMeasures
+              .filter((measure) => measure.type === "render" && measure.batchUID === nextRender.batchUID)
+              .reduce((sum, measure) => sum + measure.duration, 0)
+          : null;
+        nestedUpdates.push({
+          ...documentMeta,
+          componentName: event.componentName ?? null,
+          type: event.type,
+          lanes: describeLanes(event.lanes),
+          timestampMs: round(event.timestamp),
+          renderMs: renderMs === null ? null : round(renderMs),
+          long: renderMs !== null && renderMs > NESTED_UPDATE_DURATION_THRESHOLD_MS,
+        });
+      }
+
+      if (
+        event.type === "schedule-state-update" &&
+        reactMeasures.some((measure) => measure.type === "render" && isWithinMeasure(measure, event.timestamp))
+      ) {
+        const renderingComponent = componentRenders
+          .filter((measure) => isWithinMeasure(measure, event.timestamp))
+          .sort((a, b) => b.timestamp - a.timestamp)[0];
+        renderPhaseUpdates.push({
+          ...documentMeta,
+          componentName: event.componentName ?? null,
+          renderingComponentName: renderingComponent?.componentName ?? null,
+          lanes: describeLanes(event.lanes),
+          timestampMs: round(event.timestamp),
+          componentStack: typeof event.componentStack === "string" ? event.componentStack : null,
+        });
+      }
+    }
+
+    for (const event of Array.isArray(timeline.suspenseEvents) ? timeline.suspenseEvents : []) {
+      if (!Number.isFinite(event?.timestamp)) continue;
+      suspenseEvents.push({
+        ...documentMeta,
+        componentName: event.componentName ?? null,
+        promiseName: event.promiseName || null,
+        phase: event.phase ?? null,
+        resolution: event.resolution ?? "unresolved",
+        timestampMs: round(event.timestamp),
+        durationMs: event.resolution === "unresolved" ? null : round(event.duration ?? 0),
+      });
+    }
+
+    for (const error of Array.isArray(timeline.thrownErrors) ? timeline.thrownErrors : []) {
+      if (!Number.isFinite(error?.timestamp)) continue;
+      thrownErrors.push({
+        ...documentMeta,
+        componentName: error.componentName ?? null,
+        message: typeof error.message === "string" ? error.message : "",
+        phase: error.phase ?? null,
+        timestampMs: round(error.timestamp),
+      });
+    }
+  }
+
+  const settledSuspense = suspenseEvents.filter((event) => event.durationMs !== null);
+  return {
+    timelineCount: timelines.length,
+    reactVersions: [...reactVersions],
+    schedulingEventCount,
+    lanes: [...lanesByValue.values()]
+      .filter((entry) => entry.scheduledCount > 0 || entry.batchUIDs.size > 0)
+      .sort((a, b) => a.lane - b.lane)
+      .map((entry) => ({
+        lane: entry.lane,
+        label: entry.label,
+        scheduledCount: entry.scheduledCount,
+        scheduledByType: entry.scheduledByType,
+        topComponents: [...entry.componentCounts.entries()]
+          .map(([name, count]) => ({ name, count }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 5),
+        batchCount: entry.batchUIDs.size,
+        renderMs: round(entry.renderMs),
+        commitMs: round(entry.commitMs),
+        layoutEffectsMs: round(entry.layoutEffectsMs),
+        passiveEffectsMs: round(entry.passiveEffectsMs),
+      })),
+    componentMeasures: [...componentMeasuresByKey.values()]
+      .sort((a, b) => b.totalMs - a.totalMs)
+      .slice(0, 25)
+      .map((aggregate) => ({
+        ...aggregate,
+        totalMs: round(aggregate.totalMs),
+        avgMs: round(aggregate.totalMs / Math.max(1, aggregate.count)),
+        maxMs: round(aggregate.maxMs),
+      })),
+    suspense: {
+      count: suspenseEvents.length,
+      resolved: suspenseEvents.filter((event) => event.resolution === "resolved").length,
+      rejected: suspenseEvents.filter((event) => event.resolution === "rejected").length,
+      unresolved: suspenseEvents.filter((event) => event.resolution === "unresolved").length,
+      duringUpdate: suspenseEvents.filter((event) => event.phase === "update").length,
+      maxDurationMs: settledSuspense.length > 0 ? Math.max(...settledSuspense.map((event) => event.durationMs)) : null,
+      events: suspenseEvents
+        .sort((a, b) => (b.durationMs ?? Infinity) - (a.durationMs ?? Infinity) || a.timestampMs - b.timestampMs)
+        .slice(0, 25),
+    },
+    thrownErrors: thrownErrors.sort((a, b) => a.timestampMs - b.timestampMs).slice(0, 25),
+    thrownErrorCount: thrownErrors.length,
+    nestedUpdates: nestedUpdates.sort((a, b) => (b.renderMs ?? 0) - (a.renderMs ?? 0)).slice(0, 25),
+    nestedUpdateCount: nestedUpdates.length,
+    longNestedUpdateCount: nestedUpdates.filter((update) => update.long).length,
+    renderPhaseUpdates: renderPhaseUpdates.sort((a, b) => a.timestampMs - b.timestampMs).slice(0, 25),
+    renderPhaseUpdateCount: renderPhaseUpdates.length,
+  };
+}
+
+function pickCommitHeap(heapCommit) {
+  return {
+    allocatedBytes: heapCommit.allocatedBytes,
+    gcCount: heapCommit.gcCount,
+    gcDurationMs: heapCommit.gcDurationMs,
+    gcTypes: Array.isArray(heapCommit.gcTypes) ? heapCommit.gcTypes : [],
+  };
+}
+
 function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
   const roots = Array.isArray(data?.dataForRoots) ? data.dataForRoots : [];
   const hotspotMap = new Map();
@@ -1693,6 +2688,24 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
     profileData: data,
     warningSet,
   });
+  const componentFilterSetup = resolveAnalysisComponentFilters(data, options.componentFilters, warningSet);
+  const isFilteredComponent = componentFilterSetup
+    ? createComponentFilterMatcher(componentFilterSetup.filters, runtimeHookResolver, warningSet)
+    : null;
+  const hiddenFiberKeys = new Set();
+  let hiddenRenderCount = 0;
+  let rolledUpSelfMsTotal = 0;
+  const chromeTraceCorrelation = getChromeTraceCorrelation(data);
+  if (chromeTraceCorrelation && !chromeTraceCorrelation.synced) {
+    addWarningOnce(
+      warningSet,
+      `A Chrome trace was recorded alongside this export but its clock could not be synced${
+        chromeTraceCorrelation.errorMessage ? ` (${chromeTraceCorrelation.errorMessage})` : ""
+      }; commits[*].traceTimestampUs is omitted.`,
+    );
+  }
+  const filmstrip = getFilmstrip(inputPath, data);
+  const heapData = getHeapData(inputPath, data);
   let commitCount = 0;
   let componentRenderSamples = 0;
   let unnamedFiberRenders = 0;
@@ -1765,9 +2778,29 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
           commitsWithoutRenderReasons += 1;
         }
 
+        const filteredCommit = isFilteredComponent
+          ? applyComponentFiltersToCommit({
+              commitTree,
+              isHidden: (node) => isFilteredComponent(node, commitTree.rootID),
+              renderedFibers,
+              actualByFiber,
+              selfByFiber,
+              reasonsByFiber,
+            })
+          : null;
+        if (filteredCommit) {
+          for (const fiberId of filteredCommit.hiddenRenderedFiberIDs) {
+            hiddenFiberKeys.add(`${commitTree.rootID}:${fiberId}`);
+          }
+          hiddenRenderCount += filteredCommit.hiddenRenderedFiberIDs.length;
+          for (const selfMs of filteredCommit.rolledUpSelfByFiber.values()) {
+            rolledUpSelfMsTotal += selfMs;
+          }
+        }
+
         const flamegraph = buildCommitFlamegraph({
           rootID: commitTree.rootID,
-          commitTree,
+          commitTree: filteredCommit?.commitTree ?? commitTree,
           rootName,
           fallbackFiberNameMap,
           renderedFibers,
@@ -1777,13 +2810,22 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
           hookNameResolver,
           runtimeHookResolver,
           commitUpdaterIDs,
+          rolledUpSelfByFiber: filteredCommit?.rolledUpSelfByFiber ?? null,
         });
 
         commitFlamegraphs.push({
           rootID: commitTree.rootID,
           rootName,
+          ...(Number.isFinite(root?.documentIndex) ? { documentIndex: root.documentIndex } : {}),
           commitIndex,
           timestampMs: round(Number.isFinite(commitTimestampMs) ? commitTimestampMs : commitIndex),
+          ...(chromeTraceCorrelation?.synced && Number.isFinite(ts)
+            ? { traceTimestampUs: Math.round(chromeTraceCorrelation.profilingStartTraceTsUs + ts * 1000) }
+            : {}),
+          ...(filmstrip ? { frame: findCommitFrame(filmstrip, ts) } : {}),
+          ...(heapData?.byCommit.has(`${commitTree.rootID}:${commitIndex}`)
+            ? { heap: pickCommitHeap(heapData.byCommit.get(`${commitTree.rootID}:${commitIndex}`)) }
+            : {}),
           durationMs: round(Number.isFinite(durationMs) ? durationMs : 0),
           effectDurationMs: Number.isFinite(commit?.effectDuration) ? round(commit.effectDuration) : null,
           passiveEffectDurationMs: Number.isFinite(commit?.passiveEffectDuration)
@@ -1841,6 +2883,7 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
             maxSelfMs: 0,
             maxSubtreeMs: 0,
             reasonCounts: new Map(),
+            hostNodeFibers: new Map(),
           };
 
           aggregate.count += 1;
@@ -1857,6 +2900,15 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
             aggregate.reasonCounts.set(reasonSummary, (aggregate.reasonCounts.get(reasonSummary) ?? 0) + 1);
           }
 
+          const hostNodes =
+            runtimeHookResolver.getElementMeta({ rootID: commitTree.rootID, fiberID: fiberId })?.hostNodes ?? [];
+          if (hostNodes.length > 0) {
+            const hostNodeKey = `${commitTree.rootID}:${fiberId}`;
+            const hostNodeFiber = aggregate.hostNodeFibers.get(hostNodeKey) ?? { fiberId, totalMs: 0, hostNodes };
+            hostNodeFiber.totalMs += Number.isFinite(primaryMs) ? primaryMs : 0;
+            aggregate.hostNodeFibers.set(hostNodeKey, hostNodeFiber);
+          }
+
           hotspotMap.set(name, aggregate);
 
           const timestamps = componentTimestampsByName.get(name) ?? [];
@@ -1920,6 +2972,11 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
         .map(([reason, count]) => ({ reason, count }))
         .sort((a, b) => b.count - a.count)
         .slice(0, 3),
+      // Host nodes of the instances that cost the most, so a step can target the hot region.
+      hostNodes: [...h.hostNodeFibers.values()]
+        .sort((a, b) => b.totalMs - a.totalMs)
+        .flatMap((fiber) => fiber.hostNodes.map((hostNode) => ({ fiberId: fiber.fiberId, ...hostNode })))
+        .slice(0, 5),
     }))
     .sort((a, b) => {
       if (b.totalMs !== a.totalMs) return b.totalMs - a.totalMs;
@@ -1927,11 +2984,19 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
     })
     .slice(0, 25);
 
+  const segmentBreakdown = buildSegmentBreakdown(data, commitFlamegraphs);
+  const documents = buildDocumentBreakdown(data, commitFlamegraphs);
+  const memory = heapData ? buildMemoryReport(heapData, commitFlamegraphs) : null;
+  const componentWarnings = buildComponentWarnings(data, hotspotMap);
+  const webVitals = buildWebVitalsReport(data, commitFlamegraphs);
+  const timeline = buildTimelineReport(data);
+
   const renderReasonSampleCount = knownRenderReasonSamples + unknownRenderReasonSamples;
   const unknownRenderReasonRate =
     renderReasonSampleCount > 0 ? unknownRenderReasonSamples / renderReasonSampleCount : null;
   const runtimeHookStats = runtimeHookResolver.getStats();
   const hookNameStats = hookNameResolver.getStats();
+  const skippedInspectFibers = buildSkippedInspectFibers(data, commitFlamegraphs);
 
   return {
     source: path.resolve(inputPath),
@@ -1940,6 +3005,7 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
     enrichment: {
       hookNames: hookNameStats,
       runtimeInspect: runtimeHookStats,
+      ...(skippedInspectFibers ? { skippedInspectFibers } : {}),
       renderReasons: {
         knownSamples: knownRenderReasonSamples,
         unknownSamples: unknownRenderReasonSamples,
@@ -1948,6 +3014,34 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
         unknownWithUpdaterMatch: unknownRenderReasonUpdaterMatches,
       },
     },
+    ...(componentFilterSetup
+      ? {
+          componentFilters: {
+            source: componentFilterSetup.source,
+            filters: componentFilterSetup.filters,
+            applied: isFilteredComponent !== null,
+            hiddenFiberCount: hiddenFiberKeys.size,
+            hiddenRenderCount,
+            rolledUpSelfMs: round(rolledUpSelfMsTotal),
+          },
+        }
+      : {}),
+    ...(chromeTraceCorrelation ? { chromeTrace: chromeTraceCorrelation } : {}),
+    ...(segmentBreakdown ? { segments: segmentBreakdown } : {}),
+    ...(documents ? { documents } : {}),
+    ...(filmstrip
+      ? {
+          filmstrip: {
+            directory: filmstrip.directory,
+            frameCount: filmstrip.frames.length,
+            linkedCommitCount: commitFlamegraphs.filter((commit) => commit.frame).length,
+          },
+        }
+      : {}),
+    ...(memory ? { memory } : {}),
+    ...(componentWarnings ? { componentWarnings } : {}),
+    ...(webVitals ? { webVitals } : {}),
+    ...(timeline ? { timeline } : {}),
     totals: {
       reactEvents: componentRenderSamples || commitCount,
       reactDurationEvents: componentRenderSamples,
@@ -2010,6 +3104,13 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
             "Hook name enrichment did not resolve source hook labels. This usually means component source was not discoverable from the selected source root.",
           ]
         : []),
+      ...(componentFilterSetup?.filters.some(
+        (filter) => filter.isEnabled && filter.type === COMPONENT_FILTER_TYPES.location,
+      ) && runtimeHookStats.elementsScanned === 0
+        ? [
+            "Location component filters need inspectedSource from inspectElements; this export has none, so no component was hidden by location.",
+          ]
+        : []),
       ...(runtimeHookStats.enabled && runtimeHookStats.elementsScanned === 0
         ? [
             "Runtime inspectElement enrichment was enabled but no inspected element payloads were found in this export.",
@@ -2021,6 +3122,14 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
             `parseHookNames left ${runtimeHookStats.hookNameParsing.unresolvedLocationCount} unresolved hook source location(s); inspect enrichment.runtimeInspect.hookNameParsing.unresolvedElementDiagnostics for per-fiber details.`,
           ]
         : []),
+      ...(skippedInspectFibers?.hottest.length > 0
+        ? [
+            `inspectElements skipped ${skippedInspectFibers.maxPerRoot + skippedInspectFibers.timeBudget} fiber(s), so they lack inspectedSource, owners and hook details. Hottest: ${skippedInspectFibers.hottest
+              .slice(0, 5)
+              .map((fiber) => `${fiber.name ?? "unknown"} (fiber ${fiber.fiberID}, ${fiber.reason})`)
+              .join(", ")}. Raise inspectElementsMaxPerRoot or inspectElementsBudgetMs to cover them.`,
+          ]
+        : []),
       ...(unknownRenderReasonRate !== null && unknownRenderReasonRate >= 0.5
         ? [
             "Most whyRendered entries are 'unknown'. This is a React export limitation; use commit updaters, hooksChangedDetails, and before/after commit timing/component membership deltas for triage.",
@@ -2031,12 +3140,214 @@ function analyzeReactDevtoolsExport(inputPath, data, options = {}) {
             `${unknownRenderReasonUpdaterMatches} unknown whyRendered sample(s) matched commit updater fibers; these are tagged with inferredReason.kind='updater-match' (low confidence).`,
           ]
         : []),
+      ...(timeline?.longNestedUpdateCount > 0
+        ? [
+            `${timeline.longNestedUpdateCount} nested update(s) scheduled during a commit re-rendered synchronously for more than ${NESTED_UPDATE_DURATION_THRESHOLD_MS}ms before paint: ${timeline.nestedUpdates
+              .filter((update) => update.long)
+              .slice(0, 5)
+              .map((update) => `${update.componentName ?? "unknown"} (${update.renderMs}ms)`)
+              .join(", ")}. Move the update out of useLayoutEffect/componentDidMount or make it conditional.`,
+          ]
+        : []),
+      ...(timeline?.renderPhaseUpdates.some(
+        (update) => update.renderingComponentName && update.renderingComponentName !== update.componentName,
+      )
+        ? [
+            `State updates were scheduled on another component during render: ${[
+              ...new Set(
+                timeline.renderPhaseUpdates
+                  .filter((update) => update.renderingComponentName && update.renderingComponentName !== update.componentName)
+                  .map((update) => `${update.renderingComponentName} -> ${update.componentName ?? "unknown"}`),
+              ),
+            ]
+              .slice(0, 5)
+              .join(", ")}. React warns about this; move the update into an effect or event handler.`,
+          ]
+        : []),
+      ...(timeline?.suspense.duringUpdate > 0
+        ? [
+            `${timeline.suspense.duringUpdate} component(s) suspended during an update; without startTransition the nearest Suspense fallback replaces content that was already shown.`,
+          ]
+        : []),
+      ...(timeline?.thrownErrorCount > 0
+        ? [
+            `${timeline.thrownErrorCount} error(s) were thrown during rendering; see timeline.thrownErrors.`,
+          ]
+        : []),
       ...[...warningSet.values()],
     ],
     hotspots,
   };
 }
 
+function analyzeRunManifest(inputPath, manifest, options = {}) {
+  const manifestDir = path.dirname(path.resolve(inputPath));
+  const runEntries = Array.isArray(manifest?.runs) ? manifest.runs : [];
+  const runReports = [];
+  const warnings = [];
+
+  for (const [index, entry] of runEntries.entries()) {
+    const runIndex = Number.isFinite(entry?.runIndex) ? entry.runIndex : index + 1;
+    if (typeof entry?.path !== "string" || !entry.path) {
+      warnings.push(`Run ${runIndex} has no export path in the manifest; skipped.`);
+      continue;
+    }
+
+    const runPath = path.resolve(manifestDir, entry.path);
+    let runData;
+    try {
+      runData = JSON.parse(fs.readFileSync(runPath, "utf8"));
+    } catch (error) {
+      warnings.push(`Run ${runIndex} export could not be read (${runPath}): ${error.message}`);
+      continue;
+    }
+    if (!Array.isArray(runData?.dataForRoots)) {
+      warnings.push(`Run ${runIndex} export is not a React DevTools export (${runPath}); skipped.`);
+      continue;
+    }
+
+    runReports.push({ runIndex, report: analyzeReactDevtoolsExport(runPath, runData, options) });
+  }
+
+  const runCount = runReports.length;
+  if (runCount === 0) {
+    throw new Error("Run manifest did not reference any readable React DevTools exports.");
+  }
+  if (runCount < 3) {
+    warnings.push(`Only ${runCount} run(s) were analyzed; p95 and CV are unreliable below 3 runs.`);
+  }
+
+  const componentRuns = new Map();
+  for (const [runPosition, { report }] of runReports.entries()) {
+    for (const commit of report.commits) {
+      for (const component of commit.flamegraph.renderedComponents) {
+        const stats = componentRuns.get(component.name) ?? {
+          name: component.name,
+          totalMs: new Array(runCount).fill(0),
+          selfMs: new Array(runCount).fill(0),
+          count: new Array(runCount).fill(0),
+        };
+        const selfMs = Number(component.selfMs ?? 0);
+        const subtreeMs = Number(component.subtreeMs ?? 0);
+        stats.totalMs[runPosition] += selfMs > 0 ? selfMs : subtreeMs;
+        stats.selfMs[runPosition] += selfMs;
+        stats.count[runPosition] += 1;
+        componentRuns.set(component.name, stats);
+      }
+    }
+  }
+
+  // Runs in which a component never rendered would pull its median down and its CV up, so its
+  // statistics only cover the runs it rendered in; the others are listed in absentRuns.
+  const componentStats = [...componentRuns.values()]
+    .map((stats) => {
+      const present = stats.count.map((count) => count > 0);
+      const inPresentRuns = (values) => values.filter((_, runPosition) => present[runPosition]);
+      return {
+        name: stats.name,
+        runsPresent: present.filter(Boolean).length,
+        absentRuns: runReports.filter((_, runPosition) => !present[runPosition]).map(({ runIndex }) => runIndex),
+        totalMs: summarizeAcrossRuns(inPresentRuns(stats.totalMs)),
+        selfMs: summarizeAcrossRuns(inPresentRuns(stats.selfMs)),
+        count: summarizeAcrossRuns(inPresentRuns(stats.count)),
+      };
+    })
+    .sort((a, b) => {
+      if (b.totalMs.median !== a.totalMs.median) return b.totalMs.median - a.totalMs.median;
+      return b.count.median - a.count.median;
+    });
+
+  const noisyComponents = componentStats
+    .filter((stats) => stats.totalMs.median >= 1 && stats.totalMs.cv !== null && stats.totalMs.cv >= 0.3)
+    .slice(0, 10);
+  if (noisyComponents.length > 0) {
+    warnings.push(
+      `High run-to-run variance (CV >= 0.3) for: ${noisyComponents
+        .map((stats) => `${stats.name} (CV ${stats.totalMs.cv})`)
+        .join(", ")}. Treat deltas for these components with caution.`,
+    );
+  }
+  const partialComponents = componentStats
+    .filter((stats) => stats.totalMs.median >= 1 && stats.absentRuns.length > 0)
+    .slice(0, 10);
+  if (partialComponents.length > 0) {
+    warnings.push(
+      `Rendered in only some runs (statistics cover those runs): ${partialComponents
+        .map((stats) => `${stats.name} (${stats.runsPresent}/${runCount} runs)`)
+        .join(", ")}.`,
+    );
+  }
+
+  const reactTimeMs = runReports.map(({ report }) => report.totals.reactTimeMs);
+  const commits = runReports.map(({ report }) => report.totals.commits);
+  const componentTrackEvents = runReports.map(({ report }) => report.totals.reactComponentTrackEvents);
+  const avgCommitMs = runReports.map(({ report }) => report.totals.avgCommitMs);
+  const medianCommitMs = runReports.map(({ report }) =>
+    round(median(report.commits.map((commit) => commit.durationMs).filter(Number.isFinite)) ?? 0),
+  );
+  const p95CommitMs = runReports.map(({ report }) => report.totals.p95CommitMs);
+  const churnRuns = runReports.filter(({ report }) => report.cadence?.likelyIntervalChurn).length;
+  const medianRun = [...runReports].sort((a, b) => a.report.totals.reactTimeMs - b.report.totals.reactTimeMs)[
+    Math.floor((runCount - 1) / 2)
+  ];
+
+  return {
+    source: path.resolve(inputPath),
+    mode: "react-devtools-multi-run",
+    generatedAt: new Date().toISOString(),
+    manifest: {
+      format: manifest.format,
+      url: typeof manifest.url === "string" ? manifest.url : null,
+      runCount: Number.isFinite(manifest.runCount) ? manifest.runCount : runEntries.length,
+      runIsolation: typeof manifest.runIsolation === "string" ? manifest.runIsolation : null,
+      analyzedRuns: runCount,
+    },
+    totals: {
+      reactEvents: round(median(componentTrackEvents) ?? 0),
+      reactDurationEvents: round(median(componentTrackEvents) ?? 0),
+      reactComponentTrackEvents: round(median(componentTrackEvents) ?? 0),
+      reactSchedulerTrackEvents: 0,
+      reactTimeMs: round(median(reactTimeMs) ?? 0),
+      commits: round(median(commits) ?? 0),
+      avgCommitMs: round(median(avgCommitMs) ?? 0),
+      p95CommitMs: round(median(p95CommitMs) ?? 0),
+    },
+    acrossRuns: {
+      reactTimeMs: summarizeAcrossRuns(reactTimeMs),
+      commits: summarizeAcrossRuns(commits),
+      reactComponentTrackEvents: summarizeAcrossRuns(componentTrackEvents),
+      medianCommitMs: summarizeAcrossRuns(medianCommitMs),
+      p95CommitMs: summarizeAcrossRuns(p95CommitMs),
+    },
+    cadence: {
+      ...medianRun.report.cadence,
+      likelyIntervalChurn: churnRuns * 2 > runCount,
+      runsWithIntervalChurn: churnRuns,
+    },
+    runs: runReports.map(({ runIndex, report }) => ({
+      runIndex,
+      source: report.source,
+      totals: report.totals,
+      cadence: report.cadence,
+      topHotspots: report.hotspots.slice(0, 10),
+      ...(report.componentFilters ? { componentFilters: report.componentFilters } : {}),
+      warnings: report.warnings,
+    })),
+    componentStats,
+    warnings,
+    hotspots: componentStats.slice(0, 25).map((stats) => ({
+      name: stats.name,
+      count: stats.count.median,
+      totalMs: stats.totalMs.median,
+      avgMs: round(stats.totalMs.median / Math.max(1, stats.count.median)),
+      selfMs: stats.selfMs.median,
+      p95TotalMs: stats.totalMs.p95,
+      cvTotalMs: stats.totalMs.cv,
+      runsPresent: stats.runsPresent,
+    })),
+  };
+}
+
 function toSummary(report) {
   const lines = [];
   lines.push(`Mode: ${report.mode}`);
@@ -2083,6 +3394,167 @@ function toSummary(report) {
     lines.push(`Commit flamegraphs: ${report.commits.length}`);
   }
 
+  if (report?.componentFilters?.applied) {
+    lines.push(
+      `Component filters (${report.componentFilters.source}): ${report.componentFilters.hiddenFiberCount} hidden fiber(s), ${report.componentFilters.rolledUpSelfMs}ms self time rolled up into visible ancestors`,
+    );
+  }
+
+  if (report?.mode === "react-devtools-multi-run") {
+    lines.push(
+      `Runs analyzed: ${report.manifest.analyzedRuns}/${report.manifest.runCount} | React time median ${report.acrossRuns.reactTimeMs.median}ms, p95 ${report.acrossRuns.reactTimeMs.p95}ms, CV ${report.acrossRuns.reactTimeMs.cv ?? "n/a"}`,
+    );
+    lines.push("Per-component variance (median / p95 / CV of total ms):");
+    for (const stats of report.componentStats.slice(0, 10)) {
+      lines.push(
+        `- ${stats.name}: ${stats.totalMs.median}ms / ${stats.totalMs.p95}ms / ${stats.totalMs.cv ?? "n/a"} (present in ${stats.runsPresent}/${report.manifest.analyzedRuns} runs)`,
+      );
+    }
+  }
+
+  if (Array.isArray(report?.segments?.segments) && report.segments.segments.length > 0) {
+    lines.push("Segments:");
+    for (const segment of report.segments.segments) {
+      const topHotspot = segment.hotspots[0];
+      lines.push(
+        `- ${segment.name} (${segment.startTimestampMs}-${segment.endTimestampMs}ms): ${segment.commitCount} commit(s), React time ${segment.reactTimeMs}ms${
+          topHotspot ? `, top ${topHotspot.name} ${topHotspot.totalMs}ms` : ""
+        }`,
+      );
+    }
+    if (report.segments.outsideSegments.commitCount > 0) {
+      lines.push(
+        `- (outside segments): ${report.segments.outsideSegments.commitCount} commit(s), React time ${report.segments.outsideSegments.reactTimeMs}ms`,
+      );
+    }
+  }
+
+  if (Array.isArray(report?.documents)) {
+    lines.push(`Documents: ${report.documents.length} (commits[*].documentIndex)`);
+    for (const document of report.documents) {
+      lines.push(
+        `- #${document.documentIndex} ${document.url ?? "?"}: ${
+          document.captured ? `${document.commitCount} commit(s), React time ${document.reactTimeMs}ms` : "data lost"
+        }`,
+      );
+    }
+  }
+
+  if (report?.filmstrip) {
+    lines.push(
+      `Filmstrip: ${report.filmstrip.frameCount} frame(s) in ${report.filmstrip.directory ?? "?"}; ${report.filmstrip.linkedCommitCount} commit(s) linked via commits[*].frame`,
+    );
+  }
+
+  if (report?.componentWarnings) {
+    const { console: consoleSummary, components } = report.componentWarnings;
+    if (consoleSummary) {
+      lines.push(
+        `Console during profiling: ${consoleSummary.errorCount} error(s), ${consoleSummary.warningCount} warning(s), ${consoleSummary.uncaughtCount} uncaught`,
+      );
+    }
+    if (components.length > 0) {
+      lines.push("Components emitting errors/warnings (with render cost):");
+      for (const component of components.slice(0, 10)) {
+        const kinds = Object.keys(component.kinds);
+        lines.push(
+          `- ${component.name}: ${component.errorCount + component.warningCount || component.consoleMessageCount} message(s)${
+            kinds.length > 0 ? ` [${kinds.join(", ")}]` : ""
+          }, ${component.renderCount} render(s), ${component.totalMs}ms${
+            component.kinds.key ? " (missing keys can remount list items)" : ""
+          }`,
+        );
+      }
+    }
+  }
+
+  if (report?.webVitals) {
+    const { inp, lcp, cls, longTasks } = report.webVitals;
+    const singleRoot = new Set((report.commits ?? []).map((commit) => commit.rootID)).size <= 1;
+    const describeCommit = (commit) =>
+      `${singleRoot ? "" : `${commit.rootName} `}commit ${commit.commitIndex}${
+        commit.topComponent ? ` (${commit.topComponent})` : ""
+      }`;
+    const describeReactShare = (entry) =>
+      entry.commits.length === 0
+        ? "no React commit overlapped"
+        : `${entry.commits[0].overlapMs}ms of which is ${describeCommit(entry.commits[0])}${
+            entry.commits.length > 1 ? `; ${entry.reactMs}ms across ${entry.commits.length} commits` : ""
+          }`;
+    lines.push(
+      `Web Vitals: ${report.webVitals.interactionCount} interaction(s), ${report.webVitals.longTaskCount} long task(s) (${report.webVitals.longTaskMs}ms)${
+        lcp ? `, LCP ${lcp.sinceNavigationMs}ms${lcp.element ? ` on ${lcp.element}` : ""}` : ""
+      }, CLS ${cls.value}`,
+    );
+    if (inp) {
+      lines.push(`- INP ${inp.durationMs}ms on ${inp.type} of ${inp.target ?? "?"}, ${describeReactShare(inp)}`);
+    }
+    for (const task of longTasks.slice(0, 5)) {
+      lines.push(`- Long task ${task.durationMs}ms @${task.timestampMs}ms: ${describeReactShare(task)}`);
+    }
+  }
+
+  if (report?.timeline) {
+    const { suspense, lanes } = report.timeline;
+    lines.push(
+      `Timeline: ${report.timeline.schedulingEventCount} scheduled update(s) across ${lanes.length} lane(s), ${suspense.count} suspense event(s) (${suspense.resolved} resolved, ${suspense.rejected} rejected, ${suspense.unresolved} unresolved), ${report.timeline.thrownErrorCount} thrown error(s), ${report.timeline.nestedUpdateCount} nested update(s)`,
+    );
+    for (const lane of lanes.slice(0, 8)) {
+      lines.push(
+        `- ${lane.label ?? `Lane ${lane.lane}`}: ${lane.scheduledCount} scheduled, ${lane.batchCount} batch(es), render ${lane.renderMs}ms, commit ${lane.commitMs}ms${
+          lane.topComponents.length > 0
+            ? ` (${lane.topComponents.map((component) => `${component.name} x${component.count}`).join(", ")})`
+            : ""
+        }`,
+      );
+    }
+    for (const event of suspense.events.filter((event) => event.durationMs !== null).slice(0, 3)) {
+      lines.push(
+        `- Suspended ${event.componentName ?? "unknown"}${event.promiseName ? ` on ${event.promiseName}` : ""} for ${event.durationMs}ms (${event.resolution}, ${event.phase})`,
+      );
+    }
+    for (const update of report.timeline.nestedUpdates.filter((update) => update.long).slice(0, 3)) {
+      lines.push(`- Nested update in ${update.componentName ?? "unknown"}: ${update.renderMs}ms sync re-render`);
+    }
+    for (const update of report.timeline.renderPhaseUpdates.slice(0, 3)) {
+      lines.push(
+        `- ${update.renderingComponentName ?? "unknown"} scheduled a state update on ${update.componentName ?? "unknown"} during render`,
+      );
+    }
+    for (const error of report.timeline.thrownErrors.slice(0, 3)) {
+      lines.push(`- ${error.componentName ?? "unknown"} threw during ${error.phase ?? "render"}: ${error.message}`);
+    }
+  }
+
+  if (report?.memory) {
+    const memory = report.memory;
+    lines.push(
+      `Memory: ${memory.totalSampledBytes ?? "?"} bytes sampled${
+        memory.gcEventsRecorded
+          ? `, ${memory.gcCount} GC event(s) for ${memory.gcDurationMs}ms, ${memory.gcAffectedCommits.length} commit(s) overlapped a GC`
+          : ", GC events unavailable"
+      }`,
+    );
+    for (const commit of memory.gcAffectedCommits.slice(0, 5)) {
+      lines.push(
+        `- GC during commit ${commit.rootID}:${commit.commitIndex} @${commit.timestampMs}ms: ${commit.gcDurationMs}ms of ${commit.durationMs}ms (${commit.gcTypes.join("+")})`,
+      );
+    }
+    for (const allocator of memory.topAllocators.slice(0, 3)) {
+      lines.push(
+        `- Allocates ${allocator.selfBytes} bytes: ${allocator.functionName}${
+          allocator.url ? ` (${allocator.url}:${allocator.lineNumber})` : ""
+        }`,
+      );
+    }
+  }
+
+  if (report?.chromeTrace?.synced) {
+    lines.push(
+      `Correlated Chrome trace: ${report.chromeTrace.path} (commit timestamps mapped to trace ts, ±${report.chromeTrace.profilingStartUncertaintyMs ?? "?"}ms)`,
+    );
+  }
+
   const hookEnrichment = report?.enrichment?.hookNames;
   if (hookEnrichment?.enabled) {
     lines.push(
@@ -2111,7 +3583,12 @@ function toSummary(report) {
 
   lines.push("Top hotspots:");
   for (const hotspot of report.hotspots.slice(0, 10)) {
-    lines.push(`- ${hotspot.name}: total ${hotspot.totalMs}ms, count ${hotspot.count}, avg ${hotspot.avgMs}ms`);
+    const selector = hotspot.hostNodes?.find((hostNode) => hostNode.selector)?.selector;
+    lines.push(
+      `- ${hotspot.name}: total ${hotspot.totalMs}ms, count ${hotspot.count}, avg ${hotspot.avgMs}ms${
+        selector ? ` at ${selector}` : ""
+      }`,
+    );
   }
   return lines.join("\n");
 }
@@ -2157,6 +3634,18 @@ function main() {
     process.exit(args.help ? 0 : 1);
   }
 
+  let componentFilters;
+  try {
+    if (args.componentFiltersPath) {
+      componentFilters = normalizeComponentFilters(JSON.parse(fs.readFileSync(args.componentFiltersPath, "utf8")));
+    } else if (args.componentFiltersJson) {
+      componentFilters = normalizeComponentFilters(JSON.parse(args.componentFiltersJson));
+    }
+  } catch (error) {
+    console.error(`Invalid component filters: ${error.message}`);
+    process.exit(1);
+  }
+
   let data;
   try {
     data = JSON.parse(fs.readFileSync(args.input, "utf8"));
@@ -2173,9 +3662,22 @@ function main() {
     report = analyzeReactDevtoolsExport(args.input, data, {
       sourceRoot,
       enableHookNameEnrichment: args.enableHookNameEnrichment !== false,
+      componentFilters,
     });
+  } else if (data?.format === RUN_MANIFEST_FORMAT) {
+    const sourceRoot = args.sourceRoot ? path.resolve(args.sourceRoot) : inferSourceRootFromInput(args.input);
+    try {
+      report = analyzeRunManifest(args.input, data, {
+        sourceRoot,
+        enableHookNameEnrichment: args.enableHookNameEnrichment !== false,
+        componentFilters,
+      });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
   } else {
-    console.error("Unsupported profile format. Expected traceEvents[] or dataForRoots[].");
+    console.error("Unsupported profile format. Expected traceEvents[], dataForRoots[], or a run manifest.");
     process.exit(1);
   }
 
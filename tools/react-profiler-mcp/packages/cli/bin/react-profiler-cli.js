@@ -8,7 +8,14 @@ import {mkdtemp, readFile} from 'node:fs/promises';
 import {execFile} from 'node:child_process';
 import {promisify} from 'node:util';
 import {fileURLToPath} from 'node:url';
-import {recordReactDevToolsProfile} from '@react-profiler-mcp/core';
+import {
+  getComponentTree,
+  inspectComponent,
+  listComponents,
+  recordInteractionSteps,
+  recordReactDevToolsProfile,
+  recordReactProfileInNode,
+} from '@react-profiler-mcp/core';
 
 const execFileAsync = promisify(execFile);
 
@@ -74,6 +81,46 @@ function parseNumberFlag(flags, name, defaultValue) {
   return parsed;
 }
 
+function parseListFlag(flags, name) {
+  const value = flags[name];
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseLivePageFlags(flags) {
+  const targetUrlPattern =
+    typeof flags['target-url-pattern'] === 'string' ? flags['target-url-pattern'] : undefined;
+  const hasViewportFlags = flags['viewport-width'] != null || flags['viewport-height'] != null;
+
+  return {
+    url: targetUrlPattern && flags.url == null ? undefined : String(assertRequired(flags, 'url')),
+    targetUrlPattern,
+    waitForSelector:
+      typeof flags['wait-for-selector'] === 'string' ? String(flags['wait-for-selector']) : undefined,
+    waitForSelectorTimeoutMs: parseNumberFlag(flags, 'wait-for-selector-timeout-ms', 30000),
+    navigationTimeoutMs: parseNumberFlag(flags, 'navigation-timeout-ms', 60000),
+    headless: parseBooleanFlag(flags, 'headless', true),
+    chromePath: typeof flags['chrome-path'] === 'string' ? String(flags['chrome-path']) : undefined,
+    browserWSEndpoint:
+      typeof flags['browser-ws-endpoint'] === 'string'
+        ? String(flags['browser-ws-endpoint'])
+        : undefined,
+    browserURL: typeof flags['browser-url'] === 'string' ? String(flags['browser-url']) : undefined,
+    viewport: hasViewportFlags
+      ? {
+          width: parseNumberFlag(flags, 'viewport-width', 1440),
+          height: parseNumberFlag(flags, 'viewport-height', 900),
+        }
+      : undefined,
+    launchArgs: parseListFlag(flags, 'launch-args') ?? [],
+  };
+}
+
 function getCodexHome() {
   if (typeof process.env.CODEX_HOME === 'string' && process.env.CODEX_HOME !== '') {
     return process.env.CODEX_HOME;
@@ -150,10 +197,15 @@ async function readJsonFromStdoutOrFile(stdout, outputPath) {
 
 function printUsage() {
   console.log(`Usage:
-  react-profiler-cli record-react-devtools --url <http://localhost:3000> --out <profile.json> [--steps-file <steps.json>] [--duration-ms <ms>] [--wait-for-selector <css>] [--record-change-descriptions <true|false>] [--record-timeline <true|false>] [--headless <true|false>] [--chrome-path <path>] [--inspect-elements <true|false>] [--inspect-elements-max <n>] [--inspect-elements-timeout-ms <ms>] [--inspect-elements-concurrency <n>] [--parse-hook-names <true|false>] [--parse-hook-names-timeout-ms <ms>] [--parse-hook-names-source-root <path>] [--parse-hook-names-source-roots <path1,path2,...>]
-  react-profiler-cli analyze --input <profile-or-trace.json> [--out <report.json>] [--source-root <repo-root>] [--no-hook-name-enrichment]
+  react-profiler-cli record-react-devtools --url <http://localhost:3000> --out <profile.json> [--steps-file <steps.json>] [--recorder-flow <chrome-recorder-flow.json>] [--duration-ms <ms>] [--wait-for-selector <css>] [--record-change-descriptions <true|false>] [--record-timeline <true|false>] [--headless <true|false>] [--chrome-path <path>] [--inspect-elements <true|false>] [--inspect-elements-max <n>] [--inspect-elements-timeout-ms <ms>] [--inspect-elements-budget-ms <ms>] [--inspect-elements-concurrency <n>] [--parse-hook-names <true|false>] [--parse-hook-names-timeout-ms <ms>] [--parse-hook-names-source-root <path>] [--parse-hook-names-source-roots <path1,path2,...>] [--chrome-trace-out <trace.json>] [--chrome-trace-categories <cat1,cat2,...>] [--runs <n>] [--run-isolation <context|page>] [--warmup-iterations <n>] [--warmup-steps-file <steps.json>] [--warmup-reset <none|reload>] [--device-preset <desktop|mid-tier-mobile|low-end-mobile>] [--cpu-throttling-rate <n>] [--network-preset <none|slow-3g|slow-4g|fast-4g|offline>] [--user-agent <ua>] [--browser-url <http://127.0.0.1:9222> | --browser-ws-endpoint <ws://...>] [--target-url-pattern <substring|/regex/>] [--storage-state <state.json>] [--setup-steps-file <steps.json>] [--save-storage-state <state.json>] [--har <network.har> [--har-mode <replay|record|auto>] | --route-fixtures <dir>] [--unmatched-requests <abort|continue|not-found>] [--fake-clock <true|false>] [--fake-clock-start <iso|epoch-ms>] [--random-seed <n>] [--filmstrip <true|false>] [--filmstrip-max-frames <n>] [--heap-profile <true|false>] [--heap-sampling-interval <bytes>] [--capture-console <true|false>] [--web-vitals <true|false>] [--component-filters <filters.json>]
+  react-profiler-cli record-node --module <component.mjs> --out <profile.json> [--export <name>] [--props-file <props.json>] [--html-file <index.html>] [--container <css>] [--profile-mount <true|false>] [--duration-ms <ms>] [--settle-ms <ms>] [--record-change-descriptions <true|false>] [--record-timeline <true|false>] [--inspect-elements <true|false>] [--parse-hook-names <true|false>] [--parse-hook-names-source-roots <path1,path2,...>]
+  react-profiler-cli record-steps --url <http://localhost:3000> --out <steps.json> [--duration-ms <ms>] [--max-wait-ms <ms>] [--chrome-path <path>] [--viewport-width <px>] [--viewport-height <px>] [--launch-args <arg1,arg2,...>]
+  react-profiler-cli list-components --url <http://localhost:3000> [--name <regex>] [--limit <n>] [--wait-for-selector <css>] [--headless <true|false>] [--chrome-path <path>] [--browser-url <http://127.0.0.1:9222> | --browser-ws-endpoint <ws://...>] [--target-url-pattern <substring|/regex/>]
+  react-profiler-cli inspect-component --url <http://localhost:3000> (--id <n> | --name <regex> [--match-index <n>]) [--wait-for-selector <css>] [--headless <true|false>] [--chrome-path <path>] [--browser-url <http://127.0.0.1:9222> | --browser-ws-endpoint <ws://...>] [--target-url-pattern <substring|/regex/>]
+  react-profiler-cli component-tree --url <http://localhost:3000> [--id <n>] [--depth <n>] [--max-nodes <n>] [--wait-for-selector <css>] [--headless <true|false>] [--chrome-path <path>] [--browser-url <http://127.0.0.1:9222> | --browser-ws-endpoint <ws://...>] [--target-url-pattern <substring|/regex/>]
+  react-profiler-cli analyze --input <profile-or-trace.json> [--out <report.json>] [--source-root <repo-root>] [--no-hook-name-enrichment] [--component-filters <filters.json>]
   react-profiler-cli compare-reports --before-report <report.json> --after-report <report.json> [--out <diff.json>]
-  react-profiler-cli compare-profiles --before-profile <profile-or-trace.json> --after-profile <profile-or-trace.json> [--out <diff.json>] [--source-root <repo-root>] [--no-hook-name-enrichment]`);
+  react-profiler-cli compare-profiles --before-profile <profile-or-trace.json> --after-profile <profile-or-trace.json> [--out <diff.json>] [--source-root <repo-root>] [--no-hook-name-enrichment] [--component-filters <filters.json>]`);
 }
 
 async function run() {
@@ -166,7 +218,14 @@ async function run() {
   }
 
   if (command === 'record-react-devtools' || command === 'record') {
-    const url = assertRequired(flags, 'url');
+    const recorderFlowFile =
+      typeof flags['recorder-flow'] === 'string' ? flags['recorder-flow'] : null;
+    const targetUrlPattern =
+      typeof flags['target-url-pattern'] === 'string' ? flags['target-url-pattern'] : undefined;
+    const url =
+      (recorderFlowFile || targetUrlPattern) && flags.url == null
+        ? undefined
+        : assertRequired(flags, 'url');
     const outputPath = assertRequired(flags, 'out');
     const stepsFile = typeof flags['steps-file'] === 'string' ? flags['steps-file'] : null;
     const stepsJson = typeof flags['steps-json'] === 'string' ? flags['steps-json'] : null;
@@ -179,8 +238,39 @@ async function run() {
       interactionSteps = JSON.parse(stepsJson);
     }
 
+    const warmupStepsFile =
+      typeof flags['warmup-steps-file'] === 'string' ? flags['warmup-steps-file'] : null;
+    let warmupSteps = [];
+    if (warmupStepsFile) {
+      const raw = await readFile(path.resolve(process.cwd(), warmupStepsFile), 'utf8');
+      warmupSteps = JSON.parse(raw);
+    }
+
+    const setupStepsFile =
+      typeof flags['setup-steps-file'] === 'string' ? flags['setup-steps-file'] : null;
+    let setupSteps = [];
+    if (setupStepsFile) {
+      const raw = await readFile(path.resolve(process.cwd(), setupStepsFile), 'utf8');
+      setupSteps = JSON.parse(raw);
+    }
+
+    let recorderFlow;
+    if (recorderFlowFile) {
+      const raw = await readFile(path.resolve(process.cwd(), recorderFlowFile), 'utf8');
+      recorderFlow = JSON.parse(raw);
+    }
+
+    const componentFiltersFile =
+      typeof flags['component-filters'] === 'string' ? flags['component-filters'] : null;
+    let componentFilters;
+    if (componentFiltersFile) {
+      const raw = await readFile(path.resolve(process.cwd(), componentFiltersFile), 'utf8');
+      componentFilters = JSON.parse(raw);
+    }
+
     const viewportWidth = parseNumberFlag(flags, 'viewport-width', 1440);
     const viewportHeight = parseNumberFlag(flags, 'viewport-height', 900);
+    const hasViewportFlags = flags['viewport-width'] != null || flags['viewport-height'] != null;
     const launchArgs =
       typeof flags['launch-args'] === 'string'
         ? String(flags['launch-args'])
@@ -191,7 +281,7 @@ async function run() {
 
     const result = await recordReactDevToolsProfile({
       cwd: process.cwd(),
-      url: String(url),
+      url: url == null ? undefined : String(url),
       outputPath: String(outputPath),
       waitForSelector:
         typeof flags['wait-for-selector'] === 'string'
@@ -212,10 +302,47 @@ async function run() {
       recordTimeline: parseBooleanFlag(flags, 'record-timeline', false),
       headless: parseBooleanFlag(flags, 'headless', true),
       chromePath: typeof flags['chrome-path'] === 'string' ? String(flags['chrome-path']) : undefined,
-      viewport: {
-        width: viewportWidth,
-        height: viewportHeight,
-      },
+      browserWSEndpoint:
+        typeof flags['browser-ws-endpoint'] === 'string'
+          ? String(flags['browser-ws-endpoint'])
+          : undefined,
+      browserURL: typeof flags['browser-url'] === 'string' ? String(flags['browser-url']) : undefined,
+      targetUrlPattern,
+      viewport:
+        !hasViewportFlags
+          ? undefined
+          : {
+              width: viewportWidth,
+              height: viewportHeight,
+            },
+      devicePreset:
+        typeof flags['device-preset'] === 'string' ? String(flags['device-preset']) : undefined,
+      userAgent: typeof flags['user-agent'] === 'string' ? String(flags['user-agent']) : undefined,
+      cpuThrottlingRate: parseNumberFlag(flags, 'cpu-throttling-rate', undefined),
+      networkPreset:
+        typeof flags['network-preset'] === 'string' ? String(flags['network-preset']) : undefined,
+      harPath: typeof flags.har === 'string' ? String(flags.har) : undefined,
+      harMode: typeof flags['har-mode'] === 'string' ? String(flags['har-mode']) : undefined,
+      routeFixturesDir:
+        typeof flags['route-fixtures'] === 'string' ? String(flags['route-fixtures']) : undefined,
+      unmatchedRequests:
+        typeof flags['unmatched-requests'] === 'string'
+          ? String(flags['unmatched-requests'])
+          : undefined,
+      fakeClock: parseBooleanFlag(flags, 'fake-clock', false),
+      fakeClockStartTime:
+        typeof flags['fake-clock-start'] === 'string'
+          ? /^\d+$/.test(flags['fake-clock-start'])
+            ? Number(flags['fake-clock-start'])
+            : String(flags['fake-clock-start'])
+          : undefined,
+      randomSeed: parseNumberFlag(flags, 'random-seed', undefined),
+      filmstrip: parseBooleanFlag(flags, 'filmstrip', false),
+      filmstripMaxFrames: parseNumberFlag(flags, 'filmstrip-max-frames', 300),
+      heapProfile: parseBooleanFlag(flags, 'heap-profile', false),
+      heapSamplingIntervalBytes: parseNumberFlag(flags, 'heap-sampling-interval', 32768),
+      captureConsole: parseBooleanFlag(flags, 'capture-console', true),
+      webVitals: parseBooleanFlag(flags, 'web-vitals', false),
       navigationTimeoutMs: parseNumberFlag(flags, 'navigation-timeout-ms', 60000),
       launchArgs,
       inspectElements: parseBooleanFlag(flags, 'inspect-elements', true),
@@ -227,6 +354,7 @@ async function run() {
         1500,
       ),
       inspectElementsTimeoutMs: parseNumberFlag(flags, 'inspect-elements-timeout-ms', 4000),
+      inspectElementsBudgetMs: parseNumberFlag(flags, 'inspect-elements-budget-ms', 60000),
       inspectElementsConcurrency: parseNumberFlag(flags, 'inspect-elements-concurrency', 8),
       parseHookNamesEnabled: parseBooleanFlag(flags, 'parse-hook-names', true),
       parseHookNamesTimeoutMs: parseNumberFlag(flags, 'parse-hook-names-timeout-ms', 5000),
@@ -239,17 +367,146 @@ async function run() {
           : typeof flags['parse-hook-names-source-root'] === 'string'
             ? [String(flags['parse-hook-names-source-root']).trim()].filter(Boolean)
             : [],
+      chromeTraceOutputPath:
+        typeof flags['chrome-trace-out'] === 'string' ? String(flags['chrome-trace-out']) : undefined,
+      chromeTraceCategories: parseListFlag(flags, 'chrome-trace-categories'),
+      componentFilters,
+      runs: parseNumberFlag(flags, 'runs', 1),
+      runIsolation:
+        typeof flags['run-isolation'] === 'string' ? String(flags['run-isolation']) : undefined,
+      warmupSteps,
+      warmupIterations: parseNumberFlag(flags, 'warmup-iterations', 0),
+      warmupReset:
+        typeof flags['warmup-reset'] === 'string' ? String(flags['warmup-reset']) : undefined,
+      recorderFlow,
+      storageStatePath:
+        typeof flags['storage-state'] === 'string' ? String(flags['storage-state']) : undefined,
+      setupSteps,
+      saveStorageStatePath:
+        typeof flags['save-storage-state'] === 'string'
+          ? String(flags['save-storage-state'])
+          : undefined,
+    });
+
+    console.log(JSON.stringify({profile: result}, null, 2));
+    return;
+  }
+
+  if (command === 'record-node') {
+    const modulePath = assertRequired(flags, 'module');
+    const outputPath = assertRequired(flags, 'out');
+
+    let props = {};
+    if (typeof flags['props-file'] === 'string') {
+      const raw = await readFile(path.resolve(process.cwd(), String(flags['props-file'])), 'utf8');
+      props = JSON.parse(raw);
+    }
+
+    const result = await recordReactProfileInNode({
+      cwd: process.cwd(),
+      modulePath: String(modulePath),
+      outputPath: String(outputPath),
+      exportName: typeof flags.export === 'string' ? String(flags.export) : undefined,
+      props,
+      htmlPath: typeof flags['html-file'] === 'string' ? String(flags['html-file']) : undefined,
+      containerSelector:
+        typeof flags.container === 'string' ? String(flags.container) : undefined,
+      profileMount: parseBooleanFlag(flags, 'profile-mount', false),
+      profileDurationMs: parseNumberFlag(flags, 'duration-ms', 1000),
+      settleMs: parseNumberFlag(flags, 'settle-ms', 50),
+      recordChangeDescriptions: parseBooleanFlag(flags, 'record-change-descriptions', true),
+      recordTimeline: parseBooleanFlag(flags, 'record-timeline', false),
+      inspectElements: parseBooleanFlag(flags, 'inspect-elements', true),
+      parseHookNamesEnabled: parseBooleanFlag(flags, 'parse-hook-names', true),
+      parseHookNamesSourceRoots: parseListFlag(flags, 'parse-hook-names-source-roots') ?? [],
     });
 
     console.log(JSON.stringify({profile: result}, null, 2));
     return;
   }
 
+  if (command === 'record-steps') {
+    const url = assertRequired(flags, 'url');
+    const outputPath = assertRequired(flags, 'out');
+
+    console.error('Recording steps in the opened browser. Close the browser window or press Ctrl+C to finish.');
+    const result = await recordInteractionSteps({
+      cwd: process.cwd(),
+      url: String(url),
+      outputPath: String(outputPath),
+      chromePath: typeof flags['chrome-path'] === 'string' ? String(flags['chrome-path']) : undefined,
+      viewport: {
+        width: parseNumberFlag(flags, 'viewport-width', 1440),
+        height: parseNumberFlag(flags, 'viewport-height', 900),
+      },
+      launchArgs: parseListFlag(flags, 'launch-args') ?? [],
+      durationMs: parseNumberFlag(flags, 'duration-ms', 0),
+      maxWaitMs: parseNumberFlag(flags, 'max-wait-ms', 1000),
+      onStep: (step) => {
+        console.error(`- ${step.action}${step.selector ? ` ${JSON.stringify(step.selector)}` : ''}${step.key ? ` ${step.key}` : ''}`);
+      },
+    });
+
+    console.log(
+      JSON.stringify(
+        {
+          steps: {
+            outputPath: result.outputPath,
+            url: result.url,
+            stepCount: result.stepCount,
+            stoppedBy: result.stoppedBy,
+          },
+        },
+        null,
+        2,
+      ),
+    );
+    return;
+  }
+
+  if (command === 'list-components') {
+    const result = await listComponents({
+      ...parseLivePageFlags(flags),
+      namePattern: typeof flags.name === 'string' ? String(flags.name) : undefined,
+      limit: parseNumberFlag(flags, 'limit', 100),
+    });
+
+    console.log(JSON.stringify({components: result}, null, 2));
+    return;
+  }
+
+  if (command === 'inspect-component') {
+    const result = await inspectComponent({
+      ...parseLivePageFlags(flags),
+      id: parseNumberFlag(flags, 'id', undefined),
+      namePattern: typeof flags.name === 'string' ? String(flags.name) : undefined,
+      matchIndex: parseNumberFlag(flags, 'match-index', 0),
+      inspectTimeoutMs: parseNumberFlag(flags, 'inspect-timeout-ms', 4000),
+    });
+
+    console.log(JSON.stringify({component: result}, null, 2));
+    return;
+  }
+
+  if (command === 'component-tree') {
+    const result = await getComponentTree({
+      ...parseLivePageFlags(flags),
+      id: parseNumberFlag(flags, 'id', undefined),
+      depth: parseNumberFlag(flags, 'depth', 3),
+      maxNodes: parseNumberFlag(flags, 'max-nodes', 500),
+    });
+
+    console.log(JSON.stringify({tree: result}, null, 2));
+    return;
+  }
+
   if (command === 'analyze' || command === 'summarize') {
     const inputPath = assertRequired(flags, 'input');
     const outputPath = typeof flags.out === 'string' ? flags.out : undefined;
     const sourceRoot = typeof flags['source-root'] === 'string' ? flags['source-root'] : undefined;
     const disableHookNameEnrichment = flags['no-hook-name-enrichment'] === true;
+    const componentFiltersPath =
+      typeof flags['component-filters'] === 'string' ? flags['component-filters'] : undefined;
 
     const scriptArgs = ['--input', inputPath];
     if (outputPath) {
@@ -261,6 +518,9 @@ async function run() {
     if (disableHookNameEnrichment) {
       scriptArgs.push('--no-hook-name-enrichment');
     }
+    if (componentFiltersPath) {
+      scriptArgs.push('--component-filters', componentFiltersPath);
+    }
 
     const {stdout, stderr} = await runNodeScript(getAnalyzeScriptPath(), scriptArgs);
     const report = await readJsonFromStdoutOrFile(stdout, outputPath);
@@ -316,6 +576,8 @@ async function run() {
     const outputPath = typeof flags.out === 'string' ? flags.out : undefined;
     const sourceRoot = typeof flags['source-root'] === 'string' ? flags['source-root'] : undefined;
     const disableHookNameEnrichment = flags['no-hook-name-enrichment'] === true;
+    const componentFiltersPath =
+      typeof flags['component-filters'] === 'string' ? flags['component-filters'] : undefined;
 
     const tempDir = await mkdtemp(path.join(os.tmpdir(), 'react-profiler-cli-'));
     const beforeReportPath = path.join(tempDir, 'before-report.json');
@@ -331,6 +593,10 @@ async function run() {
       beforeAnalyzeArgs.push('--no-hook-name-enrichment');
       afterAnalyzeArgs.push('--no-hook-name-enrichment');
     }
+    if (componentFiltersPath) {
+      beforeAnalyzeArgs.push('--component-filters', componentFiltersPath);
+      afterAnalyzeArgs.push('--component-filters', componentFiltersPath);
+    }
 
     const beforeAnalyze = await runNodeScript(getAnalyzeScriptPath(), beforeAnalyzeArgs);
     const afterAnalyze = await runNodeScript(getAnalyzeScriptPath(), afterAnalyzeArgs);
@@ -0,0 +1,81 @@
+import puppeteer from 'puppeteer-core';
+
+import {resolveChromePath} from './chrome-discovery.js';
+
+function toUrlMatcher(pattern) {
+  // "/regex/flags" is a regular expression; anything else is a substring match.
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return (url) => regex.test(url);
+  }
+  return (url) => url.includes(pattern);
+}
+
+export async function openBrowser({
+  chromePath,
+  headless,
+  launchArgs = [],
+  browserWSEndpoint,
+  browserURL,
+}) {
+  const hasEndpoint = typeof browserWSEndpoint === 'string' && browserWSEndpoint.length > 0;
+  const hasURL = typeof browserURL === 'string' && browserURL.length > 0;
+  if (hasEndpoint && hasURL) {
+    throw new Error('Pass either browserWSEndpoint or browserURL, not both');
+  }
+
+  if (hasEndpoint || hasURL) {
+    const browser = await puppeteer.connect({
+      ...(hasEndpoint ? {browserWSEndpoint} : {browserURL}),
+      defaultViewport: null,
+    });
+    return {
+      browser,
+      attached: true,
+      info: {
+        mode: 'connect',
+        endpoint: hasEndpoint ? browserWSEndpoint : browserURL,
+        version: await browser.version().catch(() => null),
+      },
+      // Leave the user's browser running; only drop our connection.
+      release: () => browser.disconnect(),
+    };
+  }
+
+  const browser = await puppeteer.launch({
+    executablePath: resolveChromePath(chromePath),
+    headless,
+    args: ['--no-sandbox', '--disable-dev-shm-usage', ...launchArgs],
+  });
+  return {
+    browser,
+    attached: false,
+    info: {
+      mode: 'launch',
+      endpoint: null,
+      version: await browser.version().catch(() => null),
+    },
+    release: () => browser.close(),
+  };
+}
+
+export async function findTabByUrlPattern(browser, pattern) {
+  const matches = toUrlMatcher(String(pattern));
+  const pages = await browser.pages();
+  const matching = pages.filter((page) => matches(page.url()));
+
+  if (matching.length === 0) {
+    const openUrls = pages.map((page) => page.url());
+    throw new Error(
+      `No open tab matches targetUrlPattern ${JSON.stringify(pattern)}. Open tabs: ${
+        openUrls.length > 0 ? openUrls.join(', ') : '(none)'
+      }`,
+    );
+  }
+
+  return {
+    page: matching[0],
+    matchCount: matching.length,
+  };
+}
@@ -0,0 +1,205 @@
+// Dependency-free on purpose: the lab apps import this file directly without installing the core package.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+
+const LINUX_EXECUTABLE_NAMES = [
+  'google-chrome',
+  'google-chrome-stable',
+  'google-chrome-beta',
+  'chromium',
+  'chromium-browser',
+];
+
+const LINUX_PATHS = [
+  '/opt/google/chrome/chrome',
+  '/snap/bin/chromium',
+  '/var/lib/snapd/snap/bin/chromium',
+  '/usr/lib/chromium/chromium',
+  '/usr/lib/chromium-browser/chromium-browser',
+];
+
+const MAC_APP_BINARIES = [
+  'Google Chrome.app/Contents/MacOS/Google Chrome',
+  'Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
+  'Google Chrome Beta.app/Contents/MacOS/Google Chrome Beta',
+  'Chromium.app/Contents/MacOS/Chromium',
+];
+
+// Relative to <cache>/<browser>/<platform>-<buildId>/ in @puppeteer/browsers' layout.
+// Full Chrome comes first; the headless shell only works for headless recordings.
+const PUPPETEER_CACHE_BINARIES = {
+  chrome: {
+    linux: ['chrome-linux64/chrome'],
+    darwin: [
+      'chrome-mac-arm64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing',
+      'chrome-mac-x64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing',
+    ],
+    win32: ['chrome-win64/chrome.exe'],
+  },
+  'chrome-headless-shell': {
+    linux: ['chrome-headless-shell-linux64/chrome-headless-shell'],
+    darwin: [
+      'chrome-headless-shell-mac-arm64/chrome-headless-shell',
+      'chrome-headless-shell-mac-x64/chrome-headless-shell',
+    ],
+    win32: ['chrome-headless-shell-win64/chrome-headless-shell.exe'],
+  },
+};
+
+function compareBuildIdsDescending(left, right) {
+  const leftParts = left.split('.').map(Number);
+  const rightParts = right.split('.').map(Number);
+  for (let index = 0; index < Math.max(leftParts.length, rightParts.length); index += 1) {
+    const difference = (rightParts[index] || 0) - (leftParts[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+function listPuppeteerCacheCandidates(platform, env) {
+  const cacheDir = env.PUPPETEER_CACHE_DIR || path.join(os.homedir(), '.cache', 'puppeteer');
+  const candidates = [];
+
+  for (const [browserDir, binariesByPlatform] of Object.entries(PUPPETEER_CACHE_BINARIES)) {
+    const binaries = binariesByPlatform[platform] ?? [];
+    const root = path.join(cacheDir, browserDir);
+    let entries = [];
+    try {
+      entries = fs.readdirSync(root);
+    } catch {
+      candidates.push({path: root, source: 'puppeteer cache'});
+      continue;
+    }
+
+    const builds = entries
+      .map((entry) => ({entry, buildId: entry.slice(entry.lastIndexOf('-') + 1)}))
+      .sort((left, right) => compareBuildIdsDescending(left.buildId, right.buildId));
+    for (const {entry} of builds) {
+      for (const binary of binaries) {
+        candidates.push({path: path.join(root, entry, binary), source: 'puppeteer cache'});
+      }
+    }
+  }
+
+  return candidates;
+}
+
+function listPathCandidates(names, env) {
+  const directories = String(env.PATH ?? '')
+    .split(path.delimiter)
+    .filter(Boolean);
+  // One entry per name keeps the diagnostic readable: the first PATH hit, or the bare name when none.
+  return names.map((name) => {
+    const match = directories
+      .map((directory) => path.join(directory, name))
+      .find((candidatePath) => fs.existsSync(candidatePath));
+    return {path: match ?? name, source: 'PATH'};
+  });
+}
+
+export function listChromeCandidates({
+  explicitPath,
+  env = process.env,
+  platform = process.platform,
+} = {}) {
+  const candidates = [];
+  if (explicitPath) {
+    candidates.push({path: explicitPath, source: 'explicit'});
+  }
+  if (env.CHROME_PATH) {
+    candidates.push({path: env.CHROME_PATH, source: 'CHROME_PATH'});
+  }
+  if (env.PUPPETEER_EXECUTABLE_PATH) {
+    candidates.push({path: env.PUPPETEER_EXECUTABLE_PATH, source: 'PUPPETEER_EXECUTABLE_PATH'});
+  }
+
+  if (platform === 'darwin') {
+    for (const applicationsDir of ['/Applications', path.join(os.homedir(), 'Applications')]) {
+      for (const binary of MAC_APP_BINARIES) {
+        candidates.push({path: path.join(applicationsDir, binary), source: 'system'});
+      }
+    }
+  } else if (platform === 'win32') {
+    const roots = [env.PROGRAMFILES, env['PROGRAMFILES(X86)'], env.LOCALAPPDATA].filter(Boolean);
+    for (const root of roots) {
+      candidates.push({
+        path: path.join(root, 'Google', 'Chrome', 'Application', 'chrome.exe'),
+        source: 'system',
+      });
+      candidates.push({
+        path: path.join(root, 'Chromium', 'Application', 'chrome.exe'),
+        source: 'system',
+      });
+    }
+  } else {
+    candidates.push(...listPathCandidates(LINUX_EXECUTABLE_NAMES, env));
+    candidates.push(
+      ...LINUX_PATHS.map((candidatePath) => ({path: candidatePath, source: 'system'})),
+    );
+  }
+
+  candidates.push(...listPuppeteerCacheCandidates(platform, env));
+
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    if (seen.has(candidate.path)) {
+      return false;
+    }
+    seen.add(candidate.path);
+    return true;
+  });
+}
+
+function checkCandidate(candidatePath, platform) {
+  try {
+    const stats = fs.statSync(candidatePath);
+    if (!stats.isFile()) {
+      return 'not a file';
+    }
+    fs.accessSync(candidatePath, platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+    return 'ok';
+  } catch (error) {
+    return error?.code === 'ENOENT' || error?.code === 'ENOTDIR' ? 'missing' : 'not executable';
+  }
+}
+
+export function findChromeExecutable(options = {}) {
+  const platform = options.platform ?? process.platform;
+  const checked = [];
+
+  for (const candidate of listChromeCandidates(options)) {
+    const status = checkCandidate(candidate.path, platform);
+    checked.push({...candidate, status});
+    if (status === 'ok') {
+      return {path: candidate.path, source: candidate.source, checked};
+    }
+  }
+
+  return {path: null, source: null, checked};
+}
+
+export function formatChromeDiscoveryDiagnostic(checked) {
+  return checked
+    .map((candidate) => `  - ${candidate.path} [${candidate.source}]: ${candidate.status}`)
+    .join('\n');
+}
+
+export function resolveChromePath(explicitPath) {
+  const result = findChromeExecutable({explicitPath});
+  if (result.path) {
+    return result.path;
+  }
+
+  throw new Error(
+    [
+      'Chrome executable not found. Pass --chrome-path or set CHROME_PATH.',
+      'Checked:',
+      formatChromeDiscoveryDiagnostic(result.checked),
+      'To provision one: npx @puppeteer/browsers install chrome@stable',
+    ].join('\n'),
+  );
+}
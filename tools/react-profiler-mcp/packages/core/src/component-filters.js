@@ -0,0 +1,107 @@
+// Filter and element type codes from react-devtools-shared (frontend/types.js).
+const COMPONENT_FILTER_TYPES = {
+  elementType: 1,
+  displayName: 2,
+  location: 3,
+  hoc: 4,
+  environmentName: 5,
+};
+const COMPONENT_FILTER_TYPE_LOCATION = 3;
+
+export const ELEMENT_TYPE_NAMES = {
+  1: 'class',
+  2: 'context',
+  5: 'function',
+  6: 'forward-ref',
+  7: 'host',
+  8: 'memo',
+  9: 'other',
+  10: 'profiler',
+  11: 'root',
+  12: 'suspense',
+  13: 'suspense-list',
+  14: 'tracing-marker',
+  15: 'virtual',
+  16: 'view-transition',
+  17: 'activity',
+};
+const ELEMENT_TYPE_CODES = Object.fromEntries(
+  Object.entries(ELEMENT_TYPE_NAMES).map(([code, name]) => [name, Number(code)]),
+);
+
+// What the backend applies when the frontend never sends filters: host components are hidden.
+export const DEFAULT_COMPONENT_FILTERS = [{type: 1, value: 7, isEnabled: true}];
+
+function toRegexValue(filter, label) {
+  if (typeof filter.value !== 'string' || filter.value.length === 0) {
+    throw new Error(`${label} requires a non-empty string value`);
+  }
+  try {
+    new RegExp(filter.value, 'i');
+  } catch (error) {
+    throw new Error(
+      `${label} value ${JSON.stringify(filter.value)} is not a valid regex: ${error.message}`,
+    );
+  }
+  return filter.value;
+}
+
+// Accepts the DevTools shape ({type: 2, value: 'Styled', isEnabled: true}) or named types and
+// element types ({type: 'elementType', value: 'host'}), and returns the DevTools shape. Returns
+// null when no filters were given so callers keep the backend's default.
+export function normalizeComponentFilters(componentFilters) {
+  if (componentFilters == null) {
+    return null;
+  }
+  if (!Array.isArray(componentFilters)) {
+    throw new Error('componentFilters must be an array');
+  }
+
+  return componentFilters.map((filter, index) => {
+    const label = `componentFilters[${index}]`;
+    if (!filter || typeof filter !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    const type =
+      typeof filter.type === 'string' ? COMPONENT_FILTER_TYPES[filter.type] : filter.type;
+    if (!Object.values(COMPONENT_FILTER_TYPES).includes(type)) {
+      throw new Error(
+        `${label} has unsupported type ${JSON.stringify(filter.type)}. Expected one of ${Object.keys(
+          COMPONENT_FILTER_TYPES,
+        ).join(', ')}.`,
+      );
+    }
+    const isEnabled = filter.isEnabled !== false;
+
+    if (type === COMPONENT_FILTER_TYPES.elementType) {
+      const value =
+        typeof filter.value === 'string' ? ELEMENT_TYPE_CODES[filter.value] : filter.value;
+      if (!ELEMENT_TYPE_NAMES[value]) {
+        throw new Error(
+          `${label} has unsupported element type ${JSON.stringify(filter.value)}. Expected one of ${Object.values(
+            ELEMENT_TYPE_NAMES,
+          ).join(', ')}.`,
+        );
+      }
+      return {type, value, isEnabled};
+    }
+    if (type === COMPONENT_FILTER_TYPES.hoc) {
+      return {type, isEnabled, isValid: true};
+    }
+    if (type === COMPONENT_FILTER_TYPES.environmentName) {
+      if (typeof filter.value !== 'string' || filter.value.length === 0) {
+        throw new Error(`${label} requires a non-empty string value`);
+      }
+      return {type, value: filter.value, isEnabled};
+    }
+    return {type, value: toRegexValue(filter, label), isEnabled, isValid: true};
+  });
+}
+
+// The backend drops location filters from the filters it reads at attach time, so they only take
+// effect through an updateComponentFilters message.
+export function hasLocationComponentFilters(componentFilters) {
+  return (componentFilters ?? []).some(
+    (filter) => filter.type === COMPONENT_FILTER_TYPE_LOCATION && filter.isEnabled,
+  );
+}
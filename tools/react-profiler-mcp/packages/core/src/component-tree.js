@@ -0,0 +1,436 @@
+import {findTabByUrlPattern, openBrowser} from './browser-connection.js';
+import {ELEMENT_TYPE_NAMES} from './component-filters.js';
+import {applyEmulation, resolveEmulation} from './emulation.js';
+import {
+  BridgeController,
+  createInjectionScript,
+  inspectElement,
+  loadBackendScriptSource,
+  summarizeInspectedElementValue,
+  trackBridgeOperations,
+} from './react-devtools-recorder.js';
+
+const ELEMENT_TYPE_ROOT = 11;
+const OPERATIONS_QUIET_MS = 300;
+const OPERATIONS_SETTLE_TIMEOUT_MS = 5000;
+
+// The backend sends the mounted tree as a burst of operations right after it connects.
+function waitForOperationsToSettle(bridge, {quietMs, timeoutMs}) {
+  return new Promise((resolve) => {
+    let quietTimer = setTimeout(finish, quietMs);
+    const settleTimer = setTimeout(finish, timeoutMs);
+    const removeListener = bridge.addListener('operations', () => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, quietMs);
+    });
+    function finish() {
+      clearTimeout(quietTimer);
+      clearTimeout(settleTimer);
+      removeListener();
+      resolve();
+    }
+  });
+}
+
+// Loads the page with the backend connected but never starts profiling, then hands the live tree
+// to `query`. A reused tab is reloaded so the backend is present from the first commit, and again
+// afterwards to drop it, even when the query failed; the result's warnings say so, and a failed
+// second reload is reported rather than swallowed. Fiber ids only hold for that one load; a
+// profiling session keeps its page and bridge open, so queries through the session share ids.
+async function withLiveComponentTree(
+  {
+    url,
+    targetUrlPattern,
+    browserWSEndpoint,
+    browserURL,
+    headless = true,
+    chromePath,
+    viewport,
+    launchArgs = [],
+    waitForSelector,
+    waitForSelectorTimeoutMs = 30000,
+    navigationTimeoutMs = 60000,
+  },
+  query,
+) {
+  const attaching =
+    (typeof browserWSEndpoint === 'string' && browserWSEndpoint.length > 0) ||
+    (typeof browserURL === 'string' && browserURL.length > 0);
+  const reuseTab = typeof targetUrlPattern === 'string' && targetUrlPattern.length > 0;
+  if (reuseTab && !attaching) {
+    throw new Error('targetUrlPattern requires browserWSEndpoint or browserURL');
+  }
+  if (!reuseTab && (typeof url !== 'string' || url.length === 0)) {
+    throw new Error('Reading the component tree requires a non-empty url or targetUrlPattern');
+  }
+
+  const emulation = resolveEmulation({viewport, defaultViewport: attaching ? null : undefined});
+  const backendScriptSource = await loadBackendScriptSource();
+  const {browser, release} = await openBrowser({
+    chromePath,
+    headless,
+    launchArgs,
+    browserWSEndpoint,
+    browserURL,
+  });
+  const bridge = new BridgeController();
+  const state = trackBridgeOperations(bridge);
+  let page = null;
+  let emulationSession = null;
+  let injectedScript = null;
+  let result;
+  let queryError = null;
+  let handBackError = null;
+
+  try {
+    const {port} = await bridge.start();
+    page = reuseTab
+      ? (await findTabByUrlPattern(browser, targetUrlPattern)).page
+      : await browser.newPage();
+    emulationSession = await applyEmulation(page, emulation);
+    injectedScript = await page.evaluateOnNewDocument(
+      createInjectionScript({backendScriptSource, host: '127.0.0.1', port}),
+    );
+
+    const backendInitializedPromise = bridge.waitForEvent('backendInitialized', {
+      timeoutMs: navigationTimeoutMs,
+    });
+    if (reuseTab) {
+      await page.reload({waitUntil: 'networkidle2', timeout: navigationTimeoutMs});
+    } else {
+      await page.goto(url, {waitUntil: 'networkidle2', timeout: navigationTimeoutMs});
+    }
+    await backendInitializedPromise;
+
+    if (typeof waitForSelector === 'string' && waitForSelector.length > 0) {
+      await page.waitForSelector(waitForSelector, {timeout: waitForSelectorTimeoutMs});
+    }
+    await waitForOperationsToSettle(bridge, {
+      quietMs: OPERATIONS_QUIET_MS,
+      timeoutMs: OPERATIONS_SETTLE_TIMEOUT_MS,
+    });
+
+    result = await query({bridge, state, page});
+  } catch (error) {
+    queryError = error;
+  } finally {
+    await Promise.allSettled([
+      reuseTab && injectedScript
+        ? page.removeScriptToEvaluateOnNewDocument(injectedScript.identifier)
+        : null,
+      reuseTab && emulation.viewport ? page.setViewport(null) : null,
+      emulationSession?.detach(),
+      reuseTab ? null : page?.close(),
+      bridge.close(),
+    ]);
+    // The reused tab's document still runs the injected backend; only a reload drops it.
+    if (reuseTab && injectedScript) {
+      await page
+        .reload({waitUntil: 'networkidle2', timeout: navigationTimeoutMs})
+        .catch((error) => {
+          handBackError = error;
+        });
+    }
+    await Promise.resolve(release()).catch(() => {});
+  }
+
+  if (queryError) {
+    throw handBackError
+      ? new Error(
+          `${queryError.message}. Reloading the tab to remove the React DevTools backend also failed: ${handBackError.message}`,
+        )
+      : queryError;
+  }
+  if (!reuseTab) {
+    return result;
+  }
+  return {
+    ...result,
+    warnings: [
+      'The tab matching targetUrlPattern was reloaded to connect the React DevTools backend and again to remove it, so its in-page state was reset.',
+      ...(handBackError
+        ? [
+            `Reloading the tab to remove the React DevTools backend failed (${handBackError.message}); it stays connected until the tab is reloaded.`,
+          ]
+        : []),
+    ],
+  };
+}
+
+function compileNamePattern(namePattern) {
+  if (namePattern == null || namePattern === '') {
+    return null;
+  }
+  try {
+    return new RegExp(String(namePattern));
+  } catch (error) {
+    throw new Error(`Invalid namePattern ${JSON.stringify(namePattern)}: ${error.message}`);
+  }
+}
+
+function* iterateComponents(state) {
+  for (const tree of state.liveTreesByRoot.values()) {
+    for (const node of tree.nodes.values()) {
+      if (node.type !== ELEMENT_TYPE_ROOT) {
+        yield {tree, node};
+      }
+    }
+  }
+}
+
+function findComponent(state, id) {
+  for (const tree of state.liveTreesByRoot.values()) {
+    const node = tree.nodes.get(id);
+    if (node) {
+      return {tree, node};
+    }
+  }
+  return null;
+}
+
+function getDepth(tree, node) {
+  let depth = 0;
+  let current = tree.nodes.get(node.parentID);
+  while (current) {
+    depth += 1;
+    current = tree.nodes.get(current.parentID);
+  }
+  return depth;
+}
+
+function describeComponent(tree, node) {
+  return {
+    id: node.id,
+    rootID: tree.rootID ?? null,
+    displayName: node.displayName,
+    type: ELEMENT_TYPE_NAMES[node.type] ?? 'unknown',
+    key: node.key,
+    ownerID: node.ownerID ?? null,
+    ownerName: tree.nodes.get(node.ownerID)?.displayName ?? null,
+  };
+}
+
+// inspectElement dehydrates functions, elements and anything nested too deep into placeholders
+// listed in `cleaned`; their preview is what the DevTools panel shows in place of the value.
+function toDisplayValue(dehydrated) {
+  if (!dehydrated || typeof dehydrated !== 'object' || !('data' in dehydrated)) {
+    return dehydrated ?? null;
+  }
+  const toPreview = (placeholder) =>
+    placeholder && typeof placeholder === 'object' && 'preview_long' in placeholder
+      ? placeholder.preview_long
+      : placeholder;
+
+  let data = dehydrated.data ?? null;
+  for (const path of Array.isArray(dehydrated.cleaned) ? dehydrated.cleaned : []) {
+    if (path.length === 0) {
+      data = toPreview(data);
+      continue;
+    }
+    let parent = data;
+    for (const key of path.slice(0, -1)) {
+      parent = parent?.[key];
+    }
+    const last = path[path.length - 1];
+    if (parent && typeof parent === 'object' && last in parent) {
+      parent[last] = toPreview(parent[last]);
+    }
+  }
+  return data;
+}
+
+function toDisplayHooks(hooks) {
+  const toHook = (hook) => ({
+    id: Number.isFinite(hook?.id) ? hook.id : null,
+    name: typeof hook?.name === 'string' ? hook.name : null,
+    value: hook?.value ?? null,
+    subHooks: Array.isArray(hook?.subHooks) ? hook.subHooks.map(toHook) : [],
+  });
+  const tree = toDisplayValue(hooks);
+  return Array.isArray(tree) ? tree.map(toHook) : [];
+}
+
+// The *Live* queries read a tree that is already connected: `live` is {bridge, state, page} from
+// withLiveComponentTree or an open profiling session.
+export function listLiveComponents({state, page}, {namePattern, limit = 100} = {}) {
+  const pattern = compileNamePattern(namePattern);
+  const components = [];
+  let componentCount = 0;
+  let matchCount = 0;
+  for (const {tree, node} of iterateComponents(state)) {
+    componentCount += 1;
+    if (pattern && !pattern.test(node.displayName ?? '')) {
+      continue;
+    }
+    matchCount += 1;
+    if (components.length < limit) {
+      components.push({
+        ...describeComponent(tree, node),
+        depth: getDepth(tree, node),
+        childCount: node.children.length,
+      });
+    }
+  }
+  return {
+    url: page.url(),
+    rootCount: state.liveTreesByRoot.size,
+    componentCount,
+    matchCount,
+    components,
+  };
+}
+
+export async function listComponents({namePattern, limit = 100, ...pageOptions}) {
+  compileNamePattern(namePattern);
+  return withLiveComponentTree(pageOptions, (live) =>
+    listLiveComponents(live, {namePattern, limit}),
+  );
+}
+
+export async function inspectLiveComponent(
+  {bridge, state, page},
+  {id, namePattern, matchIndex = 0, inspectTimeoutMs = 4000} = {},
+) {
+  const pattern = compileNamePattern(namePattern);
+  if (!Number.isFinite(id) && !pattern) {
+    throw new Error('inspectComponent requires an id or a namePattern');
+  }
+
+  let match = null;
+  let matchCount = null;
+  if (Number.isFinite(id)) {
+    match = findComponent(state, Number(id));
+    if (!match) {
+      throw new Error(`No component with id ${id} is mounted on ${page.url()}`);
+    }
+  } else {
+    const matches = [...iterateComponents(state)].filter(({node}) =>
+      pattern.test(node.displayName ?? ''),
+    );
+    matchCount = matches.length;
+    match = matches[matchIndex] ?? null;
+    if (!match) {
+      throw new Error(
+        `namePattern ${JSON.stringify(namePattern)} matched ${matches.length} component(s); matchIndex ${matchIndex} is out of range`,
+      );
+    }
+  }
+
+  const {tree, node} = match;
+  const payload = await inspectElement(bridge, {
+    rendererID: state.rootToRenderer.get(tree.rootID),
+    fiberID: node.id,
+    requestID: 1,
+    timeoutMs: inspectTimeoutMs,
+  });
+  if (payload?.type !== 'full-data' || !payload.value) {
+    throw new Error(
+      `Inspecting component ${node.id} returned ${payload?.type ?? 'no data'} instead of full data`,
+    );
+  }
+
+  const {value} = payload;
+  const summary = summarizeInspectedElementValue(value);
+  return {
+    url: page.url(),
+    ...(matchCount !== null ? {matchCount} : {}),
+    component: describeComponent(tree, node),
+    props: toDisplayValue(value.props),
+    state: toDisplayValue(value.state),
+    context: toDisplayValue(value.context),
+    hooks: toDisplayHooks(value.hooks),
+    owners: summary.owners,
+    source: summary.source,
+    stack: summary.stack,
+    errors: Array.isArray(value.errors) ? value.errors : [],
+    warnings: Array.isArray(value.warnings) ? value.warnings : [],
+    rendererPackageName: summary.rendererPackageName,
+    rendererVersion: summary.rendererVersion,
+  };
+}
+
+export async function inspectComponent({
+  id,
+  namePattern,
+  matchIndex = 0,
+  inspectTimeoutMs = 4000,
+  ...pageOptions
+}) {
+  if (!Number.isFinite(id) && !compileNamePattern(namePattern)) {
+    throw new Error('inspectComponent requires an id or a namePattern');
+  }
+  return withLiveComponentTree(pageOptions, (live) =>
+    inspectLiveComponent(live, {id, namePattern, matchIndex, inspectTimeoutMs}),
+  );
+}
+
+export function getLiveComponentTree({state, page}, {id, depth = 3, maxNodes = 500} = {}) {
+  let starts;
+  if (Number.isFinite(id)) {
+    const match = findComponent(state, Number(id));
+    if (!match) {
+      throw new Error(`No component with id ${id} is mounted on ${page.url()}`);
+    }
+    starts = [match];
+  } else {
+    starts = [...state.liveTreesByRoot.values()]
+      .map((tree) => ({tree, node: tree.nodes.get(tree.rootID)}))
+      .filter(({node}) => node);
+  }
+
+  let nodeCount = 0;
+  let truncated = false;
+  const toTreeNode = (tree, node, remainingDepth) => {
+    nodeCount += 1;
+    const entry = {
+      id: node.id,
+      displayName: node.displayName,
+      type: ELEMENT_TYPE_NAMES[node.type] ?? 'unknown',
+      key: node.key,
+      ownerID: node.ownerID ?? null,
+    };
+    if (node.children.length === 0) {
+      return entry;
+    }
+    if (remainingDepth <= 0) {
+      truncated = true;
+      return {...entry, childCount: node.children.length};
+    }
+    const children = [];
+    for (const childID of node.children) {
+      const child = tree.nodes.get(childID);
+      if (!child) {
+        continue;
+      }
+      if (nodeCount >= maxNodes) {
+        truncated = true;
+        break;
+      }
+      children.push(toTreeNode(tree, child, remainingDepth - 1));
+    }
+    return {
+      ...entry,
+      ...(children.length < node.children.length ? {childCount: node.children.length} : {}),
+      children,
+    };
+  };
+
+  const roots = starts.map(({tree, node}) => ({
+    rootID: tree.rootID ?? null,
+    ...toTreeNode(tree, node, depth),
+  }));
+  return {
+    url: page.url(),
+    rootCount: state.liveTreesByRoot.size,
+    depth,
+    nodeCount,
+    truncated,
+    roots,
+  };
+}
+
+export async function getComponentTree({id, depth = 3, maxNodes = 500, ...pageOptions}) {
+  return withLiveComponentTree(pageOptions, (live) =>
+    getLiveComponentTree(live, {id, depth, maxNodes}),
+  );
+}
@@ -0,0 +1,148 @@
+const MAX_CONSOLE_MESSAGES = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+const CAPTURED_CONSOLE_TYPES = {error: 'error', warning: 'warn', assert: 'error'};
+
+// React's own warnings are worth telling apart: key warnings usually mean list items remount.
+const MESSAGE_KINDS = [
+  ['key', /unique "key" prop|Encountered two children with the same key/],
+  ['act', /not wrapped in act\(|act\(\.\.\.\)/],
+  ['hydration', /[Hh]ydrat/],
+  ['state-update-on-unmounted', /state update on an unmounted component/],
+];
+
+function formatRemoteObject(remoteObject) {
+  if (!remoteObject) {
+    return '';
+  }
+  if (remoteObject.unserializableValue !== undefined) {
+    return String(remoteObject.unserializableValue);
+  }
+  if (remoteObject.type === 'string') {
+    return remoteObject.value;
+  }
+  if (remoteObject.type === 'undefined') {
+    return 'undefined';
+  }
+  if (remoteObject.value !== undefined && remoteObject.type !== 'object') {
+    return String(remoteObject.value);
+  }
+  return remoteObject.description ?? remoteObject.subtype ?? remoteObject.type ?? '';
+}
+
+// Applies printf-style substitutions the way the console does, since React passes the component
+// name and stack as %s arguments.
+function formatConsoleArgs(args) {
+  const values = Array.isArray(args) ? [...args] : [];
+  const first = values.shift();
+  let text = formatRemoteObject(first);
+  if (first?.type === 'string') {
+    text = text.replace(/%[sdifoOc]/g, (token) => {
+      if (values.length === 0) {
+        return token;
+      }
+      const value = values.shift();
+      return token === '%c' ? '' : formatRemoteObject(value);
+    });
+  }
+  return [text, ...values.map(formatRemoteObject)].join(' ');
+}
+
+function classifyMessage(text) {
+  return MESSAGE_KINDS.find(([, pattern]) => pattern.test(text))?.[0] ?? 'other';
+}
+
+// The owner named in "Check the render method of `X`" is the component to fix; otherwise the first
+// composite frame of the appended component stack is the one that was rendering.
+function findComponentName(text) {
+  const ownerMatch = text.match(/Check the render method of `([^`]+)`/);
+  if (ownerMatch) {
+    return ownerMatch[1];
+  }
+  for (const match of text.matchAll(/\n\s+(?:in|at) ([A-Za-z_$][\w$.]*)/g)) {
+    if (/^[A-Z]/.test(match[1])) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+function toMessage({level, text, wallTimeMs, callFrame}) {
+  const truncated =
+    text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+  return {
+    level,
+    kind: classifyMessage(text),
+    text: truncated,
+    componentName: findComponentName(text),
+    url: callFrame?.url || null,
+    // CDP positions are 0-based.
+    lineNumber: Number.isFinite(callFrame?.lineNumber) ? callFrame.lineNumber + 1 : null,
+    wallTimeMs,
+  };
+}
+
+export async function startConsoleCapture(page) {
+  const client = await page.createCDPSession();
+  const messages = [];
+  let droppedCount = 0;
+
+  const addMessage = (message) => {
+    if (messages.length >= MAX_CONSOLE_MESSAGES) {
+      droppedCount += 1;
+      return;
+    }
+    messages.push(toMessage(message));
+  };
+
+  client.on('Runtime.consoleAPICalled', (event) => {
+    const level = CAPTURED_CONSOLE_TYPES[event.type];
+    if (!level) {
+      return;
+    }
+    addMessage({
+      level,
+      text: formatConsoleArgs(event.args),
+      wallTimeMs: event.timestamp,
+      callFrame: event.stackTrace?.callFrames?.[0],
+    });
+  });
+  client.on('Runtime.exceptionThrown', ({timestamp, exceptionDetails}) => {
+    addMessage({
+      level: 'uncaught',
+      text: exceptionDetails?.exception?.description ?? exceptionDetails?.text ?? 'Uncaught error',
+      wallTimeMs: timestamp,
+      callFrame: exceptionDetails?.stackTrace?.callFrames?.[0] ?? {
+        url: exceptionDetails?.url,
+        lineNumber: exceptionDetails?.lineNumber,
+      },
+    });
+  });
+  await client.send('Runtime.enable');
+
+  return {
+    async stop({profilingStartEpochMs, profilingStopEpochMs}) {
+      await client.detach().catch(() => {});
+      const captured = messages
+        .filter(
+          (message) =>
+            message.wallTimeMs >= profilingStartEpochMs &&
+            message.wallTimeMs <= profilingStopEpochMs,
+        )
+        .map(({wallTimeMs, ...message}) => ({
+          ...message,
+          // Same clock as commitData timestamps: ms since profiling start.
+          timestamp: Math.round((wallTimeMs - profilingStartEpochMs) * 1000) / 1000,
+        }));
+      return {
+        errorCount: captured.filter((message) => message.level === 'error').length,
+        warningCount: captured.filter((message) => message.level === 'warn').length,
+        uncaughtCount: captured.filter((message) => message.level === 'uncaught').length,
+        droppedCount,
+        messages: captured,
+      };
+    },
+    async abort() {
+      await client.detach().catch(() => {});
+    },
+  };
+}
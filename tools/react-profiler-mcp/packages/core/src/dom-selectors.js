@@ -0,0 +1,154 @@
+// Runs inside the page (serialized with Function.prototype.toString), so it must stay self-contained.
+function buildSelectorCandidates(element, {maxTextLength = 60} = {}) {
+  if (!element || element.nodeType !== 1) {
+    return [];
+  }
+
+  const candidates = [];
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+  const cssEscape = (value) =>
+    typeof CSS !== 'undefined' && typeof CSS.escape === 'function'
+      ? CSS.escape(value)
+      : String(value).replace(/[^a-zA-Z0-9_-]/g, (char) => `\\${char}`);
+  // Quoted attribute values: escape backslashes and quotes, and newlines as CSS hex escapes.
+  const attributeValue = (value) =>
+    String(value)
+      .replace(/["\\]/g, (char) => `\\${char}`)
+      .replace(/\n/g, '\\a ');
+
+  if (element.id) {
+    const selector = `#${cssEscape(element.id)}`;
+    if (isUnique(selector)) {
+      candidates.push(selector);
+    }
+  }
+
+  for (const attribute of ['data-testid', 'data-test-id', 'data-test', 'data-cy']) {
+    const value = element.getAttribute(attribute);
+    if (value) {
+      const selector = `[${attribute}="${attributeValue(value)}"]`;
+      if (isUnique(selector)) {
+        candidates.push(selector);
+        break;
+      }
+    }
+  }
+
+  const text = (element.innerText || element.textContent || '').trim().replace(/\s+/g, ' ');
+  if (text && text.length <= maxTextLength) {
+    const sameText = Array.from(document.querySelectorAll(element.tagName)).filter(
+      (candidate) =>
+        (candidate.innerText || candidate.textContent || '').trim().replace(/\s+/g, ' ') === text,
+    );
+    if (sameText.length === 1) {
+      candidates.push(`text/${text}`);
+    }
+  }
+
+  const nameAttribute = element.getAttribute('name');
+  if (nameAttribute) {
+    const selector = `${element.tagName.toLowerCase()}[name="${attributeValue(nameAttribute)}"]`;
+    if (isUnique(selector)) {
+      candidates.push(selector);
+    }
+  }
+
+  // Structural fallback: shortest nth-of-type path from the nearest ancestor with a unique id.
+  const segments = [];
+  let cursor = element;
+  while (cursor && cursor.nodeType === 1 && cursor !== document.documentElement) {
+    if (cursor !== element && cursor.id && isUnique(`#${cssEscape(cursor.id)}`)) {
+      segments.unshift(`#${cssEscape(cursor.id)}`);
+      break;
+    }
+    const tagName = cursor.tagName.toLowerCase();
+    const parent = cursor.parentElement;
+    const siblings = parent
+      ? Array.from(parent.children).filter((sibling) => sibling.tagName === cursor.tagName)
+      : [];
+    segments.unshift(
+      siblings.length > 1 ? `${tagName}:nth-of-type(${siblings.indexOf(cursor) + 1})` : tagName,
+    );
+    cursor = parent;
+  }
+  const structuralSelector = segments.join(' > ');
+  if (structuralSelector && isUnique(structuralSelector)) {
+    candidates.push(structuralSelector);
+  }
+
+  return [...new Set(candidates)];
+}
+
+export function getSelectorBuilderSource() {
+  return buildSelectorCandidates.toString();
+}
+
+// Runs inside the page as well. The DevTools backend maps a fiber to the host nodes it renders;
+// text-only components resolve to text nodes, which are reported through their parent element.
+// Only CSS candidates are kept, so the selector also works outside puppeteer's text/ syntax.
+function resolveHostNodes(buildSelectors, {rendererID, fiberIDs, maxNodesPerFiber}) {
+  const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  const rendererInterface = hook?.rendererInterfaces?.get(rendererID);
+  if (typeof rendererInterface?.findHostInstancesForElementID !== 'function') {
+    return null;
+  }
+
+  const described = new Map();
+  const describe = (element) => {
+    if (!described.has(element)) {
+      const rect = element.getBoundingClientRect();
+      let selector = null;
+      try {
+        selector =
+          buildSelectors(element).find((candidate) => !candidate.startsWith('text/')) ?? null;
+      } catch {
+        selector = null;
+      }
+      described.set(element, {
+        selector,
+        tagName: element.tagName.toLowerCase(),
+        boundingBox: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        },
+      });
+    }
+    return described.get(element);
+  };
+
+  return fiberIDs.map((fiberID) => {
+    let instances = null;
+    try {
+      instances = rendererInterface.findHostInstancesForElementID(fiberID);
+    } catch {
+      instances = null;
+    }
+    const elements = [
+      ...new Set(
+        (Array.isArray(instances) ? instances : [])
+          .map((instance) => (instance?.nodeType === 3 ? instance.parentElement : instance))
+          .filter((element) => element?.nodeType === 1 && element.isConnected),
+      ),
+    ];
+    return {
+      hostNodeCount: elements.length,
+      hostNodes: elements.slice(0, maxNodesPerFiber).map(describe),
+    };
+  });
+}
+
+export function createHostNodesExpression({rendererID, fiberIDs, maxNodesPerFiber}) {
+  return `(${resolveHostNodes.toString()})(${getSelectorBuilderSource()}, ${JSON.stringify({
+    rendererID,
+    fiberIDs,
+    maxNodesPerFiber,
+  })})`;
+}
@@ -0,0 +1,124 @@
+const DEFAULT_VIEWPORT = {width: 1440, height: 900};
+
+const ANDROID_CHROME_USER_AGENT =
+  'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Mobile Safari/537.36';
+
+// Throughput values are bytes per second, latency is milliseconds (CDP Network.emulateNetworkConditions units).
+export const NETWORK_PRESETS = {
+  'slow-3g': {latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000, offline: false},
+  'slow-4g': {latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375, offline: false},
+  'fast-4g': {latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750, offline: false},
+  offline: {latency: 0, downloadThroughput: 0, uploadThroughput: 0, offline: true},
+};
+
+export const DEVICE_PRESETS = {
+  desktop: {
+    viewport: {...DEFAULT_VIEWPORT, deviceScaleFactor: 1, isMobile: false, hasTouch: false},
+    userAgent: null,
+    cpuThrottlingRate: 1,
+    networkPreset: null,
+  },
+  'mid-tier-mobile': {
+    viewport: {width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true},
+    userAgent: ANDROID_CHROME_USER_AGENT,
+    cpuThrottlingRate: 4,
+    networkPreset: 'slow-4g',
+  },
+  'low-end-mobile': {
+    viewport: {width: 360, height: 640, deviceScaleFactor: 2, isMobile: true, hasTouch: true},
+    userAgent: ANDROID_CHROME_USER_AGENT,
+    cpuThrottlingRate: 6,
+    networkPreset: 'slow-3g',
+  },
+};
+
+export function resolveEmulation({
+  devicePreset,
+  viewport,
+  fallbackViewport,
+  defaultViewport = DEFAULT_VIEWPORT,
+  userAgent,
+  cpuThrottlingRate,
+  networkPreset,
+  networkConditions,
+}) {
+  let preset = null;
+  if (devicePreset != null) {
+    preset = DEVICE_PRESETS[devicePreset];
+    if (!preset) {
+      throw new Error(
+        `Unknown devicePreset: ${String(devicePreset)}. Expected one of ${Object.keys(DEVICE_PRESETS).join(', ')}.`,
+      );
+    }
+  }
+
+  const resolvedNetworkPreset = networkPreset ?? preset?.networkPreset ?? null;
+  let network = null;
+  if (networkConditions && typeof networkConditions === 'object') {
+    network = {
+      preset: 'custom',
+      latency: Number(networkConditions.latency ?? 0),
+      downloadThroughput: Number(networkConditions.downloadThroughput ?? -1),
+      uploadThroughput: Number(networkConditions.uploadThroughput ?? -1),
+      offline: networkConditions.offline === true,
+    };
+  } else if (resolvedNetworkPreset != null && resolvedNetworkPreset !== 'none') {
+    const conditions = NETWORK_PRESETS[resolvedNetworkPreset];
+    if (!conditions) {
+      throw new Error(
+        `Unknown networkPreset: ${String(resolvedNetworkPreset)}. Expected one of none, ${Object.keys(NETWORK_PRESETS).join(', ')}.`,
+      );
+    }
+    network = {preset: resolvedNetworkPreset, ...conditions};
+  }
+
+  const rate = Number(cpuThrottlingRate ?? preset?.cpuThrottlingRate ?? 1);
+  if (!Number.isFinite(rate) || rate < 1) {
+    throw new Error(`cpuThrottlingRate must be a number >= 1 (got ${String(cpuThrottlingRate)})`);
+  }
+
+  return {
+    devicePreset: devicePreset ?? null,
+    // An explicit size keeps the preset's mobile, touch and scale factor settings.
+    viewport:
+      viewport && preset
+        ? {...preset.viewport, ...viewport}
+        : (viewport ?? preset?.viewport ?? fallbackViewport ?? defaultViewport),
+    userAgent:
+      typeof userAgent === 'string' && userAgent.length > 0
+        ? userAgent
+        : (preset?.userAgent ?? null),
+    cpuThrottlingRate: rate,
+    network,
+  };
+}
+
+export async function applyEmulation(page, emulation) {
+  if (emulation.viewport) {
+    await page.setViewport(emulation.viewport);
+  }
+
+  if (emulation.userAgent) {
+    await page.setUserAgent(emulation.userAgent);
+  }
+
+  if (emulation.cpuThrottlingRate === 1 && !emulation.network) {
+    return null;
+  }
+
+  const client = await page.createCDPSession();
+  if (emulation.cpuThrottlingRate !== 1) {
+    await client.send('Emulation.setCPUThrottlingRate', {rate: emulation.cpuThrottlingRate});
+  }
+  if (emulation.network) {
+    await client.send('Network.enable');
+    await client.send('Network.emulateNetworkConditions', {
+      offline: emulation.network.offline,
+      latency: emulation.network.latency,
+      downloadThroughput: emulation.network.downloadThroughput,
+      uploadThroughput: emulation.network.uploadThroughput,
+    });
+  }
+  // Overrides live as long as this session; detaching it restores the page's own settings.
+  return client;
+}
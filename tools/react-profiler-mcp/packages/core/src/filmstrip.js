@@ -0,0 +1,74 @@
+import {mkdir, rm, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+
+const FRAME_FORMAT = 'jpeg';
+const FRAME_QUALITY = 70;
+const FRAME_MAX_SIZE = 960;
+
+export function getFilmstripDirectory(exportPath) {
+  const extension = path.extname(exportPath);
+  const basePath = extension ? exportPath.slice(0, -extension.length) : exportPath;
+  return `${basePath}.frames`;
+}
+
+// Page.startScreencast only sends a frame when the page repaints, which is what we want next to
+// commits: every frame is a visible state change. Frames are written as they arrive.
+export async function startFilmstrip(page, {exportPath, maxFrames}) {
+  const directory = getFilmstripDirectory(exportPath);
+  await rm(directory, {recursive: true, force: true});
+  await mkdir(directory, {recursive: true});
+
+  const client = await page.createCDPSession();
+  const frames = [];
+  const pendingWrites = [];
+  let droppedFrameCount = 0;
+
+  client.on('Page.screencastFrame', ({data, metadata, sessionId}) => {
+    client.send('Page.screencastFrameAck', {sessionId}).catch(() => {});
+    if (frames.length >= maxFrames) {
+      droppedFrameCount += 1;
+      return;
+    }
+
+    const fileName = `frame-${String(frames.length + 1).padStart(4, '0')}.jpg`;
+    frames.push({
+      fileName,
+      wallTimeMs: Number.isFinite(metadata?.timestamp) ? metadata.timestamp * 1000 : Date.now(),
+    });
+    pendingWrites.push(writeFile(path.join(directory, fileName), Buffer.from(data, 'base64')));
+  });
+
+  await client.send('Page.startScreencast', {
+    format: FRAME_FORMAT,
+    quality: FRAME_QUALITY,
+    maxWidth: FRAME_MAX_SIZE,
+    maxHeight: FRAME_MAX_SIZE,
+  });
+
+  return {
+    async stop({profilingStartEpochMs}) {
+      await client.send('Page.stopScreencast').catch(() => {});
+      await Promise.all(pendingWrites);
+      await client.detach().catch(() => {});
+
+      const exportDirectory = path.dirname(exportPath);
+      return {
+        directory: path.relative(exportDirectory, directory),
+        format: FRAME_FORMAT,
+        frameCount: frames.length,
+        droppedFrameCount,
+        // Same clock as commitData timestamps: ms since profiling start.
+        frames: frames.map((frame, index) => ({
+          index,
+          file: path.relative(exportDirectory, path.join(directory, frame.fileName)),
+          timestamp: Math.round((frame.wallTimeMs - profilingStartEpochMs) * 1000) / 1000,
+        })),
+      };
+    },
+    async abort() {
+      await client.send('Page.stopScreencast').catch(() => {});
+      await Promise.allSettled(pendingWrites);
+      await client.detach().catch(() => {});
+    },
+  };
+}
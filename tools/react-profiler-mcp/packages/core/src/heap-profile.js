@@ -0,0 +1,241 @@
+import {mkdir, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+
+// MinorGC/MajorGC come from devtools.timeline; UpdateCounters (JS heap size after each task)
+// needs the disabled-by-default timeline category.
+export const HEAP_TRACE_CATEGORIES = [
+  'devtools.timeline',
+  'disabled-by-default-devtools.timeline',
+  'blink.user_timing',
+  'v8',
+];
+
+const GC_EVENT_TYPES = {MinorGC: 'minor', MajorGC: 'major'};
+const TOP_ALLOCATOR_LIMIT = 20;
+
+function roundMs(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export function getHeapProfilePath(exportPath) {
+  const extension = path.extname(exportPath);
+  const basePath = extension ? exportPath.slice(0, -extension.length) : exportPath;
+  return `${basePath}.heapprofile`;
+}
+
+function summarizeSamplingProfile(profile) {
+  const bySite = new Map();
+  let totalSampledBytes = 0;
+  const pending = profile?.head ? [profile.head] : [];
+
+  while (pending.length > 0) {
+    const node = pending.pop();
+    pending.push(...(Array.isArray(node.children) ? node.children : []));
+    const selfSize = Number(node.selfSize) || 0;
+    if (selfSize <= 0) {
+      continue;
+    }
+
+    totalSampledBytes += selfSize;
+    const callFrame = node.callFrame ?? {};
+    const key = `${callFrame.functionName}@${callFrame.url}:${callFrame.lineNumber}:${callFrame.columnNumber}`;
+    const site = bySite.get(key) ?? {
+      functionName: callFrame.functionName || '(anonymous)',
+      url: callFrame.url || null,
+      // CDP positions are 0-based.
+      lineNumber: Number.isFinite(callFrame.lineNumber) ? callFrame.lineNumber + 1 : null,
+      columnNumber: Number.isFinite(callFrame.columnNumber) ? callFrame.columnNumber + 1 : null,
+      selfBytes: 0,
+    };
+    site.selfBytes += selfSize;
+    bySite.set(key, site);
+  }
+
+  return {
+    totalSampledBytes,
+    topAllocators: [...bySite.values()]
+      .sort((left, right) => right.selfBytes - left.selfBytes)
+      .slice(0, TOP_ALLOCATOR_LIMIT),
+  };
+}
+
+// Objects collected by minor and major GCs stay in the samples, so the profile measures how much
+// was allocated while profiling rather than how much survived it.
+export async function startHeapSampling(page, {samplingIntervalBytes}) {
+  const client = await page.createCDPSession();
+  await client.send('HeapProfiler.enable');
+  await client.send('HeapProfiler.startSampling', {
+    samplingInterval: samplingIntervalBytes,
+    includeObjectsCollectedByMajorGC: true,
+    includeObjectsCollectedByMinorGC: true,
+  });
+
+  return {
+    async stop({exportPath}) {
+      const {profile} = await client.send('HeapProfiler.stopSampling');
+      await client.send('HeapProfiler.disable').catch(() => {});
+      await client.detach().catch(() => {});
+
+      const profilePath = getHeapProfilePath(exportPath);
+      await mkdir(path.dirname(profilePath), {recursive: true});
+      await writeFile(profilePath, JSON.stringify(profile), 'utf8');
+      return {
+        samplingIntervalBytes,
+        profilePath: path.relative(path.dirname(exportPath), profilePath),
+        ...summarizeSamplingProfile(profile),
+      };
+    },
+    async abort() {
+      await client.send('HeapProfiler.stopSampling').catch(() => {});
+      await client.detach().catch(() => {});
+    },
+  };
+}
+
+function getTraceEvents(traceData) {
+  if (Array.isArray(traceData)) {
+    return traceData;
+  }
+  return Array.isArray(traceData?.traceEvents) ? traceData.traceEvents : [];
+}
+
+// Only the page's main thread is kept: worker GCs run on their own isolates and never pause React.
+export function extractHeapTimeline(traceData, {markName, profilingStartTraceTsUs, durationMs}) {
+  const events = getTraceEvents(traceData);
+  const mark = events.find((event) => event?.name === markName);
+  const isPageMainThread = (event) => !mark || (event.pid === mark.pid && event.tid === mark.tid);
+  const toProfilingMs = (ts) => roundMs((ts - profilingStartTraceTsUs) / 1000);
+
+  const gcEvents = [];
+  const heapSamples = [];
+  const openGcEvents = new Map();
+  const addGcEvent = (name, startTs, endTs, args) => {
+    const usedHeapSizeBefore = Number(args?.usedHeapSizeBefore);
+    const usedHeapSizeAfter = Number(args?.usedHeapSizeAfter);
+    const hasHeapSizes = Number.isFinite(usedHeapSizeBefore) && Number.isFinite(usedHeapSizeAfter);
+    gcEvents.push({
+      type: GC_EVENT_TYPES[name],
+      timestamp: toProfilingMs(startTs),
+      durationMs: roundMs((endTs - startTs) / 1000),
+      usedHeapSizeBefore: hasHeapSizes ? usedHeapSizeBefore : null,
+      usedHeapSizeAfter: hasHeapSizes ? usedHeapSizeAfter : null,
+      collectedBytes: hasHeapSizes ? Math.max(0, usedHeapSizeBefore - usedHeapSizeAfter) : null,
+    });
+  };
+
+  for (const event of events) {
+    if (!event || !Number.isFinite(event.ts) || !isPageMainThread(event)) {
+      continue;
+    }
+
+    if (event.name === 'UpdateCounters') {
+      const usedHeapSize = Number(event.args?.data?.jsHeapSizeUsed);
+      if (Number.isFinite(usedHeapSize)) {
+        heapSamples.push({timestamp: toProfilingMs(event.ts), usedHeapSize});
+      }
+      continue;
+    }
+
+    if (!GC_EVENT_TYPES[event.name]) {
+      continue;
+    }
+    if (event.ph === 'X') {
+      addGcEvent(event.name, event.ts, event.ts + (Number(event.dur) || 0), event.args);
+    } else if (event.ph === 'B') {
+      openGcEvents.set(event.name, event);
+    } else if (event.ph === 'E' && openGcEvents.has(event.name)) {
+      const begin = openGcEvents.get(event.name);
+      openGcEvents.delete(event.name);
+      addGcEvent(event.name, begin.ts, event.ts, {...begin.args, ...event.args});
+    }
+  }
+
+  const inWindow = (start, end) => end >= 0 && start <= durationMs;
+  return {
+    gcEvents: gcEvents
+      .filter((gc) => inWindow(gc.timestamp, gc.timestamp + gc.durationMs))
+      .sort((left, right) => left.timestamp - right.timestamp),
+    heapSamples: heapSamples
+      .filter((sample) => inWindow(sample.timestamp, sample.timestamp))
+      .sort((left, right) => left.timestamp - right.timestamp),
+  };
+}
+
+// Heap size only drops during a GC, so every rise between two readings is allocation. Rises are
+// spread evenly over their interval and the overlapping share is credited to the window.
+function estimateAllocatedBytes(readings, startMs, endMs) {
+  let allocatedBytes = 0;
+  for (let index = 1; index < readings.length; index += 1) {
+    const previous = readings[index - 1];
+    const current = readings[index];
+    const rise = current.usedHeapSize - previous.usedHeapSize;
+    if (rise <= 0 || current.timestamp < startMs || previous.timestamp > endMs) {
+      continue;
+    }
+
+    const spanMs = current.timestamp - previous.timestamp;
+    const overlapMs = Math.min(endMs, current.timestamp) - Math.max(startMs, previous.timestamp);
+    allocatedBytes += spanMs > 0 ? (rise * Math.max(0, overlapMs)) / spanMs : rise;
+  }
+  return Math.round(allocatedBytes);
+}
+
+function buildHeapReadings({gcEvents, heapSamples}) {
+  const readings = heapSamples.map((sample) => ({...sample}));
+  for (const gc of gcEvents) {
+    if (gc.usedHeapSizeBefore === null) {
+      continue;
+    }
+    readings.push({timestamp: gc.timestamp, usedHeapSize: gc.usedHeapSizeBefore});
+    readings.push({timestamp: gc.timestamp + gc.durationMs, usedHeapSize: gc.usedHeapSizeAfter});
+  }
+  return readings.sort((left, right) => left.timestamp - right.timestamp);
+}
+
+// A commit's render happens in the `duration` ms that end at its `timestamp`.
+export function attributeHeapToCommits(dataForRoots, timeline, {durationMs}) {
+  const readings = buildHeapReadings(timeline);
+  const commits = [];
+
+  for (const root of dataForRoots) {
+    const commitData = Array.isArray(root?.commitData) ? root.commitData : [];
+    commitData.forEach((commit, commitIndex) => {
+      if (!Number.isFinite(commit?.timestamp)) {
+        return;
+      }
+      const windowEndMs = commit.timestamp;
+      const windowStartMs = windowEndMs - (Number.isFinite(commit.duration) ? commit.duration : 0);
+      const overlappingGcEvents = timeline.gcEvents.filter(
+        (gc) => gc.timestamp <= windowEndMs && gc.timestamp + gc.durationMs >= windowStartMs,
+      );
+      commits.push({
+        rootID: root.rootID,
+        commitIndex,
+        windowStartMs: roundMs(windowStartMs),
+        windowEndMs: roundMs(windowEndMs),
+        allocatedBytes: estimateAllocatedBytes(readings, windowStartMs, windowEndMs),
+        gcCount: overlappingGcEvents.length,
+        gcDurationMs: roundMs(
+          overlappingGcEvents.reduce(
+            (sum, gc) =>
+              sum +
+              Math.max(
+                0,
+                Math.min(windowEndMs, gc.timestamp + gc.durationMs) -
+                  Math.max(windowStartMs, gc.timestamp),
+              ),
+            0,
+          ),
+        ),
+        gcTypes: [...new Set(overlappingGcEvents.map((gc) => gc.type))],
+      });
+    });
+  }
+
+  return {
+    allocatedBytes: estimateAllocatedBytes(readings, 0, durationMs),
+    gcCount: timeline.gcEvents.length,
+    gcDurationMs: roundMs(timeline.gcEvents.reduce((sum, gc) => sum + gc.durationMs, 0)),
+    commits,
+  };
+}
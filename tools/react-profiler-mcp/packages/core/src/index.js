@@ -1,6 +1,12 @@
 import {compareSummaries} from './compare.js';
+import {getComponentTree, inspectComponent, listComponents} from './component-tree.js';
+import {validateInteractionSteps} from './interaction-steps.js';
 import {readJsonFile, writeJsonFile} from './io.js';
+import {recordReactProfileInNode} from './node-recorder.js';
+import {startProfilingSession} from './profiling-session.js';
 import {recordReactDevToolsProfile} from './react-devtools-recorder.js';
+import {convertRecorderFlowToSteps} from './recorder-flow.js';
+import {recordInteractionSteps} from './step-recorder.js';
 import {summarizeDevToolsProfile} from './summarize.js';
 
 export async function summarizeProfileFile({cwd, profilePath, outputPath}) {
@@ -45,4 +51,14 @@ export async function compareProfileFiles({
   };
 }
 
-export {recordReactDevToolsProfile};
+export {
+  convertRecorderFlowToSteps,
+  getComponentTree,
+  inspectComponent,
+  listComponents,
+  recordInteractionSteps,
+  recordReactDevToolsProfile,
+  recordReactProfileInNode,
+  startProfilingSession,
+  validateInteractionSteps,
+};
@@ -0,0 +1,627 @@
+import {sleep} from './util.js';
+
+const SCROLL_DIRECTIONS = new Set(['down', 'up', 'left', 'right']);
+const NAVIGATION_WAIT_UNTIL = new Set(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']);
+const SELECTOR_CANDIDATE_TIMEOUT_MS = 500;
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function requireString(step, key) {
+  if (typeof step[key] !== 'string' || step[key].length === 0) {
+    throw new Error(`"${key}" must be a non-empty string (got ${describeValue(step[key])})`);
+  }
+}
+
+function optionalString(step, key) {
+  if (step[key] != null && typeof step[key] !== 'string') {
+    throw new Error(`"${key}" must be a string when provided (got ${describeValue(step[key])})`);
+  }
+}
+
+function isSelectorCandidateList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((candidate) => typeof candidate === 'string' && candidate.length > 0)
+  );
+}
+
+function requireSelector(step, key) {
+  if (typeof step[key] === 'string' && step[key].length > 0) {
+    return;
+  }
+  if (!isSelectorCandidateList(step[key])) {
+    throw new Error(
+      `"${key}" must be a non-empty selector string or an array of selector candidates (got ${describeValue(step[key])})`,
+    );
+  }
+}
+
+function optionalSelector(step, key) {
+  if (step[key] != null) {
+    requireSelector(step, key);
+  }
+}
+
+function optionalNumber(step, key, {min = -Infinity} = {}) {
+  if (step[key] == null) {
+    return;
+  }
+  if (typeof step[key] !== 'number' || !Number.isFinite(step[key]) || step[key] < min) {
+    throw new Error(
+      `"${key}" must be a number${Number.isFinite(min) ? ` >= ${min}` : ''} when provided (got ${JSON.stringify(step[key])})`,
+    );
+  }
+}
+
+function optionalBoolean(step, key) {
+  if (step[key] != null && typeof step[key] !== 'boolean') {
+    throw new Error(`"${key}" must be a boolean when provided (got ${describeValue(step[key])})`);
+  }
+}
+
+function requireNestedSteps(step) {
+  if (!Array.isArray(step.steps)) {
+    throw new Error(`"steps" must be an array of nested steps (got ${describeValue(step.steps)})`);
+  }
+}
+
+const STEP_VALIDATORS = {
+  wait: (step) => {
+    optionalNumber(step, 'ms', {min: 0});
+    optionalNumber(step, 'durationMs', {min: 0});
+  },
+  waitForSelector: (step) => {
+    requireSelector(step, 'selector');
+    optionalNumber(step, 'timeoutMs', {min: 0});
+    optionalBoolean(step, 'visible');
+  },
+  click: (step) => {
+    requireSelector(step, 'selector');
+    optionalNumber(step, 'clickCount', {min: 1});
+    optionalNumber(step, 'delayMs', {min: 0});
+    optionalBoolean(step, 'waitForNavigation');
+    if (step.offset != null) {
+      optionalNumber(step.offset, 'x');
+      optionalNumber(step.offset, 'y');
+    }
+    if (step.button != null && !['left', 'right', 'middle'].includes(step.button)) {
+      throw new Error(`"button" must be one of left, right, middle (got ${JSON.stringify(step.button)})`);
+    }
+  },
+  clickText: (step) => {
+    requireString(step, 'text');
+    optionalString(step, 'selector');
+  },
+  type: (step) => {
+    requireSelector(step, 'selector');
+    optionalString(step, 'text');
+    optionalBoolean(step, 'clear');
+    optionalNumber(step, 'delayMs', {min: 0});
+  },
+  fill: (step) => {
+    requireSelector(step, 'selector');
+    if (typeof step.value !== 'string') {
+      throw new Error(`"value" must be a string (got ${describeValue(step.value)})`);
+    }
+  },
+  press: (step) => {
+    requireString(step, 'key');
+  },
+  keyDown: (step) => {
+    requireString(step, 'key');
+  },
+  keyUp: (step) => {
+    requireString(step, 'key');
+  },
+  navigate: (step) => {
+    requireString(step, 'url');
+    optionalNumber(step, 'timeoutMs', {min: 0});
+    if (step.waitUntil != null && !NAVIGATION_WAIT_UNTIL.has(step.waitUntil)) {
+      throw new Error(
+        `"waitUntil" must be one of ${[...NAVIGATION_WAIT_UNTIL].join(', ')} (got ${JSON.stringify(step.waitUntil)})`,
+      );
+    }
+  },
+  evaluate: (step) => {
+    requireString(step, 'expression');
+  },
+  hover: (step) => {
+    requireSelector(step, 'selector');
+  },
+  scroll: (step) => {
+    optionalSelector(step, 'selector');
+    optionalNumber(step, 'distance');
+    optionalNumber(step, 'x');
+    optionalNumber(step, 'y');
+    optionalNumber(step, 'velocity', {min: 1});
+    if (step.direction != null && !SCROLL_DIRECTIONS.has(step.direction)) {
+      throw new Error(
+        `"direction" must be one of ${[...SCROLL_DIRECTIONS].join(', ')} (got ${JSON.stringify(step.direction)})`,
+      );
+    }
+    if (step.distance == null && step.x == null && step.y == null) {
+      throw new Error('"distance" (pixels to scroll) or an absolute "x"/"y" scroll position is required');
+    }
+  },
+  dragAndDrop: (step) => {
+    requireSelector(step, 'selector');
+    requireSelector(step, 'targetSelector');
+    optionalNumber(step, 'moveSteps', {min: 1});
+  },
+  select: (step) => {
+    requireSelector(step, 'selector');
+    const values = Array.isArray(step.value) ? step.value : [step.value];
+    if (values.length === 0 || values.some((value) => typeof value !== 'string')) {
+      throw new Error('"value" must be a string or an array of strings');
+    }
+  },
+  focus: (step) => {
+    requireSelector(step, 'selector');
+  },
+  blur: (step) => {
+    optionalSelector(step, 'selector');
+  },
+  waitForText: (step) => {
+    requireString(step, 'text');
+    optionalString(step, 'selector');
+    optionalNumber(step, 'timeoutMs', {min: 0});
+  },
+  waitForNetworkIdle: (step) => {
+    optionalNumber(step, 'idleMs', {min: 0});
+    optionalNumber(step, 'timeoutMs', {min: 0});
+  },
+  waitForFunction: (step) => {
+    requireString(step, 'expression');
+    optionalNumber(step, 'timeoutMs', {min: 0});
+    optionalNumber(step, 'pollingMs', {min: 1});
+  },
+  advanceClock: (step) => {
+    optionalNumber(step, 'ms', {min: 0});
+    optionalNumber(step, 'settleMs', {min: 0});
+    if (step.ms == null) {
+      throw new Error('"ms" is required');
+    }
+  },
+  setViewport: (step) => {
+    optionalNumber(step, 'width', {min: 1});
+    optionalNumber(step, 'height', {min: 1});
+    optionalNumber(step, 'deviceScaleFactor', {min: 0});
+    optionalBoolean(step, 'isMobile');
+    optionalBoolean(step, 'hasTouch');
+    if (step.width == null || step.height == null) {
+      throw new Error('"width" and "height" are required');
+    }
+  },
+  group: (step) => {
+    optionalString(step, 'name');
+    requireNestedSteps(step);
+  },
+  loop: (step) => {
+    requireNestedSteps(step);
+    optionalNumber(step, 'iterations', {min: 0});
+    if (step.iterations == null) {
+      throw new Error('"iterations" is required');
+    }
+  },
+};
+
+function describeStep(label, step) {
+  const action = typeof step?.action === 'string' ? step.action : 'unknown';
+  return `Interaction step ${label} (${action})`;
+}
+
+function validateStepList(steps, label) {
+  if (!Array.isArray(steps)) {
+    throw new Error(`Interaction steps must be an array (${label})`);
+  }
+
+  steps.forEach((step, index) => {
+    const stepLabel = `${label}[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`Interaction step ${stepLabel} must be an object (got ${describeValue(step)})`);
+    }
+
+    const validator = STEP_VALIDATORS[step.action];
+    if (typeof validator !== 'function') {
+      throw new Error(
+        `${describeStep(stepLabel, step)}: Unsupported interaction step action: ${String(step.action)}. Supported actions: ${Object.keys(STEP_VALIDATORS).join(', ')}`,
+      );
+    }
+
+    try {
+      optionalNumber(step, 'repeat', {min: 1});
+      validator(step);
+    } catch (error) {
+      throw new Error(`${describeStep(stepLabel, step)}: ${error.message}`);
+    }
+
+    if (Array.isArray(step.steps)) {
+      validateStepList(step.steps, `${stepLabel}.steps`);
+    }
+  });
+}
+
+export function validateInteractionSteps(steps, {label = 'steps'} = {}) {
+  validateStepList(steps, label);
+  return steps;
+}
+
+async function resolveSelector(page, selector, timeoutMs = 5000) {
+  if (!Array.isArray(selector)) {
+    return String(selector);
+  }
+  if (selector.length === 1) {
+    return selector[0];
+  }
+
+  // Candidate lists (e.g. from Chrome Recorder exports) resolve to the first selector that matches,
+  // in list order. Each candidate gets a short wait per pass until the overall timeout runs out.
+  const deadline = Date.now() + timeoutMs;
+  do {
+    for (const candidate of selector) {
+      const timeout = Math.max(1, Math.min(SELECTOR_CANDIDATE_TIMEOUT_MS, deadline - Date.now()));
+      const handle = await page.waitForSelector(candidate, {timeout}).catch(() => null);
+      if (handle) {
+        await handle.dispose();
+        return candidate;
+      }
+    }
+  } while (Date.now() < deadline);
+  throw new Error(`None of the selector candidates matched within ${timeoutMs}ms: ${selector.join(' | ')}`);
+}
+
+// With the fake clock installed, page timers and requestAnimationFrame only run on advanceClock,
+// so page-side polling (page.waitForFunction) would never fire. Poll from Node instead.
+async function waitForPageCondition(page, condition, {timeout, polling}, ...args) {
+  const fakeTimers = await page.evaluate(() =>
+    Boolean(window.__REACT_PROFILER_MCP_CLOCK__?.fakeTimers),
+  );
+  if (!fakeTimers) {
+    await page.waitForFunction(condition, {timeout, polling}, ...args);
+    return;
+  }
+
+  const deadline = Date.now() + timeout;
+  while (!(await page.evaluate(condition, ...args))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Waiting failed: ${timeout}ms exceeded`);
+    }
+    await sleep(typeof polling === 'number' ? polling : 50);
+  }
+}
+
+async function getElementCenter(page, selector) {
+  const handle = await page.waitForSelector(await resolveSelector(page, selector), {timeout: 5000});
+  const box = await handle?.boundingBox();
+  await handle?.dispose();
+  if (!box) {
+    throw new Error(`Element "${selector}" has no layout box`);
+  }
+  return {x: box.x + box.width / 2, y: box.y + box.height / 2};
+}
+
+async function scrollPage(page, step) {
+  const direction = step.direction ?? 'down';
+  const distance = Number(step.distance);
+  const sign = direction === 'up' || direction === 'left' ? -1 : 1;
+  const axis = direction === 'left' || direction === 'right' ? 'x' : 'y';
+  const elementHandle =
+    step.selector != null
+      ? await page.waitForSelector(await resolveSelector(page, step.selector), {timeout: 5000})
+      : null;
+
+  if (step.distance == null) {
+    await page.evaluate(
+      (element, position) => {
+        (element ?? window).scrollTo({
+          ...(position.x != null ? {left: position.x} : {}),
+          ...(position.y != null ? {top: position.y} : {}),
+        });
+      },
+      elementHandle,
+      {x: step.x ?? null, y: step.y ?? null},
+    );
+    await elementHandle?.dispose();
+    return;
+  }
+
+  await page.evaluate(
+    (element, {axisArg, deltaArg, velocityArg}) =>
+      new Promise((resolve) => {
+        const target = element ?? window;
+        // Scrolling follows real frames even when the fake clock owns requestAnimationFrame.
+        const clock = window.__REACT_PROFILER_MCP_CLOCK__?.native;
+        const requestAnimationFrame =
+          clock?.requestAnimationFrame ?? window.requestAnimationFrame.bind(window);
+        const performanceNow = clock?.performanceNow ?? (() => performance.now());
+        const scrollByDelta = (delta) => {
+          target.scrollBy(axisArg === 'x' ? {left: delta} : {top: delta});
+        };
+
+        if (!velocityArg) {
+          scrollByDelta(deltaArg);
+          requestAnimationFrame(() => resolve());
+          return;
+        }
+
+        // Advance per animation frame at the requested px/s so scroll handlers see realistic cadence.
+        let scrolled = 0;
+        let previous = performanceNow();
+        const tick = (now) => {
+          const remaining = Math.abs(deltaArg) - scrolled;
+          const stepSize = Math.min(remaining, (velocityArg * Math.max(0, now - previous)) / 1000);
+          previous = now;
+          if (stepSize > 0) {
+            scrollByDelta(Math.sign(deltaArg) * stepSize);
+            scrolled += stepSize;
+          }
+          if (scrolled >= Math.abs(deltaArg)) {
+            resolve();
+            return;
+          }
+          requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+      }),
+    elementHandle,
+    {
+      axisArg: axis,
+      deltaArg: sign * distance,
+      velocityArg: Number.isFinite(step.velocity) ? Number(step.velocity) : null,
+    },
+  );
+  await elementHandle?.dispose();
+}
+
+async function runInteractionStep(page, step, {navigationTimeoutMs}) {
+  const action = step?.action;
+
+  switch (action) {
+    case 'wait': {
+      const ms = Number(step.ms ?? step.durationMs ?? 0);
+      await sleep(ms);
+      return;
+    }
+    case 'waitForSelector': {
+      const timeout = Number(step.timeoutMs ?? 30000);
+      await page.waitForSelector(await resolveSelector(page, step.selector, timeout), {
+        timeout,
+        visible: step.visible === true,
+      });
+      return;
+    }
+    case 'click': {
+      const handle = await page.waitForSelector(await resolveSelector(page, step.selector), {
+        timeout: 5000,
+      });
+      const clickPromise = handle.click({
+        button: step.button ?? 'left',
+        clickCount: Number(step.clickCount ?? 1),
+        delay: Number(step.delayMs ?? 0),
+        ...(step.offset != null
+          ? {offset: {x: Number(step.offset.x ?? 0), y: Number(step.offset.y ?? 0)}}
+          : {}),
+      });
+      if (step.waitForNavigation === true) {
+        await Promise.all([
+          page.waitForNavigation({waitUntil: 'networkidle2', timeout: navigationTimeoutMs}),
+          clickPromise,
+        ]);
+      } else {
+        await clickPromise;
+      }
+      await handle.dispose();
+      return;
+    }
+    case 'clickText': {
+      const selector = typeof step.selector === 'string' ? step.selector : 'button';
+      const text = String(step.text ?? '');
+      await page.evaluate(
+        ({selectorArg, textArg}) => {
+          const candidates = Array.from(document.querySelectorAll(selectorArg));
+          const target = candidates.find((element) => {
+            const content = (element.textContent || '').trim();
+            return content === textArg || content.includes(textArg);
+          });
+          if (!target) {
+            throw new Error(`No element matched text \"${textArg}\" for selector \"${selectorArg}\"`);
+          }
+          target.click();
+        },
+        {selectorArg: selector, textArg: text},
+      );
+      return;
+    }
+    case 'type': {
+      const selector = await resolveSelector(page, step.selector);
+      const text = String(step.text ?? '');
+      const delay = Number(step.delayMs ?? step.delay ?? 0);
+      if (step.clear === true) {
+        await page.click(selector, {clickCount: 3});
+        await page.keyboard.press('Backspace');
+      }
+      await page.type(selector, text, {delay});
+      return;
+    }
+    case 'fill': {
+      const handle = await page.waitForSelector(await resolveSelector(page, step.selector), {
+        timeout: 5000,
+      });
+      const isSelect = await handle.evaluate((element) => element.tagName === 'SELECT');
+      if (isSelect) {
+        await handle.select(String(step.value));
+      } else {
+        await handle.click({clickCount: 3});
+        await page.keyboard.press('Backspace');
+        await handle.type(String(step.value));
+      }
+      await handle.dispose();
+      return;
+    }
+    case 'press': {
+      await page.keyboard.press(String(step.key));
+      return;
+    }
+    case 'keyDown': {
+      await page.keyboard.down(String(step.key));
+      return;
+    }
+    case 'keyUp': {
+      await page.keyboard.up(String(step.key));
+      return;
+    }
+    case 'navigate': {
+      await page.goto(String(step.url), {
+        waitUntil: typeof step.waitUntil === 'string' ? step.waitUntil : 'networkidle2',
+        timeout: Number(step.timeoutMs ?? navigationTimeoutMs),
+      });
+      return;
+    }
+    case 'evaluate': {
+      const expression = String(step.expression ?? '');
+      await page.evaluate(expression);
+      return;
+    }
+    case 'hover': {
+      await page.hover(await resolveSelector(page, step.selector));
+      return;
+    }
+    case 'scroll': {
+      await scrollPage(page, step);
+      return;
+    }
+    case 'dragAndDrop': {
+      // Pointer-driven drag (mousedown -> moves -> mouseup), which is what pointer-based DnD libraries listen to.
+      const from = await getElementCenter(page, step.selector);
+      const to = await getElementCenter(page, step.targetSelector);
+      await page.mouse.move(from.x, from.y);
+      await page.mouse.down();
+      await page.mouse.move(to.x, to.y, {steps: Number(step.moveSteps ?? 10)});
+      await page.mouse.up();
+      return;
+    }
+    case 'select': {
+      const values = Array.isArray(step.value) ? step.value : [step.value];
+      await page.select(
+        await resolveSelector(page, step.selector),
+        ...values.map((value) => String(value)),
+      );
+      return;
+    }
+    case 'focus': {
+      await page.focus(await resolveSelector(page, step.selector));
+      return;
+    }
+    case 'blur': {
+      const handle =
+        step.selector != null
+          ? await page.waitForSelector(await resolveSelector(page, step.selector), {timeout: 5000})
+          : null;
+      await page.evaluate((element) => {
+        (element ?? document.activeElement)?.blur?.();
+      }, handle);
+      await handle?.dispose();
+      return;
+    }
+    case 'waitForText': {
+      await waitForPageCondition(
+        page,
+        (selectorArg, textArg) => {
+          const scope = selectorArg ? document.querySelector(selectorArg) : document.body;
+          return Boolean(scope && (scope.textContent || '').includes(textArg));
+        },
+        {timeout: Number(step.timeoutMs ?? 30000)},
+        typeof step.selector === 'string' ? step.selector : null,
+        String(step.text),
+      );
+      return;
+    }
+    case 'waitForNetworkIdle': {
+      await page.waitForNetworkIdle({
+        idleTime: Number(step.idleMs ?? 500),
+        timeout: Number(step.timeoutMs ?? 30000),
+      });
+      return;
+    }
+    case 'waitForFunction': {
+      await waitForPageCondition(page, String(step.expression), {
+        timeout: Number(step.timeoutMs ?? 30000),
+        polling: Number.isFinite(step.pollingMs) ? Number(step.pollingMs) : 'raf',
+      });
+      return;
+    }
+    case 'advanceClock': {
+      await page.evaluate(async (ms) => {
+        const clock = window.__REACT_PROFILER_MCP_CLOCK__;
+        if (!clock?.fakeTimers) {
+          throw new Error('advanceClock requires the recorder fakeClock option');
+        }
+        return clock.tick(ms);
+      }, Number(step.ms));
+      await sleep(Number(step.settleMs ?? 0));
+      return;
+    }
+    case 'setViewport': {
+      await page.setViewport({
+        width: Number(step.width),
+        height: Number(step.height),
+        deviceScaleFactor: Number(step.deviceScaleFactor ?? 1),
+        isMobile: step.isMobile === true,
+        hasTouch: step.hasTouch === true,
+      });
+      return;
+    }
+    default:
+      throw new Error(`Unsupported interaction step action: ${String(action)}`);
+  }
+}
+
+async function runStepList(page, steps, label, options) {
+  for (const [index, step] of steps.entries()) {
+    const stepLabel = `${label}[${index}]`;
+    const repeat = Math.max(1, Number(step?.repeat ?? 1));
+
+    for (let iteration = 0; iteration < repeat; iteration += 1) {
+      if (step.action === 'group') {
+        await runStepList(page, step.steps, `${stepLabel}.steps`, options);
+        continue;
+      }
+      if (step.action === 'loop') {
+        for (let loopIndex = 0; loopIndex < Number(step.iterations); loopIndex += 1) {
+          await runStepList(page, step.steps, `${stepLabel}.steps`, options);
+        }
+        continue;
+      }
+
+      try {
+        await runInteractionStep(page, step, options);
+      } catch (error) {
+        throw new Error(
+          `${describeStep(stepLabel, step)} failed${repeat > 1 ? ` on repeat ${iteration + 1}/${repeat}` : ''}: ${error?.message ?? String(error)}`,
+          {cause: error},
+        );
+      }
+    }
+  }
+}
+
+export function hasInteractionStep(steps, action) {
+  return (
+    Array.isArray(steps) &&
+    steps.some((step) => step?.action === action || hasInteractionStep(step?.steps, action))
+  );
+}
+
+export async function runInteractionSteps(
+  page,
+  steps = [],
+  {label = 'steps', navigationTimeoutMs = 60000} = {},
+) {
+  validateInteractionSteps(steps, {label});
+  await runStepList(page, steps, label, {navigationTimeoutMs});
+}
@@ -0,0 +1,413 @@
+// Replays React DevTools tree operations into plain node maps. Kept free of the browser-side
+// recorder so the summarizer and the Node recorder can read operations without loading puppeteer.
+
+const ELEMENT_TYPE_ROOT = 11;
+
+const TREE_OPERATION_ADD = 1;
+const TREE_OPERATION_REMOVE = 2;
+const TREE_OPERATION_REORDER_CHILDREN = 3;
+const TREE_OPERATION_UPDATE_TREE_BASE_DURATION = 4;
+const TREE_OPERATION_UPDATE_ERRORS_OR_WARNINGS = 5;
+const TREE_OPERATION_SET_SUBTREE_MODE = 7;
+const SUSPENSE_TREE_OPERATION_ADD = 8;
+const SUSPENSE_TREE_OPERATION_REMOVE = 9;
+const SUSPENSE_TREE_OPERATION_REORDER_CHILDREN = 10;
+const SUSPENSE_TREE_OPERATION_RESIZE = 11;
+const SUSPENSE_TREE_OPERATION_SUSPENDERS = 12;
+const TREE_OPERATION_APPLIED_ACTIVITY_SLICE_CHANGE = 13;
+
+function parseElementDisplayNameFromBackend(displayName, type) {
+  if (displayName == null) {
+    return {
+      formattedDisplayName: null,
+      hocDisplayNames: null,
+      compiledWithForget: false,
+    };
+  }
+
+  if (displayName.startsWith('Forget(') && displayName.endsWith(')')) {
+    const inner = displayName.slice(7, displayName.length - 1);
+    const parsed = parseElementDisplayNameFromBackend(inner, type);
+    return {
+      formattedDisplayName: parsed.formattedDisplayName,
+      hocDisplayNames: parsed.hocDisplayNames,
+      compiledWithForget: true,
+    };
+  }
+
+  let formattedDisplayName = displayName;
+  let hocDisplayNames = null;
+
+  if ([1, 5, 6, 8, 15].includes(type) && displayName.includes('(')) {
+    const matches = displayName.match(/[^()]+/g);
+    if (Array.isArray(matches) && matches.length > 0) {
+      formattedDisplayName = matches[matches.length - 1] ?? displayName;
+      hocDisplayNames = matches.length > 1 ? matches.slice(0, -1) : null;
+    }
+  }
+
+  return {
+    formattedDisplayName,
+    hocDisplayNames,
+    compiledWithForget: false,
+  };
+}
+
+function decodeStringTableEntry(operations, startIndex, length) {
+  let text = '';
+  for (let i = 0; i < length; i += 1) {
+    const codePoint = Number(operations[startIndex + i]);
+    if (!Number.isFinite(codePoint)) continue;
+    text += String.fromCodePoint(codePoint);
+  }
+  return text;
+}
+
+function getOrCreateRootTree(liveTreesByRoot, rootID) {
+  let tree = liveTreesByRoot.get(rootID);
+  if (!tree) {
+    tree = {
+      rootID,
+      nodes: new Map(),
+    };
+    liveTreesByRoot.set(rootID, tree);
+  }
+  return tree;
+}
+
+// onNodeAdded receives each node an ADD operation introduces, after it is in the tree.
+export function applyOperationsToLiveTree({
+  liveTreesByRoot,
+  operations,
+  onErrorsOrWarnings,
+  onNodeAdded,
+}) {
+  if (!Array.isArray(operations) || operations.length < 3) {
+    return;
+  }
+
+  const rootID = Number(operations[1]);
+  if (!Number.isFinite(rootID)) {
+    return;
+  }
+
+  const tree = getOrCreateRootTree(liveTreesByRoot, rootID);
+  const nodes = tree.nodes;
+
+  let i = 2;
+
+  const stringTable = [null];
+  const stringTableSize = Number(operations[i++]);
+  if (!Number.isFinite(stringTableSize) || stringTableSize < 0) {
+    return;
+  }
+
+  const stringTableEnd = Math.min(operations.length, i + stringTableSize);
+  while (i < stringTableEnd) {
+    const nextLength = Number(operations[i++]);
+    if (!Number.isFinite(nextLength) || nextLength < 0 || i + nextLength > operations.length) {
+      return;
+    }
+    stringTable.push(decodeStringTableEntry(operations, i, nextLength));
+    i += nextLength;
+  }
+
+  while (i < operations.length) {
+    const operation = Number(operations[i]);
+
+    switch (operation) {
+      case TREE_OPERATION_ADD: {
+        const id = Number(operations[i + 1]);
+        const type = Number(operations[i + 2]);
+        i += 3;
+
+        if (!Number.isFinite(id)) {
+          break;
+        }
+
+        if (type === ELEMENT_TYPE_ROOT) {
+          i += 4;
+          nodes.set(id, {
+            id,
+            parentID: 0,
+            ownerID: null,
+            children: [],
+            displayName: null,
+            hocDisplayNames: null,
+            key: null,
+            type,
+            compiledWithForget: false,
+          });
+          tree.rootID = id;
+          onNodeAdded?.(nodes.get(id));
+          break;
+        }
+
+        const parentID = Number(operations[i]);
+        i += 1;
+
+        const ownerID = Number(operations[i]);
+        i += 1;
+
+        const displayNameStringID = Number(operations[i]);
+        i += 1;
+
+        const keyStringID = Number(operations[i]);
+        i += 1;
+
+        i += 1; // name prop string ID
+
+        const rawDisplayName =
+          typeof stringTable[displayNameStringID] === 'string'
+            ? stringTable[displayNameStringID]
+            : null;
+        const {formattedDisplayName, hocDisplayNames, compiledWithForget} =
+          parseElementDisplayNameFromBackend(rawDisplayName, type);
+
+        const existing = nodes.get(id);
+        if (existing && Number.isFinite(existing.parentID)) {
+          const oldParent = nodes.get(existing.parentID);
+          if (oldParent) {
+            oldParent.children = oldParent.children.filter((childID) => childID !== id);
+          }
+        }
+
+        const parentNode = nodes.get(parentID);
+        if (parentNode && !parentNode.children.includes(id)) {
+          parentNode.children = parentNode.children.concat(id);
+        }
+
+        nodes.set(id, {
+          id,
+          parentID: Number.isFinite(parentID) ? parentID : 0,
+          ownerID: Number.isFinite(ownerID) && ownerID > 0 ? ownerID : null,
+          children: existing?.children ?? [],
+          displayName: formattedDisplayName,
+          hocDisplayNames,
+          key: stringTable[keyStringID] ?? null,
+          type: Number.isFinite(type) ? type : null,
+          compiledWithForget,
+        });
+        onNodeAdded?.(nodes.get(id));
+        break;
+      }
+      case TREE_OPERATION_REMOVE: {
+        const removeLength = Number(operations[i + 1]);
+        i += 2;
+
+        if (!Number.isFinite(removeLength) || removeLength < 0) {
+          break;
+        }
+
+        for (
+          let removeIndex = 0;
+          removeIndex < removeLength && i < operations.length;
+          removeIndex += 1
+        ) {
+          const id = Number(operations[i++]);
+          if (!Number.isFinite(id)) continue;
+
+          const node = nodes.get(id);
+          if (!node) continue;
+
+          const parentNode = nodes.get(node.parentID);
+          if (parentNode) {
+            parentNode.children = parentNode.children.filter((childID) => childID !== id);
+          }
+          nodes.delete(id);
+        }
+        break;
+      }
+      case TREE_OPERATION_REORDER_CHILDREN: {
+        const id = Number(operations[i + 1]);
+        const numChildren = Number(operations[i + 2]);
+        i += 3;
+
+        if (!Number.isFinite(numChildren) || numChildren < 0) {
+          break;
+        }
+
+        const children = [];
+        for (
+          let childIndex = 0;
+          childIndex < numChildren && i < operations.length;
+          childIndex += 1
+        ) {
+          const childID = Number(operations[i++]);
+          if (Number.isFinite(childID)) {
+            children.push(childID);
+          }
+        }
+
+        const node = nodes.get(id);
+        if (node) {
+          node.children = children;
+          for (const childID of children) {
+            const childNode = nodes.get(childID);
+            if (childNode) {
+              childNode.parentID = id;
+            }
+          }
+        }
+        break;
+      }
+      case TREE_OPERATION_SET_SUBTREE_MODE: {
+        i += 3;
+        break;
+      }
+      case TREE_OPERATION_UPDATE_TREE_BASE_DURATION: {
+        i += 3;
+        break;
+      }
+      case TREE_OPERATION_UPDATE_ERRORS_OR_WARNINGS: {
+        const id = Number(operations[i + 1]);
+        const errorCount = Number(operations[i + 2]);
+        const warningCount = Number(operations[i + 3]);
+        i += 4;
+
+        if (onErrorsOrWarnings && Number.isFinite(id)) {
+          onErrorsOrWarnings({
+            rootID,
+            id,
+            displayName: nodes.get(id)?.displayName ?? null,
+            errorCount: Number.isFinite(errorCount) ? errorCount : 0,
+            warningCount: Number.isFinite(warningCount) ? warningCount : 0,
+          });
+        }
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_ADD: {
+        const numRects = Number(operations[i + 5]);
+        i += 6 + (numRects === -1 ? 0 : Math.max(0, numRects) * 4);
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_REMOVE: {
+        const removeLength = Number(operations[i + 1]);
+        i += 2 + (Number.isFinite(removeLength) && removeLength > 0 ? removeLength : 0);
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_REORDER_CHILDREN: {
+        const numChildren = Number(operations[i + 2]);
+        i += 3 + (Number.isFinite(numChildren) && numChildren > 0 ? numChildren : 0);
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_RESIZE: {
+        const numRects = Number(operations[i + 2]);
+        i += 3 + (numRects === -1 ? 0 : Math.max(0, numRects) * 4);
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_SUSPENDERS: {
+        i += 1;
+        const changeLength = Number(operations[i++]);
+        const safeLength = Number.isFinite(changeLength) && changeLength > 0 ? changeLength : 0;
+        for (let index = 0; index < safeLength && i < operations.length; index += 1) {
+          i += 4;
+          const environmentNamesLength = Number(operations[i++]);
+          i +=
+            Number.isFinite(environmentNamesLength) && environmentNamesLength > 0
+              ? environmentNamesLength
+              : 0;
+        }
+        break;
+      }
+      case TREE_OPERATION_APPLIED_ACTIVITY_SLICE_CHANGE: {
+        i += 2;
+        break;
+      }
+      default: {
+        i += 1;
+      }
+    }
+  }
+}
+
+// Mirrors the operation layout read by applyOperationsToLiveTree, shifting only the slots that hold
+// fiber IDs (0 stays "none").
+export function offsetOperationIDs(operations, offset) {
+  const shifted = [...operations];
+  const shift = (index) => {
+    if (index < shifted.length && Number(shifted[index]) > 0) {
+      shifted[index] = Number(shifted[index]) + offset;
+    }
+  };
+  const readCount = (index) => Math.max(0, Number(shifted[index]) || 0);
+
+  shift(1);
+  let i = 2;
+  i += 1 + readCount(i);
+
+  while (i < shifted.length) {
+    switch (Number(shifted[i])) {
+      case TREE_OPERATION_ADD: {
+        shift(i + 1);
+        if (Number(shifted[i + 2]) === ELEMENT_TYPE_ROOT) {
+          i += 7;
+          break;
+        }
+        shift(i + 3); // parentID
+        shift(i + 4); // ownerID
+        i += 8;
+        break;
+      }
+      case TREE_OPERATION_REMOVE:
+      case SUSPENSE_TREE_OPERATION_REMOVE: {
+        const removeLength = readCount(i + 1);
+        for (let index = 0; index < removeLength; index += 1) {
+          shift(i + 2 + index);
+        }
+        i += 2 + removeLength;
+        break;
+      }
+      case TREE_OPERATION_REORDER_CHILDREN:
+      case SUSPENSE_TREE_OPERATION_REORDER_CHILDREN: {
+        shift(i + 1);
+        const numChildren = readCount(i + 2);
+        for (let index = 0; index < numChildren; index += 1) {
+          shift(i + 3 + index);
+        }
+        i += 3 + numChildren;
+        break;
+      }
+      case TREE_OPERATION_SET_SUBTREE_MODE:
+      case TREE_OPERATION_UPDATE_TREE_BASE_DURATION: {
+        shift(i + 1);
+        i += 3;
+        break;
+      }
+      case TREE_OPERATION_UPDATE_ERRORS_OR_WARNINGS: {
+        shift(i + 1);
+        i += 4;
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_ADD: {
+        shift(i + 1);
+        shift(i + 2); // parentID
+        i += 6 + readCount(i + 5) * 4;
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_RESIZE: {
+        shift(i + 1);
+        i += 3 + readCount(i + 2) * 4;
+        break;
+      }
+      case SUSPENSE_TREE_OPERATION_SUSPENDERS: {
+        const changeLength = readCount(i + 1);
+        i += 2;
+        for (let index = 0; index < changeLength && i < shifted.length; index += 1) {
+          shift(i);
+          i += 4 + readCount(i + 3);
+        }
+        break;
+      }
+      case TREE_OPERATION_APPLIED_ACTIVITY_SLICE_CHANGE: {
+        shift(i + 1);
+        i += 2;
+        break;
+      }
+      default: {
+        i += 1;
+      }
+    }
+  }
+  return shifted;
+}
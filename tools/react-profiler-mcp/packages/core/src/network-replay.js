@@ -0,0 +1,452 @@
+import {readFile, stat} from 'node:fs/promises';
+import path from 'node:path';
+
+import {readJsonFile, resolvePath, writeJsonFile} from './io.js';
+import {RECORDER_NAME, RECORDER_VERSION} from './recorder-info.js';
+
+const HAR_MODES = new Set(['replay', 'record', 'auto']);
+const UNMATCHED_REQUEST_MODES = new Set(['abort', 'continue', 'not-found']);
+const MAX_REPORTED_UNMATCHED = 20;
+// The body is served decoded, so transport headers from the original response would be wrong.
+const DROPPED_RESPONSE_HEADERS = new Set([
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+]);
+const TEXT_MIME_PATTERN =
+  /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)|image\/svg)/i;
+const CONTENT_TYPES_BY_EXTENSION = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+function stripFragment(url) {
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+function toHeaderObject(headers) {
+  const result = {};
+  for (const header of Array.isArray(headers) ? headers : []) {
+    const name = String(header?.name ?? '').toLowerCase();
+    if (!name || name.startsWith(':') || DROPPED_RESPONSE_HEADERS.has(name)) {
+      continue;
+    }
+    // Repeated headers (set-cookie) are newline-joined, which is what puppeteer expects.
+    result[name] = result[name] != null ? `${result[name]}\n${header.value}` : String(header.value);
+  }
+  return result;
+}
+
+function toHeaderList(headers) {
+  return Object.entries(headers ?? {}).map(([name, value]) => ({name, value: String(value)}));
+}
+
+function createHarResponseSource(har, source) {
+  const entries = Array.isArray(har?.log?.entries) ? har.log.entries : null;
+  if (!entries) {
+    throw new Error(`${source} is not a HAR file (missing log.entries)`);
+  }
+
+  // Identical requests are answered in recorded order; the last response repeats once they run out.
+  const queues = new Map();
+  for (const entry of entries) {
+    const method = String(entry?.request?.method ?? 'GET').toUpperCase();
+    const url = stripFragment(String(entry?.request?.url ?? ''));
+    const status = Number(entry?.response?.status);
+    if (!url || !Number.isFinite(status) || status <= 0) {
+      continue;
+    }
+    const content = entry.response.content ?? {};
+    const response = {
+      status,
+      headers: toHeaderObject(entry.response.headers),
+      contentType: content.mimeType || undefined,
+      body:
+        typeof content.text === 'string'
+          ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8')
+          : Buffer.alloc(0),
+    };
+    const postData = entry.request.postData?.text ?? null;
+    for (const key of [`${method} ${url} ${postData ?? ''}`, `${method} ${url}`]) {
+      const queue = queues.get(key) ?? {responses: [], next: 0};
+      queue.responses.push(response);
+      queues.set(key, queue);
+    }
+  }
+
+  return {
+    kind: 'har',
+    source,
+    entryCount: entries.length,
+    async lookup({method, url, postData}) {
+      const queue =
+        queues.get(`${method} ${url} ${postData ?? ''}`) ?? queues.get(`${method} ${url}`);
+      if (!queue) {
+        return null;
+      }
+      const response = queue.responses[Math.min(queue.next, queue.responses.length - 1)];
+      queue.next += 1;
+      return response;
+    },
+  };
+}
+
+function toRouteMatcher(route, index) {
+  const method = route.method ? String(route.method).toUpperCase() : null;
+  let matchesUrl;
+  if (typeof route.urlPattern === 'string') {
+    const regex = new RegExp(route.urlPattern);
+    matchesUrl = (url) => regex.test(url);
+  } else if (typeof route.url === 'string') {
+    // Absolute URLs match exactly; "/path" matches the pathname plus query on any origin.
+    matchesUrl = route.url.startsWith('/')
+      ? (url) => {
+          const parsed = new URL(url);
+          return (
+            `${parsed.pathname}${parsed.search}` === route.url || parsed.pathname === route.url
+          );
+        }
+      : (url) => url === stripFragment(route.url);
+  } else {
+    throw new Error(`routes.json[${index}] requires url or urlPattern`);
+  }
+  return (request) => (method === null || method === request.method) && matchesUrl(request.url);
+}
+
+async function createRouteFixtureSource(routesDir) {
+  let routes = [];
+  const manifestPath = path.join(routesDir, 'routes.json');
+  try {
+    const {data} = await readJsonFile(routesDir, manifestPath);
+    if (!Array.isArray(data)) {
+      throw new Error(`${manifestPath} must be an array of routes`);
+    }
+    routes = data.map((route, index) => ({route, matches: toRouteMatcher(route, index)}));
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const readFixture = async (relativePath) => {
+    const filePath = path.resolve(routesDir, relativePath);
+    if (!filePath.startsWith(path.resolve(routesDir) + path.sep)) {
+      return null;
+    }
+    try {
+      if (!(await stat(filePath)).isFile()) {
+        return null;
+      }
+      return {filePath, body: await readFile(filePath)};
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    kind: 'routes',
+    source: routesDir,
+    entryCount: routes.length,
+    async lookup(request) {
+      const match = routes.find((candidate) => candidate.matches(request));
+      if (match) {
+        const {route} = match;
+        let body = Buffer.alloc(0);
+        let contentType = route.contentType;
+        if (typeof route.bodyPath === 'string') {
+          const fixture = await readFixture(route.bodyPath);
+          if (!fixture) {
+            throw new Error(`Route fixture not found: ${path.join(routesDir, route.bodyPath)}`);
+          }
+          body = fixture.body;
+          contentType ??= CONTENT_TYPES_BY_EXTENSION[path.extname(fixture.filePath)];
+        } else if (route.json !== undefined) {
+          body = Buffer.from(JSON.stringify(route.json));
+          contentType ??= 'application/json; charset=utf-8';
+        } else if (route.body != null) {
+          body = Buffer.from(String(route.body));
+        }
+        return {
+          status: Number(route.status ?? 200),
+          headers: route.headers ?? {},
+          contentType,
+          body,
+        };
+      }
+
+      // Without a manifest entry, GET requests map onto files by pathname (with index.html / .json fallbacks).
+      if (request.method !== 'GET') {
+        return null;
+      }
+      const {pathname} = new URL(request.url);
+      const relativePath = decodeURIComponent(pathname).replace(/^\/+/, '');
+      const candidates = pathname.endsWith('/')
+        ? [`${relativePath}index.html`]
+        : [relativePath, `${relativePath}.json`, `${relativePath}/index.html`];
+      for (const candidate of candidates) {
+        const fixture = candidate ? await readFixture(candidate) : null;
+        if (fixture) {
+          return {
+            status: 200,
+            headers: {},
+            contentType: CONTENT_TYPES_BY_EXTENSION[path.extname(fixture.filePath)],
+            body: fixture.body,
+          };
+        }
+      }
+      return null;
+    },
+  };
+}
+
+export async function loadNetworkReplaySource({cwd, harPath, routeFixturesDir}) {
+  if (typeof harPath === 'string' && harPath.length > 0) {
+    const {resolvedPath, data} = await readJsonFile(cwd, harPath);
+    return createHarResponseSource(data, resolvedPath);
+  }
+  if (typeof routeFixturesDir === 'string' && routeFixturesDir.length > 0) {
+    return createRouteFixtureSource(resolvePath(cwd, routeFixturesDir));
+  }
+  return null;
+}
+
+async function fileExists(filePath) {
+  try {
+    return (await stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// "auto" records the HAR when it does not exist yet and replays it afterwards, so the first
+// capture of a before/after pair pins the responses every later capture sees.
+export async function resolveNetworkReplay({
+  cwd,
+  harPath,
+  harMode = 'replay',
+  routeFixturesDir,
+  unmatchedRequests = 'abort',
+}) {
+  const hasHar = typeof harPath === 'string' && harPath.length > 0;
+  const hasRoutes = typeof routeFixturesDir === 'string' && routeFixturesDir.length > 0;
+  if (hasHar && hasRoutes) {
+    throw new Error('Pass either harPath or routeFixturesDir, not both');
+  }
+  if (!HAR_MODES.has(harMode)) {
+    throw new Error(
+      `Unsupported harMode: ${String(harMode)}. Expected one of ${[...HAR_MODES].join(', ')}.`,
+    );
+  }
+  if (!UNMATCHED_REQUEST_MODES.has(unmatchedRequests)) {
+    throw new Error(
+      `Unsupported unmatchedRequests: ${String(unmatchedRequests)}. Expected one of ${[...UNMATCHED_REQUEST_MODES].join(', ')}.`,
+    );
+  }
+  if (!hasHar && !hasRoutes) {
+    if (harMode !== 'replay') {
+      throw new Error(`harMode "${harMode}" requires harPath`);
+    }
+    return null;
+  }
+
+  if (hasRoutes) {
+    return {
+      mode: 'replay',
+      harPath: null,
+      routeFixturesDir: resolvePath(cwd, routeFixturesDir),
+      unmatchedRequests,
+    };
+  }
+  const resolvedHarPath = resolvePath(cwd, harPath);
+  const mode =
+    harMode === 'auto' ? ((await fileExists(resolvedHarPath)) ? 'replay' : 'record') : harMode;
+  return {mode, harPath: resolvedHarPath, routeFixturesDir: null, unmatchedRequests};
+}
+
+export async function startNetworkReplay(page, {source, unmatchedRequests}) {
+  const stats = {
+    mode: source.kind === 'har' ? 'replay-har' : 'replay-routes',
+    source: source.source,
+    unmatchedRequests,
+    servedCount: 0,
+    unmatchedCount: 0,
+    unmatchedUrls: [],
+  };
+  const recordUnmatched = (label) => {
+    stats.unmatchedCount += 1;
+    if (stats.unmatchedUrls.length < MAX_REPORTED_UNMATCHED) {
+      stats.unmatchedUrls.push(label);
+    }
+  };
+
+  const handleRequest = async (request) => {
+    const url = stripFragment(request.url());
+    if (url.startsWith('data:') || url.startsWith('blob:')) {
+      await request.continue().catch(() => {});
+      return;
+    }
+
+    const method = request.method().toUpperCase();
+    let response = null;
+    try {
+      response = await source.lookup({method, url, postData: request.postData() ?? null});
+    } catch (error) {
+      recordUnmatched(`${method} ${url} (${error.message})`);
+      await request.abort('failed').catch(() => {});
+      return;
+    }
+
+    if (response) {
+      stats.servedCount += 1;
+      await request
+        .respond({
+          status: response.status,
+          headers: response.headers,
+          ...(response.contentType ? {contentType: response.contentType} : {}),
+          body: response.body,
+        })
+        .catch(() => {});
+      return;
+    }
+
+    recordUnmatched(`${method} ${url}`);
+    if (unmatchedRequests === 'continue') {
+      await request.continue().catch(() => {});
+    } else if (unmatchedRequests === 'not-found') {
+      await request
+        .respond({status: 404, contentType: 'text/plain', body: 'Not found in replay source'})
+        .catch(() => {});
+    } else {
+      await request.abort('internetdisconnected').catch(() => {});
+    }
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', handleRequest);
+
+  return {
+    stats,
+    async stop() {
+      page.off('request', handleRequest);
+      await page.setRequestInterception(false);
+    },
+  };
+}
+
+export function startHarRecording(page) {
+  const entries = [];
+  const pendingBodies = [];
+  const startedRequests = new Map();
+  let requestSequence = 0;
+
+  // Entries are written in request order so repeated calls to one URL replay in the same sequence.
+  const handleRequest = (request) => {
+    startedRequests.set(request, {startedAt: Date.now(), sequence: requestSequence++});
+  };
+  const handleRequestFinished = (request) => {
+    const response = request.response();
+    const url = request.url();
+    if (!response || url.startsWith('data:') || url.startsWith('blob:')) {
+      return;
+    }
+    const {startedAt, sequence} = startedRequests.get(request) ?? {
+      startedAt: Date.now(),
+      sequence: requestSequence++,
+    };
+    startedRequests.delete(request);
+
+    const headers = response.headers();
+    const mimeType = headers['content-type'] ?? '';
+    const isRedirect = response.status() >= 300 && response.status() < 400;
+    pendingBodies.push(
+      (isRedirect ? Promise.resolve(Buffer.alloc(0)) : response.buffer())
+        .catch(() => Buffer.alloc(0))
+        .then((body) => {
+          const isText = TEXT_MIME_PATTERN.test(mimeType);
+          const requestUrl = new URL(url);
+          entries.push({
+            sequence,
+            startedDateTime: new Date(startedAt).toISOString(),
+            time: Date.now() - startedAt,
+            request: {
+              method: request.method(),
+              url,
+              httpVersion: 'HTTP/1.1',
+              headers: toHeaderList(request.headers()),
+              queryString: [...requestUrl.searchParams].map(([name, value]) => ({name, value})),
+              cookies: [],
+              headersSize: -1,
+              bodySize: request.postData() ? Buffer.byteLength(request.postData()) : 0,
+              ...(request.postData()
+                ? {
+                    postData: {
+                      mimeType: request.headers()['content-type'] ?? '',
+                      text: request.postData(),
+                    },
+                  }
+                : {}),
+            },
+            response: {
+              status: response.status(),
+              statusText: response.statusText(),
+              httpVersion: 'HTTP/1.1',
+              headers: toHeaderList(headers),
+              cookies: [],
+              content: {
+                size: body.length,
+                mimeType,
+                text: body.toString(isText ? 'utf8' : 'base64'),
+                ...(isText ? {} : {encoding: 'base64'}),
+              },
+              redirectURL: headers.location ?? '',
+              headersSize: -1,
+              bodySize: body.length,
+            },
+            cache: {},
+            timings: {send: 0, wait: Date.now() - startedAt, receive: 0},
+          });
+        }),
+    );
+  };
+
+  page.on('request', handleRequest);
+  page.on('requestfinished', handleRequestFinished);
+  const detach = () => {
+    page.off('request', handleRequest);
+    page.off('requestfinished', handleRequestFinished);
+  };
+
+  return {
+    async stop({cwd, outputPath}) {
+      detach();
+      await Promise.allSettled(pendingBodies);
+      entries.sort((left, right) => left.sequence - right.sequence);
+      const resolvedPath = await writeJsonFile(cwd, outputPath, {
+        log: {
+          version: '1.2',
+          creator: {name: RECORDER_NAME, version: RECORDER_VERSION},
+          pages: [],
+          entries: entries.map(({sequence, ...entry}) => entry),
+        },
+      });
+      return {mode: 'record-har', path: resolvedPath, entryCount: entries.length};
+    },
+    // A failed run's traffic must not replace a HAR recorded earlier, so nothing is written.
+    async abort() {
+      detach();
+      await Promise.allSettled(pendingBodies);
+    },
+  };
+}
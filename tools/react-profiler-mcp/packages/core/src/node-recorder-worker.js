@@ -0,0 +1,262 @@
+// Child process entry for recordReactProfileInNode. It installs jsdom globals on this process,
+// so it must never be imported by a long-lived host (CLI, MCP server) directly.
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import {createRequire} from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import {pathToFileURL} from 'node:url';
+
+import {createHookSourceFetcher} from './hook-source-fetcher.js';
+import {resolvePath} from './io.js';
+import {
+  BridgeController,
+  buildExportPayload,
+  captureInspectedElementsEnrichment,
+  collectErrorsAndWarnings,
+  collectProfilingData,
+  describeSkippedFibersWarning,
+  startBridgeProfiling,
+  stopBridgeProfiling,
+  trackBridgeOperations,
+} from './react-devtools-recorder.js';
+import {sleep} from './util.js';
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_HTML = '<!doctype html><html><head></head><body><div id="root"></div></body></html>';
+
+function installDomGlobals(window) {
+  // Same approach as jsdom-global: expose window properties that Node does not already define.
+  for (const key of Object.getOwnPropertyNames(window)) {
+    if (key in globalThis) {
+      continue;
+    }
+    try {
+      globalThis[key] = window[key];
+    } catch {
+      // Some accessors throw outside a browsing context; they are not needed for rendering.
+    }
+  }
+
+  for (const key of ['window', 'self', 'document', 'navigator']) {
+    Object.defineProperty(globalThis, key, {
+      configurable: true,
+      writable: true,
+      value: key === 'window' || key === 'self' ? window : window[key],
+    });
+  }
+}
+
+async function importFrom(resolvedPath) {
+  return import(pathToFileURL(resolvedPath).href);
+}
+
+async function recordInNode({
+  cwd,
+  modulePath,
+  exportName,
+  props,
+  html,
+  htmlPath,
+  url,
+  containerSelector,
+  outputPath,
+  profileDurationMs,
+  profileMount,
+  settleMs,
+  recordChangeDescriptions,
+  recordTimeline,
+  inspectElements,
+  inspectElementsMaxPerRoot,
+  inspectElementsTimeoutMs,
+  inspectElementsBudgetMs,
+  inspectElementsConcurrency,
+  parseHookNamesEnabled,
+  parseHookNamesTimeoutMs,
+  parseHookNamesSourceRoots,
+}) {
+  const resolvedModulePath = resolvePath(cwd, modulePath);
+  const documentHtml =
+    typeof htmlPath === 'string' && htmlPath.length > 0
+      ? await readFile(resolvePath(cwd, htmlPath), 'utf8')
+      : (html ?? DEFAULT_HTML);
+
+  const {JSDOM} = await import('jsdom');
+  const dom = new JSDOM(documentHtml, {url, pretendToBeVisual: true});
+  installDomGlobals(dom.window);
+
+  // The hook has to exist before react-dom loads, because react-dom registers its renderer at import time.
+  const backend = require('react-devtools-core/backend');
+  backend.initialize(undefined, false);
+  globalThis.__REACT_DEVTOOLS_GLOBAL_HOOK__ = dom.window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+
+  const bridge = new BridgeController();
+  const profilingState = trackBridgeOperations(bridge);
+  const {port} = await bridge.start();
+  let root = null;
+
+  try {
+    const backendInitializedPromise = bridge.waitForEvent('backendInitialized', {timeoutMs: 15000});
+    backend.connectToDevTools({host: '127.0.0.1', port, useHttps: false, retryConnectionDelay: 250});
+
+    // Resolve React from the target module so the renderer and the component share one React copy.
+    const moduleRequire = createRequire(resolvedModulePath);
+    const React = await importFrom(moduleRequire.resolve('react'));
+    const ReactDOMClient = await importFrom(moduleRequire.resolve('react-dom/client'));
+    const targetModule = await importFrom(resolvedModulePath);
+    await backendInitializedPromise;
+
+    const Component = targetModule[exportName];
+    if (typeof Component !== 'function' && typeof Component !== 'object') {
+      throw new Error(
+        `Module ${resolvedModulePath} has no component export "${exportName}". Exports: ${Object.keys(targetModule).join(', ')}`,
+      );
+    }
+    const interact = typeof targetModule.interact === 'function' ? targetModule.interact : null;
+
+    let container = dom.window.document.querySelector(containerSelector);
+    if (!container) {
+      container = dom.window.document.createElement('div');
+      dom.window.document.body.appendChild(container);
+    }
+    const createElement = React.createElement ?? React.default?.createElement;
+    const createRoot = ReactDOMClient.createRoot ?? ReactDOMClient.default?.createRoot;
+    root = createRoot(container);
+    const render = (nextProps = props) => root.render(createElement(Component, nextProps));
+
+    if (!profileMount) {
+      render();
+      await sleep(settleMs);
+    }
+
+    await startBridgeProfiling(bridge, profilingState, {recordChangeDescriptions, recordTimeline});
+    const profilingStartedAt = Date.now();
+
+    if (profileMount) {
+      render();
+      await sleep(settleMs);
+    }
+    if (interact) {
+      await interact({
+        window: dom.window,
+        document: dom.window.document,
+        container,
+        root,
+        props,
+        rerender: render,
+        sleep,
+      });
+    } else {
+      await sleep(profileDurationMs);
+    }
+    // Let scheduled renders and passive effects flush before profiling stops.
+    await sleep(settleMs);
+
+    await stopBridgeProfiling(bridge, profilingState);
+    const profiledDurationMs = Date.now() - profilingStartedAt;
+
+    const {dataForRoots, timelineData} = await collectProfilingData(bridge, profilingState);
+    const errorsAndWarnings = collectErrorsAndWarnings(profilingState);
+    const hookSourceFetcher = createHookSourceFetcher({cwd, sourceRoots: parseHookNamesSourceRoots});
+    const inspectedElements = await captureInspectedElementsEnrichment({
+      bridge,
+      dataForRoots,
+      rootToRenderer: profilingState.rootToRenderer,
+      enabled: inspectElements === true,
+      maxFibersPerRoot: inspectElementsMaxPerRoot,
+      timeoutMs: inspectElementsTimeoutMs,
+      timeBudgetMs: inspectElementsBudgetMs,
+      inspectConcurrency: inspectElementsConcurrency,
+      parseHookNamesEnabled: parseHookNamesEnabled === true,
+      parseHookNamesTimeoutMs,
+      hookSourceFetcher,
+    });
+
+    const commitCount = dataForRoots.reduce(
+      (sum, rootData) => sum + (Array.isArray(rootData?.commitData) ? rootData.commitData.length : 0),
+      0,
+    );
+    const warnings = [];
+    if (commitCount === 0) {
+      warnings.push(
+        interact
+          ? 'No commits were captured. Ensure interact() triggers React updates before it resolves.'
+          : 'No commits were captured. Export an interact() function that triggers React updates, or pass profileMount to profile the initial render.',
+      );
+    }
+    const skippedInspectWarning = describeSkippedFibersWarning(inspectedElements);
+    if (skippedInspectWarning) {
+      warnings.push(skippedInspectWarning);
+    }
+
+    const exportPayload = buildExportPayload({
+      dataForRoots,
+      timelineData,
+      inspectOptions: {
+        inspectElements,
+        inspectElementsMaxPerRoot,
+        inspectElementsTimeoutMs,
+        inspectElementsBudgetMs,
+        inspectElementsConcurrency,
+        parseHookNamesEnabled,
+        parseHookNamesTimeoutMs,
+      },
+      hookSourceFetcher,
+      recorder: {
+        target: 'node-jsdom',
+        module: {
+          path: resolvedModulePath,
+          exportName,
+          interact: interact !== null,
+        },
+        reactVersion: React.version ?? React.default?.version ?? null,
+        profileMount: profileMount === true,
+        profiledDurationMs,
+      },
+      warnings,
+      errorsAndWarnings,
+      inspectedElements,
+    });
+
+    const resolvedOutputPath = resolvePath(cwd, outputPath);
+    await mkdir(path.dirname(resolvedOutputPath), {recursive: true});
+    await writeFile(resolvedOutputPath, `${JSON.stringify(exportPayload, null, 2)}\n`, 'utf8');
+
+    return {
+      outputPath: resolvedOutputPath,
+      target: 'node-jsdom',
+      modulePath: resolvedModulePath,
+      rootCount: dataForRoots.length,
+      commitCount,
+      rendererIDs: [...profilingState.rendererIDs].sort((a, b) => a - b),
+      roots: dataForRoots.map((rootData) => ({
+        rootID: rootData.rootID,
+        displayName: rootData.displayName,
+        commitCount: Array.isArray(rootData.commitData) ? rootData.commitData.length : 0,
+      })),
+      profiledDurationMs,
+      inspectedElements,
+      warnings,
+    };
+  } finally {
+    try {
+      root?.unmount();
+    } catch {
+      // The tree may already be torn down by a failed render.
+    }
+    await bridge.close();
+    dom.window.close();
+  }
+}
+
+process.once('message', async (options) => {
+  try {
+    const summary = await recordInNode(options);
+    process.send({ok: true, summary}, () => process.exit(0));
+  } catch (error) {
+    process.send(
+      {ok: false, error: {message: error?.message ?? String(error), stack: error?.stack ?? null}},
+      () => process.exit(1),
+    );
+  }
+});
@@ -0,0 +1,122 @@
+import {fork} from 'node:child_process';
+import process from 'node:process';
+import {fileURLToPath} from 'node:url';
+
+const WORKER_PATH = fileURLToPath(new URL('./node-recorder-worker.js', import.meta.url));
+const OUTPUT_TAIL_LIMIT = 40;
+
+export async function recordReactProfileInNode({
+  cwd = process.cwd(),
+  modulePath,
+  exportName = 'default',
+  props = {},
+  html,
+  htmlPath,
+  url = 'http://localhost/',
+  containerSelector = '#root',
+  outputPath,
+  profileDurationMs = 1000,
+  profileMount = false,
+  settleMs = 50,
+  recordChangeDescriptions = true,
+  recordTimeline = false,
+  inspectElements = true,
+  inspectElementsMaxPerRoot = 1500,
+  inspectElementsTimeoutMs = 4000,
+  inspectElementsBudgetMs = 60000,
+  inspectElementsConcurrency = 8,
+  parseHookNamesEnabled = true,
+  parseHookNamesTimeoutMs = 5000,
+  parseHookNamesSourceRoots = [],
+  timeoutMs = 120000,
+}) {
+  if (typeof modulePath !== 'string' || modulePath.length === 0) {
+    throw new Error('recordReactProfileInNode requires modulePath');
+  }
+
+  if (typeof outputPath !== 'string' || outputPath.length === 0) {
+    throw new Error('recordReactProfileInNode requires outputPath');
+  }
+
+  const child = fork(WORKER_PATH, [], {
+    cwd,
+    execArgv: [],
+    // Target code and React warnings go to the child's stdout/stderr; keep them off ours,
+    // which carries CLI JSON and the MCP stdio transport.
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+    env: {...process.env, NODE_ENV: process.env.NODE_ENV ?? 'development'},
+  });
+
+  const outputTail = [];
+  const collectOutput = (chunk) => {
+    outputTail.push(...String(chunk).split('\n').filter(Boolean));
+    outputTail.splice(0, Math.max(0, outputTail.length - OUTPUT_TAIL_LIMIT));
+  };
+  child.stdout.on('data', collectOutput);
+  child.stderr.on('data', collectOutput);
+
+  const result = await new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (callback) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        callback();
+      }
+    };
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(() => reject(new Error(`Node recording timed out after ${timeoutMs}ms`)));
+    }, timeoutMs);
+
+    child.once('message', (message) => finish(() => resolve(message)));
+    child.once('error', (error) => finish(() => reject(error)));
+    child.once('exit', (code) =>
+      finish(() =>
+        reject(
+          new Error(
+            `Node recording worker exited with code ${code} before reporting a result.\n${outputTail.join('\n')}`,
+          ),
+        ),
+      ),
+    );
+
+    child.send({
+      cwd,
+      modulePath,
+      exportName,
+      props,
+      html,
+      htmlPath,
+      url,
+      containerSelector,
+      outputPath,
+      profileDurationMs,
+      profileMount,
+      settleMs,
+      recordChangeDescriptions,
+      recordTimeline,
+      inspectElements,
+      inspectElementsMaxPerRoot,
+      inspectElementsTimeoutMs,
+      inspectElementsBudgetMs,
+      inspectElementsConcurrency,
+      parseHookNamesEnabled,
+      parseHookNamesTimeoutMs,
+      parseHookNamesSourceRoots,
+    });
+  });
+
+  if (!result?.ok) {
+    const error = new Error(result?.error?.message ?? 'Node recording failed');
+    if (result?.error?.stack) {
+      error.stack = result.error.stack;
+    }
+    throw error;
+  }
+
+  return {
+    ...result.summary,
+    ...(outputTail.length > 0 ? {targetOutputTail: outputTail} : {}),
+  };
+}
@@ -0,0 +1,223 @@
+const DEFAULT_FAKE_CLOCK_START_TIME = '2024-01-01T00:00:00.000Z';
+
+// Runs in the page (serialized with Function.prototype.toString), so it must stay self-contained.
+function installPageClock({fakeTimers, startTimeMs, randomSeed}) {
+  if (window.__REACT_PROFILER_MCP_CLOCK__) {
+    return;
+  }
+
+  const NativeDate = Date;
+  const native = {
+    setTimeout: window.setTimeout.bind(window),
+    clearTimeout: window.clearTimeout.bind(window),
+    setInterval: window.setInterval.bind(window),
+    clearInterval: window.clearInterval.bind(window),
+    requestAnimationFrame: window.requestAnimationFrame?.bind(window),
+    cancelAnimationFrame: window.cancelAnimationFrame?.bind(window),
+    performanceNow: performance.now.bind(performance),
+    Date: NativeDate,
+    random: Math.random,
+  };
+  const controller = {native, fakeTimers, startTimeMs, randomSeed};
+
+  if (Number.isFinite(randomSeed)) {
+    // mulberry32: small, fast and good enough for reproducible UI randomness.
+    let state = randomSeed >>> 0;
+    Math.random = function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let value = state;
+      value = Math.imul(value ^ (value >>> 15), value | 1);
+      value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+      return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  if (fakeTimers) {
+    const FRAME_MS = 16;
+    const MAX_CALLBACKS_PER_TICK = 100000;
+    const performanceBaseMs = native.performanceNow();
+    const timers = new Map();
+    let nextTimerId = 1;
+    let virtualElapsedMs = 0;
+    let realMsAtLastTick = performanceBaseMs;
+    let lastPerformanceNow = 0;
+
+    // Date only moves with the fake clock. performance.now() follows it too, plus the real time
+    // spent since the last tick, so React still measures real render durations.
+    const currentDateMs = () => startTimeMs + virtualElapsedMs;
+    const currentPerformanceNow = () => {
+      lastPerformanceNow = Math.max(
+        lastPerformanceNow,
+        performanceBaseMs + virtualElapsedMs + (native.performanceNow() - realMsAtLastTick),
+      );
+      return lastPerformanceNow;
+    };
+
+    function FakeDate(...args) {
+      if (!new.target) {
+        return new NativeDate(currentDateMs()).toString();
+      }
+      return args.length === 0 ? new NativeDate(currentDateMs()) : new NativeDate(...args);
+    }
+    FakeDate.prototype = NativeDate.prototype;
+    FakeDate.now = currentDateMs;
+    FakeDate.parse = NativeDate.parse;
+    FakeDate.UTC = NativeDate.UTC;
+
+    const toCallback = (handler) =>
+      typeof handler === 'function' ? handler : () => (0, eval)(String(handler));
+    const addTimer = (timer) => {
+      const id = nextTimerId++;
+      timers.set(id, {id, ...timer});
+      return id;
+    };
+    const removeTimer = (id) => {
+      timers.delete(Number(id));
+    };
+
+    window.Date = FakeDate;
+    performance.now = function now() {
+      return currentPerformanceNow();
+    };
+    window.setTimeout = function setTimeout(handler, delay, ...args) {
+      return addTimer({
+        callback: toCallback(handler),
+        args,
+        dueAt: virtualElapsedMs + Math.max(0, Number(delay) || 0),
+        interval: null,
+        frame: false,
+      });
+    };
+    window.setInterval = function setInterval(handler, delay, ...args) {
+      const interval = Math.max(1, Number(delay) || 0);
+      return addTimer({
+        callback: toCallback(handler),
+        args,
+        dueAt: virtualElapsedMs + interval,
+        interval,
+        frame: false,
+      });
+    };
+    window.requestAnimationFrame = function requestAnimationFrame(callback) {
+      return addTimer({
+        callback,
+        args: [],
+        dueAt: (Math.floor(virtualElapsedMs / FRAME_MS) + 1) * FRAME_MS,
+        interval: null,
+        frame: true,
+      });
+    };
+    window.clearTimeout = removeTimer;
+    window.clearInterval = removeTimer;
+    window.cancelAnimationFrame = removeTimer;
+
+    const stats = {elapsedMs: 0, firedTimers: 0, firedFrames: 0};
+    const nextDueTimer = (targetMs) => {
+      let next = null;
+      for (const timer of timers.values()) {
+        if (timer.dueAt <= targetMs && (next === null || timer.dueAt < next.dueAt)) {
+          next = timer;
+        }
+      }
+      return next;
+    };
+
+    controller.tick = (ms) => {
+      const targetMs = virtualElapsedMs + Math.max(0, Number(ms) || 0);
+      let callbackCount = 0;
+      for (let timer = nextDueTimer(targetMs); timer; timer = nextDueTimer(targetMs)) {
+        callbackCount += 1;
+        if (callbackCount > MAX_CALLBACKS_PER_TICK) {
+          throw new Error(
+            `Fake clock ran ${MAX_CALLBACKS_PER_TICK} timers in one tick; a timer probably reschedules itself with no delay.`,
+          );
+        }
+
+        virtualElapsedMs = Math.max(virtualElapsedMs, timer.dueAt);
+        realMsAtLastTick = native.performanceNow();
+        if (timer.interval === null) {
+          timers.delete(timer.id);
+        } else {
+          timer.dueAt += timer.interval;
+        }
+        if (timer.frame) {
+          stats.firedFrames += 1;
+        } else {
+          stats.firedTimers += 1;
+        }
+
+        try {
+          timer.callback.apply(window, timer.frame ? [currentPerformanceNow()] : timer.args);
+        } catch (error) {
+          // Same as a throwing browser timer: report it and keep the clock going.
+          native.setTimeout(() => {
+            throw error;
+          }, 0);
+        }
+      }
+
+      virtualElapsedMs = targetMs;
+      realMsAtLastTick = native.performanceNow();
+      stats.elapsedMs = virtualElapsedMs;
+
+      // Resolve after a real macrotask so renders the callbacks scheduled (React uses
+      // MessageChannel) commit before the caller continues.
+      return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+          channel.port1.close();
+          resolve({...stats, pendingTimers: timers.size});
+        };
+        channel.port2.postMessage(null);
+      });
+    };
+    controller.now = currentDateMs;
+  }
+
+  Object.defineProperty(window, '__REACT_PROFILER_MCP_CLOCK__', {
+    value: controller,
+    configurable: true,
+  });
+}
+
+export function resolvePageClock({fakeClock = false, fakeClockStartTime, randomSeed}) {
+  if (fakeClockStartTime != null && fakeClock !== true) {
+    throw new Error('fakeClockStartTime requires fakeClock: true');
+  }
+  if (randomSeed != null && !Number.isInteger(Number(randomSeed))) {
+    throw new Error(`randomSeed must be an integer (got ${JSON.stringify(randomSeed)})`);
+  }
+  if (fakeClock !== true && randomSeed == null) {
+    return null;
+  }
+
+  let startTime = null;
+  if (fakeClock === true) {
+    const parsed = new Date(
+      typeof fakeClockStartTime === 'number'
+        ? fakeClockStartTime
+        : (fakeClockStartTime ?? DEFAULT_FAKE_CLOCK_START_TIME),
+    );
+    if (Number.isNaN(parsed.getTime())) {
+      throw new Error(
+        `fakeClockStartTime must be an ISO date or epoch milliseconds (got ${JSON.stringify(fakeClockStartTime)})`,
+      );
+    }
+    startTime = parsed.toISOString();
+  }
+
+  return {
+    fakeTimers: fakeClock === true,
+    startTime,
+    randomSeed: randomSeed == null ? null : Number(randomSeed),
+  };
+}
+
+export function createPageClockScript(pageClock) {
+  const config = {
+    fakeTimers: pageClock.fakeTimers,
+    startTimeMs: pageClock.startTime ? Date.parse(pageClock.startTime) : null,
+    randomSeed: pageClock.randomSeed,
+  };
+  return `;(${installPageClock.toString()})(${JSON.stringify(config)});`;
+}
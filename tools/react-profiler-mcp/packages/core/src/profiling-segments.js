@@ -0,0 +1,109 @@
+export const CONTROL_CHANNEL_PATH = '/react-profiler-mcp-control';
+export const CONTROL_CHANNEL_EVENT = 'profilerControl';
+
+const CONTROL_EVENT_TYPES = new Set(['mark', 'segmentStart', 'segmentEnd']);
+
+// window.__REACT_PROFILER_MCP__ talks to the bridge server over its own socket, so the backend's
+// connection is never shared. Calls made before the socket opens are queued.
+export function createControlChannelScript({host, port}) {
+  const url = `ws://${host}:${port}${CONTROL_CHANNEL_PATH}`;
+  return `;(function(){
+  if (window.__REACT_PROFILER_MCP__) { return; }
+  var queue = [];
+  var socket = null;
+  function send(type, name, detail) {
+    var message;
+    try {
+      message = JSON.stringify({event: ${JSON.stringify(CONTROL_CHANNEL_EVENT)}, payload: {
+        type: type,
+        name: name == null ? null : String(name),
+        detail: detail === undefined ? null : detail,
+        timeMs: performance.now(),
+        timeOrigin: performance.timeOrigin
+      }});
+    } catch (error) {
+      console.warn('[react-profiler-mcp] marker detail must be JSON-serializable', error);
+      return;
+    }
+    try { performance.mark('react-profiler-mcp:' + type + (name == null ? '' : ':' + name)); } catch (error) {}
+    if (socket && socket.readyState === 1) { socket.send(message); } else { queue.push(message); }
+  }
+  try {
+    socket = new WebSocket(${JSON.stringify(url)});
+    socket.onopen = function() { queue.splice(0).forEach(function(message) { socket.send(message); }); };
+  } catch (error) {
+    console.warn('[react-profiler-mcp] control channel unavailable', error);
+  }
+  window.__REACT_PROFILER_MCP__ = {
+    mark: function(name, detail) { send('mark', name, detail); },
+    startSegment: function(name, detail) { send('segmentStart', name, detail); },
+    endSegment: function(name) { send('segmentEnd', name); }
+  };
+})();`;
+}
+
+function roundMs(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Page times become milliseconds since profiling start, the same base as commitData timestamps.
+export function buildProfilingSegments(events, {startPageTimeMs, stopPageTimeMs}) {
+  const marks = [];
+  const segments = [];
+  const warnings = [];
+  const openSegments = [];
+  const durationMs = roundMs(stopPageTimeMs - startPageTimeMs);
+
+  const sortedEvents = events
+    .filter((event) => CONTROL_EVENT_TYPES.has(event?.type) && Number.isFinite(event?.timeMs))
+    .map((event) => ({...event, timestamp: roundMs(event.timeMs - startPageTimeMs)}))
+    .filter((event) => event.timestamp >= 0 && event.timestamp <= durationMs)
+    .sort((left, right) => left.timestamp - right.timestamp);
+
+  for (const event of sortedEvents) {
+    if (event.type === 'mark') {
+      marks.push({
+        name: event.name ?? 'mark',
+        timestamp: event.timestamp,
+        ...(event.detail != null ? {detail: event.detail} : {}),
+      });
+      continue;
+    }
+
+    if (event.type === 'segmentStart') {
+      openSegments.push({
+        name: event.name ?? `segment-${segments.length + openSegments.length + 1}`,
+        startTimestamp: event.timestamp,
+        ...(event.detail != null ? {detail: event.detail} : {}),
+      });
+      continue;
+    }
+
+    // endSegment() without a name closes the most recently started segment.
+    let openIndex = -1;
+    for (let index = openSegments.length - 1; index >= 0; index -= 1) {
+      if (event.name == null || openSegments[index].name === event.name) {
+        openIndex = index;
+        break;
+      }
+    }
+    if (openIndex === -1) {
+      warnings.push(
+        `endSegment(${event.name == null ? '' : JSON.stringify(event.name)}) at ${event.timestamp}ms had no matching startSegment; it was ignored.`,
+      );
+      continue;
+    }
+    const [segment] = openSegments.splice(openIndex, 1);
+    segments.push({...segment, endTimestamp: event.timestamp, closedAtStop: false});
+  }
+
+  for (const segment of openSegments) {
+    segments.push({...segment, endTimestamp: durationMs, closedAtStop: true});
+    warnings.push(
+      `Segment ${JSON.stringify(segment.name)} was still open when profiling stopped; it ends at ${durationMs}ms.`,
+    );
+  }
+
+  segments.sort((left, right) => left.startTimestamp - right.startTimestamp);
+  return {marks, segments, warnings};
+}
@@ -0,0 +1,434 @@
+import {mkdir, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import {openBrowser} from './browser-connection.js';
+import {
+  DEFAULT_COMPONENT_FILTERS,
+  hasLocationComponentFilters,
+  normalizeComponentFilters,
+} from './component-filters.js';
+import {getLiveComponentTree, inspectLiveComponent, listLiveComponents} from './component-tree.js';
+import {applyEmulation, resolveEmulation} from './emulation.js';
+import {createHookSourceFetcher} from './hook-source-fetcher.js';
+import {runInteractionSteps, validateInteractionSteps} from './interaction-steps.js';
+import {resolvePath} from './io.js';
+import {
+  BridgeController,
+  DOCUMENT_FIBER_ID_STRIDE,
+  buildExportPayload,
+  captureInspectedElementsEnrichment,
+  collectErrorsAndWarnings,
+  collectProfilingData,
+  createInjectionScript,
+  describeDocumentWarnings,
+  describeSkippedFibersWarning,
+  loadBackendScriptSource,
+  markProfilingStart,
+  readDocumentInfo,
+  startBridgeProfiling,
+  startDocumentCapture,
+  stopBridgeProfiling,
+  trackBridgeOperations,
+} from './react-devtools-recorder.js';
+import {summarizeDevToolsProfile} from './summarize.js';
+
+function roundMs(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function countCommits(dataForRoots) {
+  return dataForRoots.reduce(
+    (sum, root) => sum + (Array.isArray(root?.commitData) ? root.commitData.length : 0),
+    0,
+  );
+}
+
+// Snapshots only name fibers that existed when profiling started; anything mounted since is still
+// in the live tree of the current document.
+function nameFromLiveTree(state, {rootID, fiberId}) {
+  const idOffset = state.documentIndex * DOCUMENT_FIBER_ID_STRIDE;
+  const node = state.liveTreesByRoot.get(rootID - idOffset)?.nodes.get(fiberId - idOffset);
+  return node?.displayName ?? null;
+}
+
+function summarizeTopComponents(summary, state, limit) {
+  const byName = new Map();
+  for (const component of summary.componentsByInstance) {
+    const name = component.componentName.startsWith('Unknown#')
+      ? (nameFromLiveTree(state, component) ?? component.componentName)
+      : component.componentName;
+    const aggregate = byName.get(name) ?? {
+      name,
+      instanceCount: 0,
+      renderCount: 0,
+      totalSelfMs: 0,
+      maxSubtreeMs: 0,
+    };
+    aggregate.instanceCount += 1;
+    aggregate.renderCount += component.renderCount;
+    aggregate.totalSelfMs += component.totalSelfMs;
+    aggregate.maxSubtreeMs = Math.max(aggregate.maxSubtreeMs, component.maxSubtreeMs);
+    byName.set(name, aggregate);
+  }
+  return [...byName.values()]
+    .sort((a, b) => b.totalSelfMs - a.totalSelfMs || b.renderCount - a.renderCount)
+    .slice(0, limit)
+    .map((component) => ({
+      ...component,
+      totalSelfMs: roundMs(component.totalSelfMs),
+      maxSubtreeMs: roundMs(component.maxSubtreeMs),
+    }));
+}
+
+// A session keeps the browser, page and bridge open between calls, so the caller can pick each
+// interaction after looking at interim results. Profiling runs from the end of the initial load
+// until stop(), which writes the same version 5 export as recordReactDevToolsProfile.
+export async function startProfilingSession({
+  cwd = process.cwd(),
+  url,
+  waitForSelector,
+  waitForSelectorTimeoutMs = 30000,
+  recordChangeDescriptions = true,
+  recordTimeline = false,
+  headless = true,
+  chromePath,
+  browserWSEndpoint,
+  browserURL,
+  viewport,
+  devicePreset,
+  userAgent,
+  cpuThrottlingRate,
+  networkPreset,
+  networkConditions,
+  navigationTimeoutMs = 60000,
+  launchArgs = [],
+  componentFilters,
+}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('startProfilingSession requires a non-empty url');
+  }
+
+  const attaching =
+    (typeof browserWSEndpoint === 'string' && browserWSEndpoint.length > 0) ||
+    (typeof browserURL === 'string' && browserURL.length > 0);
+  const emulation = resolveEmulation({
+    devicePreset,
+    viewport,
+    defaultViewport: attaching ? null : undefined,
+    userAgent,
+    cpuThrottlingRate,
+    networkPreset,
+    networkConditions,
+  });
+  const resolvedComponentFilters = normalizeComponentFilters(componentFilters);
+  const backendScriptSource = await loadBackendScriptSource();
+  const {browser, info, release} = await openBrowser({
+    chromePath,
+    headless,
+    launchArgs,
+    browserWSEndpoint,
+    browserURL,
+  });
+
+  const bridge = new BridgeController();
+  const state = trackBridgeOperations(bridge, {componentFilters: resolvedComponentFilters});
+  let page = null;
+  let emulationSession = null;
+  let documentCapture = null;
+  let closed = false;
+
+  const close = async () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    await Promise.allSettled([
+      documentCapture?.stop(),
+      emulationSession?.detach(),
+      page?.close(),
+      bridge.close(),
+    ]);
+    await Promise.resolve(release()).catch(() => {});
+  };
+
+  let profilingClock;
+  let profilingStartedAt;
+  try {
+    const {port} = await bridge.start();
+    page = await browser.newPage();
+    emulationSession = await applyEmulation(page, emulation);
+
+    const injectedScript = await page.evaluateOnNewDocument(
+      createInjectionScript({
+        backendScriptSource,
+        host: '127.0.0.1',
+        port,
+        componentFilters: resolvedComponentFilters,
+      }),
+    );
+    const backendInitializedPromise = bridge.waitForEvent('backendInitialized', {
+      timeoutMs: navigationTimeoutMs,
+    });
+    await page.goto(url, {waitUntil: 'networkidle2', timeout: navigationTimeoutMs});
+    await backendInitializedPromise;
+
+    if (typeof waitForSelector === 'string' && waitForSelector.length > 0) {
+      await page.waitForSelector(waitForSelector, {timeout: waitForSelectorTimeoutMs});
+    }
+
+    const {markPageTimeMs, timeOrigin} = await markProfilingStart(page);
+    // As in a recording, documents loaded later in the session profile from their first commit.
+    await page.removeScriptToEvaluateOnNewDocument(injectedScript.identifier);
+    await page.evaluateOnNewDocument(
+      createInjectionScript({
+        backendScriptSource,
+        host: '127.0.0.1',
+        port,
+        profileOnLoad: {
+          recordChangeDescriptions: recordChangeDescriptions === true,
+          recordTimeline: recordTimeline === true,
+        },
+        componentFilters: resolvedComponentFilters,
+      }),
+    );
+    await startBridgeProfiling(bridge, state, {recordChangeDescriptions, recordTimeline});
+    documentCapture = await startDocumentCapture(page, {bridge, state});
+    profilingStartedAt = Date.now();
+
+    const profilingStatusPageTimeMs = await page.evaluate(() => performance.now());
+    profilingClock = {
+      timeOrigin,
+      markPageTimeMs,
+      profilingStartPageTimeMs: markPageTimeMs,
+      profilingStartUncertaintyMs: Math.max(0, profilingStatusPageTimeMs - markPageTimeMs),
+    };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  const steps = [];
+  // Bridge replies are matched by event name, so overlapping calls would take each other's data.
+  let pending = Promise.resolve();
+  const exclusive = (task) => {
+    const run = pending.then(() => {
+      if (closed) {
+        throw new Error('The profiling session has been stopped');
+      }
+      return task();
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  const collect = async () =>
+    collectProfilingData(bridge, state, {
+      profilingStartEpochMs: profilingClock.timeOrigin + profilingClock.markPageTimeMs,
+      liveDocument: state.documentIndex > 0 ? await readDocumentInfo(page) : null,
+    });
+
+  return {
+    info: {
+      url,
+      browser: info,
+      emulation,
+      recordChangeDescriptions: recordChangeDescriptions === true,
+      recordTimeline: recordTimeline === true,
+    },
+
+    step(step) {
+      return exclusive(async () => {
+        validateInteractionSteps([step], {label: 'step'});
+        const startedAtMs = Date.now() - profilingStartedAt;
+        await runInteractionSteps(page, [step], {label: 'step', navigationTimeoutMs});
+        const entry = {
+          index: steps.length,
+          action: step.action,
+          startedAtMs,
+          durationMs: Date.now() - profilingStartedAt - startedAtMs,
+        };
+        steps.push(entry);
+        return {...entry, url: page.url()};
+      });
+    },
+
+    evaluate(expression) {
+      return exclusive(async () => {
+        if (typeof expression !== 'string' || expression.length === 0) {
+          throw new Error('evaluate requires a non-empty expression');
+        }
+        const value = await page.evaluate(expression);
+        return {value: value === undefined ? null : value, url: page.url()};
+      });
+    },
+
+    snapshot({topComponentCount = 10} = {}) {
+      return exclusive(async () => {
+        const {dataForRoots} = await collect();
+        const summary = summarizeDevToolsProfile({dataForRoots});
+        const lastCommit = summary.commits.reduce(
+          (latest, commit) =>
+            !latest || commit.timestampMs > latest.timestampMs ? commit : latest,
+          null,
+        );
+        return {
+          url: page.url(),
+          elapsedMs: Date.now() - profilingStartedAt,
+          stepCount: steps.length,
+          documentCount: state.documentIndex + 1,
+          commitCount: summary.commitCount,
+          totalCommitDurationMs: roundMs(summary.totalCommitDurationMs),
+          lastCommit: lastCommit
+            ? {
+                rootID: lastCommit.rootID,
+                timestampMs: lastCommit.timestampMs,
+                durationMs: lastCommit.durationMs,
+              }
+            : null,
+          topComponents: summarizeTopComponents(summary, state, topComponentCount),
+        };
+      });
+    },
+
+    // Component queries read the session's live tree, so fiber ids stay valid between calls until
+    // the page loads another document.
+    listComponents(options) {
+      return exclusive(async () => listLiveComponents({bridge, state, page}, options));
+    },
+
+    inspectComponent(options) {
+      return exclusive(() => inspectLiveComponent({bridge, state, page}, options));
+    },
+
+    getComponentTree(options) {
+      return exclusive(async () => getLiveComponentTree({bridge, state, page}, options));
+    },
+
+    stop({
+      outputPath,
+      inspectElements = true,
+      inspectElementsMaxPerRoot = 1500,
+      inspectElementsTimeoutMs = 4000,
+      inspectElementsBudgetMs = 60000,
+      inspectElementsConcurrency = 8,
+      parseHookNamesEnabled = true,
+      parseHookNamesTimeoutMs = 5000,
+      parseHookNamesSourceRoots = [],
+    } = {}) {
+      return exclusive(async () => {
+        if (typeof outputPath !== 'string' || outputPath.length === 0) {
+          throw new Error('Stopping a profiling session requires outputPath');
+        }
+
+        try {
+          await stopBridgeProfiling(bridge, state);
+          const profiledDurationMs = Date.now() - profilingStartedAt;
+          await documentCapture.stop();
+          documentCapture = null;
+
+          const {dataForRoots, timelineData, documents} = await collect();
+          const errorsAndWarnings = collectErrorsAndWarnings(state);
+          const hookSourceFetcher = createHookSourceFetcher({
+            cwd,
+            sourceRoots: parseHookNamesSourceRoots,
+          });
+          const inspectedElements = await captureInspectedElementsEnrichment({
+            bridge,
+            page,
+            dataForRoots,
+            rootToRenderer: state.rootToRenderer,
+            liveDocumentIndex: state.documentIndex,
+            enabled: inspectElements === true,
+            maxFibersPerRoot: inspectElementsMaxPerRoot,
+            timeoutMs: inspectElementsTimeoutMs,
+            timeBudgetMs: inspectElementsBudgetMs,
+            inspectConcurrency: inspectElementsConcurrency,
+            parseHookNamesEnabled: parseHookNamesEnabled === true,
+            parseHookNamesTimeoutMs,
+            hookSourceFetcher,
+          });
+
+          const commitCount = countCommits(dataForRoots);
+          const warnings = describeDocumentWarnings(documents);
+          if (documents && hasLocationComponentFilters(resolvedComponentFilters)) {
+            warnings.push(
+              `Location component filters were not applied to the ${documents.length - 1} document(s) loaded while profiling; components they match stay visible there.`,
+            );
+          }
+          if (commitCount === 0) {
+            warnings.push(
+              'No commits were captured. Ensure the session steps trigger React updates before stopping.',
+            );
+          }
+          const skippedInspectWarning = describeSkippedFibersWarning(inspectedElements);
+          if (skippedInspectWarning) {
+            warnings.push(skippedInspectWarning);
+          }
+
+          const exportPayload = buildExportPayload({
+            dataForRoots,
+            timelineData,
+            inspectOptions: {
+              inspectElements,
+              inspectElementsMaxPerRoot,
+              inspectElementsTimeoutMs,
+              inspectElementsBudgetMs,
+              inspectElementsConcurrency,
+              parseHookNamesEnabled,
+              parseHookNamesTimeoutMs,
+            },
+            hookSourceFetcher,
+            recorder: {
+              target: 'session',
+              session: {
+                url,
+                profiledDurationMs,
+                steps,
+              },
+              emulation,
+              browser: info,
+            },
+            warnings,
+            automationMeta: {
+              componentFilters: resolvedComponentFilters ?? DEFAULT_COMPONENT_FILTERS,
+              profilingClock,
+              ...(documents ? {documents} : {}),
+            },
+            errorsAndWarnings,
+            inspectedElements,
+          });
+
+          const resolvedOutputPath = resolvePath(cwd, outputPath);
+          await mkdir(path.dirname(resolvedOutputPath), {recursive: true});
+          await writeFile(
+            resolvedOutputPath,
+            `${JSON.stringify(exportPayload, null, 2)}\n`,
+            'utf8',
+          );
+
+          return {
+            outputPath: resolvedOutputPath,
+            target: 'session',
+            rootCount: dataForRoots.length,
+            commitCount,
+            documentCount: documents ? documents.length : 1,
+            stepCount: steps.length,
+            profiledDurationMs,
+            roots: dataForRoots.map((root) => ({
+              rootID: root.rootID,
+              displayName: root.displayName,
+              commitCount: Array.isArray(root.commitData) ? root.commitData.length : 0,
+            })),
+            inspectedElements,
+            warnings,
+          };
+        } finally {
+          await close();
+        }
+      });
+    },
+
+    abort: close,
+  };
+}
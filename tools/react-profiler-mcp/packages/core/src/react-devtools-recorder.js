@@ -3,34 +3,88 @@ import {mkdir, readFile, writeFile} from 'node:fs/promises';
 import path from 'node:path';
 import {createRequire} from 'node:module';
 
-import puppeteer from 'puppeteer-core';
 import {WebSocketServer} from 'ws';
 
+import {findTabByUrlPattern, openBrowser} from './browser-connection.js';
+import {
+  DEFAULT_COMPONENT_FILTERS,
+  hasLocationComponentFilters,
+  normalizeComponentFilters,
+} from './component-filters.js';
+import {startConsoleCapture} from './console-capture.js';
+import {createHostNodesExpression} from './dom-selectors.js';
+import {applyEmulation, resolveEmulation} from './emulation.js';
+import {startFilmstrip} from './filmstrip.js';
+import {
+  HEAP_TRACE_CATEGORIES,
+  attributeHeapToCommits,
+  extractHeapTimeline,
+  startHeapSampling,
+} from './heap-profile.js';
 import {createHookSourceFetcher} from './hook-source-fetcher.js';
+import {
+  loadNetworkReplaySource,
+  resolveNetworkReplay,
+  startHarRecording,
+  startNetworkReplay,
+} from './network-replay.js';
+import {
+  hasInteractionStep,
+  runInteractionSteps,
+  validateInteractionSteps,
+} from './interaction-steps.js';
+import {applyOperationsToLiveTree, offsetOperationIDs} from './live-tree.js';
+import {createPageClockScript, resolvePageClock} from './page-clock.js';
+import {
+  CONTROL_CHANNEL_EVENT,
+  CONTROL_CHANNEL_PATH,
+  buildProfilingSegments,
+  createControlChannelScript,
+} from './profiling-segments.js';
+import {convertRecorderFlowToSteps} from './recorder-flow.js';
+import {RECORDER_NAME, RECORDER_VERSION} from './recorder-info.js';
+import {
+  applyStorageState,
+  captureStorageState,
+  loadStorageState,
+  saveStorageState,
+  summarizeStorageState,
+} from './storage-state.js';
+import {collectWebVitals, createWebVitalsScript} from './web-vitals.js';
 import {resolvePath} from './io.js';
+import {sleep} from './util.js';
 import {parseHookNames} from './vendor/react-devtools-shared/hooks/parseHookNames.js';
 import {getHookSourceLocationKey} from './vendor/react-devtools-shared/hooks/hookSourceLocation.js';
 
 const require = createRequire(import.meta.url);
 
-const ELEMENT_TYPE_ROOT = 11;
-
-const TREE_OPERATION_ADD = 1;
-const TREE_OPERATION_REMOVE = 2;
-const TREE_OPERATION_REORDER_CHILDREN = 3;
-const TREE_OPERATION_UPDATE_TREE_BASE_DURATION = 4;
-const TREE_OPERATION_UPDATE_ERRORS_OR_WARNINGS = 5;
-const TREE_OPERATION_SET_SUBTREE_MODE = 7;
-const SUSPENSE_TREE_OPERATION_ADD = 8;
-const SUSPENSE_TREE_OPERATION_REMOVE = 9;
-const SUSPENSE_TREE_OPERATION_REORDER_CHILDREN = 10;
-const SUSPENSE_TREE_OPERATION_RESIZE = 11;
-const SUSPENSE_TREE_OPERATION_SUSPENDERS = 12;
-const TREE_OPERATION_APPLIED_ACTIVITY_SLICE_CHANGE = 13;
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, Math.max(0, Number(ms) || 0)));
-}
+const DEFAULT_CHROME_TRACE_CATEGORIES = [
+  'devtools.timeline',
+  'blink.user_timing',
+  'v8',
+  'disabled-by-default-v8.cpu_profiler',
+];
+
+const PROFILING_START_MARK_NAME = 'react-profiler-mcp:profiling-start';
+const MAX_HOST_NODES_PER_FIBER = 5;
+const MAX_REPORTED_SKIPPED_FIBERS = 25;
+
+// Each document gets a fresh backend whose fiber IDs restart at 1, so every document after the
+// first is moved into its own ID range when documents are merged into one export.
+export const DOCUMENT_FIBER_ID_STRIDE = 10000000;
+
+// Upper bound on how long a navigation away from a profiled document is held while its profiling
+// data is pulled; past it the navigation goes through and the document is reported as missing.
+const DOCUMENT_CAPTURE_HOLD_MS = 5000;
+const DOCUMENT_INFO_GLOBAL = '__REACT_PROFILER_MCP_DOCUMENT__';
+
+const RUN_MANIFEST_FORMAT = 'react-profiler-mcp/run-manifest';
+
+const UNMATCHED_REQUEST_OUTCOMES = {
+  abort: 'aborted',
+  continue: 'sent to the network',
+  'not-found': 'answered with 404',
+};
 
 async function runWithConcurrency(items, concurrency, worker) {
   const safeItems = Array.isArray(items) ? items : [];
@@ -57,275 +111,43 @@ async function runWithConcurrency(items, concurrency, worker) {
   await Promise.all(workers);
 }
 
-function parseElementDisplayNameFromBackend(displayName, type) {
-  if (displayName == null) {
-    return {
-      formattedDisplayName: null,
-      hocDisplayNames: null,
-      compiledWithForget: false,
-    };
-  }
-
-  if (displayName.startsWith('Forget(') && displayName.endsWith(')')) {
-    const inner = displayName.slice(7, displayName.length - 1);
-    const parsed = parseElementDisplayNameFromBackend(inner, type);
-    return {
-      formattedDisplayName: parsed.formattedDisplayName,
-      hocDisplayNames: parsed.hocDisplayNames,
-      compiledWithForget: true,
-    };
-  }
-
-  let formattedDisplayName = displayName;
-  let hocDisplayNames = null;
-
-  if ([1, 5, 6, 8, 15].includes(type) && displayName.includes('(')) {
-    const matches = displayName.match(/[^()]+/g);
-    if (Array.isArray(matches) && matches.length > 0) {
-      formattedDisplayName = matches[matches.length - 1] ?? displayName;
-      hocDisplayNames = matches.length > 1 ? matches.slice(0, -1) : null;
-    }
-  }
+function offsetPairIDs(pairs, offset) {
+  return Array.isArray(pairs)
+    ? pairs.map((pair) =>
+        Array.isArray(pair) ? [Number(pair[0]) + offset, ...pair.slice(1)] : pair,
+      )
+    : pairs;
+}
 
+function offsetDocumentRoot(root, {idOffset, timestampOffsetMs}) {
   return {
-    formattedDisplayName,
-    hocDisplayNames,
-    compiledWithForget: false,
+    ...root,
+    rootID: Number(root.rootID) + idOffset,
+    commitData: (Array.isArray(root.commitData) ? root.commitData : []).map((commit) => ({
+      ...commit,
+      timestamp: Number.isFinite(commit?.timestamp)
+        ? Math.round((commit.timestamp + timestampOffsetMs) * 1000) / 1000
+        : commit?.timestamp,
+      fiberActualDurations: offsetPairIDs(commit?.fiberActualDurations, idOffset),
+      fiberSelfDurations: offsetPairIDs(commit?.fiberSelfDurations, idOffset),
+      changeDescriptions: offsetPairIDs(commit?.changeDescriptions, idOffset),
+      updaters: Array.isArray(commit?.updaters)
+        ? commit.updaters.map((updater) => ({...updater, id: Number(updater?.id) + idOffset}))
+        : commit?.updaters,
+    })),
+    initialTreeBaseDurations: offsetPairIDs(root.initialTreeBaseDurations, idOffset),
+    operations: root.operations.map((operations) => offsetOperationIDs(operations, idOffset)),
+    snapshots: root.snapshots.map(([id, node]) => [
+      id + idOffset,
+      {
+        ...node,
+        id: node.id + idOffset,
+        children: node.children.map((childID) => childID + idOffset),
+      },
+    ]),
   };
 }
 
-function decodeStringTableEntry(operations, startIndex, length) {
-  let text = '';
-  for (let i = 0; i < length; i += 1) {
-    const codePoint = Number(operations[startIndex + i]);
-    if (!Number.isFinite(codePoint)) continue;
-    text += String.fromCodePoint(codePoint);
-  }
-  return text;
-}
-
-function getOrCreateRootTree(liveTreesByRoot, rootID) {
-  let tree = liveTreesByRoot.get(rootID);
-  if (!tree) {
-    tree = {
-      rootID,
-      nodes: new Map(),
-    };
-    liveTreesByRoot.set(rootID, tree);
-  }
-  return tree;
-}
-
-function applyOperationsToLiveTree({liveTreesByRoot, operations}) {
-  if (!Array.isArray(operations) || operations.length < 3) {
-    return;
-  }
-
-  const rootID = Number(operations[1]);
-  if (!Number.isFinite(rootID)) {
-    return;
-  }
-
-  const tree = getOrCreateRootTree(liveTreesByRoot, rootID);
-  const nodes = tree.nodes;
-
-  let i = 2;
-
-  const stringTable = [null];
-  const stringTableSize = Number(operations[i++]);
-  if (!Number.isFinite(stringTableSize) || stringTableSize < 0) {
-    return;
-  }
-
-  const stringTableEnd = Math.min(operations.length, i + stringTableSize);
-  while (i < stringTableEnd) {
-    const nextLength = Number(operations[i++]);
-    if (!Number.isFinite(nextLength) || nextLength < 0 || i + nextLength > operations.length) {
-      return;
-    }
-    stringTable.push(decodeStringTableEntry(operations, i, nextLength));
-    i += nextLength;
-  }
-
-  while (i < operations.length) {
-    const operation = Number(operations[i]);
-
-    switch (operation) {
-      case TREE_OPERATION_ADD: {
-        const id = Number(operations[i + 1]);
-        const type = Number(operations[i + 2]);
-        i += 3;
-
-        if (!Number.isFinite(id)) {
-          break;
-        }
-
-        if (type === ELEMENT_TYPE_ROOT) {
-          i += 4;
-          nodes.set(id, {
-            id,
-            parentID: 0,
-            children: [],
-            displayName: null,
-            hocDisplayNames: null,
-            key: null,
-            type,
-            compiledWithForget: false,
-          });
-          tree.rootID = id;
-          break;
-        }
-
-        const parentID = Number(operations[i]);
-        i += 1;
-        i += 1; // ownerID
-
-        const displayNameStringID = Number(operations[i]);
-        i += 1;
-
-        const keyStringID = Number(operations[i]);
-        i += 1;
-
-        i += 1; // name prop string ID
-
-        const rawDisplayName =
-          typeof stringTable[displayNameStringID] === 'string'
-            ? stringTable[displayNameStringID]
-            : null;
-        const {formattedDisplayName, hocDisplayNames, compiledWithForget} =
-          parseElementDisplayNameFromBackend(rawDisplayName, type);
-
-        const existing = nodes.get(id);
-        if (existing && Number.isFinite(existing.parentID)) {
-          const oldParent = nodes.get(existing.parentID);
-          if (oldParent) {
-            oldParent.children = oldParent.children.filter((childID) => childID !== id);
-          }
-        }
-
-        const parentNode = nodes.get(parentID);
-        if (parentNode && !parentNode.children.includes(id)) {
-          parentNode.children = parentNode.children.concat(id);
-        }
-
-        nodes.set(id, {
-          id,
-          parentID: Number.isFinite(parentID) ? parentID : 0,
-          children: existing?.children ?? [],
-          displayName: formattedDisplayName,
-          hocDisplayNames,
-          key: stringTable[keyStringID] ?? null,
-          type: Number.isFinite(type) ? type : null,
-          compiledWithForget,
-        });
-        break;
-      }
-      case TREE_OPERATION_REMOVE: {
-        const removeLength = Number(operations[i + 1]);
-        i += 2;
-
-        if (!Number.isFinite(removeLength) || removeLength < 0) {
-          break;
-        }
-
-        for (let removeIndex = 0; removeIndex < removeLength && i < operations.length; removeIndex += 1) {
-          const id = Number(operations[i++]);
-          if (!Number.isFinite(id)) continue;
-
-          const node = nodes.get(id);
-          if (!node) continue;
-
-          const parentNode = nodes.get(node.parentID);
-          if (parentNode) {
-            parentNode.children = parentNode.children.filter((childID) => childID !== id);
-          }
-          nodes.delete(id);
-        }
-        break;
-      }
-      case TREE_OPERATION_REORDER_CHILDREN: {
-        const id = Number(operations[i + 1]);
-        const numChildren = Number(operations[i + 2]);
-        i += 3;
-
-        if (!Number.isFinite(numChildren) || numChildren < 0) {
-          break;
-        }
-
-        const children = [];
-        for (let childIndex = 0; childIndex < numChildren && i < operations.length; childIndex += 1) {
-          const childID = Number(operations[i++]);
-          if (Number.isFinite(childID)) {
-            children.push(childID);
-          }
-        }
-
-        const node = nodes.get(id);
-        if (node) {
-          node.children = children;
-          for (const childID of children) {
-            const childNode = nodes.get(childID);
-            if (childNode) {
-              childNode.parentID = id;
-            }
-          }
-        }
-        break;
-      }
-      case TREE_OPERATION_SET_SUBTREE_MODE: {
-        i += 3;
-        break;
-      }
-      case TREE_OPERATION_UPDATE_TREE_BASE_DURATION: {
-        i += 3;
-        break;
-      }
-      case TREE_OPERATION_UPDATE_ERRORS_OR_WARNINGS: {
-        i += 4;
-        break;
-      }
-      case SUSPENSE_TREE_OPERATION_ADD: {
-        const numRects = Number(operations[i + 5]);
-        i += 6 + (numRects === -1 ? 0 : Math.max(0, numRects) * 4);
-        break;
-      }
-      case SUSPENSE_TREE_OPERATION_REMOVE: {
-        const removeLength = Number(operations[i + 1]);
-        i += 2 + (Number.isFinite(removeLength) && removeLength > 0 ? removeLength : 0);
-        break;
-      }
-      case SUSPENSE_TREE_OPERATION_REORDER_CHILDREN: {
-        const numChildren = Number(operations[i + 2]);
-        i += 3 + (Number.isFinite(numChildren) && numChildren > 0 ? numChildren : 0);
-        break;
-      }
-      case SUSPENSE_TREE_OPERATION_RESIZE: {
-        const numRects = Number(operations[i + 2]);
-        i += 3 + (numRects === -1 ? 0 : Math.max(0, numRects) * 4);
-        break;
-      }
-      case SUSPENSE_TREE_OPERATION_SUSPENDERS: {
-        i += 1;
-        const changeLength = Number(operations[i++]);
-        const safeLength = Number.isFinite(changeLength) && changeLength > 0 ? changeLength : 0;
-        for (let index = 0; index < safeLength && i < operations.length; index += 1) {
-          i += 4;
-          const environmentNamesLength = Number(operations[i++]);
-          i += Number.isFinite(environmentNamesLength) && environmentNamesLength > 0 ? environmentNamesLength : 0;
-        }
-        break;
-      }
-      case TREE_OPERATION_APPLIED_ACTIVITY_SLICE_CHANGE: {
-        i += 2;
-        break;
-      }
-      default: {
-        i += 1;
-      }
-    }
-  }
-}
-
 function serializeSnapshotTree(tree) {
   if (!tree || !(tree.nodes instanceof Map)) {
     return [];
@@ -347,7 +169,7 @@ function serializeSnapshotTree(tree) {
     .sort((a, b) => a[0] - b[0]);
 }
 
-class BridgeController {
+export class BridgeController {
   constructor() {
     this._server = null;
     this._wss = null;
@@ -373,8 +195,12 @@ class BridgeController {
     }
 
     const wss = new WebSocketServer({server: httpServer, maxPayload: 1e9});
-    wss.on('connection', (socket) => {
-      this._socket = socket;
+    wss.on('connection', (socket, request) => {
+      // The in-page control API connects on its own path; it only ever sends events.
+      const isControlChannel = request?.url === CONTROL_CHANNEL_PATH;
+      if (!isControlChannel) {
+        this._socket = socket;
+      }
       socket.on('message', (buffer) => {
         let parsed;
         try {
@@ -386,6 +212,10 @@ class BridgeController {
         if (!parsed || typeof parsed.event !== 'string') {
           return;
         }
+        // Any page script can open the control path, so it must not be able to forge backend events.
+        if (isControlChannel && parsed.event !== CONTROL_CHANNEL_EVENT) {
+          return;
+        }
         this._dispatchEvent(parsed.event, parsed.payload);
       });
 
@@ -512,27 +342,7 @@ class BridgeController {
   }
 }
 
-function resolveChromePath(explicitPath) {
-  const candidates = [
-    explicitPath,
-    process.env.CHROME_PATH,
-    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-    '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
-  ].filter(Boolean);
-
-  for (const candidate of candidates) {
-    try {
-      require('node:fs').accessSync(candidate);
-      return candidate;
-    } catch {
-      // Try next candidate.
-    }
-  }
-
-  throw new Error('Chrome executable not found. Pass --chrome-path or set CHROME_PATH.');
-}
-
-async function loadBackendScriptSource() {
+export async function loadBackendScriptSource() {
   const entryPath = require.resolve('react-devtools-core/backend');
   const entrySource = await readFile(entryPath, 'utf8');
 
@@ -549,92 +359,91 @@ async function loadBackendScriptSource() {
   return readFile(distPath, 'utf8');
 }
 
-async function runInteractionStep(page, step) {
-  const action = step?.action;
+// With profileOnLoad the renderer starts profiling as it attaches, so a document loaded while
+// recording is profiled from its first commit. Its commits are stamped relative to that attach, so
+// the attach time is kept on the page to place them on the recording's clock. Component filters are
+// read by the backend when a renderer attaches, so they apply from a document's first commit.
+export function createInjectionScript({
+  backendScriptSource,
+  host,
+  port,
+  profileOnLoad = null,
+  componentFilters = null,
+}) {
+  const initializeArgs = profileOnLoad
+    ? `undefined, true, ${JSON.stringify(profileOnLoad)}, undefined`
+    : 'undefined, false, undefined, undefined';
+  const documentSnippet = profileOnLoad
+    ? `\n  var profilingStartByRenderer = {};\n  Object.defineProperty(window, ${JSON.stringify(DOCUMENT_INFO_GLOBAL)}, {value: {timeOrigin: performance.timeOrigin, profilingStartByRenderer: profilingStartByRenderer}, configurable: true});\n  window.__REACT_DEVTOOLS_GLOBAL_HOOK__.sub('renderer', function(event) { profilingStartByRenderer[event.id] = performance.now(); });`
+    : '';
+  const filtersSnippet = componentFilters
+    ? `\n  window.__REACT_DEVTOOLS_COMPONENT_FILTERS__ = ${JSON.stringify(componentFilters)};`
+    : '';
+  const initializeSnippet = `\n;(function(){\n  if (window.__REACT_DEVTOOLS_AUTOMATION_CONNECTED__) { return; }\n  window.__REACT_DEVTOOLS_AUTOMATION_CONNECTED__ = true;${filtersSnippet}\n  ReactDevToolsBackend.initialize(${initializeArgs});${documentSnippet}\n  ReactDevToolsBackend.connectToDevTools({host: ${JSON.stringify(host)}, port: ${port}, useHttps: false, retryConnectionDelay: 250${
+    profileOnLoad ? ', isProfiling: true' : ''
+  }});\n})();`;
+  return `${backendScriptSource}\n${initializeSnippet}\n${createControlChannelScript({host, port})}`;
+}
 
-  switch (action) {
-    case 'wait': {
-      const ms = Number(step.ms ?? step.durationMs ?? 0);
-      await sleep(ms);
-      return;
-    }
-    case 'waitForSelector': {
-      await page.waitForSelector(String(step.selector), {
-        timeout: Number(step.timeoutMs ?? 30000),
-      });
-      return;
-    }
-    case 'click': {
-      await page.click(String(step.selector));
-      return;
-    }
-    case 'clickText': {
-      const selector = typeof step.selector === 'string' ? step.selector : 'button';
-      const text = String(step.text ?? '');
-      await page.evaluate(
-        ({selectorArg, textArg}) => {
-          const candidates = Array.from(document.querySelectorAll(selectorArg));
-          const target = candidates.find((element) => {
-            const content = (element.textContent || '').trim();
-            return content === textArg || content.includes(textArg);
-          });
-          if (!target) {
-            throw new Error(`No element matched text \"${textArg}\" for selector \"${selectorArg}\"`);
-          }
-          target.click();
-        },
-        {selectorArg: selector, textArg: text},
-      );
-      return;
-    }
-    case 'type': {
-      const selector = String(step.selector);
-      const text = String(step.text ?? '');
-      const delay = Number(step.delayMs ?? step.delay ?? 0);
-      if (step.clear === true) {
-        await page.click(selector, {clickCount: 3});
-        await page.keyboard.press('Backspace');
-      }
-      await page.type(selector, text, {delay});
-      return;
-    }
-    case 'press': {
-      await page.keyboard.press(String(step.key));
-      return;
-    }
-    case 'navigate': {
-      await page.goto(String(step.url), {
-        waitUntil: typeof step.waitUntil === 'string' ? step.waitUntil : 'networkidle2',
-        timeout: Number(step.timeoutMs ?? 60000),
-      });
-      return;
-    }
-    case 'evaluate': {
-      const expression = String(step.expression ?? '');
-      await page.evaluate(expression);
-      return;
+export async function markProfilingStart(page) {
+  return page.evaluate((markName) => {
+    const mark = performance.mark(markName);
+    return {
+      markPageTimeMs: mark?.startTime ?? performance.now(),
+      // Differs from the mark time only under the fake clock, whose performance.now() the
+      // backend and the in-page control API both use.
+      pageNowMs: performance.now(),
+      timeOrigin: performance.timeOrigin,
+    };
+  }, PROFILING_START_MARK_NAME);
+}
+
+function findTraceEventTimestampUs(traceData, eventName) {
+  const traceEvents = Array.isArray(traceData)
+    ? traceData
+    : Array.isArray(traceData?.traceEvents)
+      ? traceData.traceEvents
+      : [];
+
+  for (const event of traceEvents) {
+    if (event?.name === eventName && Number.isFinite(event?.ts)) {
+      return Number(event.ts);
     }
-    default:
-      throw new Error(`Unsupported interaction step action: ${String(action)}`);
   }
+  return null;
 }
 
-async function runInteractionSteps(page, steps = []) {
-  if (!Array.isArray(steps)) {
-    throw new Error('Interaction steps must be an array');
-  }
+async function resolveChromeTraceClockSync({tracePath, traceData, profilingClock}) {
+  const clockSync = {
+    method: 'performance-mark',
+    markName: PROFILING_START_MARK_NAME,
+    markPageTimeMs: profilingClock.markPageTimeMs,
+    markTraceTsUs: null,
+    pageTimeToTraceOffsetUs: null,
+    profilingStartTraceTsUs: null,
+    profilingStartUncertaintyMs: profilingClock.profilingStartUncertaintyMs,
+    errorMessage: null,
+  };
 
-  for (const step of steps) {
-    const repeat = Math.max(1, Number(step?.repeat ?? 1));
-    for (let index = 0; index < repeat; index += 1) {
-      await runInteractionStep(page, step);
+  try {
+    const markTraceTsUs = findTraceEventTimestampUs(
+      traceData ?? JSON.parse(await readFile(tracePath, 'utf8')),
+      PROFILING_START_MARK_NAME,
+    );
+    if (markTraceTsUs === null) {
+      clockSync.errorMessage = `Clock sync mark "${PROFILING_START_MARK_NAME}" was not found in the trace; include the blink.user_timing category.`;
+      return clockSync;
     }
+
+    clockSync.markTraceTsUs = markTraceTsUs;
+    clockSync.pageTimeToTraceOffsetUs = markTraceTsUs - profilingClock.markPageTimeMs * 1000;
+    clockSync.profilingStartTraceTsUs =
+      clockSync.pageTimeToTraceOffsetUs + profilingClock.profilingStartPageTimeMs * 1000;
+  } catch (error) {
+    clockSync.errorMessage = String(error?.message ?? error);
   }
-}
 
-function createInjectionScript({backendScriptSource, host, port}) {
-  const initializeSnippet = `\n;(function(){\n  if (window.__REACT_DEVTOOLS_AUTOMATION_CONNECTED__) { return; }\n  window.__REACT_DEVTOOLS_AUTOMATION_CONNECTED__ = true;\n  ReactDevToolsBackend.initialize(undefined, false, undefined, undefined);\n  ReactDevToolsBackend.connectToDevTools({host: ${JSON.stringify(host)}, port: ${port}, useHttps: false, retryConnectionDelay: 250});\n})();`;
-  return `${backendScriptSource}\n${initializeSnippet}`;
+  return clockSync;
 }
 
 function captureSnapshotsAtProfilingStart(liveTreesByRoot) {
@@ -671,31 +480,53 @@ function normalizePairEntries(value) {
   return pairs;
 }
 
-function collectCandidateFiberIDsForRoot(root) {
-  const candidates = new Set();
+// Ranks fibers by the render cost captured in commitData, so the per-root cap and the time budget
+// cut off cold fibers first. Fibers that only show up as updaters rank last.
+function collectCandidateFibersForRoot(root) {
+  const candidates = new Map();
+  const getCandidate = (fiberID) => {
+    let candidate = candidates.get(fiberID);
+    if (!candidate) {
+      candidate = {fiberID, selfMs: 0, subtreeMs: 0, renderCount: 0};
+      candidates.set(fiberID, candidate);
+    }
+    return candidate;
+  };
 
   const commitData = Array.isArray(root?.commitData) ? root.commitData : [];
   for (const commit of commitData) {
+    const renderedInCommit = new Set();
     for (const [fiberID] of normalizePairEntries(commit?.changeDescriptions)) {
-      candidates.add(fiberID);
+      getCandidate(fiberID);
+      renderedInCommit.add(fiberID);
     }
-    for (const [fiberID] of normalizePairEntries(commit?.fiberActualDurations)) {
-      candidates.add(fiberID);
+    for (const [fiberID, durationMs] of normalizePairEntries(commit?.fiberActualDurations)) {
+      getCandidate(fiberID).subtreeMs += Number.isFinite(durationMs) ? durationMs : 0;
+      renderedInCommit.add(fiberID);
     }
-    for (const [fiberID] of normalizePairEntries(commit?.fiberSelfDurations)) {
-      candidates.add(fiberID);
+    for (const [fiberID, durationMs] of normalizePairEntries(commit?.fiberSelfDurations)) {
+      getCandidate(fiberID).selfMs += Number.isFinite(durationMs) ? durationMs : 0;
+      renderedInCommit.add(fiberID);
+    }
+    for (const fiberID of renderedInCommit) {
+      getCandidate(fiberID).renderCount += 1;
     }
 
     const updaters = Array.isArray(commit?.updaters) ? commit.updaters : [];
     for (const updater of updaters) {
       const updaterID = Number(updater?.id);
       if (Number.isFinite(updaterID)) {
-        candidates.add(updaterID);
+        getCandidate(updaterID);
       }
     }
   }
 
-  return [...candidates].sort((a, b) => a - b);
+  return [...candidates.values()].sort((a, b) => {
+    if (b.selfMs !== a.selfMs) return b.selfMs - a.selfMs;
+    if (b.subtreeMs !== a.subtreeMs) return b.subtreeMs - a.subtreeMs;
+    if (b.renderCount !== a.renderCount) return b.renderCount - a.renderCount;
+    return a.fiberID - b.fiberID;
+  });
 }
 
 function normalizeHookSource(hookSource) {
@@ -1143,7 +974,7 @@ function normalizeOwners(owners) {
     .filter((owner) => owner.id !== null || owner.displayName !== null);
 }
 
-function summarizeInspectedElementValue(value) {
+export function summarizeInspectedElementValue(value) {
   const hooksTree = extractNormalizedHooksTree(value);
   return {
     source: normalizeSourceLocation(value?.source),
@@ -1161,7 +992,7 @@ function summarizeInspectedElementValue(value) {
   };
 }
 
-async function inspectElement(bridge, {rendererID, fiberID, requestID, timeoutMs}) {
+export async function inspectElement(bridge, {rendererID, fiberID, requestID, timeoutMs}) {
   bridge.send('inspectElement', {
     forceFullData: true,
     id: fiberID,
@@ -1177,13 +1008,54 @@ async function inspectElement(bridge, {rendererID, fiberID, requestID, timeoutMs
   return payload;
 }
 
-async function captureInspectedElementsEnrichment({
+function summarizeSkippedFibers(skippedFibers) {
+  const roundMs = (value) => Math.round(value * 1000) / 1000;
+  return {
+    maxPerRoot: skippedFibers.filter((fiber) => fiber.reason === 'max-per-root').length,
+    timeBudget: skippedFibers.filter((fiber) => fiber.reason === 'time-budget').length,
+    hottest: skippedFibers
+      .filter((fiber) => fiber.renderCount > 0)
+      .sort((a, b) => {
+        if (b.selfMs !== a.selfMs) return b.selfMs - a.selfMs;
+        if (b.subtreeMs !== a.subtreeMs) return b.subtreeMs - a.subtreeMs;
+        return b.renderCount - a.renderCount;
+      })
+      .slice(0, MAX_REPORTED_SKIPPED_FIBERS)
+      .map((fiber) => ({
+        rootID: Number.isFinite(fiber.rootID) ? fiber.rootID : null,
+        fiberID: fiber.fiberID,
+        selfMs: roundMs(fiber.selfMs),
+        subtreeMs: roundMs(fiber.subtreeMs),
+        renderCount: fiber.renderCount,
+        reason: fiber.reason,
+      })),
+  };
+}
+
+export function describeSkippedFibersWarning(inspectedElements) {
+  const skipped = inspectedElements?.skippedFibers;
+  if (!skipped || skipped.hottest.length === 0) {
+    return null;
+  }
+  const causes = [
+    skipped.maxPerRoot > 0 ? `${skipped.maxPerRoot} over inspectElementsMaxPerRoot` : null,
+    skipped.timeBudget > 0
+      ? `${skipped.timeBudget} after the ${inspectedElements.timeBudgetMs}ms inspectElementsBudgetMs ran out`
+      : null,
+  ].filter(Boolean);
+  return `inspectElements skipped fibers (${causes.join(', ')}); the hottest rendered ones are listed in automationMeta.inspectedElements.skippedFibers.hottest.`;
+}
+
+export async function captureInspectedElementsEnrichment({
   bridge,
+  page = null,
   dataForRoots,
   rootToRenderer,
+  liveDocumentIndex = null,
   enabled,
   maxFibersPerRoot,
   timeoutMs,
+  timeBudgetMs = null,
   inspectConcurrency,
   parseHookNamesEnabled,
   parseHookNamesTimeoutMs,
@@ -1228,14 +1100,34 @@ async function captureInspectedElementsEnrichment({
   let parseTimedOutElements = 0;
   let parseFailedElements = 0;
   let parseUnresolvedLocationCount = 0;
+  let hostNodeElements = 0;
+  let hostNodeErrorMessage = null;
+  const deadline =
+    Number.isFinite(timeBudgetMs) && timeBudgetMs > 0 ? Date.now() + Number(timeBudgetMs) : null;
+  const skippedFibers = [];
 
   for (const root of dataForRoots) {
     const rootID = Number(root?.rootID);
     const rendererID = rootToRenderer.get(rootID);
-    const candidates = collectCandidateFiberIDsForRoot(root);
+    const candidates = collectCandidateFibersForRoot(root);
     const limitedCandidates = Number.isFinite(maxFibersPerRoot)
       ? candidates.slice(0, Math.max(0, Number(maxFibersPerRoot)))
       : candidates;
+    // Merged documents carry shifted IDs; only the live document's backend can still be asked.
+    const documentIndex = Number.isFinite(root?.documentIndex) ? root.documentIndex : null;
+    const idOffset = documentIndex === null ? 0 : documentIndex * DOCUMENT_FIBER_ID_STRIDE;
+
+    if (documentIndex !== null && documentIndex !== liveDocumentIndex) {
+      roots.push({
+        rootID: Number.isFinite(rootID) ? rootID : null,
+        rendererID: Number.isFinite(rendererID) ? rendererID : null,
+        inspectedCount: 0,
+        requestedCount: 0,
+        skippedReason: 'document-unloaded',
+        elements: [],
+      });
+      continue;
+    }
 
     if (!Number.isFinite(rendererID)) {
       roots.push({
@@ -1252,13 +1144,25 @@ async function captureInspectedElementsEnrichment({
 
     const elements = new Array(limitedCandidates.length);
     let inspectedCount = 0;
-    totalRequested += limitedCandidates.length;
+    // Fibers left over when the time budget runs out are never requested; they are only reported
+    // under skippedFibers.
+    let requestedCount = 0;
+    for (const candidate of candidates.slice(limitedCandidates.length)) {
+      skippedFibers.push({rootID, ...candidate, reason: 'max-per-root'});
+    }
 
-    await runWithConcurrency(limitedCandidates, inspectConcurrency, async (fiberID, index) => {
+    await runWithConcurrency(limitedCandidates, inspectConcurrency, async (candidate, index) => {
+      const {fiberID} = candidate;
+      if (deadline !== null && Date.now() >= deadline) {
+        skippedFibers.push({rootID, ...candidate, reason: 'time-budget'});
+        return;
+      }
+      requestedCount += 1;
+      totalRequested += 1;
       try {
         const payload = await inspectElement(bridge, {
           rendererID,
-          fiberID,
+          fiberID: fiberID - idOffset,
           requestID: requestID++,
           timeoutMs,
         });
@@ -1297,6 +1201,9 @@ async function captureInspectedElementsEnrichment({
             }
           }
           delete summary.hooksTree;
+          summary.owners = summary.owners.map((owner) =>
+            owner.id === null ? owner : {...owner, id: owner.id + idOffset},
+          );
           elements[index] = {
             fiberID,
             status,
@@ -1329,11 +1236,36 @@ async function captureInspectedElementsEnrichment({
       }
     });
 
+    // Host nodes are read once the inspections are done, so the selectors and boxes describe the
+    // page as it is at the end of the recording.
+    const inspectedElements = elements.filter((element) => element?.status === 'full-data');
+    if (page && inspectedElements.length > 0) {
+      try {
+        const hostNodes = await page.evaluate(
+          createHostNodesExpression({
+            rendererID,
+            fiberIDs: inspectedElements.map((element) => element.fiberID - idOffset),
+            maxNodesPerFiber: MAX_HOST_NODES_PER_FIBER,
+          }),
+        );
+        if (Array.isArray(hostNodes)) {
+          inspectedElements.forEach((element, index) => {
+            Object.assign(element, hostNodes[index]);
+            if (hostNodes[index]?.hostNodeCount > 0) {
+              hostNodeElements += 1;
+            }
+          });
+        }
+      } catch (error) {
+        hostNodeErrorMessage = String(error?.message ?? error);
+      }
+    }
+
     roots.push({
       rootID: Number.isFinite(rootID) ? rootID : null,
       rendererID,
       inspectedCount,
-      requestedCount: limitedCandidates.length,
+      requestedCount,
       skippedReason: null,
       elements: elements.filter(Boolean),
     });
@@ -1362,52 +1294,34 @@ async function captureInspectedElementsEnrichment({
       failedElements: parseFailedElements,
       unresolvedLocationCount: parseUnresolvedLocationCount,
     },
+    hostNodes: {
+      enabled: page !== null,
+      maxNodesPerFiber: MAX_HOST_NODES_PER_FIBER,
+      resolvedElements: hostNodeElements,
+      errorMessage: hostNodeErrorMessage,
+    },
+    timeBudgetMs: deadline === null ? null : Number(timeBudgetMs),
+    skippedFibers: summarizeSkippedFibers(skippedFibers),
   };
 }
 
-export async function recordReactDevToolsProfile({
-  cwd = process.cwd(),
-  url,
-  outputPath,
-  waitForSelector,
-  waitForSelectorTimeoutMs = 30000,
-  profileDurationMs = 8000,
-  interactionSteps = [],
-  recordChangeDescriptions = true,
-  recordTimeline = false,
-  headless = true,
-  chromePath,
-  viewport = {width: 1440, height: 900},
-  navigationTimeoutMs = 60000,
-  launchArgs = [],
-  inspectElements = true,
-  inspectElementsMaxPerRoot = 1500,
-  inspectElementsTimeoutMs = 4000,
-  inspectElementsConcurrency = 8,
-  parseHookNamesEnabled = true,
-  parseHookNamesTimeoutMs = 5000,
-  parseHookNamesSourceRoots = [],
-}) {
-  if (typeof url !== 'string' || url.length === 0) {
-    throw new Error('recordReactDevToolsProfile requires a non-empty url');
-  }
-
-  if (typeof outputPath !== 'string' || outputPath.length === 0) {
-    throw new Error('recordReactDevToolsProfile requires outputPath');
-  }
-
-  const bridge = new BridgeController();
-  const liveTreesByRoot = new Map();
-  const rendererIDs = new Set();
-  const rootToRenderer = new Map();
-
-  let profilingActive = false;
-  let snapshotsByRoot = new Map();
-  let operationsDuringProfilingByRoot = new Map();
-  const hookSourceFetcher = createHookSourceFetcher({
-    cwd,
-    sourceRoots: parseHookNamesSourceRoots,
-  });
+export function trackBridgeOperations(bridge, {componentFilters = null} = {}) {
+  const applyLocationFilters = hasLocationComponentFilters(componentFilters);
+  const state = {
+    liveTreesByRoot: new Map(),
+    rendererIDs: new Set(),
+    rootToRenderer: new Map(),
+    profilingActive: false,
+    snapshotsByRoot: new Map(),
+    operationsDuringProfilingByRoot: new Map(),
+    errorsAndWarningsByFiber: new Map(),
+    errorsAndWarningsAtStart: new Map(),
+    documentIndex: 0,
+    unloadedDocuments: [],
+    pendingDocumentCapture: null,
+    filteredRendererIDs: new Set(),
+    componentFiltersApplied: null,
+  };
 
   bridge.addListener('operations', (operations) => {
     if (!Array.isArray(operations) || operations.length < 2) {
@@ -1418,153 +1332,956 @@ export async function recordReactDevToolsProfile({
     const rootID = Number(operations[1]);
 
     if (Number.isFinite(rendererID)) {
-      rendererIDs.add(rendererID);
+      state.rendererIDs.add(rendererID);
     }
     if (Number.isFinite(rootID) && Number.isFinite(rendererID)) {
-      rootToRenderer.set(rootID, rendererID);
+      state.rootToRenderer.set(rootID, rendererID);
     }
 
-    applyOperationsToLiveTree({liveTreesByRoot, operations});
+    applyOperationsToLiveTree({
+      liveTreesByRoot: state.liveTreesByRoot,
+      operations,
+      // The backend reports running totals per fiber, so keep the latest one.
+      onErrorsOrWarnings: (update) => {
+        const key = `${update.rootID}:${update.id}`;
+        const previous = state.errorsAndWarningsByFiber.get(key);
+        state.errorsAndWarningsByFiber.set(key, {
+          ...update,
+          displayName: update.displayName ?? previous?.displayName ?? null,
+        });
+      },
+    });
+
+    // Location filters only apply through updateComponentFilters, which remounts every root and is
+    // refused while profiling. getProfilingStatus answers after the remount's operations.
+    if (
+      applyLocationFilters &&
+      !state.profilingActive &&
+      Number.isFinite(rendererID) &&
+      !state.filteredRendererIDs.has(rendererID)
+    ) {
+      state.filteredRendererIDs.add(rendererID);
+      state.componentFiltersApplied = bridge
+        .waitForEvent('profilingStatus', {timeoutMs: 5000})
+        .catch(() => {});
+      bridge.send('updateComponentFilters', componentFilters);
+      bridge.send('getProfilingStatus', undefined);
+    }
 
-    if (profilingActive && Number.isFinite(rootID)) {
-      const list = operationsDuringProfilingByRoot.get(rootID) ?? [];
+    if (state.profilingActive && Number.isFinite(rootID)) {
+      const list = state.operationsDuringProfilingByRoot.get(rootID) ?? [];
       list.push([...operations]);
-      operationsDuringProfilingByRoot.set(rootID, list);
+      state.operationsDuringProfilingByRoot.set(rootID, list);
     }
   });
 
-  const {port} = await bridge.start();
+  // While profiling, a new backend means the page loaded a new document. The previous document's
+  // profiling data was pulled before its navigation went through (see startDocumentCapture).
+  bridge.addListener('backendInitialized', () => {
+    state.filteredRendererIDs.clear();
+    if (!state.profilingActive) {
+      return;
+    }
+    state.unloadedDocuments.push({
+      documentIndex: state.documentIndex,
+      capture: state.pendingDocumentCapture,
+      liveTreesByRoot: new Map(state.liveTreesByRoot),
+      rootToRenderer: new Map(state.rootToRenderer),
+      snapshotsByRoot: state.snapshotsByRoot,
+      operationsDuringProfilingByRoot: state.operationsDuringProfilingByRoot,
+      errorsAndWarnings: collectDocumentErrorsAndWarnings(state),
+    });
+    state.documentIndex += 1;
+    state.pendingDocumentCapture = null;
+    state.liveTreesByRoot.clear();
+    state.rendererIDs.clear();
+    state.rootToRenderer.clear();
+    state.snapshotsByRoot = new Map();
+    state.operationsDuringProfilingByRoot = new Map();
+    state.errorsAndWarningsByFiber = new Map();
+    state.errorsAndWarningsAtStart = new Map();
+  });
 
-  const browser = await puppeteer.launch({
-    executablePath: resolveChromePath(chromePath),
-    headless,
-    args: ['--no-sandbox', '--disable-dev-shm-usage', ...launchArgs],
+  return state;
+}
+
+export async function startBridgeProfiling(
+  bridge,
+  state,
+  {recordChangeDescriptions, recordTimeline},
+) {
+  await state.componentFiltersApplied;
+  state.snapshotsByRoot = captureSnapshotsAtProfilingStart(state.liveTreesByRoot);
+  state.errorsAndWarningsAtStart = new Map(state.errorsAndWarningsByFiber);
+  state.operationsDuringProfilingByRoot = new Map(
+    [...state.snapshotsByRoot.keys()].map((rootID) => [rootID, []]),
+  );
+
+  state.profilingActive = true;
+  bridge.send('startProfiling', {
+    recordChangeDescriptions: recordChangeDescriptions === true,
+    recordTimeline: recordTimeline === true,
   });
 
   try {
-    const page = await browser.newPage();
-    await page.setViewport(viewport);
+    await bridge.waitForEvent('profilingStatus', {
+      timeoutMs: 5000,
+      predicate: (payload) => payload === true,
+    });
+  } catch {
+    // Some integrations may not emit this reliably; continue.
+  }
+}
 
-    const backendScriptSource = await loadBackendScriptSource();
-    await page.evaluateOnNewDocument(
-      createInjectionScript({
-        backendScriptSource,
-        host: '127.0.0.1',
-        port,
-      }),
-    );
+export async function stopBridgeProfiling(bridge, state) {
+  state.profilingActive = false;
+  bridge.send('stopProfiling', undefined);
 
-    const backendInitializedPromise = bridge.waitForEvent('backendInitialized', {
-      timeoutMs: navigationTimeoutMs,
+  try {
+    await bridge.waitForEvent('profilingStatus', {
+      timeoutMs: 5000,
+      predicate: (payload) => payload === false,
     });
+  } catch {
+    // Some integrations may not emit this reliably; continue.
+  }
+}
 
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: navigationTimeoutMs,
+// Counts are what each fiber added while profiling. A fiber that warned and then unmounted keeps
+// the last totals the backend reported for it.
+function collectDocumentErrorsAndWarnings(state) {
+  const fibers = [];
+  for (const [key, latest] of state.errorsAndWarningsByFiber.entries()) {
+    const atStart = state.errorsAndWarningsAtStart.get(key);
+    const errorCount = Math.max(0, latest.errorCount - (atStart?.errorCount ?? 0));
+    const warningCount = Math.max(0, latest.warningCount - (atStart?.warningCount ?? 0));
+    if (errorCount === 0 && warningCount === 0) {
+      continue;
+    }
+    fibers.push({
+      rootID: latest.rootID,
+      fiberID: latest.id,
+      displayName: latest.displayName,
+      errorCount,
+      warningCount,
     });
+  }
+  return fibers;
+}
 
-    await backendInitializedPromise;
+export function collectErrorsAndWarnings(state) {
+  const documents = [
+    ...state.unloadedDocuments,
+    {
+      documentIndex: state.documentIndex,
+      errorsAndWarnings: collectDocumentErrorsAndWarnings(state),
+    },
+  ];
+  const fibers = documents.flatMap(({documentIndex, errorsAndWarnings}) =>
+    errorsAndWarnings.map((fiber) => ({
+      ...fiber,
+      rootID: fiber.rootID + documentIndex * DOCUMENT_FIBER_ID_STRIDE,
+      fiberID: fiber.fiberID + documentIndex * DOCUMENT_FIBER_ID_STRIDE,
+    })),
+  );
+  return fibers.sort(
+    (left, right) =>
+      right.errorCount + right.warningCount - (left.errorCount + left.warningCount) ||
+      left.fiberID - right.fiberID,
+  );
+}
 
-    if (typeof waitForSelector === 'string' && waitForSelector.length > 0) {
-      await page.waitForSelector(waitForSelector, {
-        timeout: waitForSelectorTimeoutMs,
-      });
+async function requestProfilingPayloads(bridge, rendererIDs, {deadlineMs = null} = {}) {
+  const profilingPayloads = [];
+  for (const rendererID of [...rendererIDs].sort((a, b) => a - b)) {
+    if (deadlineMs != null && Date.now() >= deadlineMs) {
+      throw new Error('Timed out requesting profiling data');
     }
-
-    snapshotsByRoot = captureSnapshotsAtProfilingStart(liveTreesByRoot);
-    operationsDuringProfilingByRoot = new Map(
-      [...snapshotsByRoot.keys()].map((rootID) => [rootID, []]),
+    bridge.send('getProfilingData', {rendererID});
+    const payload = await bridge.waitForEvent('profilingData', {
+      timeoutMs: deadlineMs == null ? 15000 : Math.max(1, deadlineMs - Date.now()),
+      predicate: (value) => Number(value?.rendererID) === rendererID,
+    });
+    profilingPayloads.push(payload);
+  }
+  return profilingPayloads;
+}
+
+function buildDocumentRoots(
+  profilingPayloads,
+  {rootToRenderer, snapshotsByRoot, operationsDuringProfilingByRoot},
+) {
+  const dataForRoots = [];
+  const timelineData = [];
+
+  for (const profilingPayload of profilingPayloads) {
+    if (profilingPayload?.timelineData != null) {
+      timelineData.push(profilingPayload.timelineData);
+    }
+
+    const roots = Array.isArray(profilingPayload?.dataForRoots)
+      ? profilingPayload.dataForRoots
+      : [];
+
+    for (const root of roots) {
+      const rootID = Number(root?.rootID);
+      if (Number.isFinite(rootID) && Number.isFinite(profilingPayload?.rendererID)) {
+        rootToRenderer.set(rootID, Number(profilingPayload.rendererID));
+      }
+      // Roots mounted after profiling started (including every root of a later document) are
+      // built by their first commit's operations, so they start from an empty snapshot; the live
+      // tree would already contain the fibers those operations add.
+      const snapshots = snapshotsByRoot.get(rootID) ?? [];
+      const operations = operationsDuringProfilingByRoot.get(rootID) ?? [];
+
+      dataForRoots.push({
+        ...root,
+        operations,
+        snapshots,
+      });
+    }
+  }
+
+  return {dataForRoots, timelineData};
+}
+
+export async function readDocumentInfo(page) {
+  const info = await page.evaluate(
+    (globalName) =>
+      window[globalName]
+        ? JSON.parse(JSON.stringify(window[globalName]))
+        : {timeOrigin: performance.timeOrigin, profilingStartByRenderer: null},
+    DOCUMENT_INFO_GLOBAL,
+  );
+  return {url: page.url(), ...info};
+}
+
+// A document's backend goes away with it, so its profiling data is pulled while the navigation
+// away from it is held at the request stage, and the navigation is let through afterwards.
+export async function startDocumentCapture(page, {bridge, state}) {
+  const client = await page.createCDPSession();
+  const {frameTree} = await client.send('Page.getFrameTree');
+  const mainFrameId = frameTree.frame.id;
+
+  client.on('Fetch.requestPaused', async ({requestId, frameId}) => {
+    let holdTimer = null;
+    try {
+      if (frameId === mainFrameId && state.profilingActive && state.rendererIDs.size > 0) {
+        const deadlineMs = Date.now() + DOCUMENT_CAPTURE_HOLD_MS;
+        const capture = (async () => ({
+          ...(await readDocumentInfo(page)),
+          payloads: await requestProfilingPayloads(bridge, state.rendererIDs, {deadlineMs}),
+        }))();
+        capture.catch(() => {});
+        state.pendingDocumentCapture = await Promise.race([
+          capture,
+          new Promise((_, reject) => {
+            holdTimer = setTimeout(
+              () => reject(new Error('Timed out capturing the outgoing document')),
+              DOCUMENT_CAPTURE_HOLD_MS,
+            );
+          }),
+        ]);
+      }
+    } catch {
+      // The document is reported as missing from the export.
+    } finally {
+      clearTimeout(holdTimer);
+      await client.send('Fetch.continueRequest', {requestId}).catch(() => {});
+    }
+  });
+  await client.send('Fetch.enable', {
+    patterns: [{resourceType: 'Document', requestStage: 'Request'}],
+  });
+
+  return {
+    async stop() {
+      await client.send('Fetch.disable').catch(() => {});
+      await client.detach().catch(() => {});
+    },
+  };
+}
+
+// Later documents stamp commits relative to their own renderer attach (see createInjectionScript),
+// which the page recorded next to its time origin.
+function getDocumentTimestampOffsetMs(documentIndex, capture, rendererID, profilingStartEpochMs) {
+  if (documentIndex === 0) {
+    return 0;
+  }
+  const rendererStartMs = Number(capture?.profilingStartByRenderer?.[rendererID]);
+  if (
+    !Number.isFinite(rendererStartMs) ||
+    !Number.isFinite(capture?.timeOrigin) ||
+    !Number.isFinite(profilingStartEpochMs)
+  ) {
+    return null;
+  }
+  return capture.timeOrigin - profilingStartEpochMs + rendererStartMs;
+}
+
+export function describeDocumentWarnings(documents) {
+  const warnings = [];
+  for (const document of documents ?? []) {
+    if (!document.captured) {
+      warnings.push(
+        `Document ${document.documentIndex} was unloaded before its profiling data could be pulled, so its commits are missing.`,
+      );
+    } else if (!document.timestampsPlaced) {
+      warnings.push(
+        `Commit timestamps of document ${document.documentIndex} could not be placed on the recording clock and start at 0.`,
+      );
+    }
+  }
+  return warnings;
+}
+
+export async function collectProfilingData(
+  bridge,
+  state,
+  {profilingStartEpochMs = null, liveDocument = null} = {},
+) {
+  const {rendererIDs, unloadedDocuments} = state;
+
+  if (rendererIDs.size === 0 && unloadedDocuments.length === 0) {
+    throw new Error('No renderer IDs detected from DevTools operations; cannot request profiling data');
+  }
+
+  const currentDocument = {
+    documentIndex: state.documentIndex,
+    capture: {...liveDocument, payloads: await requestProfilingPayloads(bridge, rendererIDs)},
+    liveTreesByRoot: state.liveTreesByRoot,
+    rootToRenderer: state.rootToRenderer,
+    snapshotsByRoot: state.snapshotsByRoot,
+    operationsDuringProfilingByRoot: state.operationsDuringProfilingByRoot,
+  };
+  if (unloadedDocuments.length === 0) {
+    return buildDocumentRoots(currentDocument.capture.payloads, currentDocument);
+  }
+
+  const dataForRoots = [];
+  const timelineData = [];
+  const documents = [];
+  for (const document of [...unloadedDocuments, currentDocument]) {
+    const {documentIndex, capture} = document;
+    if (!capture) {
+      documents.push({documentIndex, url: null, captured: false, rootCount: 0, commitCount: 0});
+      continue;
+    }
+
+    const idOffset = documentIndex * DOCUMENT_FIBER_ID_STRIDE;
+    const built = buildDocumentRoots(capture.payloads, document);
+    let timestampsPlaced = true;
+    for (const root of built.dataForRoots) {
+      const rendererID = document.rootToRenderer.get(Number(root.rootID));
+      const timestampOffsetMs = getDocumentTimestampOffsetMs(
+        documentIndex,
+        capture,
+        rendererID,
+        profilingStartEpochMs,
+      );
+      timestampsPlaced &&= timestampOffsetMs !== null;
+      const shiftedRoot = {
+        ...offsetDocumentRoot(root, {idOffset, timestampOffsetMs: timestampOffsetMs ?? 0}),
+        documentIndex,
+      };
+      if (Number.isFinite(rendererID)) {
+        state.rootToRenderer.set(shiftedRoot.rootID, rendererID);
+      }
+      dataForRoots.push(shiftedRoot);
+    }
+    timelineData.push(...built.timelineData.map((timeline) => ({...timeline, documentIndex})));
+    documents.push({
+      documentIndex,
+      url: capture.url ?? null,
+      captured: true,
+      rootCount: built.dataForRoots.length,
+      commitCount: built.dataForRoots.reduce(
+        (sum, root) => sum + (Array.isArray(root.commitData) ? root.commitData.length : 0),
+        0,
+      ),
+      timestampsPlaced,
+    });
+  }
+
+  return {dataForRoots, timelineData, documents};
+}
+
+// Every recorder writes the same DevTools export envelope; `recorder` and `automationMeta` carry
+// the fields specific to how the profile was recorded.
+export function buildExportPayload({
+  dataForRoots,
+  timelineData,
+  inspectOptions,
+  hookSourceFetcher,
+  recorder = {},
+  warnings,
+  automationMeta = {},
+  errorsAndWarnings,
+  inspectedElements,
+}) {
+  return {
+    version: 5,
+    dataForRoots,
+    ...(timelineData.length > 0 ? {timelineData} : {}),
+    automationMeta: {
+      recorder: {
+        name: RECORDER_NAME,
+        version: RECORDER_VERSION,
+        generatedAt: new Date().toISOString(),
+        ...recorder,
+        inspectElementsEnabled: inspectOptions.inspectElements === true,
+        inspectElementsMaxPerRoot: inspectOptions.inspectElementsMaxPerRoot,
+        inspectElementsTimeoutMs: inspectOptions.inspectElementsTimeoutMs,
+        inspectElementsBudgetMs: inspectOptions.inspectElementsBudgetMs,
+        inspectElementsConcurrency: inspectOptions.inspectElementsConcurrency,
+        parseHookNamesEnabled: inspectOptions.parseHookNamesEnabled === true,
+        parseHookNamesTimeoutMs: inspectOptions.parseHookNamesTimeoutMs,
+        parseHookNamesSourceRoots: hookSourceFetcher.getSourceRoots(),
+        parseHookNamesAliasSummary: hookSourceFetcher.getAliasSummary(),
+        warnings,
+      },
+      ...automationMeta,
+      ...(errorsAndWarnings.length > 0 ? {errorsAndWarnings} : {}),
+      inspectedElements,
+    },
+  };
+}
+
+/**
+ * Runs steps that may load a new document (setup or warm-up, outside profiling). Page.frameNavigated
+ * only fires when the document is replaced; pushState/replaceState route changes keep the same
+ * backend and live trees. Resolves with the number of top-level navigations.
+ */
+export async function runStepsAcrossNavigations(
+  page,
+  steps,
+  {bridge, state, label, navigationTimeoutMs},
+) {
+  let navigations = 0;
+  let pendingBackendInitialized = null;
+  const navigationSession = await page.createCDPSession();
+  await navigationSession.send('Page.enable');
+  const handleNavigation = ({frame}) => {
+    if (frame.parentId) {
+      return;
+    }
+    // A new document re-announces every root with fresh IDs through a new backend.
+    navigations += 1;
+    state.liveTreesByRoot.clear();
+    state.rendererIDs.clear();
+    state.rootToRenderer.clear();
+    pendingBackendInitialized = bridge.waitForEvent('backendInitialized', {
+      timeoutMs: navigationTimeoutMs,
+    });
+    pendingBackendInitialized.catch(() => {});
+  };
+
+  navigationSession.on('Page.frameNavigated', handleNavigation);
+  try {
+    await runInteractionSteps(page, steps, {label, navigationTimeoutMs});
+  } finally {
+    navigationSession.off('Page.frameNavigated', handleNavigation);
+    await navigationSession.detach().catch(() => {});
+  }
+  if (pendingBackendInitialized) {
+    await pendingBackendInitialized;
+  }
+  return navigations;
+}
+
+async function recordProfileRun({
+  browser,
+  browserInfo,
+  targetPage,
+  connectionWarnings,
+  runIsolation,
+  runInfo,
+  backendScriptSource,
+  hookSourceFetcher,
+  cwd,
+  url,
+  outputPath,
+  waitForSelector,
+  waitForSelectorTimeoutMs,
+  profileDurationMs,
+  interactionSteps,
+  recordChangeDescriptions,
+  recordTimeline,
+  emulation,
+  networkReplay,
+  pageClock,
+  filmstrip,
+  filmstripMaxFrames,
+  heapProfile,
+  heapSamplingIntervalBytes,
+  captureConsole,
+  webVitals,
+  navigationTimeoutMs,
+  inspectElements,
+  inspectElementsMaxPerRoot,
+  inspectElementsTimeoutMs,
+  inspectElementsBudgetMs,
+  inspectElementsConcurrency,
+  parseHookNamesEnabled,
+  parseHookNamesTimeoutMs,
+  chromeTraceOutputPath,
+  chromeTraceCategories,
+  componentFilters,
+  warmupSteps,
+  warmupIterations,
+  warmupReset,
+  recorderFlowInfo,
+  storageState,
+  setupSteps,
+  saveStorageStatePath,
+}) {
+  const bridge = new BridgeController();
+  const profilingState = trackBridgeOperations(bridge, {componentFilters});
+  const {liveTreesByRoot, rendererIDs, rootToRenderer} = profilingState;
+
+  const {port} = await bridge.start();
+  const reuseTab = targetPage != null;
+  const browserContext =
+    !reuseTab && runIsolation === 'context' ? await browser.createBrowserContext() : null;
+  let page = null;
+  let emulationSession = null;
+  let clockScript = null;
+  let webVitalsScript = null;
+  let injectedScript = null;
+  let requestReplay = null;
+  let harRecording = null;
+  let filmstripCapture = null;
+  let heapSampling = null;
+  let chromeTracing = false;
+  let heapTracing = false;
+  let consoleCapture = null;
+  let documentCapture = null;
+
+  try {
+    page = reuseTab ? targetPage : await (browserContext ?? browser).newPage();
+    emulationSession = await applyEmulation(page, emulation);
+    if (networkReplay?.mode === 'record') {
+      harRecording = startHarRecording(page);
+    } else if (networkReplay) {
+      requestReplay = await startNetworkReplay(page, {
+        source: await loadNetworkReplaySource({
+          cwd,
+          harPath: networkReplay.harPath,
+          routeFixturesDir: networkReplay.routeFixturesDir,
+        }),
+        unmatchedRequests: networkReplay.unmatchedRequests,
+      });
+    }
+    const storageSeed = storageState ? await applyStorageState(page, storageState.state) : null;
+    // Installed ahead of the backend and the app so both pick up the fake clock and seeded random.
+    clockScript = pageClock
+      ? await page.evaluateOnNewDocument(createPageClockScript(pageClock))
+      : null;
+    // Buffered observers still see load-time LCP and layout shifts, but target selectors can only
+    // be built while the entry's node is attached, so the collectors start with the document.
+    webVitalsScript =
+      webVitals === true ? await page.evaluateOnNewDocument(createWebVitalsScript()) : null;
+
+    injectedScript = await page.evaluateOnNewDocument(
+      createInjectionScript({
+        backendScriptSource,
+        host: '127.0.0.1',
+        port,
+        componentFilters,
+      }),
     );
 
-    profilingActive = true;
-    bridge.send('startProfiling', {
-      recordChangeDescriptions: recordChangeDescriptions === true,
-      recordTimeline: recordTimeline === true,
+    const backendInitializedPromise = bridge.waitForEvent('backendInitialized', {
+      timeoutMs: navigationTimeoutMs,
     });
 
-    try {
-      await bridge.waitForEvent('profilingStatus', {
-        timeoutMs: 5000,
-        predicate: (payload) => payload === true,
+    if (typeof url === 'string' && url.length > 0) {
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: navigationTimeoutMs,
       });
-    } catch {
-      // Some integrations may not emit this reliably; continue.
+    } else {
+      // An already-loaded tab only picks up the injected backend on its next document.
+      await page.reload({
+        waitUntil: 'networkidle2',
+        timeout: navigationTimeoutMs,
+      });
+    }
+
+    await backendInitializedPromise;
+    await storageSeed?.removeSeedScript();
+
+    const setup = {
+      storageState: storageState
+        ? {source: storageState.source, ...summarizeStorageState(storageState.state)}
+        : null,
+      stepCount: 0,
+      navigations: 0,
+      durationMs: 0,
+      savedStorageStatePath: null,
+    };
+    if (Array.isArray(setupSteps) && setupSteps.length > 0) {
+      const setupStartedAt = Date.now();
+      setup.navigations = await runStepsAcrossNavigations(page, setupSteps, {
+        bridge,
+        state: profilingState,
+        label: 'setupSteps',
+        navigationTimeoutMs,
+      });
+      setup.stepCount = setupSteps.length;
+      setup.durationMs = Date.now() - setupStartedAt;
+    }
+    if (saveStorageStatePath) {
+      setup.savedStorageStatePath = await saveStorageState({
+        cwd,
+        outputPath: saveStorageStatePath,
+        state: await captureStorageState(page),
+      });
+    }
+
+    if (typeof waitForSelector === 'string' && waitForSelector.length > 0) {
+      await page.waitForSelector(waitForSelector, {
+        timeout: waitForSelectorTimeoutMs,
+      });
+    }
+
+    const runWarnings = [...connectionWarnings, ...(recorderFlowInfo?.warnings ?? [])];
+    if (pageClock?.fakeTimers && !hasInteractionStep(interactionSteps, 'advanceClock')) {
+      runWarnings.push(
+        'fakeClock is on but interactionSteps have no advanceClock step; page timers and animation frames will not run while profiling.',
+      );
+    }
+    if (pageClock?.fakeTimers && chromeTraceOutputPath) {
+      runWarnings.push(
+        'fakeClock shifts performance.now() by the advanced time, so commit timestamps do not line up with the Chrome trace.',
+      );
+    }
+    if (pageClock?.fakeTimers && filmstrip === true) {
+      runWarnings.push(
+        'fakeClock shifts performance.now() by the advanced time, so filmstrip frames drift from the commits they are linked to.',
+      );
+    }
+    if (pageClock?.fakeTimers && heapProfile === true) {
+      runWarnings.push(
+        'fakeClock shifts performance.now() by the advanced time, so GC events and allocations are attributed to the wrong commits.',
+      );
+    }
+    if (pageClock?.fakeTimers && webVitals === true) {
+      runWarnings.push(
+        'fakeClock shifts performance.now() by the advanced time, so long tasks and interactions are matched to the wrong commits.',
+      );
+    }
+    const warmup = {
+      iterations: 0,
+      stepCount: 0,
+      reset: warmupReset,
+      navigations: 0,
+      durationMs: 0,
+    };
+    if (warmupIterations > 0) {
+      const steps =
+        Array.isArray(warmupSteps) && warmupSteps.length > 0 ? warmupSteps : interactionSteps;
+      if (!Array.isArray(steps) || steps.length === 0) {
+        runWarnings.push(
+          'Warm-up was requested but neither warmupSteps nor interactionSteps were provided; warm-up was skipped.',
+        );
+      } else {
+        const warmupStartedAt = Date.now();
+        for (let iteration = 0; iteration < warmupIterations; iteration += 1) {
+          warmup.navigations += await runStepsAcrossNavigations(page, steps, {
+            bridge,
+            state: profilingState,
+            label: steps === warmupSteps ? 'warmupSteps' : 'steps',
+            navigationTimeoutMs,
+          });
+        }
+
+        if (warmupReset === 'reload') {
+          // A reload re-injects the backend, which re-announces every root with fresh IDs.
+          liveTreesByRoot.clear();
+          rendererIDs.clear();
+          rootToRenderer.clear();
+
+          const reinitializedPromise = bridge.waitForEvent('backendInitialized', {
+            timeoutMs: navigationTimeoutMs,
+          });
+          await page.reload({
+            waitUntil: 'networkidle2',
+            timeout: navigationTimeoutMs,
+          });
+          await reinitializedPromise;
+
+          if (typeof waitForSelector === 'string' && waitForSelector.length > 0) {
+            await page.waitForSelector(waitForSelector, {
+              timeout: waitForSelectorTimeoutMs,
+            });
+          }
+        }
+
+        warmup.iterations = warmupIterations;
+        warmup.stepCount = steps.length;
+        warmup.durationMs = Date.now() - warmupStartedAt;
+      }
+    }
+
+    const resolvedChromeTracePath =
+      typeof chromeTraceOutputPath === 'string' && chromeTraceOutputPath.length > 0
+        ? resolvePath(cwd, chromeTraceOutputPath)
+        : null;
+    // GC events come from the trace, so a heap profile shares the Chrome trace when there is one.
+    const traceCategories =
+      heapProfile === true
+        ? [...new Set([...chromeTraceCategories, ...HEAP_TRACE_CATEGORIES])]
+        : chromeTraceCategories;
+    if (resolvedChromeTracePath) {
+      await mkdir(path.dirname(resolvedChromeTracePath), {recursive: true});
+      await page.tracing.start({
+        path: resolvedChromeTracePath,
+        screenshots: false,
+        categories: traceCategories,
+      });
+      chromeTracing = true;
+    } else if (heapProfile === true) {
+      await page.tracing.start({screenshots: false, categories: HEAP_TRACE_CATEGORIES});
+      heapTracing = true;
+    }
+    if (heapProfile === true) {
+      heapSampling = await startHeapSampling(page, {
+        samplingIntervalBytes: heapSamplingIntervalBytes,
+      });
+    }
+
+    if (captureConsole === true) {
+      consoleCapture = await startConsoleCapture(page);
     }
+    if (filmstrip === true) {
+      filmstripCapture = await startFilmstrip(page, {
+        exportPath: resolvePath(cwd, outputPath),
+        maxFrames: filmstripMaxFrames,
+      });
+    }
+
+    // The backend stamps commits relative to its own performance.now() at startProfiling,
+    // so bracket that moment in page time to place commits on other timelines.
+    const {markPageTimeMs, pageNowMs, timeOrigin} = await markProfilingStart(page);
+
+    const controlEvents = [];
+    const removeControlListener = bridge.addListener(CONTROL_CHANNEL_EVENT, (payload) => {
+      controlEvents.push(payload);
+    });
+    // A document loaded while profiling starts profiling itself before React's first commit, and
+    // the current one is pulled before each navigation away from it goes through.
+    await page.removeScriptToEvaluateOnNewDocument(injectedScript.identifier);
+    injectedScript = await page.evaluateOnNewDocument(
+      createInjectionScript({
+        backendScriptSource,
+        host: '127.0.0.1',
+        port,
+        profileOnLoad: {
+          recordChangeDescriptions: recordChangeDescriptions === true,
+          recordTimeline: recordTimeline === true,
+        },
+        componentFilters,
+      }),
+    );
+    await startBridgeProfiling(bridge, profilingState, {recordChangeDescriptions, recordTimeline});
+    documentCapture = await startDocumentCapture(page, {bridge, state: profilingState});
+
+    const profilingStatusPageTimeMs = await page.evaluate(() => performance.now());
+    const profilingClock = {
+      timeOrigin,
+      markPageTimeMs,
+      profilingStartPageTimeMs: markPageTimeMs,
+      profilingStartUncertaintyMs: Math.max(0, profilingStatusPageTimeMs - markPageTimeMs),
+    };
 
     if (Array.isArray(interactionSteps) && interactionSteps.length > 0) {
-      await runInteractionSteps(page, interactionSteps);
+      await runInteractionSteps(page, interactionSteps, {navigationTimeoutMs});
     } else {
       await sleep(profileDurationMs);
     }
 
-    profilingActive = false;
-    bridge.send('stopProfiling', undefined);
-
-    try {
-      await bridge.waitForEvent('profilingStatus', {
-        timeoutMs: 5000,
-        predicate: (payload) => payload === false,
+    // After a navigation the page clock restarts, so the stop is read back onto the first
+    // document's clock.
+    const stopClock = await page.evaluate(() => ({
+      nowMs: performance.now(),
+      timeOrigin: performance.timeOrigin,
+    }));
+    const stopPageTimeMs = stopClock.timeOrigin - timeOrigin + stopClock.nowMs;
+    await stopBridgeProfiling(bridge, profilingState);
+    await documentCapture.stop();
+    documentCapture = null;
+
+    let consoleMessages = null;
+    if (consoleCapture) {
+      consoleMessages = await consoleCapture.stop({
+        profilingStartEpochMs: timeOrigin + markPageTimeMs,
+        profilingStopEpochMs: timeOrigin + stopPageTimeMs,
       });
-    } catch {
-      // Some integrations may not emit this reliably; continue.
+      consoleCapture = null;
+      if (consoleMessages.droppedCount > 0) {
+        runWarnings.push(
+          `Console capture kept the first ${consoleMessages.messages.length} messages and dropped ${consoleMessages.droppedCount}.`,
+        );
+      }
     }
+    const errorsAndWarnings = collectErrorsAndWarnings(profilingState);
 
-    if (rendererIDs.size === 0) {
-      throw new Error('No renderer IDs detected from DevTools operations; cannot request profiling data');
+    let filmstripFrames = null;
+    if (filmstripCapture) {
+      filmstripFrames = await filmstripCapture.stop({
+        profilingStartEpochMs: timeOrigin + markPageTimeMs,
+      });
+      filmstripCapture = null;
+      if (filmstripFrames.droppedFrameCount > 0) {
+        runWarnings.push(
+          `Filmstrip kept the first ${filmstripFrames.frameCount} frames and dropped ${filmstripFrames.droppedFrameCount}; raise filmstripMaxFrames to keep more.`,
+        );
+      }
     }
 
-    const profilingPayloads = [];
-    for (const rendererID of [...rendererIDs].sort((a, b) => a - b)) {
-      bridge.send('getProfilingData', {rendererID});
-      const payload = await bridge.waitForEvent('profilingData', {
-        timeoutMs: 15000,
-        predicate: (value) => Number(value?.rendererID) === rendererID,
+    let webVitalsData = null;
+    if (webVitalsScript) {
+      webVitalsData = await collectWebVitals(page, {
+        timeOrigin,
+        startPageTimeMs: markPageTimeMs,
+        stopPageTimeMs,
       });
-      profilingPayloads.push(payload);
+      if (!webVitalsData) {
+        runWarnings.push(
+          'Web Vitals collectors were not found on the page, so no long tasks or interactions were recorded.',
+        );
+      }
     }
 
-    const dataForRoots = [];
-    const timelineData = [];
+    let heapSamplingResult = null;
+    if (heapSampling) {
+      heapSamplingResult = await heapSampling.stop({exportPath: resolvePath(cwd, outputPath)});
+      heapSampling = null;
+    }
 
-    for (const profilingPayload of profilingPayloads) {
-      if (profilingPayload?.timelineData != null) {
-        timelineData.push(profilingPayload.timelineData);
+    let chromeTrace = null;
+    let heapTraceData = null;
+    if (resolvedChromeTracePath) {
+      await page.tracing.stop();
+      chromeTracing = false;
+      if (heapSamplingResult) {
+        heapTraceData = await readFile(resolvedChromeTracePath, 'utf8')
+          .then((text) => JSON.parse(text))
+          .catch(() => null);
       }
+      chromeTrace = {
+        path: resolvedChromeTracePath,
+        categories: [...traceCategories],
+        clockSync: await resolveChromeTraceClockSync({
+          tracePath: resolvedChromeTracePath,
+          traceData: heapTraceData ?? undefined,
+          profilingClock,
+        }),
+      };
+    } else if (heapTracing) {
+      const traceBuffer = await page.tracing.stop();
+      heapTracing = false;
+      heapTraceData = traceBuffer ? JSON.parse(Buffer.from(traceBuffer).toString('utf8')) : null;
+    }
 
-      const roots = Array.isArray(profilingPayload?.dataForRoots)
-        ? profilingPayload.dataForRoots
-        : [];
-
-      for (const root of roots) {
-        const rootID = Number(root?.rootID);
-        if (Number.isFinite(rootID) && Number.isFinite(profilingPayload?.rendererID)) {
-          rootToRenderer.set(rootID, Number(profilingPayload.rendererID));
-        }
-        const snapshots = snapshotsByRoot.get(rootID) ?? serializeSnapshotTree(liveTreesByRoot.get(rootID));
-        const operations = operationsDuringProfilingByRoot.get(rootID) ?? [];
+    const {dataForRoots, timelineData, documents} = await collectProfilingData(
+      bridge,
+      profilingState,
+      {
+        profilingStartEpochMs: timeOrigin + markPageTimeMs,
+        liveDocument: profilingState.documentIndex > 0 ? await readDocumentInfo(page) : null,
+      },
+    );
+    runWarnings.push(...describeDocumentWarnings(documents));
+    if (documents && hasLocationComponentFilters(componentFilters)) {
+      runWarnings.push(
+        `Location component filters were not applied to the ${documents.length - 1} document(s) loaded while profiling; components they match stay visible there.`,
+      );
+    }
+    if (documents && webVitalsData) {
+      runWarnings.push(
+        `Web Vitals only cover the last of the ${documents.length} documents loaded while profiling.`,
+      );
+    }
 
-        dataForRoots.push({
-          ...root,
-          operations,
-          snapshots,
+    // Markers sent right before the stop can trail it on their own socket; the round trips above
+    // give them time to land, and anything stamped after the stop is dropped. Markers from later
+    // documents are moved onto the first document's clock.
+    removeControlListener();
+    const markers = buildProfilingSegments(
+      controlEvents.map((event) =>
+        Number.isFinite(event?.timeOrigin) && Number.isFinite(event?.timeMs)
+          ? {...event, timeMs: event.timeOrigin - timeOrigin + event.timeMs}
+          : event,
+      ),
+      {
+        startPageTimeMs: pageNowMs,
+        stopPageTimeMs,
+      },
+    );
+    const {marks, segments} = markers;
+    runWarnings.push(...markers.warnings);
+
+    let heap = null;
+    if (heapSamplingResult) {
+      const heapClockSync =
+        chromeTrace?.clockSync ??
+        (await resolveChromeTraceClockSync({traceData: heapTraceData ?? [], profilingClock}));
+      if (heapTraceData && heapClockSync.profilingStartTraceTsUs !== null) {
+        const profilingDurationMs = stopPageTimeMs - markPageTimeMs;
+        const timeline = extractHeapTimeline(heapTraceData, {
+          markName: PROFILING_START_MARK_NAME,
+          profilingStartTraceTsUs: heapClockSync.profilingStartTraceTsUs,
+          durationMs: profilingDurationMs,
         });
+        heap = {
+          ...heapSamplingResult,
+          ...attributeHeapToCommits(dataForRoots, timeline, {durationMs: profilingDurationMs}),
+          gcEvents: timeline.gcEvents,
+        };
+      } else {
+        heap = {...heapSamplingResult, gcEvents: null, commits: null};
+        runWarnings.push(
+          `GC events could not be placed on the profiling timeline${
+            heapClockSync.errorMessage ? ` (${heapClockSync.errorMessage})` : ''
+          }; only the allocation sampling profile was kept.`,
+        );
+      }
+    }
+
+    let network = null;
+    if (harRecording) {
+      network = await harRecording.stop({cwd, outputPath: networkReplay.harPath});
+      harRecording = null;
+    } else if (requestReplay) {
+      network = {...requestReplay.stats, unmatchedUrls: [...requestReplay.stats.unmatchedUrls]};
+      if (network.unmatchedCount > 0) {
+        runWarnings.push(
+          `${network.unmatchedCount} request(s) had no response in ${network.source} and were ${
+            UNMATCHED_REQUEST_OUTCOMES[network.unmatchedRequests]
+          }, e.g. ${network.unmatchedUrls.slice(0, 3).join(', ')}.`,
+        );
       }
     }
 
     const inspectedElements = await captureInspectedElementsEnrichment({
       bridge,
+      page,
       dataForRoots,
       rootToRenderer,
+      liveDocumentIndex: profilingState.documentIndex,
       enabled: inspectElements === true,
       maxFibersPerRoot: inspectElementsMaxPerRoot,
       timeoutMs: inspectElementsTimeoutMs,
+      timeBudgetMs: inspectElementsBudgetMs,
       inspectConcurrency: inspectElementsConcurrency,
       parseHookNamesEnabled: parseHookNamesEnabled === true,
       parseHookNamesTimeoutMs,
       hookSourceFetcher,
     });
 
-    const exportWarnings = [];
+    const exportWarnings = [...runWarnings];
     const commitCountForWarning = dataForRoots.reduce(
       (sum, root) => sum + (Array.isArray(root?.commitData) ? root.commitData.length : 0),
       0,
@@ -1574,46 +2291,77 @@ export async function recordReactDevToolsProfile({
         'No commits were captured. Ensure React DevTools profiling is supported for this build and that interaction steps trigger React updates.',
       );
     }
+    if (chromeTrace?.clockSync?.errorMessage) {
+      exportWarnings.push(`Chrome trace clock sync failed: ${chromeTrace.clockSync.errorMessage}`);
+    }
+    const skippedInspectWarning = describeSkippedFibersWarning(inspectedElements);
+    if (skippedInspectWarning) {
+      exportWarnings.push(skippedInspectWarning);
+    }
 
-    const exportPayload = {
-      version: 5,
+    const exportPayload = buildExportPayload({
       dataForRoots,
-      ...(timelineData.length > 0 ? {timelineData} : {}),
-      automationMeta: {
-        recorder: {
-          name: 'react-profiler-mcp',
-          version: '0.4.0',
-          generatedAt: new Date().toISOString(),
-          inspectElementsEnabled: inspectElements === true,
-          inspectElementsMaxPerRoot: inspectElementsMaxPerRoot,
-          inspectElementsTimeoutMs: inspectElementsTimeoutMs,
-          inspectElementsConcurrency: inspectElementsConcurrency,
-          parseHookNamesEnabled: parseHookNamesEnabled === true,
-          parseHookNamesTimeoutMs,
-          parseHookNamesSourceRoots: hookSourceFetcher.getSourceRoots(),
-          parseHookNamesAliasSummary: hookSourceFetcher.getAliasSummary(),
-          warnings: exportWarnings,
+      timelineData,
+      inspectOptions: {
+        inspectElements,
+        inspectElementsMaxPerRoot,
+        inspectElementsTimeoutMs,
+        inspectElementsBudgetMs,
+        inspectElementsConcurrency,
+        parseHookNamesEnabled,
+        parseHookNamesTimeoutMs,
+      },
+      hookSourceFetcher,
+      recorder: {
+        setup,
+        warmup,
+        emulation,
+        network,
+        clock: pageClock,
+        browser: {
+          ...browserInfo,
+          tabUrl: reuseTab ? page.url() : null,
         },
-        inspectedElements,
+        ...(recorderFlowInfo ? {recorderFlow: recorderFlowInfo} : {}),
       },
-    };
+      warnings: exportWarnings,
+      automationMeta: {
+        ...(runInfo ? {run: runInfo} : {}),
+        componentFilters: componentFilters ?? DEFAULT_COMPONENT_FILTERS,
+        profilingClock,
+        ...(documents ? {documents} : {}),
+        ...(segments.length > 0 ? {segments} : {}),
+        ...(marks.length > 0 ? {marks} : {}),
+        ...(filmstripFrames ? {filmstrip: filmstripFrames} : {}),
+        ...(heap ? {heap} : {}),
+        ...(consoleMessages ? {console: consoleMessages} : {}),
+        ...(webVitalsData ? {webVitals: webVitalsData} : {}),
+        ...(chromeTrace ? {chromeTrace} : {}),
+      },
+      errorsAndWarnings,
+      inspectedElements,
+    });
 
     const resolvedOutputPath = resolvePath(cwd, outputPath);
     await mkdir(path.dirname(resolvedOutputPath), {recursive: true});
     await writeFile(resolvedOutputPath, `${JSON.stringify(exportPayload, null, 2)}\n`, 'utf8');
 
     const commitCount = commitCountForWarning;
-    const warnings = [];
+    const warnings = [...runWarnings];
     if (commitCount === 0) {
       warnings.push(
         'No commits were captured. Ensure React DevTools profiling is supported for this build and that interaction steps trigger React updates.',
       );
     }
+    if (chromeTrace?.clockSync?.errorMessage) {
+      warnings.push(`Chrome trace clock sync failed: ${chromeTrace.clockSync.errorMessage}`);
+    }
 
     return {
       outputPath: resolvedOutputPath,
       rootCount: dataForRoots.length,
       commitCount,
+      documentCount: documents ? documents.length : 1,
       rendererIDs: [...rendererIDs].sort((a, b) => a - b),
       roots: dataForRoots.map((root) => ({
         rootID: root.rootID,
@@ -1625,14 +2373,413 @@ export async function recordReactDevToolsProfile({
       })),
       recordChangeDescriptions: recordChangeDescriptions === true,
       recordTimeline: recordTimeline === true,
+      componentFilters: componentFilters ?? DEFAULT_COMPONENT_FILTERS,
       inspectElementsConcurrency,
+      inspectElementsBudgetMs,
       parseHookNamesEnabled: parseHookNamesEnabled === true,
       parseHookNamesTimeoutMs,
       parseHookNamesSourceRoots: hookSourceFetcher.getSourceRoots(),
+      setup,
+      warmup,
+      emulation,
+      network,
+      clock: pageClock,
+      segments: segments.map(({name, startTimestamp, endTimestamp}) => ({
+        name,
+        startTimestamp,
+        endTimestamp,
+      })),
+      markCount: marks.length,
+      filmstrip: filmstripFrames
+        ? {
+            directory: path.resolve(path.dirname(resolvedOutputPath), filmstripFrames.directory),
+            frameCount: filmstripFrames.frameCount,
+          }
+        : null,
+      errorsAndWarnings: {
+        fiberCount: errorsAndWarnings.length,
+        errorCount: errorsAndWarnings.reduce((sum, fiber) => sum + fiber.errorCount, 0),
+        warningCount: errorsAndWarnings.reduce((sum, fiber) => sum + fiber.warningCount, 0),
+      },
+      console: consoleMessages
+        ? {
+            errorCount: consoleMessages.errorCount,
+            warningCount: consoleMessages.warningCount,
+            uncaughtCount: consoleMessages.uncaughtCount,
+          }
+        : null,
+      webVitals: webVitalsData
+        ? {
+            longTaskCount: webVitalsData.longTasks.length,
+            interactionCount: new Set(
+              webVitalsData.events
+                .filter((event) => event.interactionId > 0)
+                .map((event) => event.interactionId),
+            ).size,
+            layoutShiftCount: webVitalsData.layoutShifts.length,
+          }
+        : null,
+      heap: heap
+        ? {
+            profilePath: path.resolve(path.dirname(resolvedOutputPath), heap.profilePath),
+            totalSampledBytes: heap.totalSampledBytes,
+            allocatedBytes: heap.allocatedBytes ?? null,
+            gcCount: heap.gcCount ?? null,
+            gcDurationMs: heap.gcDurationMs ?? null,
+            commitsWithGc: Array.isArray(heap.commits)
+              ? heap.commits.filter((commit) => commit.gcCount > 0).length
+              : null,
+          }
+        : null,
+      chromeTracePath: chromeTrace?.path ?? null,
+      chromeTraceClockSync: chromeTrace?.clockSync ?? null,
       inspectedElements,
       warnings,
     };
   } finally {
-    await Promise.allSettled([browser.close(), bridge.close()]);
+    if (reuseTab) {
+      // Hand the tab back as we found it: no backend on the next load and no emulation overrides.
+      await Promise.allSettled([
+        injectedScript ? page.removeScriptToEvaluateOnNewDocument(injectedScript.identifier) : null,
+        clockScript ? page.removeScriptToEvaluateOnNewDocument(clockScript.identifier) : null,
+        webVitalsScript
+          ? page.removeScriptToEvaluateOnNewDocument(webVitalsScript.identifier)
+          : null,
+        emulation.viewport ? page.setViewport(null) : null,
+        // An empty override restores the browser's own user agent.
+        emulation.userAgent ? page.setUserAgent('') : null,
+        emulationSession?.detach(),
+        requestReplay?.stop(),
+        harRecording?.abort(),
+        filmstripCapture?.abort(),
+        heapSampling?.abort(),
+        chromeTracing || heapTracing ? page.tracing.stop() : null,
+        consoleCapture?.abort(),
+        documentCapture?.stop(),
+        bridge.close(),
+      ]);
+      // The loaded document still runs the injected backend (and the fake clock); only a reload
+      // drops them.
+      if (injectedScript) {
+        await page
+          .reload({waitUntil: 'networkidle2', timeout: navigationTimeoutMs})
+          .catch(() => {});
+      }
+    } else {
+      // End the trace before the page closes under it.
+      if (chromeTracing || heapTracing) {
+        await page.tracing.stop().catch(() => {});
+      }
+      await Promise.allSettled([
+        harRecording?.abort(),
+        documentCapture?.stop(),
+        filmstripCapture?.abort(),
+        heapSampling?.abort(),
+        consoleCapture?.abort(),
+        emulationSession?.detach(),
+        browserContext ? browserContext.close() : page?.close(),
+        bridge.close(),
+      ]);
+    }
+  }
+}
+
+function getRunOutputPath(resolvedPath, runIndex) {
+  const extension = path.extname(resolvedPath);
+  const basePath = extension ? resolvedPath.slice(0, -extension.length) : resolvedPath;
+  return `${basePath}.run-${runIndex}${extension || '.json'}`;
+}
+
+export async function recordReactDevToolsProfile({
+  cwd = process.cwd(),
+  url,
+  outputPath,
+  waitForSelector,
+  waitForSelectorTimeoutMs = 30000,
+  profileDurationMs = 8000,
+  interactionSteps = [],
+  recordChangeDescriptions = true,
+  recordTimeline = false,
+  headless = true,
+  chromePath,
+  browserWSEndpoint,
+  browserURL,
+  targetUrlPattern,
+  viewport,
+  devicePreset,
+  userAgent,
+  cpuThrottlingRate,
+  networkPreset,
+  networkConditions,
+  harPath,
+  harMode = 'replay',
+  routeFixturesDir,
+  unmatchedRequests = 'abort',
+  fakeClock = false,
+  fakeClockStartTime,
+  randomSeed,
+  filmstrip = false,
+  filmstripMaxFrames = 300,
+  heapProfile = false,
+  heapSamplingIntervalBytes = 32768,
+  captureConsole = true,
+  webVitals = false,
+  navigationTimeoutMs = 60000,
+  launchArgs = [],
+  inspectElements = true,
+  inspectElementsMaxPerRoot = 1500,
+  inspectElementsTimeoutMs = 4000,
+  inspectElementsBudgetMs = 60000,
+  inspectElementsConcurrency = 8,
+  parseHookNamesEnabled = true,
+  parseHookNamesTimeoutMs = 5000,
+  parseHookNamesSourceRoots = [],
+  chromeTraceOutputPath,
+  chromeTraceCategories = DEFAULT_CHROME_TRACE_CATEGORIES,
+  componentFilters,
+  runs = 1,
+  runIsolation,
+  warmupSteps = [],
+  warmupIterations = 0,
+  warmupReset = 'none',
+  recorderFlow,
+  storageState,
+  storageStatePath,
+  setupSteps = [],
+  saveStorageStatePath,
+}) {
+  let importedFlow = null;
+  if (recorderFlow != null) {
+    if (Array.isArray(interactionSteps) && interactionSteps.length > 0) {
+      throw new Error('Pass either interactionSteps or recorderFlow, not both');
+    }
+    importedFlow = convertRecorderFlowToSteps(recorderFlow);
+    interactionSteps = importedFlow.steps;
+    url = typeof url === 'string' && url.length > 0 ? url : importedFlow.url ?? undefined;
+  }
+
+  const attaching =
+    (typeof browserWSEndpoint === 'string' && browserWSEndpoint.length > 0) ||
+    (typeof browserURL === 'string' && browserURL.length > 0);
+  const reuseTab = typeof targetUrlPattern === 'string' && targetUrlPattern.length > 0;
+  if (reuseTab && !attaching) {
+    throw new Error('targetUrlPattern requires browserWSEndpoint or browserURL');
+  }
+
+  if ((typeof url !== 'string' || url.length === 0) && !reuseTab) {
+    throw new Error('recordReactDevToolsProfile requires a non-empty url');
+  }
+
+  if (typeof outputPath !== 'string' || outputPath.length === 0) {
+    throw new Error('recordReactDevToolsProfile requires outputPath');
+  }
+
+  const runCount = Number.isFinite(Number(runs)) ? Math.max(1, Math.floor(Number(runs))) : 1;
+  // A fresh context would drop the attached browser's cookies, so attached sessions default to pages.
+  runIsolation = runIsolation ?? (attaching ? 'page' : 'context');
+  if (runIsolation !== 'page' && runIsolation !== 'context') {
+    throw new Error(`Unsupported runIsolation: ${String(runIsolation)}. Expected "page" or "context".`);
+  }
+  if (warmupReset !== 'none' && warmupReset !== 'reload') {
+    throw new Error(`Unsupported warmupReset: ${String(warmupReset)}. Expected "none" or "reload".`);
+  }
+  validateInteractionSteps(interactionSteps);
+  validateInteractionSteps(warmupSteps, {label: 'warmupSteps'});
+  validateInteractionSteps(setupSteps, {label: 'setupSteps'});
+  const resolvedComponentFilters = normalizeComponentFilters(componentFilters);
+  const loadedStorageState = await loadStorageState({cwd, storageState, storageStatePath});
+  const emulation = resolveEmulation({
+    devicePreset,
+    viewport,
+    fallbackViewport: importedFlow?.viewport ?? undefined,
+    // Attached tabs keep their window size unless a viewport is requested.
+    defaultViewport: attaching ? null : undefined,
+    userAgent,
+    cpuThrottlingRate,
+    networkPreset,
+    networkConditions,
+  });
+  const networkReplay = await resolveNetworkReplay({
+    cwd,
+    harPath,
+    harMode,
+    routeFixturesDir,
+    unmatchedRequests,
+  });
+  const pageClock = resolvePageClock({fakeClock, fakeClockStartTime, randomSeed});
+
+  const hookSourceFetcher = createHookSourceFetcher({
+    cwd,
+    sourceRoots: parseHookNamesSourceRoots,
+  });
+  const backendScriptSource = await loadBackendScriptSource();
+  const resolvedOutputPath = resolvePath(cwd, outputPath);
+  const resolvedChromeTracePath =
+    typeof chromeTraceOutputPath === 'string' && chromeTraceOutputPath.length > 0
+      ? resolvePath(cwd, chromeTraceOutputPath)
+      : null;
+
+  const {browser, info, release} = await openBrowser({
+    chromePath,
+    headless,
+    launchArgs,
+    browserWSEndpoint,
+    browserURL,
+  });
+
+  try {
+    let targetPage = null;
+    const browserInfo = {
+      ...info,
+      targetUrlPattern: reuseTab ? targetUrlPattern : null,
+    };
+    const connectionWarnings = [];
+    if (reuseTab) {
+      const {page, matchCount} = await findTabByUrlPattern(browser, targetUrlPattern);
+      targetPage = page;
+      if (matchCount > 1) {
+        connectionWarnings.push(
+          `${matchCount} open tabs match targetUrlPattern ${JSON.stringify(targetUrlPattern)}; profiling the first one (${page.url()}).`,
+        );
+      }
+    }
+
+    const runOptions = {
+      browser,
+      browserInfo,
+      targetPage,
+      connectionWarnings,
+      runIsolation: reuseTab ? 'tab' : runIsolation,
+      backendScriptSource,
+      hookSourceFetcher,
+      cwd,
+      url,
+      waitForSelector,
+      waitForSelectorTimeoutMs,
+      profileDurationMs,
+      interactionSteps,
+      recordChangeDescriptions,
+      recordTimeline,
+      emulation,
+      networkReplay,
+      pageClock,
+      filmstrip: filmstrip === true,
+      filmstripMaxFrames: Number.isFinite(Number(filmstripMaxFrames))
+        ? Math.max(1, Math.floor(Number(filmstripMaxFrames)))
+        : 300,
+      heapProfile: heapProfile === true,
+      heapSamplingIntervalBytes: Number.isFinite(Number(heapSamplingIntervalBytes))
+        ? Math.max(1, Math.floor(Number(heapSamplingIntervalBytes)))
+        : 32768,
+      captureConsole: captureConsole !== false,
+      webVitals: webVitals === true,
+      navigationTimeoutMs,
+      inspectElements,
+      inspectElementsMaxPerRoot,
+      inspectElementsTimeoutMs,
+      inspectElementsBudgetMs,
+      inspectElementsConcurrency,
+      parseHookNamesEnabled,
+      parseHookNamesTimeoutMs,
+      chromeTraceCategories,
+      componentFilters: resolvedComponentFilters,
+      warmupSteps,
+      warmupIterations: Number.isFinite(Number(warmupIterations))
+        ? Math.max(0, Math.floor(Number(warmupIterations)))
+        : 0,
+      warmupReset,
+      storageState: loadedStorageState,
+      setupSteps,
+      recorderFlowInfo: importedFlow
+        ? {
+            title: importedFlow.title,
+            url: importedFlow.url,
+            stepCount: importedFlow.steps.length,
+            warnings: importedFlow.warnings,
+          }
+        : null,
+    };
+
+    if (runCount === 1) {
+      return await recordProfileRun({
+        ...runOptions,
+        runInfo: null,
+        outputPath: resolvedOutputPath,
+        saveStorageStatePath,
+        chromeTraceOutputPath: resolvedChromeTracePath ?? undefined,
+      });
+    }
+
+    const runResults = [];
+    for (let runIndex = 1; runIndex <= runCount; runIndex += 1) {
+      runResults.push(
+        await recordProfileRun({
+          ...runOptions,
+          runInfo: {index: runIndex, count: runCount, isolation: runOptions.runIsolation},
+          outputPath: getRunOutputPath(resolvedOutputPath, runIndex),
+          // Every run repeats the setup phase; the first one is enough to save its storage state.
+          saveStorageStatePath: runIndex === 1 ? saveStorageStatePath : undefined,
+          // A recording run captures the HAR once; the runs after it replay that capture.
+          networkReplay:
+            runIndex > 1 && networkReplay?.mode === 'record'
+              ? {...networkReplay, mode: 'replay'}
+              : networkReplay,
+          chromeTraceOutputPath: resolvedChromeTracePath
+            ? getRunOutputPath(resolvedChromeTracePath, runIndex)
+            : undefined,
+        }),
+      );
+    }
+
+    const manifestDir = path.dirname(resolvedOutputPath);
+    const manifest = {
+      format: RUN_MANIFEST_FORMAT,
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      recorder: {
+        name: RECORDER_NAME,
+        version: RECORDER_VERSION,
+      },
+      url: url ?? targetPage?.url() ?? null,
+      runCount,
+      runIsolation: reuseTab ? 'tab' : runIsolation,
+      browser: browserInfo,
+      emulation,
+      network: networkReplay,
+      clock: pageClock,
+      componentFilters: resolvedComponentFilters ?? DEFAULT_COMPONENT_FILTERS,
+      interactionStepCount: Array.isArray(interactionSteps) ? interactionSteps.length : 0,
+      runs: runResults.map((result, index) => ({
+        runIndex: index + 1,
+        path: path.relative(manifestDir, result.outputPath),
+        commitCount: result.commitCount,
+        rootCount: result.rootCount,
+        chromeTracePath: result.chromeTracePath
+          ? path.relative(manifestDir, result.chromeTracePath)
+          : null,
+        filmstripDirectory: result.filmstrip
+          ? path.relative(manifestDir, result.filmstrip.directory)
+          : null,
+        heapProfilePath: result.heap ? path.relative(manifestDir, result.heap.profilePath) : null,
+        warnings: result.warnings,
+      })),
+    };
+
+    await mkdir(manifestDir, {recursive: true});
+    await writeFile(resolvedOutputPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+
+    return {
+      outputPath: resolvedOutputPath,
+      manifest: true,
+      runCount,
+      runIsolation: reuseTab ? 'tab' : runIsolation,
+      commitCount: runResults.reduce((sum, result) => sum + result.commitCount, 0),
+      runs: runResults,
+      warnings: runResults.flatMap((result, index) =>
+        result.warnings.map((warning) => `Run ${index + 1}: ${warning}`),
+      ),
+    };
+  } finally {
+    await release().catch(() => {});
   }
 }
@@ -0,0 +1,237 @@
+import {validateInteractionSteps} from './interaction-steps.js';
+
+const RECORDER_BUTTONS = {
+  primary: 'left',
+  auxiliary: 'middle',
+  secondary: 'right',
+};
+
+// Recorder's non-CSS selector prefixes map to puppeteer P-selectors, which (unlike the prefixed
+// forms) can be chained with the deep combinator.
+const RECORDER_PSELECTOR_PREFIXES = {
+  'aria/': 'aria',
+  'text/': 'text',
+  'xpath/': 'xpath',
+};
+
+function toSelectorPart(part) {
+  if (part.startsWith('pierce/')) {
+    return `:scope >>> ${part.slice('pierce/'.length)}`;
+  }
+  for (const [prefix, name] of Object.entries(RECORDER_PSELECTOR_PREFIXES)) {
+    if (part.startsWith(prefix)) {
+      return `::-p-${name}(${JSON.stringify(part.slice(prefix.length))})`;
+    }
+  }
+  return part;
+}
+
+function toSelectorCandidate(selector) {
+  // Multi-part selectors walk into shadow roots; puppeteer's deep combinator does the same.
+  const parts = (Array.isArray(selector) ? selector : [selector]).filter(
+    (part) => typeof part === 'string' && part.length > 0,
+  );
+  return parts.length > 0 ? parts.map(toSelectorPart).join(' >>> ') : null;
+}
+
+function toSelectorCandidates(recorderStep, label) {
+  const candidates = (Array.isArray(recorderStep?.selectors) ? recorderStep.selectors : [])
+    .map(toSelectorCandidate)
+    .filter(Boolean);
+  if (candidates.length === 0) {
+    throw new Error(`Recorder step ${label} (${recorderStep.type}) has no usable selectors`);
+  }
+  return candidates.length === 1 ? candidates[0] : candidates;
+}
+
+function hasNavigationAssertion(recorderStep) {
+  return (
+    Array.isArray(recorderStep?.assertedEvents) &&
+    recorderStep.assertedEvents.some((event) => event?.type === 'navigation')
+  );
+}
+
+function toTimeoutMs(recorderStep, flowTimeoutMs) {
+  if (Number.isFinite(recorderStep?.timeout)) {
+    return Number(recorderStep.timeout);
+  }
+  return flowTimeoutMs;
+}
+
+function convertRecorderStep(recorderStep, {label, flowTimeoutMs, warnings}) {
+  if (recorderStep.target != null && recorderStep.target !== 'main') {
+    warnings.push(
+      `Recorder step ${label} (${recorderStep.type}) targets "${recorderStep.target}"; it is replayed against the main page.`,
+    );
+  }
+  if (Array.isArray(recorderStep.frame) && recorderStep.frame.length > 0) {
+    warnings.push(
+      `Recorder step ${label} (${recorderStep.type}) runs inside an iframe; frame targeting is not supported and it is replayed against the main frame.`,
+    );
+  }
+
+  switch (recorderStep.type) {
+    case 'setViewport':
+      return [
+        {
+          action: 'setViewport',
+          width: Number(recorderStep.width),
+          height: Number(recorderStep.height),
+          deviceScaleFactor: Number(recorderStep.deviceScaleFactor ?? 1),
+          isMobile: recorderStep.isMobile === true,
+          hasTouch: recorderStep.hasTouch === true,
+        },
+      ];
+    case 'navigate':
+      return [
+        {
+          action: 'navigate',
+          url: String(recorderStep.url),
+          ...(flowTimeoutMs != null || recorderStep.timeout != null
+            ? {timeoutMs: toTimeoutMs(recorderStep, flowTimeoutMs)}
+            : {}),
+        },
+      ];
+    case 'click':
+    case 'doubleClick': {
+      const step = {
+        action: 'click',
+        selector: toSelectorCandidates(recorderStep, label),
+      };
+      if (recorderStep.type === 'doubleClick') {
+        step.clickCount = 2;
+      }
+      if (recorderStep.button && recorderStep.button !== 'primary') {
+        const button = RECORDER_BUTTONS[recorderStep.button];
+        if (button) {
+          step.button = button;
+        } else {
+          warnings.push(
+            `Recorder step ${label} uses button "${recorderStep.button}"; it is replayed as a left click.`,
+          );
+        }
+      }
+      if (Number.isFinite(recorderStep.offsetX) && Number.isFinite(recorderStep.offsetY)) {
+        step.offset = {x: Number(recorderStep.offsetX), y: Number(recorderStep.offsetY)};
+      }
+      if (Number.isFinite(recorderStep.duration) && recorderStep.duration > 0) {
+        step.delayMs = Number(recorderStep.duration);
+      }
+      if (hasNavigationAssertion(recorderStep)) {
+        step.waitForNavigation = true;
+      }
+      return [step];
+    }
+    case 'hover':
+      return [{action: 'hover', selector: toSelectorCandidates(recorderStep, label)}];
+    case 'change':
+      return [
+        {
+          action: 'fill',
+          selector: toSelectorCandidates(recorderStep, label),
+          value: String(recorderStep.value ?? ''),
+        },
+      ];
+    case 'keyDown':
+      return [{action: 'keyDown', key: String(recorderStep.key)}];
+    case 'keyUp':
+      return [{action: 'keyUp', key: String(recorderStep.key)}];
+    case 'scroll': {
+      const hasSelectors = Array.isArray(recorderStep.selectors) && recorderStep.selectors.length > 0;
+      return [
+        {
+          action: 'scroll',
+          ...(hasSelectors ? {selector: toSelectorCandidates(recorderStep, label)} : {}),
+          x: Number(recorderStep.x ?? 0),
+          y: Number(recorderStep.y ?? 0),
+        },
+      ];
+    }
+    case 'waitForElement': {
+      const count = Number(recorderStep.count ?? 1);
+      const operator = recorderStep.operator ?? '>=';
+      if (count !== 1 || operator !== '>=') {
+        warnings.push(
+          `Recorder step ${label} waits for count ${operator} ${count}; it is replayed as "at least one element".`,
+        );
+      }
+      return [
+        {
+          action: 'waitForSelector',
+          selector: toSelectorCandidates(recorderStep, label),
+          ...(recorderStep.visible === true ? {visible: true} : {}),
+          ...(flowTimeoutMs != null || recorderStep.timeout != null
+            ? {timeoutMs: toTimeoutMs(recorderStep, flowTimeoutMs)}
+            : {}),
+        },
+      ];
+    }
+    case 'waitForExpression':
+      return [
+        {
+          action: 'waitForFunction',
+          expression: String(recorderStep.expression),
+          ...(flowTimeoutMs != null || recorderStep.timeout != null
+            ? {timeoutMs: toTimeoutMs(recorderStep, flowTimeoutMs)}
+            : {}),
+        },
+      ];
+    case 'close':
+      warnings.push(`Recorder step ${label} (close) was dropped; the recorder owns the page lifecycle.`);
+      return [];
+    default:
+      warnings.push(
+        `Recorder step ${label} has unsupported type "${String(recorderStep.type)}" and was dropped.`,
+      );
+      return [];
+  }
+}
+
+export function convertRecorderFlowToSteps(flow) {
+  if (!flow || typeof flow !== 'object' || !Array.isArray(flow.steps)) {
+    throw new Error('Recorder flow must be a Chrome DevTools Recorder JSON export with a steps array');
+  }
+
+  const flowTimeoutMs = Number.isFinite(flow.timeout) ? Number(flow.timeout) : null;
+  const warnings = [];
+  const steps = [];
+  let url = null;
+  let viewport = null;
+
+  for (const [index, recorderStep] of flow.steps.entries()) {
+    const label = `#${index}`;
+    if (!recorderStep || typeof recorderStep.type !== 'string') {
+      throw new Error(`Recorder step ${label} is missing a type`);
+    }
+
+    // Leading setViewport/navigate describe the starting page, which the recorder opens itself.
+    if (url === null && steps.length === 0) {
+      if (recorderStep.type === 'setViewport' && viewport === null) {
+        viewport = {
+          width: Number(recorderStep.width),
+          height: Number(recorderStep.height),
+          deviceScaleFactor: Number(recorderStep.deviceScaleFactor ?? 1),
+          isMobile: recorderStep.isMobile === true,
+          hasTouch: recorderStep.hasTouch === true,
+        };
+        continue;
+      }
+      if (recorderStep.type === 'navigate') {
+        url = String(recorderStep.url);
+        continue;
+      }
+    }
+
+    steps.push(...convertRecorderStep(recorderStep, {label, flowTimeoutMs, warnings}));
+  }
+
+  validateInteractionSteps(steps, {label: 'recorderFlow'});
+
+  return {
+    title: typeof flow.title === 'string' ? flow.title : null,
+    url,
+    viewport,
+    steps,
+    warnings,
+  };
+}
@@ -0,0 +1,4 @@
+// Stamped into exports, run manifests and recorded HARs so a file can be traced back to the
+// recorder that wrote it.
+export const RECORDER_NAME = 'react-profiler-mcp';
+export const RECORDER_VERSION = '0.4.0';
@@ -0,0 +1,257 @@
+import {mkdir, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import puppeteer from 'puppeteer-core';
+
+import {resolveChromePath} from './chrome-discovery.js';
+import {getSelectorBuilderSource} from './dom-selectors.js';
+import {validateInteractionSteps} from './interaction-steps.js';
+import {resolvePath} from './io.js';
+
+const RECORD_BINDING_NAME = '__reactProfilerMcpRecordStep__';
+
+function createListenerScript() {
+  return `;(function(){
+  if (window.__REACT_PROFILER_MCP_STEP_RECORDER__) { return; }
+  window.__REACT_PROFILER_MCP_STEP_RECORDER__ = true;
+
+  const buildSelectorCandidates = ${getSelectorBuilderSource()};
+  const CLICK_TARGET_SELECTOR = 'button, a, input, select, textarea, label, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="option"], [role="checkbox"], [role="switch"], [data-testid]';
+  const RECORDED_NAMED_KEYS = new Set(['Enter', 'Escape', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', 'Delete', 'Backspace', ' ']);
+  const queue = [];
+  let pendingInput = null;
+
+  const toSelector = (element) => {
+    const candidates = buildSelectorCandidates(element);
+    if (candidates.length === 0) { return null; }
+    return candidates.length === 1 ? candidates[0] : candidates;
+  };
+  const isEditable = (element) =>
+    Boolean(element) &&
+    (element.isContentEditable ||
+      (element.tagName === 'INPUT' && !['button', 'submit', 'checkbox', 'radio', 'file', 'reset', 'image', 'range', 'color'].includes(element.type)) ||
+      element.tagName === 'TEXTAREA');
+
+  const send = (step) => {
+    queue.push({...step, at: Date.now()});
+    const record = window[${JSON.stringify(RECORD_BINDING_NAME)}];
+    if (typeof record !== 'function') { return; }
+    while (queue.length > 0) { record(queue.shift()); }
+  };
+  // Node keeps the latest draft so input typed right before the browser closes is not lost.
+  const reportPendingInput = () => {
+    const record = window[${JSON.stringify(RECORD_BINDING_NAME)}];
+    if (!pendingInput || typeof record !== 'function') { return; }
+    const {selector, element} = pendingInput;
+    record({action: 'type', selector, text: String(element.value ?? element.textContent ?? ''), clear: true, pending: true, at: Date.now()});
+  };
+  const flushInput = () => {
+    if (!pendingInput) { return; }
+    const {selector, element} = pendingInput;
+    pendingInput = null;
+    send({action: 'type', selector, text: String(element.value ?? element.textContent ?? ''), clear: true});
+  };
+
+  document.addEventListener('click', (event) => {
+    if (!event.isTrusted) { return; }
+    const target = event.target instanceof Element ? (event.target.closest(CLICK_TARGET_SELECTOR) ?? event.target) : null;
+    if (!target || target.tagName === 'SELECT' || (pendingInput && pendingInput.element === target)) { return; }
+    flushInput();
+    const selector = toSelector(target);
+    if (selector) { send({action: 'click', selector}); }
+  }, true);
+
+  document.addEventListener('input', (event) => {
+    if (!event.isTrusted || !isEditable(event.target)) { return; }
+    if (pendingInput && pendingInput.element !== event.target) { flushInput(); }
+    if (!pendingInput) {
+      const selector = toSelector(event.target);
+      if (!selector) { return; }
+      pendingInput = {selector, element: event.target};
+    }
+    reportPendingInput();
+  }, true);
+
+  document.addEventListener('change', (event) => {
+    if (!event.isTrusted || !(event.target instanceof Element) || event.target.tagName !== 'SELECT') { return; }
+    flushInput();
+    const selector = toSelector(event.target);
+    if (selector) { send({action: 'select', selector, value: event.target.value}); }
+  }, true);
+
+  document.addEventListener('keydown', (event) => {
+    if (!event.isTrusted || ['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) { return; }
+    const editable = isEditable(event.target);
+    if (editable && (event.key.length === 1 || event.key === 'Backspace' || event.key === 'Delete') && !event.ctrlKey && !event.metaKey) { return; }
+    if (!editable && event.key.length === 1 && event.key !== ' ' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      flushInput();
+      send({action: 'press', key: event.key});
+      return;
+    }
+    if (!RECORDED_NAMED_KEYS.has(event.key) && !event.ctrlKey && !event.metaKey && !event.altKey) { return; }
+    flushInput();
+    const modifiers = [event.ctrlKey && 'Control', event.metaKey && 'Meta', event.altKey && 'Alt', event.shiftKey && event.key.length > 1 && 'Shift'].filter(Boolean);
+    send({action: 'press', key: [...modifiers, event.key].join('+')});
+  }, true);
+
+  window.addEventListener('pagehide', flushInput, true);
+  document.addEventListener('focusout', (event) => {
+    if (pendingInput && pendingInput.element === event.target) { flushInput(); }
+  }, true);
+})();`;
+}
+
+function toKeyPressSteps(step) {
+  const parts = String(step.key).split('+');
+  if (parts.length === 1) {
+    return [step];
+  }
+  // Chords replay as keyDown(modifiers) + press(key) + keyUp(modifiers in reverse order).
+  const key = parts.pop();
+  return [
+    ...parts.map((modifier) => ({action: 'keyDown', key: modifier})),
+    {action: 'press', key},
+    ...[...parts].reverse().map((modifier) => ({action: 'keyUp', key: modifier})),
+  ];
+}
+
+function finalizeRecordedSteps(recordedSteps, {maxWaitMs, minWaitMs}) {
+  const steps = [];
+  let previousAt = null;
+
+  for (const recorded of recordedSteps) {
+    const {at, ...step} = recorded;
+    if (maxWaitMs > 0 && Number.isFinite(previousAt) && Number.isFinite(at)) {
+      const gapMs = at - previousAt;
+      if (gapMs >= minWaitMs) {
+        steps.push({action: 'wait', ms: Math.min(maxWaitMs, Math.round(gapMs))});
+      }
+    }
+    previousAt = Number.isFinite(at) ? at : previousAt;
+    steps.push(...(step.action === 'press' ? toKeyPressSteps(step) : [step]));
+  }
+
+  return steps;
+}
+
+export async function recordInteractionSteps({
+  cwd = process.cwd(),
+  url,
+  outputPath,
+  chromePath,
+  viewport = {width: 1440, height: 900},
+  launchArgs = [],
+  navigationTimeoutMs = 60000,
+  durationMs = 0,
+  maxWaitMs = 1000,
+  minWaitMs = 300,
+  onStep,
+}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('recordInteractionSteps requires a non-empty url');
+  }
+
+  if (typeof outputPath !== 'string' || outputPath.length === 0) {
+    throw new Error('recordInteractionSteps requires outputPath');
+  }
+
+  const recordedSteps = [];
+  let pendingInputStep = null;
+  const browser = await puppeteer.launch({
+    executablePath: resolveChromePath(chromePath),
+    headless: false,
+    defaultViewport: null,
+    handleSIGINT: false,
+    args: [`--window-size=${viewport.width},${viewport.height}`, ...launchArgs],
+  });
+
+  let resolveFinished;
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+  const finish = (reason) => resolveFinished(reason);
+  const handleSigint = () => finish('interrupted');
+
+  process.once('SIGINT', handleSigint);
+  browser.once('disconnected', () => finish('browser-closed'));
+  const durationTimer =
+    Number(durationMs) > 0 ? setTimeout(() => finish('duration-elapsed'), Number(durationMs)) : null;
+
+  try {
+    const [existingPage] = await browser.pages();
+    const page = existingPage ?? (await browser.newPage());
+    page.once('close', () => finish('page-closed'));
+
+    let initialNavigationDone = false;
+    await page.exposeFunction(RECORD_BINDING_NAME, (step) => {
+      if (!step || typeof step.action !== 'string') {
+        return;
+      }
+      if (step.pending === true) {
+        const {pending, ...draft} = step;
+        pendingInputStep = draft;
+        return;
+      }
+      pendingInputStep = null;
+      recordedSteps.push(step);
+      onStep?.(step);
+    });
+    // Page.frameNavigated only fires for cross-document navigations; pushState/replaceState route
+    // changes replay through the clicks that caused them.
+    const client = await page.createCDPSession();
+    await client.send('Page.enable');
+    client.on('Page.frameNavigated', ({frame}) => {
+      if (frame.parentId || !initialNavigationDone) {
+        return;
+      }
+      const lastStep = recordedSteps.at(-1);
+      if (lastStep?.action === 'click' && Date.now() - lastStep.at < 2000) {
+        lastStep.waitForNavigation = true;
+        return;
+      }
+      const navigateStep = {action: 'navigate', url: frame.url, at: Date.now()};
+      recordedSteps.push(navigateStep);
+      onStep?.(navigateStep);
+    });
+    await page.evaluateOnNewDocument(createListenerScript());
+
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: navigationTimeoutMs,
+    });
+    initialNavigationDone = true;
+
+    const reason = await finished;
+    if (reason !== 'browser-closed' && reason !== 'page-closed') {
+      // Flush any input the user is still typing into before the page goes away.
+      await page
+        .evaluate(() => document.activeElement?.blur?.())
+        .catch(() => {});
+    } else if (pendingInputStep) {
+      // The page is gone, so the last draft Node saw is the best record of what was typed.
+      recordedSteps.push(pendingInputStep);
+      onStep?.(pendingInputStep);
+      pendingInputStep = null;
+    }
+
+    const steps = validateInteractionSteps(finalizeRecordedSteps(recordedSteps, {maxWaitMs, minWaitMs}));
+    const resolvedOutputPath = resolvePath(cwd, outputPath);
+    await mkdir(path.dirname(resolvedOutputPath), {recursive: true});
+    await writeFile(resolvedOutputPath, `${JSON.stringify(steps, null, 2)}\n`, 'utf8');
+
+    return {
+      outputPath: resolvedOutputPath,
+      url,
+      stepCount: steps.length,
+      stoppedBy: reason,
+      steps,
+    };
+  } finally {
+    process.removeListener('SIGINT', handleSigint);
+    if (durationTimer) {
+      clearTimeout(durationTimer);
+    }
+    await browser.close().catch(() => {});
+  }
+}
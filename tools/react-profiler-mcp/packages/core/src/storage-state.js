@@ -0,0 +1,177 @@
+import {mkdir, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+
+import {readJsonFile, resolvePath} from './io.js';
+
+// Same shape as Playwright's storageState ({cookies, origins[{origin, localStorage}]}) so existing
+// auth files can be reused; sessionStorage is an extension of that format.
+const COOKIE_SAME_SITE_VALUES = new Set(['Strict', 'Lax', 'None']);
+
+function normalizeStorageEntries(entries, label) {
+  if (entries == null) {
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${label} must be an array of {name, value} entries`);
+  }
+  return entries.map((entry, index) => {
+    if (typeof entry?.name !== 'string') {
+      throw new Error(`${label}[${index}] requires a string name`);
+    }
+    return {name: entry.name, value: String(entry.value ?? '')};
+  });
+}
+
+function normalizeCookie(cookie, index) {
+  if (typeof cookie?.name !== 'string' || cookie.value == null) {
+    throw new Error(`storageState.cookies[${index}] requires name and value`);
+  }
+
+  let domain = typeof cookie.domain === 'string' && cookie.domain.length > 0 ? cookie.domain : null;
+  if (!domain && typeof cookie.url === 'string') {
+    domain = new URL(cookie.url).hostname;
+  }
+  if (!domain) {
+    throw new Error(`storageState.cookies[${index}] (${cookie.name}) requires domain or url`);
+  }
+
+  return {
+    name: cookie.name,
+    value: String(cookie.value),
+    domain,
+    path: typeof cookie.path === 'string' ? cookie.path : '/',
+    ...(Number.isFinite(cookie.expires) && cookie.expires > 0 ? {expires: cookie.expires} : {}),
+    ...(cookie.httpOnly === true ? {httpOnly: true} : {}),
+    ...(cookie.secure === true ? {secure: true} : {}),
+    ...(COOKIE_SAME_SITE_VALUES.has(cookie.sameSite) ? {sameSite: cookie.sameSite} : {}),
+  };
+}
+
+export function normalizeStorageState(storageState) {
+  if (!storageState || typeof storageState !== 'object' || Array.isArray(storageState)) {
+    throw new Error('storageState must be an object with cookies and/or origins');
+  }
+
+  const cookies = (Array.isArray(storageState.cookies) ? storageState.cookies : []).map(
+    normalizeCookie,
+  );
+  const origins = (Array.isArray(storageState.origins) ? storageState.origins : []).map(
+    (entry, index) => {
+      if (typeof entry?.origin !== 'string' || entry.origin.length === 0) {
+        throw new Error(`storageState.origins[${index}] requires an origin`);
+      }
+      return {
+        origin: new URL(entry.origin).origin,
+        localStorage: normalizeStorageEntries(
+          entry.localStorage,
+          `storageState.origins[${index}].localStorage`,
+        ),
+        sessionStorage: normalizeStorageEntries(
+          entry.sessionStorage,
+          `storageState.origins[${index}].sessionStorage`,
+        ),
+      };
+    },
+  );
+
+  return {cookies, origins};
+}
+
+export async function loadStorageState({cwd, storageState, storageStatePath}) {
+  if (storageState != null && storageStatePath != null) {
+    throw new Error('Pass either storageState or storageStatePath, not both');
+  }
+  if (typeof storageStatePath === 'string' && storageStatePath.length > 0) {
+    const {resolvedPath, data} = await readJsonFile(cwd, storageStatePath);
+    return {state: normalizeStorageState(data), source: resolvedPath};
+  }
+  if (storageState != null) {
+    return {state: normalizeStorageState(storageState), source: 'inline'};
+  }
+  return null;
+}
+
+function createStorageSeedScript(origins) {
+  return `;(function(){
+  const origins = ${JSON.stringify(origins)};
+  const entry = origins.find((candidate) => candidate.origin === location.origin);
+  if (!entry) { return; }
+  try {
+    for (const item of entry.localStorage) { window.localStorage.setItem(item.name, item.value); }
+    for (const item of entry.sessionStorage) { window.sessionStorage.setItem(item.name, item.value); }
+  } catch (error) {
+    console.warn('[react-profiler-mcp] storage state could not be applied', error);
+  }
+})();`;
+}
+
+// Cookies go straight into the page's browser context. Web storage is seeded by a document-start
+// script, which the caller removes once the first navigation is done so reloads keep app writes.
+export async function applyStorageState(page, state) {
+  if (state.cookies.length > 0) {
+    await page.browserContext().setCookie(...state.cookies);
+  }
+
+  const originsWithStorage = state.origins.filter(
+    (entry) => entry.localStorage.length > 0 || entry.sessionStorage.length > 0,
+  );
+  if (originsWithStorage.length === 0) {
+    return {removeSeedScript: async () => {}};
+  }
+
+  const {identifier} = await page.evaluateOnNewDocument(createStorageSeedScript(originsWithStorage));
+  return {
+    removeSeedScript: () => page.removeScriptToEvaluateOnNewDocument(identifier),
+  };
+}
+
+export async function captureStorageState(page) {
+  const cookies = await page.browserContext().cookies();
+  const webStorage = await page.evaluate(() => {
+    const read = (storage) => {
+      const entries = [];
+      for (let index = 0; index < storage.length; index += 1) {
+        const name = storage.key(index);
+        entries.push({name, value: storage.getItem(name) ?? ''});
+      }
+      return entries;
+    };
+    return {
+      origin: location.origin,
+      localStorage: read(window.localStorage),
+      sessionStorage: read(window.sessionStorage),
+    };
+  });
+
+  return {
+    cookies: cookies.map((cookie) => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.session ? -1 : cookie.expires,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure,
+      ...(cookie.sameSite ? {sameSite: cookie.sameSite} : {}),
+    })),
+    origins: webStorage.origin && webStorage.origin !== 'null' ? [webStorage] : [],
+  };
+}
+
+export async function saveStorageState({cwd, outputPath, state}) {
+  const resolvedOutputPath = resolvePath(cwd, outputPath);
+  await mkdir(path.dirname(resolvedOutputPath), {recursive: true});
+  await writeFile(resolvedOutputPath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+  return resolvedOutputPath;
+}
+
+export function summarizeStorageState(state) {
+  return {
+    cookieCount: state.cookies.length,
+    origins: state.origins.map((entry) => ({
+      origin: entry.origin,
+      localStorageKeys: entry.localStorage.length,
+      sessionStorageKeys: entry.sessionStorage.length,
+    })),
+  };
+}
@@ -1,3 +1,5 @@
+import {applyOperationsToLiveTree} from './live-tree.js';
+
 function asNumber(value) {
   return typeof value === 'number' && Number.isFinite(value) ? value : 0;
 }
@@ -51,37 +53,66 @@ function median(values) {
   return sorted[middle];
 }
 
-function buildNameMapFromSnapshots(rootData) {
+function formatNodeName(node, fiberId) {
+  return (
+    (typeof node.displayName === 'string' && node.displayName) ||
+    (Array.isArray(node.hocDisplayNames) &&
+    typeof node.hocDisplayNames[0] === 'string'
+      ? node.hocDisplayNames[0]
+      : null) ||
+    `Unknown#${fiberId}`
+  );
+}
+
+function buildNameMap(rootData) {
   const byFiberId = new Map();
-  if (!Array.isArray(rootData?.snapshots)) {
-    return byFiberId;
-  }
+  const snapshots = Array.isArray(rootData?.snapshots) ? rootData.snapshots : [];
 
-  for (const snapshotEntry of rootData.snapshots) {
+  for (const snapshotEntry of snapshots) {
     if (!Array.isArray(snapshotEntry) || snapshotEntry.length < 2) {
       continue;
     }
     const fiberId = Number(snapshotEntry[0]);
-    const node = snapshotEntry[1] || {};
-    const displayName =
-      (typeof node.displayName === 'string' && node.displayName) ||
-      (Array.isArray(node.hocDisplayNames) &&
-      typeof node.hocDisplayNames[0] === 'string'
-        ? node.hocDisplayNames[0]
-        : null) ||
-      `Unknown#${fiberId}`;
-
-    byFiberId.set(fiberId, displayName);
+    byFiberId.set(fiberId, formatNodeName(snapshotEntry[1] || {}, fiberId));
+  }
+
+  // Fibers mounted while profiling are only described by the ADD operations of the commit that
+  // mounted them, so replay the operations and keep the first name seen for each fiber.
+  const liveTreesByRoot = new Map();
+  const recordName = (node) => {
+    if (!byFiberId.has(node.id)) {
+      byFiberId.set(node.id, formatNodeName(node, node.id));
+    }
+  };
+  const operationsList = Array.isArray(rootData?.operations)
+    ? rootData.operations
+    : [];
+  for (const operations of operationsList) {
+    applyOperationsToLiveTree({liveTreesByRoot, operations, onNodeAdded: recordName});
   }
 
   return byFiberId;
 }
 
+function buildHeapCommitMap(profile) {
+  const byCommit = new Map();
+  const heapCommits = profile.automationMeta?.heap?.commits;
+  if (!Array.isArray(heapCommits)) {
+    return null;
+  }
+  for (const heapCommit of heapCommits) {
+    byCommit.set(`${heapCommit.rootID}:${heapCommit.commitIndex}`, heapCommit);
+  }
+  return byCommit;
+}
+
 function annotateGcJitter(summary) {
   const componentSpikes = new Map();
   const commitComponentIndex = new Map();
+  const commitsByIndex = new Map();
 
   for (const commit of summary.commits) {
+    commitsByIndex.set(commit.index, commit);
     const componentMap = new Map();
     for (const component of commit.components) {
       componentMap.set(component.componentInstanceKey, component);
@@ -120,13 +151,25 @@ function annotateGcJitter(summary) {
         continue;
       }
 
+      // With recorded GC events the spike is confirmed or ruled out instead of guessed.
+      const heap = commitsByIndex.get(curr.commitIndex)?.heap;
       const commitEntry = commitComponentIndex
         .get(curr.commitIndex)
         ?.get(instanceKey);
+      if (heap && heap.gcCount === 0) {
+        if (commitEntry) {
+          commitEntry.gcJitterRuledOut = true;
+          commitEntry.gcJitterReason =
+            'One-off timing spike, but no GC ran during this commit; the extra time is real work or other contention.';
+        }
+        continue;
+      }
+
       if (commitEntry) {
         commitEntry.gcJitterSuspected = true;
-        commitEntry.gcJitterReason =
-          'One-off timing spike relative to local baseline; likely runtime noise (e.g. GC).';
+        commitEntry.gcJitterReason = heap
+          ? `One-off timing spike while ${heap.gcCount} GC event(s) ran for ${heap.gcDurationMs}ms during this commit.`
+          : 'One-off timing spike relative to local baseline; likely runtime noise (e.g. GC).';
       }
 
       const aggregate = summary.componentsByInstance.find(
@@ -141,6 +184,7 @@ function annotateGcJitter(summary) {
           observedSubtreeMs: curr.subtreeMs,
           baselineSubtreeMs: baseline,
           deltaMs: spikeMs,
+          evidence: heap ? 'gc-events' : 'heuristic',
         });
       }
     }
@@ -160,11 +204,12 @@ export function summarizeDevToolsProfile(profile, options = {}) {
   const commits = [];
   const componentsByInstanceMap = new Map();
   const renderedComponentNames = new Set();
+  const heapByCommit = buildHeapCommitMap(profile);
 
   for (const rootData of profile.dataForRoots) {
     const rootID = Number(rootData.rootID);
     const rootDisplayName = rootData.displayName || `Root#${rootID}`;
-    const fiberNameMap = buildNameMapFromSnapshots(rootData);
+    const fiberNameMap = buildNameMap(rootData);
 
     const commitDataList = Array.isArray(rootData.commitData)
       ? rootData.commitData
@@ -225,6 +270,7 @@ export function summarizeDevToolsProfile(profile, options = {}) {
       }
 
       components.sort((a, b) => b.subtreeMs - a.subtreeMs);
+      const heapCommit = heapByCommit?.get(`${rootID}:${commitIndex}`);
       commits.push({
         index: commits.length,
         rootID,
@@ -233,6 +279,16 @@ export function summarizeDevToolsProfile(profile, options = {}) {
         timestampMs: asNumber(commitData.timestamp),
         durationMs: asNumber(commitData.duration),
         componentCount: components.length,
+        ...(heapCommit
+          ? {
+              heap: {
+                allocatedBytes: heapCommit.allocatedBytes,
+                gcCount: heapCommit.gcCount,
+                gcDurationMs: heapCommit.gcDurationMs,
+                gcTypes: heapCommit.gcTypes,
+              },
+            }
+          : {}),
         components,
       });
     }
@@ -265,8 +321,10 @@ export function summarizeDevToolsProfile(profile, options = {}) {
     commits,
     componentsByInstance,
     limitations: [
-      'Component names are derived from snapshot data in the export; nodes added after profiling starts may be labeled Unknown#<id>.',
-      'GC jitter detection is heuristic and should be used as a hint, not a ground truth signal.',
+      'Component names are derived from snapshot and operations data in the export; nodes without either may be labeled Unknown#<id>.',
+      heapByCommit
+        ? 'GC jitter spikes are checked against the GC events recorded with heapProfile; spikes with no GC during the commit are marked gcJitterRuledOut.'
+        : 'GC jitter detection is heuristic and should be used as a hint, not a ground truth signal. Record with heapProfile to check it against GC events.',
     ],
   };
 
@@ -0,0 +1,158 @@
+import {getSelectorBuilderSource} from './dom-selectors.js';
+
+const VITALS_GLOBAL = '__REACT_PROFILER_MCP_VITALS__';
+// Event Timing reports nothing shorter than 16ms, so that is also the lowest useful threshold.
+const EVENT_DURATION_THRESHOLD_MS = 16;
+const MAX_ENTRIES_PER_TYPE = 1000;
+// Upper bound on waiting for a frame before reading entries back (background tabs may not paint).
+const FLUSH_FRAME_TIMEOUT_MS = 100;
+
+// Selectors are built when the entry arrives: a re-render can detach the target before the
+// recorder reads the entries back.
+export function createWebVitalsScript() {
+  return `;(function(){
+  if (window.${VITALS_GLOBAL}) { return; }
+  const buildSelectorCandidates = ${getSelectorBuilderSource()};
+  const store = {supported: {}, longTasks: [], events: [], lcp: [], layoutShifts: []};
+  const observers = [];
+  Object.defineProperty(window, ${JSON.stringify(VITALS_GLOBAL)}, {value: store, configurable: true});
+  // Non-enumerable, so it is not serialized with the entries. Hands over entries the observers
+  // have queued but not yet delivered to their callbacks.
+  Object.defineProperty(store, 'flush', {
+    value: () => { observers.forEach(({observer, onEntry}) => { observer.takeRecords().forEach(onEntry); }); }
+  });
+
+  const toSelector = (node) => {
+    if (!node || node.nodeType !== 1 || !node.isConnected) { return null; }
+    try { return buildSelectorCandidates(node)[0] ?? node.tagName.toLowerCase(); } catch (error) { return null; }
+  };
+  const push = (list, value) => { if (list.length < ${MAX_ENTRIES_PER_TYPE}) { list.push(value); } };
+  const observe = (type, options, onEntry) => {
+    const supportedTypes = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+    store.supported[type] = supportedTypes.includes(type);
+    if (!store.supported[type]) { return; }
+    try {
+      const observer = new PerformanceObserver((list) => { list.getEntries().forEach(onEntry); });
+      observer.observe({type, buffered: true, ...options});
+      observers.push({observer, onEntry});
+    } catch (error) {
+      store.supported[type] = false;
+    }
+  };
+
+  observe('longtask', {}, (entry) => {
+    push(store.longTasks, {
+      startTime: entry.startTime,
+      duration: entry.duration,
+      containerType: entry.attribution?.[0]?.containerType ?? null
+    });
+  });
+  observe('event', {durationThreshold: ${EVENT_DURATION_THRESHOLD_MS}}, (entry) => {
+    push(store.events, {
+      name: entry.name,
+      interactionId: entry.interactionId ?? 0,
+      startTime: entry.startTime,
+      processingStart: entry.processingStart,
+      processingEnd: entry.processingEnd,
+      duration: entry.duration,
+      target: toSelector(entry.target)
+    });
+  });
+  observe('largest-contentful-paint', {}, (entry) => {
+    push(store.lcp, {
+      startTime: entry.startTime,
+      renderTime: entry.renderTime || null,
+      loadTime: entry.loadTime || null,
+      size: entry.size,
+      url: entry.url || null,
+      element: toSelector(entry.element)
+    });
+  });
+  observe('layout-shift', {}, (entry) => {
+    push(store.layoutShifts, {
+      startTime: entry.startTime,
+      value: entry.value,
+      hadRecentInput: entry.hadRecentInput,
+      sources: (entry.sources || []).map((source) => toSelector(source.node)).filter(Boolean)
+    });
+  });
+})();`;
+}
+
+function roundMs(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Entries are on the page's native timeline. `timeOrigin` is the origin of the clock the profiling
+// start and stop times were read on, which is an earlier document's after a navigation, so entries
+// are moved onto it before subtracting the start: ms since profiling start, like commitData.
+export async function collectWebVitals(page, {timeOrigin, startPageTimeMs, stopPageTimeMs}) {
+  const result = await page.evaluate(
+    async (globalName, frameTimeoutMs) => {
+      const value = window[globalName];
+      if (!value) {
+        return null;
+      }
+      // Event Timing entries for the last interaction are only queued after its next paint.
+      const native = window.__REACT_PROFILER_MCP_CLOCK__?.native;
+      const requestFrame =
+        native?.requestAnimationFrame ?? window.requestAnimationFrame.bind(window);
+      const setTimer = native?.setTimeout ?? window.setTimeout.bind(window);
+      await new Promise((resolve) => {
+        requestFrame(() => requestFrame(resolve));
+        setTimer(resolve, frameTimeoutMs);
+      });
+      value.flush?.();
+      return {store: JSON.parse(JSON.stringify(value)), timeOrigin: performance.timeOrigin};
+    },
+    VITALS_GLOBAL,
+    FLUSH_FRAME_TIMEOUT_MS,
+  );
+  if (!result) {
+    return null;
+  }
+  const {store} = result;
+
+  const durationMs = stopPageTimeMs - startPageTimeMs;
+  const clockOffsetMs = Number.isFinite(timeOrigin) ? result.timeOrigin - timeOrigin : 0;
+  const toTimestamp = (startTime) => roundMs(clockOffsetMs + startTime - startPageTimeMs);
+  const overlapsProfiling = (entry) => {
+    const timestamp = toTimestamp(entry.startTime);
+    return timestamp + entry.duration >= 0 && timestamp <= durationMs;
+  };
+
+  return {
+    supported: store.supported,
+    longTasks: store.longTasks.filter(overlapsProfiling).map((entry) => ({
+      timestamp: toTimestamp(entry.startTime),
+      durationMs: roundMs(entry.duration),
+      containerType: entry.containerType,
+    })),
+    events: store.events.filter(overlapsProfiling).map((entry) => ({
+      name: entry.name,
+      interactionId: entry.interactionId,
+      target: entry.target,
+      timestamp: toTimestamp(entry.startTime),
+      durationMs: roundMs(entry.duration),
+      inputDelayMs: roundMs(entry.processingStart - entry.startTime),
+      processingMs: roundMs(entry.processingEnd - entry.processingStart),
+      presentationDelayMs: roundMs(entry.startTime + entry.duration - entry.processingEnd),
+    })),
+    // LCP and layout shifts usually happen while the page loads, before profiling starts, so they
+    // are all kept; a negative timestamp means "before profiling".
+    lcp: store.lcp.map((entry) => ({
+      timestamp: toTimestamp(entry.startTime),
+      // LCP is reported against navigation start, which is what the metric means.
+      sinceNavigationMs: roundMs(entry.startTime),
+      size: entry.size,
+      element: entry.element,
+      url: entry.url,
+    })),
+    layoutShifts: store.layoutShifts.map((entry) => ({
+      timestamp: toTimestamp(entry.startTime),
+      value: entry.value,
+      hadRecentInput: entry.hadRecentInput,
+      sources: entry.sources,
+    })),
+  };
+}
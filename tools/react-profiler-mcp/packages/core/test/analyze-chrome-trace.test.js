@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('maps commit timestamps onto the correlated Chrome trace clock', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        chromeTrace: {
+          path: '/traces/run.json',
+          clockSync: {
+            method: 'performance-mark',
+            pageTimeToTraceOffsetUs: 4000000,
+            profilingStartTraceTsUs: 5000000,
+            profilingStartUncertaintyMs: 0.4,
+          },
+        },
+      },
+    }),
+  );
+
+  assert.equal(report.chromeTrace.synced, true);
+  assert.equal(report.chromeTrace.path, '/traces/run.json');
+  assert.deepEqual(
+    report.commits.map((commit) => commit.traceTimestampUs),
+    [5100000, 5350000, 5600000, 5850000, 6100000, 6350000],
+  );
+});
+
+test('warns and leaves trace timestamps out when the clock could not be synced', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        chromeTrace: {path: '/traces/run.json', clockSync: {errorMessage: 'mark not found'}},
+      },
+    }),
+  );
+
+  assert.equal(report.chromeTrace.synced, false);
+  assert.ok(report.commits.every((commit) => !('traceTimestampUs' in commit)));
+  assert.ok(
+    report.warnings.some((warning) => warning.includes('could not be synced (mark not found)')),
+  );
+});
+
+test('exports without a Chrome trace have no correlation', async () => {
+  const report = await analyzeProfile(createDevToolsExport());
+  assert.ok(!('chromeTrace' in report));
+});
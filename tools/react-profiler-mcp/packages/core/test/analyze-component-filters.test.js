@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+const HIDE_LIST = [{type: 'displayName', value: '^List$'}];
+
+test('component filters roll hidden self time into the nearest visible ancestor', async () => {
+  const report = await analyzeProfile(createDevToolsExport(), {
+    args: ['--component-filters-json', JSON.stringify(HIDE_LIST)],
+  });
+
+  assert.deepEqual(
+    report.hotspots.map((hotspot) => hotspot.name),
+    ['App', 'div'],
+  );
+  // App keeps its own 2ms per commit and takes List's 3, 4 and 5ms self times twice over.
+  assert.equal(report.hotspots[0].totalMs, 36);
+
+  const appNode = report.commits[0].flamegraph.nodes.find((node) => node.name === 'App');
+  assert.equal(appNode.selfMs, 5);
+  assert.equal(appNode.rolledUpSelfMs, 3);
+  assert.ok(!report.commits[0].flamegraph.nodes.some((node) => node.name.includes('List')));
+  assert.deepEqual(report.componentFilters, {
+    source: 'option',
+    filters: [{type: 2, value: '^List$', isEnabled: true, isValid: true}],
+    applied: true,
+    hiddenFiberCount: 1,
+    hiddenRenderCount: 6,
+    rolledUpSelfMs: 24,
+  });
+});
+
+test('filters recorded in the export apply unless the option overrides them', async () => {
+  const recorded = createDevToolsExport({automationMeta: {componentFilters: HIDE_LIST}});
+
+  const report = await analyzeProfile(recorded);
+  assert.equal(report.componentFilters.source, 'recorded');
+  assert.equal(report.hotspots[0].name, 'App');
+
+  const overridden = await analyzeProfile(recorded, {
+    args: ['--component-filters-json', JSON.stringify([{type: 'displayName', value: '^div$'}])],
+  });
+  assert.equal(overridden.componentFilters.source, 'option');
+  assert.ok(
+    overridden.warnings.includes(
+      'The export was recorded with different component filters (automationMeta.componentFilters); components hidden while recording cannot be shown again, and their time stays with their visible ancestors.',
+    ),
+  );
+});
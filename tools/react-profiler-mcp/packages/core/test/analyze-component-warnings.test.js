@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('lists components that warned together with their render cost', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        errorsAndWarnings: [{fiberID: 4, displayName: 'Header', errorCount: 0, warningCount: 2}],
+        console: {
+          errorCount: 2,
+          warningCount: 0,
+          uncaughtCount: 0,
+          messages: [
+            {
+              level: 'error',
+              kind: 'key',
+              text: 'Each child in a list should have a unique "key" prop.\n\nCheck the render method of `List`.',
+              componentName: 'List',
+              timestamp: 620,
+            },
+            {
+              level: 'error',
+              kind: 'other',
+              text: 'Failed to load',
+              componentName: null,
+              timestamp: 700,
+            },
+          ],
+        },
+      },
+    }),
+  );
+
+  const {components, console: consoleSummary} = report.componentWarnings;
+  assert.deepEqual(consoleSummary, {
+    errorCount: 2,
+    warningCount: 0,
+    uncaughtCount: 0,
+    byKind: {key: 1, other: 1},
+    unattributedCount: 1,
+  });
+  assert.deepEqual(
+    components.map(({name, warningCount, consoleMessageCount, kinds, renderCount, totalMs}) => ({
+      name,
+      warningCount,
+      consoleMessageCount,
+      kinds,
+      renderCount,
+      totalMs,
+    })),
+    [
+      {
+        name: 'List',
+        warningCount: 0,
+        consoleMessageCount: 1,
+        kinds: {key: 1},
+        renderCount: 6,
+        totalMs: 24,
+      },
+      {
+        name: 'Header',
+        warningCount: 2,
+        consoleMessageCount: 0,
+        kinds: {},
+        renderCount: 0,
+        totalMs: 0,
+      },
+    ],
+  );
+  assert.deepEqual(components[0].sampleMessages, [
+    'Each child in a list should have a unique "key" prop.',
+  ]);
+  assert.equal(components[0].firstTimestampMs, 620);
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('breaks React time down by document', async () => {
+  const profile = createDevToolsExport({
+    automationMeta: {
+      documents: [
+        {documentIndex: 0, url: 'http://localhost/a', captured: false},
+        {documentIndex: 1, url: 'http://localhost/b', captured: true},
+      ],
+    },
+  });
+  profile.dataForRoots[0].documentIndex = 1;
+
+  const report = await analyzeProfile(profile);
+
+  assert.equal(report.commits[0].documentIndex, 1);
+  assert.deepEqual(report.documents, [
+    {documentIndex: 0, url: 'http://localhost/a', captured: false, commitCount: 0, reactTimeMs: 0},
+    {documentIndex: 1, url: 'http://localhost/b', captured: true, commitCount: 6, reactTimeMs: 39},
+  ]);
+});
+
+test('leaves out the breakdown for a single document', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({automationMeta: {documents: [{documentIndex: 0, captured: true}]}}),
+  );
+
+  assert.ok(!('documents' in report));
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('links each commit to the first frame painted at or after it', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        filmstrip: {
+          directory: 'input.frames',
+          frames: [
+            {index: 0, file: 'input.frames/frame-0001.jpg', timestamp: 120},
+            {index: 2, file: 'input.frames/frame-0003.jpg', timestamp: 900},
+            {index: 1, file: 'input.frames/frame-0002.jpg', timestamp: 600},
+          ],
+        },
+      },
+    }),
+  );
+
+  assert.equal(report.filmstrip.frameCount, 3);
+  assert.equal(report.filmstrip.linkedCommitCount, 6);
+  assert.equal(path.basename(report.filmstrip.directory), 'input.frames');
+  assert.deepEqual(
+    report.commits.map((commit) => [commit.frame.index, commit.frame.deltaMs]),
+    [
+      [0, 20],
+      [1, 250],
+      [1, 0],
+      [2, 50],
+      [2, -200],
+      [2, -450],
+    ],
+  );
+  assert.equal(
+    report.commits[0].frame.path,
+    path.join(path.dirname(report.source), 'input.frames', 'frame-0001.jpg'),
+  );
+});
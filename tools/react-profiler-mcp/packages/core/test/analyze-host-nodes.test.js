@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+const hostNode = (selector, y) => ({
+  selector,
+  tagName: 'ul',
+  boundingBox: {x: 0, y, width: 300, height: 40},
+});
+
+test('attaches inspected host nodes to flamegraph nodes and hotspots', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        inspectedElements: {
+          enabled: true,
+          roots: [
+            {
+              rootID: 1,
+              elements: [
+                {
+                  fiberID: 3,
+                  status: 'full-data',
+                  hostNodeCount: 1,
+                  hostNodes: [hostNode('ul.rows', 80)],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    }),
+  );
+
+  const byName = new Map(report.commits[0].flamegraph.nodes.map((node) => [node.name, node]));
+  assert.deepEqual(byName.get('List').inspectedHostNodes, [hostNode('ul.rows', 80)]);
+  assert.ok(!('inspectedHostNodes' in byName.get('App')));
+  assert.equal(report.hotspots[0].name, 'List');
+  assert.deepEqual(report.hotspots[0].hostNodes, [{fiberId: 3, ...hostNode('ul.rows', 80)}]);
+  assert.deepEqual(report.hotspots[1].hostNodes, []);
+});
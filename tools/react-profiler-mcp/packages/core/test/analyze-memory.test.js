@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('reports GC time and allocations per commit', async () => {
+  const heapCommit = (commitIndex, allocatedBytes, gcDurationMs, gcTypes) => ({
+    rootID: 1,
+    commitIndex,
+    allocatedBytes,
+    gcCount: gcTypes.length,
+    gcDurationMs,
+    gcTypes,
+  });
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        heap: {
+          profilePath: 'input.heapprofile',
+          samplingIntervalBytes: 32768,
+          totalSampledBytes: 90000,
+          topAllocators: [{functionName: 'renderRows', selfBytes: 60000}],
+          gcEvents: [],
+          allocatedBytes: 12000,
+          gcCount: 1,
+          gcDurationMs: 3,
+          commits: [
+            heapCommit(2, 5000, 3, ['minor']),
+            heapCommit(4, 200, 0, []),
+            heapCommit(5, 0, 0, []),
+          ],
+        },
+      },
+    }),
+  );
+
+  assert.deepEqual(report.commits[2].heap, {
+    allocatedBytes: 5000,
+    gcCount: 1,
+    gcDurationMs: 3,
+    gcTypes: ['minor'],
+  });
+  assert.ok(!('heap' in report.commits[0]));
+
+  const {memory} = report;
+  assert.equal(memory.gcEventsRecorded, true);
+  assert.equal(memory.totalSampledBytes, 90000);
+  assert.deepEqual(
+    memory.gcAffectedCommits.map((commit) => [commit.commitIndex, commit.gcShare]),
+    [[2, 0.4]],
+  );
+  assert.deepEqual(
+    memory.topAllocatingCommits.map((commit) => [
+      commit.commitIndex,
+      commit.allocatedBytes,
+      commit.topComponent,
+    ]),
+    [
+      [2, 5000, 'List'],
+      [4, 200, 'List'],
+    ],
+  );
+});
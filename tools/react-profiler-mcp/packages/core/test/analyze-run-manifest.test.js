@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+function createManifest(paths) {
+  return {
+    format: 'react-profiler-mcp/run-manifest',
+    url: 'http://localhost:3000/',
+    runCount: paths.length,
+    runIsolation: 'reload',
+    runs: paths.map((runPath, index) => ({runIndex: index + 1, path: runPath})),
+  };
+}
+
+test('summarizes component times across the runs of a manifest', async () => {
+  const report = await analyzeProfile(createManifest(['run-1.json', 'run-2.json', 'run-3.json']), {
+    files: {
+      'run-1.json': createDevToolsExport({listSelfMs: [3, 3, 3]}),
+      'run-2.json': createDevToolsExport({listSelfMs: [4, 4, 4]}),
+      'run-3.json': createDevToolsExport({listSelfMs: [5, 5, 5]}),
+    },
+  });
+
+  assert.equal(report.mode, 'react-devtools-multi-run');
+  assert.equal(report.manifest.analyzedRuns, 3);
+  assert.equal(report.manifest.runIsolation, 'reload');
+  assert.deepEqual(
+    report.runs.map((run) => run.runIndex),
+    [1, 2, 3],
+  );
+  assert.deepEqual(report.acrossRuns.reactTimeMs, {
+    median: 19.5,
+    p95: 22.5,
+    min: 16.5,
+    max: 22.5,
+    cv: 0.154,
+  });
+
+  const list = report.componentStats.find((stats) => stats.name === 'List');
+  assert.equal(list.runsPresent, 3);
+  assert.equal(list.totalMs.median, 12);
+  assert.equal(list.totalMs.p95, 15);
+  assert.equal(report.hotspots[0].name, 'List');
+  assert.ok(!report.warnings.some((warning) => warning.includes('High run-to-run variance')));
+});
+
+test('takes the median commit time of each run, not its mean', async () => {
+  const run = createDevToolsExport({listSelfMs: [3, 3, 9]});
+  const report = await analyzeProfile(createManifest(['run-1.json', 'run-2.json', 'run-3.json']), {
+    files: {'run-1.json': run, 'run-2.json': run, 'run-3.json': run},
+  });
+
+  // Commits take 5.5, 5.5 and 11.5ms: the mean is 7.5ms.
+  assert.deepEqual(report.acrossRuns.medianCommitMs, {
+    median: 5.5,
+    p95: 5.5,
+    min: 5.5,
+    max: 5.5,
+    cv: 0,
+  });
+});
+
+test('warns about components whose time varies between runs', async () => {
+  const report = await analyzeProfile(createManifest(['run-1.json', 'run-2.json', 'run-3.json']), {
+    files: {
+      'run-1.json': createDevToolsExport({listSelfMs: [3, 3, 3]}),
+      'run-2.json': createDevToolsExport({listSelfMs: [4, 4, 4]}),
+      'run-3.json': createDevToolsExport({listSelfMs: [20, 20, 20]}),
+    },
+  });
+
+  const varianceWarning = report.warnings.find((warning) =>
+    warning.includes('High run-to-run variance'),
+  );
+  assert.match(varianceWarning, /List \(CV [\d.]+\)/);
+  assert.doesNotMatch(varianceWarning, /App/);
+});
+
+test('leaves runs in which a component never rendered out of its statistics', async () => {
+  // Run 3 renders App alone: List and its div are gone from every commit.
+  const withoutList = createDevToolsExport({listSelfMs: [4, 4, 4]});
+  for (const commit of withoutList.dataForRoots[0].commitData) {
+    const keepApp = (entries) => entries.filter(([fiberID]) => fiberID === 2);
+    commit.changeDescriptions = keepApp(commit.changeDescriptions);
+    commit.fiberActualDurations = keepApp(commit.fiberActualDurations);
+    commit.fiberSelfDurations = keepApp(commit.fiberSelfDurations);
+  }
+  const report = await analyzeProfile(createManifest(['run-1.json', 'run-2.json', 'run-3.json']), {
+    files: {
+      'run-1.json': createDevToolsExport({listSelfMs: [4, 4, 4]}),
+      'run-2.json': createDevToolsExport({listSelfMs: [4, 4, 4]}),
+      'run-3.json': withoutList,
+    },
+  });
+
+  const list = report.componentStats.find((stats) => stats.name === 'List');
+  assert.equal(list.runsPresent, 2);
+  assert.deepEqual(list.absentRuns, [3]);
+  assert.deepEqual(list.totalMs, {median: 12, p95: 12, min: 12, max: 12, cv: 0});
+  assert.deepEqual(report.componentStats.find((stats) => stats.name === 'App').absentRuns, []);
+  assert.ok(!report.warnings.some((warning) => warning.includes('High run-to-run variance')));
+  assert.ok(
+    report.warnings.includes(
+      'Rendered in only some runs (statistics cover those runs): List (2/3 runs), div (2/3 runs).',
+    ),
+  );
+});
+
+test('skips unreadable runs and warns when fewer than 3 runs remain', async () => {
+  const report = await analyzeProfile(
+    createManifest(['run-1.json', 'missing.json', 'run-3.json']),
+    {
+      files: {
+        'run-1.json': createDevToolsExport(),
+        'run-3.json': createDevToolsExport(),
+      },
+    },
+  );
+
+  assert.equal(report.manifest.analyzedRuns, 2);
+  assert.deepEqual(
+    report.runs.map((run) => run.runIndex),
+    [1, 3],
+  );
+  assert.ok(
+    report.warnings.some((warning) => warning.startsWith('Run 2 export could not be read')),
+  );
+  assert.ok(report.warnings.some((warning) => warning.startsWith('Only 2 run(s) were analyzed')));
+});
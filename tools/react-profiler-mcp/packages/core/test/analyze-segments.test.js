@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('breaks commits down by the segments that contain them', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        segments: [
+          {name: 'open', startTimestamp: 300, endTimestamp: 700, closedAtStop: false},
+          {name: 'expand', startTimestamp: 550, endTimestamp: 650, closedAtStop: true},
+        ],
+        marks: [{name: 'loaded', timestamp: 320.25}],
+      },
+    }),
+  );
+
+  const [open, expand] = report.segments.segments;
+  assert.equal(open.commitCount, 2);
+  assert.deepEqual(
+    open.commitIndexes.map((commit) => commit.commitIndex),
+    [1, 2],
+  );
+  assert.equal(open.reactTimeMs, 14);
+  assert.deepEqual(open.hotspots[0], {name: 'List', count: 2, totalMs: 9, selfMs: 9});
+
+  assert.equal(expand.commitCount, 1);
+  assert.equal(expand.closedAtStop, true);
+  assert.deepEqual(report.segments.marks, [{name: 'loaded', timestampMs: 320.25}]);
+  assert.deepEqual(report.segments.outsideSegments, {commitCount: 4, reactTimeMs: 25});
+});
+
+test('exports without segments have no breakdown', async () => {
+  const report = await analyzeProfile(createDevToolsExport());
+  assert.ok(!('segments' in report));
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport, createTimelineData} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+test('timeline data is summarized per lane with suspense, errors and nested updates', async () => {
+  const report = await analyzeProfile(createDevToolsExport({timelineData: [createTimelineData()]}));
+  const {timeline} = report;
+
+  assert.equal(timeline.timelineCount, 1);
+  assert.deepEqual(timeline.reactVersions, ['19.1.0']);
+  assert.deepEqual(
+    timeline.lanes.map(({label, batchCount, renderMs, commitMs}) => ({
+      label,
+      batchCount,
+      renderMs,
+      commitMs,
+    })),
+    [
+      {label: 'SyncLane', batchCount: 1, renderMs: 25, commitMs: 2},
+      {label: 'DefaultLane', batchCount: 1, renderMs: 8, commitMs: 4},
+    ],
+  );
+  assert.deepEqual(
+    {
+      count: timeline.suspense.count,
+      resolved: timeline.suspense.resolved,
+      unresolved: timeline.suspense.unresolved,
+      maxDurationMs: timeline.suspense.maxDurationMs,
+    },
+    {count: 2, resolved: 1, unresolved: 1, maxDurationMs: 40},
+  );
+  assert.deepEqual(timeline.thrownErrors, [
+    {componentName: 'Header', message: 'boom', phase: 'mount', timestampMs: 70},
+  ]);
+  assert.equal(timeline.nestedUpdateCount, 1);
+  assert.equal(timeline.longNestedUpdateCount, 1);
+  assert.equal(timeline.renderPhaseUpdates[0].renderingComponentName, 'List');
+});
+
+test('exports without timeline data leave the timeline section out', async () => {
+  const report = await analyzeProfile(createDevToolsExport());
+
+  assert.ok(!('timeline' in report));
+});
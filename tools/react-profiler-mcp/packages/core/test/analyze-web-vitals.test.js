@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+import {analyzeProfile} from './run-analyzer.js';
+
+const event = (interactionId, name, timestamp, durationMs) => ({
+  name,
+  interactionId,
+  target: '#toggle',
+  timestamp,
+  durationMs,
+  inputDelayMs: 2,
+  processingMs: durationMs - 4,
+  presentationDelayMs: 2,
+});
+
+test('matches interactions and long tasks to the commits they overlap', async () => {
+  const report = await analyzeProfile(
+    createDevToolsExport({
+      automationMeta: {
+        webVitals: {
+          supported: {event: true, longtask: true},
+          events: [
+            event(1, 'pointerdown', 340, 20),
+            event(1, 'click', 340, 40),
+            event(2, 'keydown', 1000, 16),
+            event(0, 'mousemove', 345, 80),
+          ],
+          longTasks: [{timestamp: 345, durationMs: 60}],
+          lcp: [
+            {timestamp: -900, sinceNavigationMs: 100, size: 10, element: 'p', url: null},
+            {timestamp: -800, sinceNavigationMs: 200, size: 900, element: 'h1', url: null},
+          ],
+          layoutShifts: [
+            {timestamp: 10, value: 0.1, hadRecentInput: false, sources: ['ul']},
+            {timestamp: 500, value: 0.05, hadRecentInput: false, sources: ['li']},
+            {timestamp: 600, value: 0.5, hadRecentInput: true, sources: ['input']},
+            {timestamp: 3000, value: 0.02, hadRecentInput: false, sources: []},
+          ],
+        },
+      },
+    }),
+  );
+
+  // Commit 1 renders from 343.5 to 350.
+  const {webVitals} = report;
+  assert.equal(webVitals.interactionCount, 2);
+  assert.deepEqual(
+    webVitals.interactions.map(({interactionId, type, durationMs, reactMs}) => ({
+      interactionId,
+      type,
+      durationMs,
+      reactMs,
+    })),
+    [
+      {interactionId: 1, type: 'click', durationMs: 40, reactMs: 6.5},
+      {interactionId: 2, type: 'keydown', durationMs: 16, reactMs: 0},
+    ],
+  );
+  assert.equal(webVitals.inp.interactionId, 1);
+  assert.deepEqual(
+    webVitals.interactions[0].commits.map(({commitIndex, overlapMs, topComponent}) => ({
+      commitIndex,
+      overlapMs,
+      topComponent,
+    })),
+    [{commitIndex: 1, overlapMs: 6.5, topComponent: 'List'}],
+  );
+  assert.equal(webVitals.longTaskCount, 1);
+  assert.equal(webVitals.longTasks[0].reactMs, 5);
+  assert.deepEqual(webVitals.lcp, {
+    sinceNavigationMs: 200,
+    timestampMs: -800,
+    size: 900,
+    element: 'h1',
+    url: null,
+  });
+  assert.deepEqual(webVitals.cls, {value: 0.15, shiftCount: 2, sources: ['ul', 'li']});
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import {test} from 'node:test';
+
+import {WebSocket} from 'ws';
+
+import {CONTROL_CHANNEL_EVENT, CONTROL_CHANNEL_PATH} from '../src/profiling-segments.js';
+import {BridgeController} from '../src/react-devtools-recorder.js';
+
+async function connect(port, pathname = '/') {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${pathname}`);
+  await once(socket, 'open');
+  return socket;
+}
+
+test('exchanges events with the backend socket', async (t) => {
+  const bridge = new BridgeController();
+  const {port} = await bridge.start();
+  t.after(() => bridge.close());
+  const backend = await connect(port);
+
+  const initialized = bridge.waitForEvent('backendInitialized', {timeoutMs: 2000});
+  backend.send(JSON.stringify({event: 'backendInitialized', payload: {version: 1}}));
+  assert.deepEqual(await initialized, {version: 1});
+
+  const received = once(backend, 'message');
+  bridge.send('startProfiling', {recordChangeDescriptions: true});
+  assert.deepEqual(JSON.parse(String((await received)[0])), {
+    event: 'startProfiling',
+    payload: {recordChangeDescriptions: true},
+  });
+});
+
+test('only accepts profiler control events on the control channel', async (t) => {
+  const bridge = new BridgeController();
+  const {port} = await bridge.start();
+  t.after(() => bridge.close());
+  const control = await connect(port, CONTROL_CHANNEL_PATH);
+  const events = [];
+  bridge.addListener('operations', (payload) => events.push(['operations', payload]));
+  bridge.addListener(CONTROL_CHANNEL_EVENT, (payload) => events.push(['control', payload]));
+
+  const controlled = bridge.waitForEvent(CONTROL_CHANNEL_EVENT, {timeoutMs: 2000});
+  control.send(JSON.stringify({event: 'operations', payload: [1, 1, 0]}));
+  control.send(JSON.stringify({event: CONTROL_CHANNEL_EVENT, payload: {type: 'mark'}}));
+  await controlled;
+  control.close();
+
+  assert.deepEqual(events, [['control', {type: 'mark'}]]);
+  // The control channel is never where bridge messages go.
+  assert.throws(() => bridge.send('startProfiling', {}), {
+    message: 'Cannot send bridge event "startProfiling" because socket is not connected',
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {findTabByUrlPattern, openBrowser} from '../src/browser-connection.js';
+
+function createFakeBrowser(urls) {
+  return {
+    pages: async () => urls.map((url) => ({url: () => url})),
+  };
+}
+
+test('finds the first tab whose url contains the pattern', async () => {
+  const {page, matchCount} = await findTabByUrlPattern(
+    createFakeBrowser([
+      'chrome://newtab/',
+      'http://localhost:3000/settings',
+      'http://localhost:3000/dashboard?tab=2',
+      'http://localhost:3000/dashboard',
+    ]),
+    'localhost:3000/dashboard',
+  );
+
+  assert.equal(page.url(), 'http://localhost:3000/dashboard?tab=2');
+  assert.equal(matchCount, 2);
+});
+
+test('treats /slash-delimited/ patterns as regular expressions', async () => {
+  const {page, matchCount} = await findTabByUrlPattern(
+    createFakeBrowser(['http://localhost:3000/Orders/17', 'http://localhost:3000/orders']),
+    '/orders\\/\\d+$/i',
+  );
+
+  assert.equal(page.url(), 'http://localhost:3000/Orders/17');
+  assert.equal(matchCount, 1);
+});
+
+test('lists the open tabs when none match', async () => {
+  await assert.rejects(
+    findTabByUrlPattern(createFakeBrowser(['http://localhost:3000/']), 'example.com'),
+    {
+      message:
+        'No open tab matches targetUrlPattern "example.com". Open tabs: http://localhost:3000/',
+    },
+  );
+  await assert.rejects(
+    findTabByUrlPattern(createFakeBrowser([]), 'example.com'),
+    /Open tabs: \(none\)$/,
+  );
+});
+
+test('rejects both browserWSEndpoint and browserURL', async () => {
+  await assert.rejects(
+    openBrowser({
+      browserWSEndpoint: 'ws://127.0.0.1:9222/devtools/browser/1',
+      browserURL: 'http://127.0.0.1:9222',
+    }),
+    {message: 'Pass either browserWSEndpoint or browserURL, not both'},
+  );
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import {chmod, mkdir, mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {after, before, test} from 'node:test';
+
+import {
+  findChromeExecutable,
+  formatChromeDiscoveryDiagnostic,
+  listChromeCandidates,
+} from '../src/chrome-discovery.js';
+
+let root;
+
+async function writeExecutable(filePath, mode = 0o755) {
+  await mkdir(path.dirname(filePath), {recursive: true});
+  await writeFile(filePath, '#!/bin/sh\n', 'utf8');
+  await chmod(filePath, mode);
+  return filePath;
+}
+
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+});
+
+after(async () => {
+  await rm(root, {recursive: true, force: true});
+});
+
+test('checks explicit, environment and PATH candidates in order', async () => {
+  const notExecutable = await writeExecutable(path.join(root, 'order', 'chrome.txt'), 0o644);
+  const onPath = await writeExecutable(path.join(root, 'order', 'bin', 'chromium'));
+
+  const result = findChromeExecutable({
+    explicitPath: notExecutable,
+    platform: 'linux',
+    env: {
+      CHROME_PATH: path.join(root, 'order', 'missing-chrome'),
+      PATH: path.join(root, 'order', 'bin'),
+      PUPPETEER_CACHE_DIR: path.join(root, 'order', 'cache'),
+    },
+  });
+
+  assert.equal(result.path, onPath);
+  assert.equal(result.source, 'PATH');
+  assert.deepEqual(
+    result.checked.map(({source, status}) => [source, status]),
+    [
+      ['explicit', 'not executable'],
+      ['CHROME_PATH', 'missing'],
+      ['PATH', 'missing'],
+      ['PATH', 'missing'],
+      ['PATH', 'missing'],
+      ['PATH', 'ok'],
+    ],
+  );
+});
+
+test('lists puppeteer cache builds newest first', async () => {
+  const cacheDir = path.join(root, 'cache');
+  await writeExecutable(
+    path.join(cacheDir, 'chrome', 'linux-120.0.6099.109', 'chrome-linux64', 'chrome'),
+  );
+  await writeExecutable(
+    path.join(cacheDir, 'chrome', 'linux-131.0.6778.85', 'chrome-linux64', 'chrome'),
+  );
+
+  const cacheCandidates = listChromeCandidates({
+    platform: 'linux',
+    env: {PATH: '', PUPPETEER_CACHE_DIR: cacheDir},
+  }).filter((candidate) => candidate.source === 'puppeteer cache');
+
+  assert.deepEqual(
+    cacheCandidates.map((candidate) => path.relative(cacheDir, candidate.path)),
+    [
+      path.join('chrome', 'linux-131.0.6778.85', 'chrome-linux64', 'chrome'),
+      path.join('chrome', 'linux-120.0.6099.109', 'chrome-linux64', 'chrome'),
+      'chrome-headless-shell',
+    ],
+  );
+});
+
+test('formats one diagnostic line per checked path', () => {
+  assert.equal(
+    formatChromeDiscoveryDiagnostic([
+      {path: '/opt/chrome', source: 'explicit', status: 'missing'},
+      {path: 'chromium', source: 'PATH', status: 'missing'},
+    ]),
+    '  - /opt/chrome [explicit]: missing\n  - chromium [PATH]: missing',
+  );
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {hasLocationComponentFilters, normalizeComponentFilters} from '../src/component-filters.js';
+
+test('normalizes named filter and element types to the DevTools shape', () => {
+  assert.equal(normalizeComponentFilters(undefined), null);
+  assert.deepEqual(
+    normalizeComponentFilters([
+      {type: 'elementType', value: 'host'},
+      {type: 2, value: '^Styled', isEnabled: false},
+      {type: 'location', value: 'node_modules'},
+      {type: 'hoc'},
+      {type: 'environmentName', value: 'Server'},
+    ]),
+    [
+      {type: 1, value: 7, isEnabled: true},
+      {type: 2, value: '^Styled', isEnabled: false, isValid: true},
+      {type: 3, value: 'node_modules', isEnabled: true, isValid: true},
+      {type: 4, isEnabled: true, isValid: true},
+      {type: 5, value: 'Server', isEnabled: true},
+    ],
+  );
+});
+
+test('rejects malformed filters', () => {
+  assert.throws(() => normalizeComponentFilters({type: 2}), {
+    message: 'componentFilters must be an array',
+  });
+  assert.throws(() => normalizeComponentFilters([null]), {
+    message: 'componentFilters[0] must be an object',
+  });
+  assert.throws(() => normalizeComponentFilters([{type: 'owner', value: 'x'}]), {
+    message:
+      'componentFilters[0] has unsupported type "owner". Expected one of elementType, displayName, location, hoc, environmentName.',
+  });
+  assert.throws(() => normalizeComponentFilters([{type: 'elementType', value: 'widget'}]), {
+    message:
+      /^componentFilters\[0\] has unsupported element type "widget"\. Expected one of class, /,
+  });
+  assert.throws(() => normalizeComponentFilters([{type: 'displayName', value: '('}]), {
+    message: /^componentFilters\[0\] value "\(" is not a valid regex: /,
+  });
+  assert.throws(() => normalizeComponentFilters([{type: 'environmentName'}]), {
+    message: 'componentFilters[0] requires a non-empty string value',
+  });
+});
+
+test('finds enabled location filters', () => {
+  const filters = normalizeComponentFilters([
+    {type: 'location', value: 'node_modules', isEnabled: false},
+    {type: 'displayName', value: 'Styled'},
+  ]);
+
+  assert.equal(hasLocationComponentFilters(filters), false);
+  assert.equal(hasLocationComponentFilters(null), false);
+  assert.equal(
+    hasLocationComponentFilters(normalizeComponentFilters([{type: 'location', value: 'src'}])),
+    true,
+  );
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {
+  getComponentTree,
+  getLiveComponentTree,
+  inspectComponent,
+  inspectLiveComponent,
+  listComponents,
+  listLiveComponents,
+} from '../src/component-tree.js';
+
+// These are all checked before a browser is opened.
+test('requires a url, or a tab pattern with a browser to attach to', async () => {
+  await assert.rejects(getComponentTree({}), {
+    message: 'Reading the component tree requires a non-empty url or targetUrlPattern',
+  });
+  await assert.rejects(listComponents({targetUrlPattern: 'localhost'}), {
+    message: 'targetUrlPattern requires browserWSEndpoint or browserURL',
+  });
+});
+
+test('rejects an invalid namePattern', async () => {
+  await assert.rejects(listComponents({url: 'http://localhost:3000', namePattern: '('}), {
+    message: /^Invalid namePattern "\(": /,
+  });
+});
+
+test('requires an id or a namePattern to inspect', async () => {
+  await assert.rejects(inspectComponent({url: 'http://localhost:3000'}), {
+    message: 'inspectComponent requires an id or a namePattern',
+  });
+});
+
+const node = (id, parentID, type, displayName, children = [], ownerID = 0) => [
+  id,
+  {id, parentID, ownerID, children, displayName, hocDisplayNames: null, key: null, type},
+];
+
+// Root (1) > App (2) > (List (3) > Row (4), Row (5)), as an open session or loaded page holds it.
+function createLive(inspectedElements = {}) {
+  const nodes = new Map([
+    node(1, 0, 11, null, [2]),
+    node(2, 1, 5, 'App', [3]),
+    node(3, 2, 8, 'List', [4, 5], 2),
+    node(4, 3, 5, 'Row', [], 3),
+    node(5, 3, 5, 'Row', [], 3),
+  ]);
+  const sent = [];
+  return {
+    sent,
+    page: {url: () => 'http://localhost:3000/'},
+    state: {liveTreesByRoot: new Map([[1, {rootID: 1, nodes}]]), rootToRenderer: new Map([[1, 7]])},
+    bridge: {
+      send(event, payload) {
+        sent.push([event, payload]);
+      },
+      async waitForEvent() {
+        const [, {id, requestID}] = sent[sent.length - 1];
+        return {responseID: requestID, ...inspectedElements[id]};
+      },
+    },
+  };
+}
+
+test('lists components matching a name pattern', () => {
+  const result = listLiveComponents(createLive(), {namePattern: '^Row$', limit: 1});
+
+  assert.equal(result.url, 'http://localhost:3000/');
+  assert.equal(result.rootCount, 1);
+  assert.equal(result.componentCount, 4);
+  assert.equal(result.matchCount, 2);
+  assert.deepEqual(result.components, [
+    {
+      id: 4,
+      rootID: 1,
+      displayName: 'Row',
+      type: 'function',
+      key: null,
+      ownerID: 3,
+      ownerName: 'List',
+      depth: 3,
+      childCount: 0,
+    },
+  ]);
+});
+
+test('cuts the tree at the requested depth', () => {
+  const result = getLiveComponentTree(createLive(), {id: 2, depth: 1});
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.nodeCount, 2);
+  assert.deepEqual(result.roots, [
+    {
+      rootID: 1,
+      id: 2,
+      displayName: 'App',
+      type: 'function',
+      key: null,
+      ownerID: 0,
+      children: [{id: 3, displayName: 'List', type: 'memo', key: null, ownerID: 2, childCount: 2}],
+    },
+  ]);
+  assert.throws(() => getLiveComponentTree(createLive(), {id: 9}), {
+    message: 'No component with id 9 is mounted on http://localhost:3000/',
+  });
+});
+
+test('inspects the nth match through the renderer that owns its root', async () => {
+  const live = createLive({
+    5: {
+      type: 'full-data',
+      value: {
+        props: {
+          data: {index: 1, onSelect: {type: 'function', preview_long: 'ƒ select() {}'}},
+          cleaned: [['onSelect']],
+        },
+        state: null,
+        hooks: null,
+        owners: [],
+      },
+    },
+  });
+
+  const result = await inspectLiveComponent(live, {namePattern: 'Row', matchIndex: 1});
+
+  assert.equal(live.sent[0][1].rendererID, 7);
+  assert.equal(result.matchCount, 2);
+  assert.equal(result.component.id, 5);
+  assert.deepEqual(result.props, {index: 1, onSelect: 'ƒ select() {}'});
+  await assert.rejects(inspectLiveComponent(live, {namePattern: 'Row', matchIndex: 2}), {
+    message: 'namePattern "Row" matched 2 component(s); matchIndex 2 is out of range',
+  });
+  await assert.rejects(inspectLiveComponent(createLive(), {id: 4}), {
+    message: 'Inspecting component 4 returned no data instead of full data',
+  });
+});
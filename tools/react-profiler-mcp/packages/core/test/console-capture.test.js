@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {test} from 'node:test';
+
+import {startConsoleCapture} from '../src/console-capture.js';
+
+const text = (value) => ({type: 'string', value});
+
+test('formats, classifies and attributes console messages during profiling', async () => {
+  const client = new EventEmitter();
+  client.send = async () => {};
+  client.detach = async () => {};
+  const capture = await startConsoleCapture({createCDPSession: async () => client});
+
+  client.emit('Runtime.consoleAPICalled', {
+    type: 'error',
+    timestamp: 1050,
+    args: [
+      text('Each child in a list should have a unique "key" prop.%s%s'),
+      text('\n\nCheck the render method of `List`.'),
+      text('\n    in li (at List.js:4)'),
+    ],
+    stackTrace: {callFrames: [{url: 'http://localhost:3000/react-dom.js', lineNumber: 99}]},
+  });
+  client.emit('Runtime.consoleAPICalled', {
+    type: 'warning',
+    timestamp: 1100,
+    args: [text('Rows: %d'), {type: 'number', value: 3}, {type: 'object', description: 'Array(3)'}],
+  });
+  client.emit('Runtime.consoleAPICalled', {type: 'log', timestamp: 1150, args: [text('ignored')]});
+  client.emit('Runtime.exceptionThrown', {
+    timestamp: 1200,
+    exceptionDetails: {
+      exception: {description: 'TypeError: x is undefined\n    at Header (app.js:10:5)'},
+      url: 'http://localhost:3000/app.js',
+      lineNumber: 9,
+    },
+  });
+  client.emit('Runtime.consoleAPICalled', {type: 'error', timestamp: 5000, args: [text('late')]});
+
+  const result = await capture.stop({profilingStartEpochMs: 1000, profilingStopEpochMs: 2000});
+
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.warningCount, 1);
+  assert.equal(result.uncaughtCount, 1);
+  assert.deepEqual(
+    result.messages.map(({level, kind, componentName, url, lineNumber, timestamp}) => ({
+      level,
+      kind,
+      componentName,
+      url,
+      lineNumber,
+      timestamp,
+    })),
+    [
+      {
+        level: 'error',
+        kind: 'key',
+        componentName: 'List',
+        url: 'http://localhost:3000/react-dom.js',
+        lineNumber: 100,
+        timestamp: 50,
+      },
+      {
+        level: 'warn',
+        kind: 'other',
+        componentName: null,
+        url: null,
+        lineNumber: null,
+        timestamp: 100,
+      },
+      {
+        level: 'uncaught',
+        kind: 'other',
+        componentName: 'Header',
+        url: 'http://localhost:3000/app.js',
+        lineNumber: 10,
+        timestamp: 200,
+      },
+    ],
+  );
+  assert.equal(result.messages[1].text, 'Rows: 3 Array(3)');
+});
@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {collectProfilingData, describeDocumentWarnings} from '../src/react-devtools-recorder.js';
+
+// Fiber IDs of document N are moved up by N times this.
+const DOCUMENT_FIBER_ID_STRIDE = 10000000;
+
+function createFakeBridge(payloadsByRenderer) {
+  const requested = [];
+  return {
+    requested,
+    send(event, payload) {
+      requested.push([event, payload.rendererID]);
+    },
+    async waitForEvent(event, {predicate}) {
+      const payload = Object.values(payloadsByRenderer).find(predicate);
+      assert.ok(payload, `no ${event} for the request`);
+      return payload;
+    },
+  };
+}
+
+const createDocumentState = ({rootID, snapshots, operations}) => ({
+  liveTreesByRoot: new Map(),
+  rootToRenderer: new Map(),
+  snapshotsByRoot: new Map([[rootID, snapshots]]),
+  operationsDuringProfilingByRoot: new Map([[rootID, operations]]),
+});
+
+const payload = (rendererID, rootID, commitData) => ({
+  rendererID,
+  dataForRoots: [{rootID, displayName: 'Root', commitData, initialTreeBaseDurations: []}],
+  timelineData: null,
+});
+
+// Adds App (2) under the root (1) with display name string 1 ("App"), then removes it.
+const OPERATIONS = [1, 1, 4, 3, 65, 112, 112, 1, 2, 5, 1, 0, 1, 0, 0, 2, 1, 2];
+
+test('returns a single document unchanged', async () => {
+  const commit = {timestamp: 30, duration: 4, fiberActualDurations: [[2, 4]]};
+  const bridge = createFakeBridge({1: payload(1, 1, [commit])});
+  const state = {
+    rendererIDs: new Set([1]),
+    unloadedDocuments: [],
+    documentIndex: 0,
+    ...createDocumentState({rootID: 1, snapshots: [], operations: [OPERATIONS]}),
+  };
+
+  const {dataForRoots, documents} = await collectProfilingData(bridge, state);
+
+  assert.deepEqual(bridge.requested, [['getProfilingData', 1]]);
+  assert.equal(documents, undefined);
+  assert.equal(dataForRoots[0].rootID, 1);
+  assert.deepEqual(dataForRoots[0].commitData, [commit]);
+  assert.deepEqual(dataForRoots[0].operations, [OPERATIONS]);
+});
+
+test('offsets fiber IDs and timestamps of later documents', async () => {
+  const snapshot = [1, {id: 1, children: [2], displayName: null, type: 11}];
+  const state = {
+    rendererIDs: new Set([1]),
+    documentIndex: 2,
+    unloadedDocuments: [
+      {
+        documentIndex: 0,
+        capture: {url: 'http://localhost/a', payloads: [payload(1, 1, [{timestamp: 50}])]},
+        ...createDocumentState({rootID: 1, snapshots: [snapshot], operations: []}),
+      },
+      {documentIndex: 1, capture: null},
+    ],
+    ...createDocumentState({rootID: 1, snapshots: [snapshot], operations: [OPERATIONS]}),
+  };
+  const bridge = createFakeBridge({
+    1: payload(1, 1, [
+      {
+        timestamp: 30,
+        fiberActualDurations: [[2, 4]],
+        fiberSelfDurations: [[2, 4]],
+        changeDescriptions: [[2, {isFirstMount: true}]],
+        updaters: [{id: 2, displayName: 'App'}],
+      },
+    ]),
+  });
+
+  const {dataForRoots, documents} = await collectProfilingData(bridge, state, {
+    profilingStartEpochMs: 1000,
+    liveDocument: {url: 'http://localhost/b', timeOrigin: 1500, profilingStartByRenderer: {1: 20}},
+  });
+
+  const offset = 2 * DOCUMENT_FIBER_ID_STRIDE;
+  assert.deepEqual(documents, [
+    {
+      documentIndex: 0,
+      url: 'http://localhost/a',
+      captured: true,
+      rootCount: 1,
+      commitCount: 1,
+      timestampsPlaced: true,
+    },
+    {documentIndex: 1, url: null, captured: false, rootCount: 0, commitCount: 0},
+    {
+      documentIndex: 2,
+      url: 'http://localhost/b',
+      captured: true,
+      rootCount: 1,
+      commitCount: 1,
+      timestampsPlaced: true,
+    },
+  ]);
+  assert.deepEqual(
+    dataForRoots.map(({rootID, documentIndex}) => [rootID, documentIndex]),
+    [
+      [1, 0],
+      [offset + 1, 2],
+    ],
+  );
+  assert.equal(dataForRoots[0].commitData[0].timestamp, 50);
+
+  const [commit] = dataForRoots[1].commitData;
+  // The document started 500ms after profiling, which started 20ms into it.
+  assert.equal(commit.timestamp, 550);
+  assert.deepEqual(commit.fiberActualDurations, [[offset + 2, 4]]);
+  assert.deepEqual(commit.fiberSelfDurations, [[offset + 2, 4]]);
+  assert.deepEqual(commit.changeDescriptions, [[offset + 2, {isFirstMount: true}]]);
+  assert.deepEqual(commit.updaters, [{id: offset + 2, displayName: 'App'}]);
+  assert.deepEqual(dataForRoots[1].snapshots, [
+    [offset + 1, {id: offset + 1, children: [offset + 2], displayName: null, type: 11}],
+  ]);
+  assert.deepEqual(dataForRoots[1].operations, [
+    [1, offset + 1, 4, 3, 65, 112, 112, 1, offset + 2, 5, offset + 1, 0, 1, 0, 0, 2, 1, offset + 2],
+  ]);
+  assert.equal(state.rootToRenderer.get(offset + 1), 1);
+});
+
+test('flags documents whose timestamps cannot be placed', async () => {
+  const state = {
+    rendererIDs: new Set([1]),
+    documentIndex: 1,
+    unloadedDocuments: [
+      {
+        documentIndex: 0,
+        capture: {url: 'http://localhost/a', payloads: [payload(1, 1, [{timestamp: 50}])]},
+        ...createDocumentState({rootID: 1, snapshots: [], operations: []}),
+      },
+    ],
+    ...createDocumentState({rootID: 1, snapshots: [], operations: []}),
+  };
+  const bridge = createFakeBridge({1: payload(1, 1, [{timestamp: 30}])});
+
+  const {dataForRoots, documents} = await collectProfilingData(bridge, state, {
+    profilingStartEpochMs: 1000,
+    liveDocument: {url: 'http://localhost/a'},
+  });
+
+  assert.equal(documents[1].timestampsPlaced, false);
+  assert.equal(dataForRoots[1].commitData[0].timestamp, 30);
+});
+
+test('rejects when no renderer was seen', async () => {
+  const state = {rendererIDs: new Set(), unloadedDocuments: []};
+
+  await assert.rejects(
+    collectProfilingData(createFakeBridge({}), state),
+    /No renderer IDs detected/,
+  );
+});
+
+test('starts roots mounted during profiling from an empty snapshot', async () => {
+  const state = {
+    rendererIDs: new Set([1]),
+    unloadedDocuments: [],
+    documentIndex: 0,
+    ...createDocumentState({rootID: 1, snapshots: [], operations: [OPERATIONS]}),
+  };
+  state.snapshotsByRoot.clear();
+  state.liveTreesByRoot.set(1, new Map([[2, {id: 2, children: [], displayName: 'App'}]]));
+
+  const {dataForRoots} = await collectProfilingData(
+    createFakeBridge({1: payload(1, 1, [{timestamp: 30}])}),
+    state,
+  );
+
+  assert.deepEqual(dataForRoots[0].snapshots, []);
+});
+
+test('warns about lost and unplaced documents', () => {
+  assert.deepEqual(
+    describeDocumentWarnings([
+      {documentIndex: 0, captured: true, timestampsPlaced: true},
+      {documentIndex: 1, captured: false},
+      {documentIndex: 2, captured: true, timestampsPlaced: false},
+    ]),
+    [
+      'Document 1 was unloaded before its profiling data could be pulled, so its commits are missing.',
+      'Commit timestamps of document 2 could not be placed on the recording clock and start at 0.',
+    ],
+  );
+  assert.deepEqual(describeDocumentWarnings(undefined), []);
+});
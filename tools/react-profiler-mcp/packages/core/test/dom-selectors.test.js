@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {JSDOM} from 'jsdom';
+
+import {getSelectorBuilderSource} from '../src/dom-selectors.js';
+
+// Evaluates the serialized builder inside the window, the way the step recorder injects it.
+function createSelectorBuilder(html) {
+  const dom = new JSDOM(html, {runScripts: 'outside-only'});
+  const buildInWindow = dom.window.eval(`(${getSelectorBuilderSource()})`);
+  return {
+    document: dom.window.document,
+    // Copy out of the window realm so deepEqual compares plain arrays.
+    buildSelectorCandidates: (element) => [...buildInWindow(element)],
+  };
+}
+
+test('lists unique selector candidates from the most to the least stable', () => {
+  const {document, buildSelectorCandidates} = createSelectorBuilder(
+    '<main id="app"><form><input name="email"><button data-testid="save">Save</button></form></main>',
+  );
+
+  assert.deepEqual(buildSelectorCandidates(document.querySelector('button')), [
+    '[data-testid="save"]',
+    'text/Save',
+    '#app > form > button',
+  ]);
+  assert.deepEqual(buildSelectorCandidates(document.querySelector('input')), [
+    'input[name="email"]',
+    '#app > form > input',
+  ]);
+});
+
+test('skips candidates that match more than one element', () => {
+  const {document, buildSelectorCandidates} = createSelectorBuilder(
+    '<main id="app"><button data-testid="go">Go</button><button data-testid="go">Go</button></main>',
+  );
+
+  assert.deepEqual(buildSelectorCandidates(document.querySelectorAll('button')[1]), [
+    '#app > button:nth-of-type(2)',
+  ]);
+});
+
+test('escapes quotes, backslashes and newlines in attribute values', () => {
+  const {document, buildSelectorCandidates} = createSelectorBuilder(
+    '<main id="app"><input data-testid="say &quot;hi&quot;\\now" name="a&#10;b"></main>',
+  );
+
+  assert.deepEqual(buildSelectorCandidates(document.querySelector('input')), [
+    '[data-testid="say \\"hi\\"\\\\now"]',
+    'input[name="a\\a b"]',
+    '#app > input',
+  ]);
+});
+
+test('returns no candidates for non-element nodes', () => {
+  const {document, buildSelectorCandidates} = createSelectorBuilder('<p>text</p>');
+  assert.deepEqual(buildSelectorCandidates(document.querySelector('p').firstChild), []);
+});
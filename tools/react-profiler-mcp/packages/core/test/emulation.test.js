@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {
+  applyEmulation,
+  DEVICE_PRESETS,
+  NETWORK_PRESETS,
+  resolveEmulation,
+} from '../src/emulation.js';
+
+test('takes viewport, user agent, CPU and network settings from a device preset', () => {
+  const emulation = resolveEmulation({devicePreset: 'low-end-mobile'});
+
+  assert.deepEqual(emulation.viewport, DEVICE_PRESETS['low-end-mobile'].viewport);
+  assert.equal(emulation.userAgent, DEVICE_PRESETS['low-end-mobile'].userAgent);
+  assert.equal(emulation.cpuThrottlingRate, 6);
+  assert.deepEqual(emulation.network, {preset: 'slow-3g', ...NETWORK_PRESETS['slow-3g']});
+});
+
+test('lets explicit options override the device preset', () => {
+  const emulation = resolveEmulation({
+    devicePreset: 'mid-tier-mobile',
+    userAgent: 'TestAgent/1.0',
+    cpuThrottlingRate: 2,
+    networkPreset: 'none',
+  });
+
+  assert.equal(emulation.userAgent, 'TestAgent/1.0');
+  assert.equal(emulation.cpuThrottlingRate, 2);
+  assert.equal(emulation.network, null);
+
+  assert.deepEqual(
+    resolveEmulation({networkPreset: 'fast-4g', networkConditions: {latency: 40}}).network,
+    {preset: 'custom', latency: 40, downloadThroughput: -1, uploadThroughput: -1, offline: false},
+  );
+});
+
+test('keeps the preset mobile settings when only the viewport size is given', () => {
+  const emulation = resolveEmulation({
+    devicePreset: 'mid-tier-mobile',
+    viewport: {width: 390, height: 844},
+  });
+
+  assert.deepEqual(emulation.viewport, {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 1.75,
+    isMobile: true,
+    hasTouch: true,
+  });
+});
+
+test('falls back to the given viewport without a device preset', () => {
+  const emulation = resolveEmulation({fallbackViewport: {width: 800, height: 600}});
+
+  assert.deepEqual(emulation.viewport, {width: 800, height: 600});
+  assert.equal(emulation.userAgent, null);
+  assert.equal(emulation.cpuThrottlingRate, 1);
+  assert.equal(emulation.network, null);
+});
+
+test('rejects unknown presets and CPU rates below 1', () => {
+  assert.throws(
+    () => resolveEmulation({devicePreset: 'watch'}),
+    /^Error: Unknown devicePreset: watch/,
+  );
+  assert.throws(() => resolveEmulation({networkPreset: '5g'}), /^Error: Unknown networkPreset: 5g/);
+  assert.throws(() => resolveEmulation({cpuThrottlingRate: 0.5}), {
+    message: 'cpuThrottlingRate must be a number >= 1 (got 0.5)',
+  });
+});
+
+test('applies CPU throttling and network conditions over CDP', async () => {
+  const calls = [];
+  const page = {
+    setViewport: async (viewport) => calls.push(['setViewport', viewport]),
+    setUserAgent: async (userAgent) => calls.push(['setUserAgent', userAgent]),
+    createCDPSession: async () => ({
+      send: async (method, params) => calls.push([method, params]),
+    }),
+  };
+
+  await applyEmulation(page, resolveEmulation({devicePreset: 'mid-tier-mobile'}));
+
+  assert.deepEqual(
+    calls.map(([method]) => method),
+    [
+      'setViewport',
+      'setUserAgent',
+      'Emulation.setCPUThrottlingRate',
+      'Network.enable',
+      'Network.emulateNetworkConditions',
+    ],
+  );
+  assert.deepEqual(calls[2][1], {rate: 4});
+  assert.deepEqual(calls[4][1], {
+    offline: false,
+    latency: 562.5,
+    downloadThroughput: 180000,
+    uploadThroughput: 84375,
+  });
+});
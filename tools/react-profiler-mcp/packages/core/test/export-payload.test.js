@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {buildExportPayload} from '../src/react-devtools-recorder.js';
+
+const hookSourceFetcher = {
+  getSourceRoots: () => ['/app/src'],
+  getAliasSummary: () => ({count: 0}),
+};
+const inspectOptions = {
+  inspectElements: true,
+  inspectElementsMaxPerRoot: 10,
+  inspectElementsTimeoutMs: 1000,
+  inspectElementsBudgetMs: 5000,
+  inspectElementsConcurrency: 2,
+  parseHookNamesEnabled: false,
+  parseHookNamesTimeoutMs: 3000,
+};
+
+test('wraps profiling data in the version 5 export envelope', () => {
+  const payload = buildExportPayload({
+    dataForRoots: [{rootID: 1}],
+    timelineData: [],
+    inspectOptions,
+    hookSourceFetcher,
+    recorder: {mode: 'session', url: 'http://localhost:3000'},
+    warnings: ['slow'],
+    automationMeta: {profilingDurationMs: 1200},
+    errorsAndWarnings: [],
+    inspectedElements: [],
+  });
+
+  assert.equal(payload.version, 5);
+  assert.deepEqual(payload.dataForRoots, [{rootID: 1}]);
+  assert.ok(!('timelineData' in payload));
+  assert.ok(!('errorsAndWarnings' in payload.automationMeta));
+
+  const {recorder, profilingDurationMs, inspectedElements} = payload.automationMeta;
+  assert.equal(recorder.mode, 'session');
+  assert.equal(recorder.url, 'http://localhost:3000');
+  assert.equal(recorder.inspectElementsEnabled, true);
+  assert.equal(recorder.inspectElementsBudgetMs, 5000);
+  assert.equal(recorder.parseHookNamesEnabled, false);
+  assert.deepEqual(recorder.parseHookNamesSourceRoots, ['/app/src']);
+  assert.deepEqual(recorder.warnings, ['slow']);
+  assert.equal(typeof recorder.generatedAt, 'string');
+  assert.equal(profilingDurationMs, 1200);
+  assert.deepEqual(inspectedElements, []);
+});
+
+test('keeps timeline data and errors and warnings when present', () => {
+  const payload = buildExportPayload({
+    dataForRoots: [],
+    timelineData: [{batchUIDToMeasuresKeyValueArray: []}],
+    inspectOptions,
+    hookSourceFetcher,
+    warnings: [],
+    errorsAndWarnings: [{rootID: 1, fiberID: 2, errorCount: 1, warningCount: 0}],
+    inspectedElements: [],
+  });
+
+  assert.deepEqual(payload.timelineData, [{batchUIDToMeasuresKeyValueArray: []}]);
+  assert.deepEqual(payload.automationMeta.errorsAndWarnings, [
+    {rootID: 1, fiberID: 2, errorCount: 1, warningCount: 0},
+  ]);
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {mkdtemp, readdir, readFile, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {test} from 'node:test';
+
+import {getFilmstripDirectory, startFilmstrip} from '../src/filmstrip.js';
+
+test('puts frames next to the export', () => {
+  assert.equal(getFilmstripDirectory('/out/profile.json'), '/out/profile.frames');
+  assert.equal(getFilmstripDirectory('/out/profile'), '/out/profile.frames');
+});
+
+test('writes screencast frames and times them from profiling start', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+  const client = new EventEmitter();
+  const sent = [];
+  client.send = async (method, params) => {
+    sent.push([method, params]);
+  };
+  client.detach = async () => {};
+
+  try {
+    const exportPath = path.join(dir, 'profile.json');
+    const filmstrip = await startFilmstrip(
+      {createCDPSession: async () => client},
+      {exportPath, maxFrames: 2},
+    );
+    for (const [sessionId, timestamp] of [
+      [1, 1000.25],
+      [2, 1000.5],
+      [3, 1000.75],
+    ]) {
+      client.emit('Page.screencastFrame', {
+        sessionId,
+        data: Buffer.from(`frame ${sessionId}`).toString('base64'),
+        metadata: {timestamp},
+      });
+    }
+
+    const result = await filmstrip.stop({profilingStartEpochMs: 1000000});
+
+    assert.deepEqual(result, {
+      directory: 'profile.frames',
+      format: 'jpeg',
+      frameCount: 2,
+      droppedFrameCount: 1,
+      frames: [
+        {index: 0, file: path.join('profile.frames', 'frame-0001.jpg'), timestamp: 250},
+        {index: 1, file: path.join('profile.frames', 'frame-0002.jpg'), timestamp: 500},
+      ],
+    });
+    assert.deepEqual(await readdir(path.join(dir, 'profile.frames')), [
+      'frame-0001.jpg',
+      'frame-0002.jpg',
+    ]);
+    assert.equal(
+      await readFile(path.join(dir, 'profile.frames', 'frame-0002.jpg'), 'utf8'),
+      'frame 2',
+    );
+    // Every frame is acknowledged, including dropped ones, or Chrome stops sending.
+    assert.equal(sent.filter(([method]) => method === 'Page.screencastFrameAck').length, 3);
+    assert.equal(sent.at(-1)[0], 'Page.stopScreencast');
+  } finally {
+    await rm(dir, {recursive: true, force: true});
+  }
+});
@@ -0,0 +1,34 @@
+import React from 'react';
+
+const {createElement: h, memo, useState} = React;
+
+const Row = memo(function Row({value}) {
+  return h('li', null, `Row ${value}`);
+});
+
+function Header({count}) {
+  return h('h1', null, `Count ${count}`);
+}
+
+export function Counter() {
+  const [count, setCount] = useState(0);
+  return h(
+    'div',
+    null,
+    h(Header, {count}),
+    h('button', {id: 'increment', onClick: () => setCount((value) => value + 1)}, '+'),
+    h(
+      'ul',
+      null,
+      [1, 2].map((value) => h(Row, {key: value, value})),
+    ),
+  );
+}
+
+export async function interact({document, sleep}) {
+  const button = document.getElementById('increment');
+  for (let i = 0; i < 2; i += 1) {
+    button.dispatchEvent(new document.defaultView.MouseEvent('click', {bubbles: true}));
+    await sleep(20);
+  }
+}
@@ -0,0 +1,191 @@
+// A version 5 export written by hand: Root > App > (Memo(List) > div, Header), with one commit per
+// entry of listSelfMs, 250ms apart from 100ms. App re-renders from a hook and List from its props.
+export function createDevToolsExport({
+  listSelfMs = [3, 4, 5, 3, 4, 5],
+  automationMeta,
+  timelineData,
+} = {}) {
+  const snapshots = [
+    [1, {id: 1, children: [2], displayName: null, hocDisplayNames: null, key: null, type: 11}],
+    [2, {id: 2, children: [3, 4], displayName: 'App', hocDisplayNames: null, key: null, type: 5}],
+    [3, {id: 3, children: [5], displayName: 'List', hocDisplayNames: ['Memo'], key: null, type: 8}],
+    [4, {id: 4, children: [], displayName: 'Header', hocDisplayNames: null, key: null, type: 5}],
+    [5, {id: 5, children: [], displayName: 'div', hocDisplayNames: null, key: null, type: 7}],
+  ];
+  const commitData = listSelfMs.map((selfMs, index) => ({
+    changeDescriptions: [
+      [
+        2,
+        {
+          isFirstMount: false,
+          props: null,
+          state: null,
+          context: null,
+          hooks: [0],
+          didHooksChange: true,
+        },
+      ],
+      [
+        3,
+        {
+          isFirstMount: false,
+          props: ['items'],
+          state: null,
+          context: null,
+          hooks: null,
+          didHooksChange: false,
+        },
+      ],
+    ],
+    duration: 2 + selfMs + 0.5,
+    effectDuration: 0.3,
+    passiveEffectDuration: 0.2,
+    fiberActualDurations: [
+      [2, 2 + selfMs + 0.5],
+      [3, selfMs + 0.5],
+      [5, 0.5],
+    ],
+    fiberSelfDurations: [
+      [2, 2],
+      [3, selfMs],
+      [5, 0.5],
+    ],
+    priorityLevel: 'Normal',
+    timestamp: 100 + index * 250,
+    updaters: [
+      {
+        id: 2,
+        displayName: 'App',
+        key: null,
+        type: 5,
+        hocDisplayNames: null,
+        compiledWithForget: false,
+      },
+    ],
+  }));
+
+  return {
+    version: 5,
+    dataForRoots: [
+      {
+        rootID: 1,
+        displayName: 'Root',
+        commitData,
+        initialTreeBaseDurations: [
+          [1, 10],
+          [2, 10],
+          [3, 5],
+          [4, 1],
+          [5, 0.5],
+        ],
+        operations: commitData.map(() => []),
+        snapshots,
+      },
+    ],
+    ...(timelineData ? {timelineData} : {}),
+    ...(automationMeta ? {automationMeta} : {}),
+  };
+}
+
+// Timeline data in the shape the React 19 backend sends with recordTimeline: a default-lane batch,
+// a nested sync-lane update from List, a render-phase update, two suspense events and a thrown error.
+export function createTimelineData() {
+  return {
+    reactVersion: '19.1.0',
+    duration: 200,
+    startTime: 0,
+    laneToLabelKeyValueArray: [
+      [2, 'SyncLane'],
+      [32, 'DefaultLane'],
+    ],
+    laneToReactMeasureKeyValueArray: [],
+    batchUIDToMeasuresKeyValueArray: [
+      [
+        1,
+        [
+          {type: 'render', batchUID: 1, depth: 0, lanes: [32], timestamp: 10, duration: 8},
+          {type: 'commit', batchUID: 1, depth: 0, lanes: [32], timestamp: 18, duration: 4},
+          {type: 'layout-effects', batchUID: 1, depth: 1, lanes: [32], timestamp: 19, duration: 2},
+          {type: 'passive-effects', batchUID: 1, depth: 0, lanes: [32], timestamp: 30, duration: 1},
+        ],
+      ],
+      [
+        2,
+        [
+          {type: 'render', batchUID: 2, depth: 0, lanes: [2], timestamp: 22, duration: 25},
+          {type: 'commit', batchUID: 2, depth: 0, lanes: [2], timestamp: 47, duration: 2},
+        ],
+      ],
+    ],
+    componentMeasures: [
+      {componentName: 'App', duration: 6, timestamp: 11, type: 'render', warning: null},
+      {componentName: 'List', duration: 3, timestamp: 12, type: 'render', warning: null},
+      {
+        componentName: 'List',
+        duration: 2,
+        timestamp: 19,
+        type: 'layout-effect-mount',
+        warning: null,
+      },
+    ],
+    schedulingEvents: [
+      {type: 'schedule-render', lanes: [32], timestamp: 5, warning: null},
+      {
+        type: 'schedule-state-update',
+        lanes: [2],
+        timestamp: 20,
+        componentName: 'List',
+        warning: null,
+      },
+      {
+        type: 'schedule-state-update',
+        lanes: [32],
+        timestamp: 13,
+        componentName: 'Header',
+        componentStack: '\n    in Header',
+        warning: null,
+      },
+    ],
+    suspenseEvents: [
+      {
+        componentName: 'Header',
+        depth: 0,
+        duration: 40,
+        id: '1',
+        phase: 'update',
+        promiseName: 'fetchUser',
+        resolution: 'resolved',
+        timestamp: 50,
+        type: 'suspense',
+        warning: null,
+      },
+      {
+        componentName: 'List',
+        depth: 0,
+        duration: null,
+        id: '2',
+        phase: 'mount',
+        promiseName: '',
+        resolution: 'unresolved',
+        timestamp: 60,
+        type: 'suspense',
+        warning: null,
+      },
+    ],
+    thrownErrors: [
+      {
+        componentName: 'Header',
+        message: 'boom',
+        phase: 'mount',
+        timestamp: 70,
+        type: 'thrown-error',
+      },
+    ],
+    flamechart: [],
+    nativeEvents: [],
+    networkMeasures: [],
+    otherUserTimingMarks: [],
+    snapshots: [],
+    internalModuleSourceToRanges: [],
+  };
+}
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {mkdtemp, readFile, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {test} from 'node:test';
+
+import {
+  attributeHeapToCommits,
+  extractHeapTimeline,
+  getHeapProfilePath,
+  startHeapSampling,
+} from '../src/heap-profile.js';
+
+const MAIN = {pid: 1, tid: 1};
+
+function counters(ts, jsHeapSizeUsed, thread = MAIN) {
+  return {...thread, name: 'UpdateCounters', ph: 'I', ts, args: {data: {jsHeapSizeUsed}}};
+}
+
+const TRACE = {
+  traceEvents: [
+    {...MAIN, name: 'react-profiler-mcp:start', ph: 'R', ts: 1000000},
+    counters(1000000, 1000),
+    counters(1100000, 3000),
+    {
+      ...MAIN,
+      name: 'MinorGC',
+      ph: 'X',
+      ts: 1150000,
+      dur: 10000,
+      args: {usedHeapSizeBefore: 3000, usedHeapSizeAfter: 2000},
+    },
+    // Worker isolates collect on their own thread and never pause React.
+    {pid: 1, tid: 2, name: 'MinorGC', ph: 'X', ts: 1200000, dur: 5000, args: {}},
+    {...MAIN, name: 'MajorGC', ph: 'B', ts: 1400000, args: {usedHeapSizeBefore: 4000}},
+    {...MAIN, name: 'MajorGC', ph: 'E', ts: 1420000, args: {usedHeapSizeAfter: 1500}},
+    counters(1500000, 2500),
+    counters(3000000, 9000),
+  ],
+};
+
+test('keeps main-thread GC events and heap samples inside the profiling window', () => {
+  const timeline = extractHeapTimeline(TRACE, {
+    markName: 'react-profiler-mcp:start',
+    profilingStartTraceTsUs: 1000000,
+    durationMs: 1000,
+  });
+
+  assert.deepEqual(timeline.gcEvents, [
+    {
+      type: 'minor',
+      timestamp: 150,
+      durationMs: 10,
+      usedHeapSizeBefore: 3000,
+      usedHeapSizeAfter: 2000,
+      collectedBytes: 1000,
+    },
+    {
+      type: 'major',
+      timestamp: 400,
+      durationMs: 20,
+      usedHeapSizeBefore: 4000,
+      usedHeapSizeAfter: 1500,
+      collectedBytes: 2500,
+    },
+  ]);
+  assert.deepEqual(timeline.heapSamples, [
+    {timestamp: 0, usedHeapSize: 1000},
+    {timestamp: 100, usedHeapSize: 3000},
+    {timestamp: 500, usedHeapSize: 2500},
+  ]);
+});
+
+test('attributes heap growth and GC time to the commits they overlap', () => {
+  const timeline = extractHeapTimeline(TRACE, {
+    markName: 'react-profiler-mcp:start',
+    profilingStartTraceTsUs: 1000000,
+    durationMs: 1000,
+  });
+  const heap = attributeHeapToCommits(
+    [
+      {
+        rootID: 1,
+        commitData: [
+          {timestamp: 100, duration: 50},
+          {timestamp: 420, duration: 30},
+        ],
+      },
+    ],
+    timeline,
+    {durationMs: 1000},
+  );
+
+  assert.deepEqual(heap, {
+    allocatedBytes: 5000,
+    gcCount: 2,
+    gcDurationMs: 30,
+    commits: [
+      {
+        rootID: 1,
+        commitIndex: 0,
+        windowStartMs: 50,
+        windowEndMs: 100,
+        allocatedBytes: 1000,
+        gcCount: 0,
+        gcDurationMs: 0,
+        gcTypes: [],
+      },
+      {
+        rootID: 1,
+        commitIndex: 1,
+        windowStartMs: 390,
+        windowEndMs: 420,
+        allocatedBytes: 83,
+        gcCount: 1,
+        gcDurationMs: 20,
+        gcTypes: ['major'],
+      },
+    ],
+  });
+});
+
+test('writes the sampling profile next to the export and ranks allocation sites', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+  const frame = (functionName, lineNumber) => ({
+    functionName,
+    url: 'http://localhost:3000/app.js',
+    lineNumber,
+    columnNumber: 4,
+  });
+  const profile = {
+    head: {
+      callFrame: frame('(root)', 0),
+      selfSize: 0,
+      children: [
+        {callFrame: frame('renderRows', 9), selfSize: 4096, children: []},
+        {
+          callFrame: frame('formatRow', 19),
+          selfSize: 1024,
+          children: [{callFrame: frame('renderRows', 9), selfSize: 2048, children: []}],
+        },
+      ],
+    },
+  };
+  const client = new EventEmitter();
+  client.send = async (method) => (method === 'HeapProfiler.stopSampling' ? {profile} : {});
+  client.detach = async () => {};
+
+  try {
+    const exportPath = path.join(dir, 'profile.json');
+    const sampling = await startHeapSampling(
+      {createCDPSession: async () => client},
+      {samplingIntervalBytes: 1024},
+    );
+    const result = await sampling.stop({exportPath});
+
+    assert.equal(getHeapProfilePath(exportPath), path.join(dir, 'profile.heapprofile'));
+    assert.equal(result.profilePath, 'profile.heapprofile');
+    assert.equal(result.totalSampledBytes, 7168);
+    assert.deepEqual(
+      result.topAllocators.map((site) => [site.functionName, site.lineNumber, site.selfBytes]),
+      [
+        ['renderRows', 10, 6144],
+        ['formatRow', 20, 1024],
+      ],
+    );
+    assert.deepEqual(
+      JSON.parse(await readFile(path.join(dir, 'profile.heapprofile'), 'utf8')),
+      profile,
+    );
+  } finally {
+    await rm(dir, {recursive: true, force: true});
+  }
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {JSDOM} from 'jsdom';
+
+import {createHostNodesExpression} from '../src/dom-selectors.js';
+
+// A backend stand-in that maps fiber IDs to the nodes they render.
+function createPage(hostInstancesByFiber) {
+  const dom = new JSDOM(
+    '<!doctype html><body><ul data-testid="rows"><li>One</li><li>Two</li></ul><p>Empty</p></body>',
+    {runScripts: 'outside-only'},
+  );
+  const {document} = dom.window;
+  const instances = hostInstancesByFiber(document);
+  dom.window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+    rendererInterfaces: new Map([
+      [
+        1,
+        {
+          findHostInstancesForElementID(fiberID) {
+            if (fiberID === 9) {
+              throw new Error('Could not find ID 9');
+            }
+            return instances[fiberID] ?? null;
+          },
+        },
+      ],
+    ]),
+  };
+  return {
+    evaluate: async (expression) => JSON.parse(JSON.stringify(dom.window.eval(expression))),
+  };
+}
+
+test('describes the host nodes of each fiber', async () => {
+  const page = createPage((document) => {
+    const [first, second] = document.querySelectorAll('li');
+    const detached = document.createElement('div');
+    return {
+      2: [document.querySelector('ul')],
+      3: [first.firstChild, first, second, detached],
+    };
+  });
+
+  const result = await page.evaluate(
+    createHostNodesExpression({rendererID: 1, fiberIDs: [2, 3, 4, 9], maxNodesPerFiber: 1}),
+  );
+
+  // jsdom does no layout, so every box is empty.
+  const box = {x: 0, y: 0, width: 0, height: 0};
+  assert.deepEqual(result, [
+    {
+      hostNodeCount: 1,
+      hostNodes: [{selector: '[data-testid="rows"]', tagName: 'ul', boundingBox: box}],
+    },
+    {
+      hostNodeCount: 2,
+      hostNodes: [{selector: 'body > ul > li:nth-of-type(1)', tagName: 'li', boundingBox: box}],
+    },
+    {hostNodeCount: 0, hostNodes: []},
+    {hostNodeCount: 0, hostNodes: []},
+  ]);
+});
+
+test('returns null without a renderer that can find host instances', async () => {
+  const page = createPage(() => ({}));
+
+  assert.equal(
+    await page.evaluate(
+      createHostNodesExpression({rendererID: 2, fiberIDs: [1], maxNodesPerFiber: 5}),
+    ),
+    null,
+  );
+});
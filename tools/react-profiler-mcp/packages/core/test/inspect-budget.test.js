@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {
+  captureInspectedElementsEnrichment,
+  describeSkippedFibersWarning,
+} from '../src/react-devtools-recorder.js';
+import {createDevToolsExport} from './fixtures/devtools-export.js';
+
+const INSPECT_MS = 40;
+
+// Each inspection moves the clock on by INSPECT_MS, so the budget runs out at a known fiber.
+function createSlowBridge(t) {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const inspected = [];
+  return {
+    inspected,
+    send(event, payload) {
+      inspected.push(payload.id);
+    },
+    async waitForEvent(event, {predicate}) {
+      now += INSPECT_MS;
+      const payload = {
+        type: 'full-data',
+        responseID: inspected.length,
+        value: {owners: [], hooks: null},
+      };
+      assert.ok(predicate(payload));
+      return payload;
+    },
+  };
+}
+
+const hookSourceFetcher = {getSourceRoots: () => [], getAliasSummary: () => null};
+
+// Fiber 3 (List) is the hottest, then 2 (App) and 5 (div).
+const inspect = (bridge, options) =>
+  captureInspectedElementsEnrichment({
+    bridge,
+    dataForRoots: createDevToolsExport().dataForRoots,
+    rootToRenderer: new Map([[1, 1]]),
+    enabled: true,
+    timeoutMs: 1000,
+    inspectConcurrency: 1,
+    parseHookNamesEnabled: false,
+    hookSourceFetcher,
+    ...options,
+  });
+
+test('inspects the hottest fibers first and reports the ones left over', async (t) => {
+  const bridge = createSlowBridge(t);
+
+  const result = await inspect(bridge, {maxFibersPerRoot: 2, timeBudgetMs: INSPECT_MS - 10});
+
+  assert.deepEqual(bridge.inspected, [3]);
+  assert.deepEqual(
+    result.roots[0].elements.map(({fiberID, status}) => [fiberID, status]),
+    [[3, 'full-data']],
+  );
+  assert.equal(result.roots[0].requestedCount, 1);
+  assert.deepEqual(result.totals, {requested: 1, captured: 1, timedOut: 0, errors: 0});
+  assert.equal(result.timeBudgetMs, INSPECT_MS - 10);
+  assert.deepEqual(result.skippedFibers, {
+    maxPerRoot: 1,
+    timeBudget: 1,
+    hottest: [
+      {rootID: 1, fiberID: 2, selfMs: 12, subtreeMs: 39, renderCount: 6, reason: 'time-budget'},
+      {rootID: 1, fiberID: 5, selfMs: 3, subtreeMs: 3, renderCount: 6, reason: 'max-per-root'},
+    ],
+  });
+  assert.equal(
+    describeSkippedFibersWarning(result),
+    `inspectElements skipped fibers (1 over inspectElementsMaxPerRoot, 1 after the ${INSPECT_MS - 10}ms inspectElementsBudgetMs ran out); the hottest rendered ones are listed in automationMeta.inspectedElements.skippedFibers.hottest.`,
+  );
+});
+
+test('inspects every fiber without a budget', async (t) => {
+  const bridge = createSlowBridge(t);
+
+  const result = await inspect(bridge, {});
+
+  assert.deepEqual(bridge.inspected, [3, 2, 5]);
+  assert.equal(result.timeBudgetMs, null);
+  assert.deepEqual(result.skippedFibers, {maxPerRoot: 0, timeBudget: 0, hottest: []});
+  assert.equal(describeSkippedFibersWarning(result), null);
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {runInteractionSteps, validateInteractionSteps} from '../src/interaction-steps.js';
+
+function createFakePage() {
+  const calls = [];
+  return {
+    calls,
+    keyboard: {
+      press: async (key) => {
+        calls.push(['press', key]);
+      },
+    },
+    hover: async (selector) => {
+      calls.push(['hover', selector]);
+    },
+    goto: async (url, options) => {
+      calls.push(['goto', url, options]);
+    },
+    waitForSelector: async (selector) => {
+      // The later candidate matches first, so only an in-order resolver picks '#primary'.
+      await new Promise((resolve) => setTimeout(resolve, selector === '#primary' ? 30 : 0));
+      return selector === '#missing' ? null : {dispose: async () => {}};
+    },
+    evaluate: async (expression) => {
+      calls.push(['evaluate', expression]);
+      if (expression === 'fail()') {
+        throw new Error('fail is not defined');
+      }
+    },
+  };
+}
+
+test('accepts nested group and loop steps', () => {
+  const steps = [
+    {action: 'click', selector: '#open'},
+    {
+      action: 'loop',
+      iterations: 3,
+      steps: [{action: 'group', name: 'scroll list', steps: [{action: 'scroll', distance: 400}]}],
+    },
+    {action: 'select', selector: 'select', value: ['a', 'b']},
+  ];
+
+  assert.equal(validateInteractionSteps(steps), steps);
+});
+
+test('names the nested step and field that failed validation', () => {
+  assert.throws(
+    () =>
+      validateInteractionSteps([
+        {action: 'press', key: 'Enter'},
+        {action: 'group', steps: [{action: 'click', selector: ''}]},
+      ]),
+    /^Error: Interaction step steps\[1\]\.steps\[0\] \(click\): "selector" must be/,
+  );
+  assert.throws(
+    () => validateInteractionSteps([{action: 'scroll', direction: 'sideways', distance: 10}]),
+    {
+      message:
+        'Interaction step steps[0] (scroll): "direction" must be one of down, up, left, right (got "sideways")',
+    },
+  );
+  assert.throws(
+    () => validateInteractionSteps([{action: 'press', key: 'a', repeat: 0}], {label: 'warmup'}),
+    {
+      message:
+        'Interaction step warmup[0] (press): "repeat" must be a number >= 1 when provided (got 0)',
+    },
+  );
+});
+
+test('leaves wait duration and typed text optional', () => {
+  assert.doesNotThrow(() =>
+    validateInteractionSteps([{action: 'wait'}, {action: 'type', selector: '#search'}]),
+  );
+  assert.throws(() => validateInteractionSteps([{action: 'type', selector: '#search', text: 5}]), {
+    message: 'Interaction step steps[0] (type): "text" must be a string when provided (got number)',
+  });
+});
+
+test('rejects unknown actions and non-array step lists', () => {
+  assert.throws(
+    () => validateInteractionSteps([{action: 'teleport'}]),
+    /Unsupported interaction step action: teleport\. Supported actions: wait, /,
+  );
+  assert.throws(() => validateInteractionSteps({action: 'click'}), {
+    message: 'Interaction steps must be an array (steps)',
+  });
+});
+
+test('runs repeats, loops and groups in order', async () => {
+  const page = createFakePage();
+  await runInteractionSteps(page, [
+    {action: 'press', key: 'Tab', repeat: 2},
+    {
+      action: 'loop',
+      iterations: 2,
+      steps: [{action: 'group', steps: [{action: 'evaluate', expression: 'tick()'}]}],
+    },
+  ]);
+
+  assert.deepEqual(page.calls, [
+    ['press', 'Tab'],
+    ['press', 'Tab'],
+    ['evaluate', 'tick()'],
+    ['evaluate', 'tick()'],
+  ]);
+});
+
+test('validates every step before running any of them', async () => {
+  const page = createFakePage();
+  await assert.rejects(
+    runInteractionSteps(page, [{action: 'press', key: 'Tab'}, {action: 'press'}]),
+    /steps\[1\] \(press\): "key" must be a non-empty string/,
+  );
+  assert.deepEqual(page.calls, []);
+});
+
+test('reports the failing step and repeat', async () => {
+  await assert.rejects(
+    runInteractionSteps(createFakePage(), [
+      {action: 'group', steps: [{action: 'evaluate', expression: 'fail()', repeat: 2}]},
+    ]),
+    {
+      message:
+        'Interaction step steps[0].steps[0] (evaluate) failed on repeat 1/2: fail is not defined',
+    },
+  );
+});
+
+test('resolves selector candidates in list order', async () => {
+  const page = createFakePage();
+  await runInteractionSteps(page, [
+    {action: 'hover', selector: ['#missing', '#primary', '#fallback']},
+  ]);
+
+  assert.deepEqual(page.calls, [['hover', '#primary']]);
+});
+
+test('uses navigationTimeoutMs for navigate steps without their own timeout', async () => {
+  const page = createFakePage();
+  await runInteractionSteps(
+    page,
+    [
+      {action: 'navigate', url: 'http://localhost:3000/a'},
+      {action: 'navigate', url: 'http://localhost:3000/b', timeoutMs: 500, waitUntil: 'load'},
+    ],
+    {navigationTimeoutMs: 9000},
+  );
+
+  assert.deepEqual(page.calls, [
+    ['goto', 'http://localhost:3000/a', {waitUntil: 'networkidle2', timeout: 9000}],
+    ['goto', 'http://localhost:3000/b', {waitUntil: 'load', timeout: 500}],
+  ]);
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {applyOperationsToLiveTree} from '../src/live-tree.js';
+
+function encodeStringTable(strings) {
+  const entries = strings.flatMap((text) => [
+    text.length,
+    ...[...text].map((char) => char.codePointAt(0)),
+  ]);
+  return [entries.length, ...entries];
+}
+
+test('reports the nodes each ADD operation introduces', () => {
+  const liveTreesByRoot = new Map();
+  const added = [];
+  const onNodeAdded = (node) => added.push([node.id, node.displayName]);
+
+  applyOperationsToLiveTree({
+    liveTreesByRoot,
+    operations: [1, 1, ...encodeStringTable(['App']), 1, 1, 11, 1, 1, 1, 0, 1, 2, 5, 1, 0, 1, 0, 0],
+    onNodeAdded,
+  });
+  // Removing App and re-adding it under a new name only reports the new node.
+  applyOperationsToLiveTree({
+    liveTreesByRoot,
+    operations: [1, 1, ...encodeStringTable(['Page']), 2, 1, 2, 1, 3, 5, 1, 0, 1, 0, 0],
+    onNodeAdded,
+  });
+
+  assert.deepEqual(added, [
+    [1, null],
+    [2, 'App'],
+    [3, 'Page'],
+  ]);
+  assert.deepEqual([...liveTreesByRoot.get(1).nodes.keys()], [1, 3]);
+});
@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {mkdir, mkdtemp, readFile, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {after, before, test} from 'node:test';
+
+import {
+  loadNetworkReplaySource,
+  resolveNetworkReplay,
+  startHarRecording,
+  startNetworkReplay,
+} from '../src/network-replay.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+});
+
+after(async () => {
+  await rm(dir, {recursive: true, force: true});
+});
+
+function harEntry(method, url, status, text, {postData, encoding, headers = []} = {}) {
+  return {
+    request: {method, url, ...(postData ? {postData: {text: postData}} : {})},
+    response: {
+      status,
+      headers,
+      content: {mimeType: 'application/json', text, ...(encoding ? {encoding} : {})},
+    },
+  };
+}
+
+function createFakePage() {
+  const page = new EventEmitter();
+  page.interception = [];
+  page.setRequestInterception = async (enabled) => {
+    page.interception.push(enabled);
+  };
+  return page;
+}
+
+function createFakeRequest(method, url, {postData = null, response = null} = {}) {
+  const request = {
+    outcome: null,
+    url: () => url,
+    method: () => method,
+    postData: () => postData ?? undefined,
+    headers: () => ({accept: '*/*'}),
+    response: () => response,
+    continue: async () => {
+      request.outcome = ['continue'];
+    },
+    respond: async (reply) => {
+      request.outcome = ['respond', reply];
+    },
+    abort: async (reason) => {
+      request.outcome = ['abort', reason];
+    },
+  };
+  return request;
+}
+
+test('answers repeated HAR requests in recorded order and matches post bodies', async () => {
+  await writeFile(
+    path.join(dir, 'api.har'),
+    JSON.stringify({
+      log: {
+        entries: [
+          harEntry('GET', 'http://localhost:3000/api/count#top', 200, '{"count":1}', {
+            headers: [
+              {name: 'content-encoding', value: 'gzip'},
+              {name: 'set-cookie', value: 'a=1'},
+              {name: 'Set-Cookie', value: 'b=2'},
+            ],
+          }),
+          harEntry('GET', 'http://localhost:3000/api/count', 200, '{"count":2}'),
+          harEntry('POST', 'http://localhost:3000/api/search', 200, 'eyJoaXRzIjpbXX0=', {
+            postData: '{"q":"a"}',
+            encoding: 'base64',
+          }),
+          harEntry('POST', 'http://localhost:3000/api/search', 500, '{}', {postData: '{"q":"b"}'}),
+        ],
+      },
+    }),
+    'utf8',
+  );
+  const source = await loadNetworkReplaySource({cwd: dir, harPath: 'api.har'});
+  const count = {method: 'GET', url: 'http://localhost:3000/api/count'};
+
+  assert.equal(source.entryCount, 4);
+  const first = await source.lookup(count);
+  assert.deepEqual(first.headers, {'set-cookie': 'a=1\nb=2'});
+  assert.equal(first.body.toString(), '{"count":1}');
+  assert.equal((await source.lookup(count)).body.toString(), '{"count":2}');
+  assert.equal((await source.lookup(count)).body.toString(), '{"count":2}');
+
+  const search = {method: 'POST', url: 'http://localhost:3000/api/search'};
+  assert.equal((await source.lookup({...search, postData: '{"q":"b"}'})).status, 500);
+  assert.equal(
+    (await source.lookup({...search, postData: '{"q":"a"}'})).body.toString(),
+    '{"hits":[]}',
+  );
+  assert.equal(await source.lookup({method: 'GET', url: 'http://localhost:3000/other'}), null);
+});
+
+test('serves route fixtures from routes.json and from files by pathname', async () => {
+  const routesDir = path.join(dir, 'routes');
+  await mkdir(path.join(routesDir, 'api'), {recursive: true});
+  await writeFile(
+    path.join(routesDir, 'routes.json'),
+    JSON.stringify([
+      {method: 'POST', url: '/api/items', status: 201, json: {id: 7}},
+      {urlPattern: 'cdn\\.example\\.com/.*\\.png$', status: 204},
+    ]),
+    'utf8',
+  );
+  await writeFile(path.join(routesDir, 'api', 'items.json'), '[1,2]', 'utf8');
+  await writeFile(path.join(dir, 'secret.txt'), 'secret', 'utf8');
+  const source = await loadNetworkReplaySource({cwd: dir, routeFixturesDir: 'routes'});
+
+  const created = await source.lookup({method: 'POST', url: 'http://localhost:3000/api/items'});
+  assert.equal(created.status, 201);
+  assert.equal(created.contentType, 'application/json; charset=utf-8');
+  assert.equal(created.body.toString(), '{"id":7}');
+  assert.equal(
+    (await source.lookup({method: 'GET', url: 'https://cdn.example.com/a.png'})).status,
+    204,
+  );
+
+  const items = await source.lookup({method: 'GET', url: 'http://localhost:3000/api/items?page=1'});
+  assert.equal(items.body.toString(), '[1,2]');
+  assert.equal(
+    await source.lookup({method: 'GET', url: 'http://localhost:3000/..%2Fsecret.txt'}),
+    null,
+  );
+});
+
+test('auto HAR mode records the first capture and replays later ones', async () => {
+  const options = {cwd: dir, harPath: 'auto.har', harMode: 'auto'};
+  assert.equal((await resolveNetworkReplay(options)).mode, 'record');
+
+  await writeFile(path.join(dir, 'auto.har'), JSON.stringify({log: {entries: []}}), 'utf8');
+  assert.deepEqual(await resolveNetworkReplay(options), {
+    mode: 'replay',
+    harPath: path.join(dir, 'auto.har'),
+    routeFixturesDir: null,
+    unmatchedRequests: 'abort',
+  });
+
+  assert.equal(await resolveNetworkReplay({cwd: dir}), null);
+  await assert.rejects(resolveNetworkReplay({cwd: dir, harMode: 'record'}), {
+    message: 'harMode "record" requires harPath',
+  });
+  await assert.rejects(
+    resolveNetworkReplay({cwd: dir, harPath: 'a.har', routeFixturesDir: 'routes'}),
+    {message: 'Pass either harPath or routeFixturesDir, not both'},
+  );
+});
+
+test('responds from the replay source and handles unmatched requests', async () => {
+  const page = createFakePage();
+  const replay = await startNetworkReplay(page, {
+    source: {
+      kind: 'har',
+      source: 'api.har',
+      lookup: async ({url}) =>
+        url.endsWith('/known') ? {status: 200, headers: {}, body: Buffer.from('ok')} : null,
+    },
+    unmatchedRequests: 'not-found',
+  });
+
+  const known = createFakeRequest('GET', 'http://localhost:3000/known#hash');
+  const unknown = createFakeRequest('GET', 'http://localhost:3000/unknown');
+  const inline = createFakeRequest('GET', 'data:text/plain,hi');
+  for (const request of [known, unknown, inline]) {
+    page.emit('request', request);
+  }
+  await new Promise((resolve) => setImmediate(resolve));
+  await replay.stop();
+
+  assert.equal(known.outcome[0], 'respond');
+  assert.equal(known.outcome[1].body.toString(), 'ok');
+  assert.equal(unknown.outcome[1].status, 404);
+  assert.deepEqual(inline.outcome, ['continue']);
+  assert.deepEqual(page.interception, [true, false]);
+  assert.equal(page.listenerCount('request'), 0);
+  assert.deepEqual(replay.stats, {
+    mode: 'replay-har',
+    source: 'api.har',
+    unmatchedRequests: 'not-found',
+    servedCount: 1,
+    unmatchedCount: 1,
+    unmatchedUrls: ['GET http://localhost:3000/unknown'],
+  });
+});
+
+test('records finished requests to a HAR that replays them', async () => {
+  const page = createFakePage();
+  const recording = startHarRecording(page);
+  const fakeResponse = (status, body) => ({
+    status: () => status,
+    statusText: () => 'OK',
+    headers: () => ({'content-type': 'application/json'}),
+    buffer: async () => Buffer.from(body),
+  });
+  const first = createFakeRequest('GET', 'http://localhost:3000/api/count', {
+    response: fakeResponse(200, '{"count":1}'),
+  });
+  const second = createFakeRequest('GET', 'http://localhost:3000/api/count', {
+    response: fakeResponse(200, '{"count":2}'),
+  });
+  page.emit('request', first);
+  page.emit('request', second);
+  page.emit('requestfinished', second);
+  page.emit('requestfinished', first);
+
+  const result = await recording.stop({cwd: dir, outputPath: 'recorded.har'});
+  assert.deepEqual(result, {
+    mode: 'record-har',
+    path: path.join(dir, 'recorded.har'),
+    entryCount: 2,
+  });
+
+  const har = JSON.parse(await readFile(result.path, 'utf8'));
+  assert.deepEqual(
+    har.log.entries.map((entry) => entry.response.content.text),
+    ['{"count":1}', '{"count":2}'],
+  );
+  const source = await loadNetworkReplaySource({cwd: dir, harPath: 'recorded.har'});
+  const request = {method: 'GET', url: 'http://localhost:3000/api/count'};
+  assert.equal((await source.lookup(request)).body.toString(), '{"count":1}');
+  assert.equal((await source.lookup(request)).body.toString(), '{"count":2}');
+});
+
+test('aborting a HAR recording leaves an earlier HAR in place', async () => {
+  const harPath = path.join(dir, 'kept.har');
+  await writeFile(harPath, '{"log":{"entries":[]}}\n');
+  const page = createFakePage();
+  const recording = startHarRecording(page);
+  const request = createFakeRequest('GET', 'http://localhost:3000/api/count', {
+    response: {
+      status: () => 200,
+      statusText: () => 'OK',
+      headers: () => ({'content-type': 'application/json'}),
+      buffer: async () => Buffer.from('{"count":1}'),
+    },
+  });
+  page.emit('request', request);
+  page.emit('requestfinished', request);
+
+  await recording.abort();
+
+  assert.equal(await readFile(harPath, 'utf8'), '{"log":{"entries":[]}}\n');
+  assert.equal(page.listenerCount('request'), 0);
+  assert.equal(page.listenerCount('requestfinished'), 0);
+});
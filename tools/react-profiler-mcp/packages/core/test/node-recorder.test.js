@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import {mkdtemp, readFile, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {after, before, test} from 'node:test';
+import {fileURLToPath} from 'node:url';
+
+import {applyOperationsToLiveTree} from '../src/live-tree.js';
+import {recordReactProfileInNode} from '../src/node-recorder.js';
+import {summarizeDevToolsProfile} from '../src/summarize.js';
+
+const FIXTURE_PATH = fileURLToPath(new URL('./fixtures/counter.js', import.meta.url));
+
+let outputDir;
+
+before(async () => {
+  outputDir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+});
+
+after(async () => {
+  await rm(outputDir, {recursive: true, force: true});
+});
+
+async function recordCounter(name, options = {}) {
+  const outputPath = path.join(outputDir, `${name}.json`);
+  const result = await recordReactProfileInNode({
+    modulePath: FIXTURE_PATH,
+    exportName: 'Counter',
+    outputPath,
+    inspectElements: false,
+    parseHookNamesEnabled: false,
+    ...options,
+  });
+  return {result, profile: JSON.parse(await readFile(outputPath, 'utf8'))};
+}
+
+function renderedNames(profile) {
+  const summary = summarizeDevToolsProfile(profile);
+  return new Set(summary.componentsByInstance.map((component) => component.componentName));
+}
+
+test('records one commit per interaction with named fibers', async () => {
+  const {result, profile} = await recordCounter('interact');
+
+  assert.equal(result.commitCount, 2);
+  assert.equal(profile.version, 5);
+  assert.equal(profile.dataForRoots.length, 1);
+  assert.equal(profile.dataForRoots[0].commitData.length, 2);
+  assert.equal(profile.automationMeta.recorder.target, 'node-jsdom');
+
+  const names = renderedNames(profile);
+  for (const name of ['Counter', 'Header']) {
+    assert.ok(names.has(name), `expected ${name} among ${[...names].join(', ')}`);
+  }
+  // Row is memoized and its props never change, so it does not re-render on clicks.
+  assert.ok(!names.has('Row'));
+});
+
+test('profileMount exports operations that build the tree from empty snapshots', async () => {
+  const {result, profile} = await recordCounter('mount', {profileMount: true});
+
+  assert.equal(result.commitCount, 3);
+  const [root] = profile.dataForRoots;
+  assert.equal(root.commitData.length, 3);
+  assert.equal(root.operations.length, 3);
+
+  // DevTools applies the operations on top of the snapshots and refuses to add a fiber twice.
+  const liveTreesByRoot = new Map();
+  for (const operations of root.operations) {
+    applyOperationsToLiveTree({liveTreesByRoot, operations});
+  }
+  const builtFiberIDs = [...liveTreesByRoot.get(root.rootID).nodes.keys()];
+  const snapshotFiberIDs = new Set(root.snapshots.map(([fiberID]) => fiberID));
+  assert.ok(builtFiberIDs.length > 0);
+  assert.deepEqual(
+    builtFiberIDs.filter((fiberID) => snapshotFiberIDs.has(fiberID)),
+    [],
+  );
+
+  const names = renderedNames(profile);
+  for (const name of ['Counter', 'Header', 'Row']) {
+    assert.ok(names.has(name), `expected ${name} among ${[...names].join(', ')}`);
+  }
+});
+
+test('reports a module without the requested component export', async () => {
+  await assert.rejects(
+    recordCounter('missing-export', {exportName: 'Missing'}),
+    /has no component export "Missing"\. Exports: Counter, interact$/,
+  );
+});
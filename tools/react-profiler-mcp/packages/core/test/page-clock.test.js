@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {JSDOM} from 'jsdom';
+
+import {createPageClockScript, resolvePageClock} from '../src/page-clock.js';
+
+function installClock(options) {
+  const dom = new JSDOM('', {runScripts: 'outside-only', pretendToBeVisual: true});
+  // jsdom has no MessageChannel; tick() only uses it to wait for one macrotask.
+  dom.window.MessageChannel = MessageChannel;
+  dom.window.eval(createPageClockScript(resolvePageClock(options)));
+  return dom.window;
+}
+
+test('resolves the clock options', () => {
+  assert.equal(resolvePageClock({}), null);
+  assert.deepEqual(resolvePageClock({fakeClock: true}), {
+    fakeTimers: true,
+    startTime: '2024-01-01T00:00:00.000Z',
+    randomSeed: null,
+  });
+  assert.deepEqual(resolvePageClock({randomSeed: '42'}), {
+    fakeTimers: false,
+    startTime: null,
+    randomSeed: 42,
+  });
+  assert.equal(
+    resolvePageClock({fakeClock: true, fakeClockStartTime: 0}).startTime,
+    '1970-01-01T00:00:00.000Z',
+  );
+});
+
+test('rejects inconsistent clock options', () => {
+  assert.throws(() => resolvePageClock({fakeClockStartTime: '2024-01-01'}), {
+    message: 'fakeClockStartTime requires fakeClock: true',
+  });
+  assert.throws(() => resolvePageClock({randomSeed: 1.5}), {
+    message: 'randomSeed must be an integer (got 1.5)',
+  });
+  assert.throws(() => resolvePageClock({fakeClock: true, fakeClockStartTime: 'soon'}), {
+    message: 'fakeClockStartTime must be an ISO date or epoch milliseconds (got "soon")',
+  });
+});
+
+test('seeds Math.random reproducibly', () => {
+  const sequence = (window) => Array.from({length: 3}, () => window.Math.random());
+
+  const first = sequence(installClock({randomSeed: 7}));
+  assert.deepEqual(sequence(installClock({randomSeed: 7})), first);
+  assert.notDeepEqual(sequence(installClock({randomSeed: 8})), first);
+  assert.ok(first.every((value) => value >= 0 && value < 1));
+});
+
+test('runs timers, intervals and frames only when the clock advances', async () => {
+  const window = installClock({fakeClock: true, fakeClockStartTime: '2024-06-01T12:00:00.000Z'});
+  const clock = window.__REACT_PROFILER_MCP_CLOCK__;
+  const fired = [];
+  window.setTimeout(() => fired.push(`timeout@${window.Date.now() - clock.startTimeMs}`), 100);
+  const intervalId = window.setInterval(() => fired.push('interval'), 40);
+  window.requestAnimationFrame(() => fired.push('frame'));
+  window.clearTimeout(window.setTimeout(() => fired.push('cleared'), 10));
+
+  assert.equal(new window.Date().toISOString(), '2024-06-01T12:00:00.000Z');
+  assert.deepEqual(fired, []);
+
+  const stats = await clock.tick(100);
+  window.clearInterval(intervalId);
+
+  assert.deepEqual(fired, ['frame', 'interval', 'interval', 'timeout@100']);
+  assert.equal(window.Date.now(), Date.parse('2024-06-01T12:00:00.100Z'));
+  assert.deepEqual({...stats}, {elapsedMs: 100, firedTimers: 3, firedFrames: 1, pendingTimers: 1});
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {buildProfilingSegments} from '../src/profiling-segments.js';
+
+test('pairs segment starts and ends relative to profiling start', () => {
+  const {marks, segments, warnings} = buildProfilingSegments(
+    [
+      {type: 'segmentStart', name: 'open dialog', timeMs: 1100},
+      {type: 'mark', name: 'data loaded', detail: {rows: 20}, timeMs: 1250.5},
+      {type: 'segmentStart', name: 'type', timeMs: 1300},
+      {type: 'segmentEnd', name: 'open dialog', timeMs: 1400},
+      {type: 'segmentEnd', name: null, timeMs: 1500},
+      {type: 'mark', name: 'before start', timeMs: 900},
+    ],
+    {startPageTimeMs: 1000, stopPageTimeMs: 2000},
+  );
+
+  assert.deepEqual(marks, [{name: 'data loaded', timestamp: 250.5, detail: {rows: 20}}]);
+  assert.deepEqual(segments, [
+    {name: 'open dialog', startTimestamp: 100, endTimestamp: 400, closedAtStop: false},
+    {name: 'type', startTimestamp: 300, endTimestamp: 500, closedAtStop: false},
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('closes open segments at stop and warns about unmatched ends', () => {
+  const {segments, warnings} = buildProfilingSegments(
+    [
+      {type: 'segmentEnd', name: 'never started', timeMs: 50},
+      {type: 'segmentStart', timeMs: 100},
+    ],
+    {startPageTimeMs: 0, stopPageTimeMs: 800},
+  );
+
+  assert.deepEqual(segments, [
+    {name: 'segment-1', startTimestamp: 100, endTimestamp: 800, closedAtStop: true},
+  ]);
+  assert.deepEqual(warnings, [
+    'endSegment("never started") at 50ms had no matching startSegment; it was ignored.',
+    'Segment "segment-1" was still open when profiling stopped; it ends at 800ms.',
+  ]);
+});
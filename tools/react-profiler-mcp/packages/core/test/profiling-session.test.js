@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {startProfilingSession} from '../src/profiling-session.js';
+
+test('requires a url', async () => {
+  await assert.rejects(startProfilingSession({}), {
+    message: 'startProfilingSession requires a non-empty url',
+  });
+});
+
+// Both are checked before a browser is opened, so no Chrome is needed here.
+test('rejects unknown emulation presets before opening a browser', async () => {
+  await assert.rejects(
+    startProfilingSession({url: 'http://localhost:3000', devicePreset: 'watch'}),
+    /^Error: Unknown devicePreset: watch\./,
+  );
+  await assert.rejects(
+    startProfilingSession({url: 'http://localhost:3000', networkPreset: 'carrier-pigeon'}),
+    /^Error: Unknown networkPreset: carrier-pigeon\./,
+  );
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {convertRecorderFlowToSteps} from '../src/recorder-flow.js';
+
+test('takes the starting url and viewport from the leading Recorder steps', () => {
+  const converted = convertRecorderFlowToSteps({
+    title: 'Save a draft',
+    timeout: 7000,
+    steps: [
+      {type: 'setViewport', width: 390, height: 844, deviceScaleFactor: 3, isMobile: true},
+      {type: 'navigate', url: 'http://localhost:3000/drafts'},
+      {type: 'click', selectors: [['#editor', 'button.save'], ['.save']], offsetX: 4, offsetY: 6},
+      {type: 'change', selectors: [['#title']], value: 'Hello'},
+      {type: 'keyDown', key: 'Enter'},
+      {type: 'keyUp', key: 'Enter'},
+      {
+        type: 'doubleClick',
+        selectors: [['.row']],
+        assertedEvents: [{type: 'navigation', url: 'http://localhost:3000/drafts/1'}],
+      },
+      {type: 'scroll', x: 0, y: 600},
+      {type: 'waitForExpression', expression: 'window.ready === true', timeout: 1000},
+    ],
+  });
+
+  assert.equal(converted.title, 'Save a draft');
+  assert.equal(converted.url, 'http://localhost:3000/drafts');
+  assert.deepEqual(converted.viewport, {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: false,
+  });
+  assert.deepEqual(converted.warnings, []);
+  assert.deepEqual(converted.steps, [
+    {action: 'click', selector: ['#editor >>> button.save', '.save'], offset: {x: 4, y: 6}},
+    {action: 'fill', selector: '#title', value: 'Hello'},
+    {action: 'keyDown', key: 'Enter'},
+    {action: 'keyUp', key: 'Enter'},
+    {action: 'click', selector: '.row', clickCount: 2, waitForNavigation: true},
+    {action: 'scroll', x: 0, y: 600},
+    {action: 'waitForFunction', expression: 'window.ready === true', timeoutMs: 1000},
+  ]);
+});
+
+test('keeps later navigations as steps and warns about what it cannot replay', () => {
+  const converted = convertRecorderFlowToSteps({
+    steps: [
+      {type: 'navigate', url: 'http://localhost:3000/'},
+      {type: 'click', selectors: [['a.next']], target: 'popup', button: 'secondary'},
+      {type: 'navigate', url: 'http://localhost:3000/next'},
+      {type: 'waitForElement', selectors: [['li']], count: 3},
+      {type: 'customStep', name: 'screenshot'},
+      {type: 'close'},
+    ],
+  });
+
+  assert.deepEqual(converted.steps, [
+    {action: 'click', selector: 'a.next', button: 'right'},
+    {action: 'navigate', url: 'http://localhost:3000/next'},
+    {action: 'waitForSelector', selector: 'li'},
+  ]);
+  assert.deepEqual(converted.warnings, [
+    'Recorder step #1 (click) targets "popup"; it is replayed against the main page.',
+    'Recorder step #3 waits for count >= 3; it is replayed as "at least one element".',
+    'Recorder step #4 has unsupported type "customStep" and was dropped.',
+    'Recorder step #5 (close) was dropped; the recorder owns the page lifecycle.',
+  ]);
+});
+
+test('converts aria, text, xpath and pierce selector parts to puppeteer selectors', () => {
+  const converted = convertRecorderFlowToSteps({
+    steps: [
+      {
+        type: 'click',
+        selectors: [
+          ['aria/Save draft', 'aria/[role="button"]'],
+          ['text/Save'],
+          ['xpath///*[@id="save"]'],
+          ['pierce/#save'],
+          '#save',
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(converted.steps[0].selector, [
+    '::-p-aria("Save draft") >>> ::-p-aria("[role=\\"button\\"]")',
+    '::-p-text("Save")',
+    '::-p-xpath("//*[@id=\\"save\\"]")',
+    ':scope >>> #save',
+    '#save',
+  ]);
+});
+
+test('rejects flows without steps and steps without selectors', () => {
+  assert.throws(() => convertRecorderFlowToSteps({title: 'empty'}), {
+    message: 'Recorder flow must be a Chrome DevTools Recorder JSON export with a steps array',
+  });
+  assert.throws(() => convertRecorderFlowToSteps({steps: [{type: 'click', selectors: []}]}), {
+    message: 'Recorder step #0 (click) has no usable selectors',
+  });
+});
@@ -0,0 +1,13 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {recordReactDevToolsProfile} from '../src/react-devtools-recorder.js';
+
+const BASE_OPTIONS = {url: 'http://localhost:3000/', outputPath: 'profile.json'};
+
+test('rejects an unknown warmupReset before launching Chrome', async () => {
+  await assert.rejects(
+    recordReactDevToolsProfile({...BASE_OPTIONS, warmupIterations: 2, warmupReset: 'clear'}),
+    {message: 'Unsupported warmupReset: clear. Expected "none" or "reload".'},
+  );
+});
@@ -0,0 +1,37 @@
+import {execFile} from 'node:child_process';
+import {mkdtemp, readFile, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {promisify} from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+const ANALYZE_SCRIPT_PATH = fileURLToPath(
+  new URL(
+    '../../../../../skills/react-profiler-optimize/scripts/analyze-profile.mjs',
+    import.meta.url,
+  ),
+);
+
+// Runs analyze-profile.mjs on `input` in a scratch directory and returns the JSON report. `files`
+// are written next to the input, for inputs that reference other files by relative path.
+export async function analyzeProfile(input, {args = [], files = {}} = {}) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await writeFile(path.join(dir, name), JSON.stringify(content), 'utf8');
+    }
+    const inputPath = path.join(dir, 'input.json');
+    const outputPath = path.join(dir, 'report.json');
+    await writeFile(inputPath, JSON.stringify(input), 'utf8');
+    await execFileAsync(
+      process.execPath,
+      [ANALYZE_SCRIPT_PATH, '--input', inputPath, '--output', outputPath, ...args],
+      {cwd: dir},
+    );
+    return JSON.parse(await readFile(outputPath, 'utf8'));
+  } finally {
+    await rm(dir, {recursive: true, force: true});
+  }
+}
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {test} from 'node:test';
+
+import {runStepsAcrossNavigations} from '../src/react-devtools-recorder.js';
+
+function createFakePage({onGoto}) {
+  const session = new EventEmitter();
+  session.send = async () => {};
+  session.detach = async () => {};
+  return {
+    session,
+    createCDPSession: async () => session,
+    goto: async (url) => onGoto(session, url),
+  };
+}
+
+function createLiveTreeState() {
+  return {
+    liveTreesByRoot: new Map([[1, new Map()]]),
+    rendererIDs: new Set([1]),
+    rootToRenderer: new Map([[1, 1]]),
+  };
+}
+
+test('clears the live trees and waits for the new backend after a cross-document navigation', async () => {
+  const state = createLiveTreeState();
+  const waitedFor = [];
+  const bridge = {
+    waitForEvent: async (event) => {
+      waitedFor.push(event);
+    },
+  };
+  const page = createFakePage({
+    onGoto: (session) => session.emit('Page.frameNavigated', {frame: {id: 'main'}}),
+  });
+
+  const navigations = await runStepsAcrossNavigations(
+    page,
+    [{action: 'navigate', url: 'http://localhost:3000/next'}],
+    {bridge, state, label: 'warmupSteps', navigationTimeoutMs: 1000},
+  );
+
+  assert.equal(navigations, 1);
+  assert.deepEqual(waitedFor, ['backendInitialized']);
+  assert.equal(state.liveTreesByRoot.size, 0);
+  assert.equal(state.rendererIDs.size, 0);
+  assert.equal(state.rootToRenderer.size, 0);
+  assert.equal(page.session.listenerCount('Page.frameNavigated'), 0);
+});
+
+test('keeps the live trees when only a child frame navigates', async () => {
+  const state = createLiveTreeState();
+  const bridge = {
+    waitForEvent: async () => assert.fail('no new backend is expected'),
+  };
+  const page = createFakePage({
+    onGoto: (session) =>
+      session.emit('Page.frameNavigated', {frame: {id: 'child', parentId: 'main'}}),
+  });
+
+  const navigations = await runStepsAcrossNavigations(
+    page,
+    [{action: 'navigate', url: 'http://localhost:3000/frame'}],
+    {bridge, state, label: 'warmupSteps', navigationTimeoutMs: 1000},
+  );
+
+  assert.equal(navigations, 0);
+  assert.equal(state.liveTreesByRoot.size, 1);
+  assert.equal(state.rendererIDs.size, 1);
+});
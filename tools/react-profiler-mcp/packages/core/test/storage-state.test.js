@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {test} from 'node:test';
+
+import {JSDOM} from 'jsdom';
+
+import {
+  applyStorageState,
+  loadStorageState,
+  normalizeStorageState,
+  summarizeStorageState,
+} from '../src/storage-state.js';
+
+const PLAYWRIGHT_STATE = {
+  cookies: [
+    {
+      name: 'session',
+      value: 'abc',
+      domain: 'localhost',
+      path: '/',
+      expires: -1,
+      httpOnly: true,
+      secure: false,
+      sameSite: 'Lax',
+    },
+    {name: 'theme', value: 'dark', url: 'http://localhost:3000/settings'},
+  ],
+  origins: [
+    {
+      origin: 'http://localhost:3000/',
+      localStorage: [{name: 'token', value: 'xyz'}],
+      sessionStorage: [{name: 'tab', value: 2}],
+    },
+  ],
+};
+
+test('normalizes a Playwright storage state file', () => {
+  assert.deepEqual(normalizeStorageState(PLAYWRIGHT_STATE), {
+    cookies: [
+      {
+        name: 'session',
+        value: 'abc',
+        domain: 'localhost',
+        path: '/',
+        httpOnly: true,
+        sameSite: 'Lax',
+      },
+      {name: 'theme', value: 'dark', domain: 'localhost', path: '/'},
+    ],
+    origins: [
+      {
+        origin: 'http://localhost:3000',
+        localStorage: [{name: 'token', value: 'xyz'}],
+        sessionStorage: [{name: 'tab', value: '2'}],
+      },
+    ],
+  });
+});
+
+test('names the invalid storage state entry', () => {
+  assert.throws(() => normalizeStorageState([]), {
+    message: 'storageState must be an object with cookies and/or origins',
+  });
+  assert.throws(() => normalizeStorageState({cookies: [{name: 'a', value: '1'}]}), {
+    message: 'storageState.cookies[0] (a) requires domain or url',
+  });
+  assert.throws(
+    () => normalizeStorageState({origins: [{origin: 'http://a.test', localStorage: [{value: 1}]}]}),
+    {message: 'storageState.origins[0].localStorage[0] requires a string name'},
+  );
+});
+
+test('loads storage state from a file or inline, but not both', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'react-profiler-mcp-test-'));
+  try {
+    await writeFile(path.join(dir, 'auth.json'), JSON.stringify(PLAYWRIGHT_STATE), 'utf8');
+
+    const loaded = await loadStorageState({cwd: dir, storageStatePath: 'auth.json'});
+    assert.equal(loaded.source, path.join(dir, 'auth.json'));
+    assert.deepEqual(summarizeStorageState(loaded.state), {
+      cookieCount: 2,
+      origins: [{origin: 'http://localhost:3000', localStorageKeys: 1, sessionStorageKeys: 1}],
+    });
+
+    assert.equal((await loadStorageState({cwd: dir, storageState: {}})).source, 'inline');
+    assert.equal(await loadStorageState({cwd: dir}), null);
+    await assert.rejects(
+      loadStorageState({cwd: dir, storageState: {}, storageStatePath: 'auth.json'}),
+      {message: 'Pass either storageState or storageStatePath, not both'},
+    );
+  } finally {
+    await rm(dir, {recursive: true, force: true});
+  }
+});
+
+test('sets cookies and seeds web storage only on the matching origin', async () => {
+  const state = normalizeStorageState(PLAYWRIGHT_STATE);
+  const calls = [];
+  const page = {
+    browserContext: () => ({
+      setCookie: async (...cookies) => calls.push(['setCookie', cookies]),
+    }),
+    evaluateOnNewDocument: async (source) => {
+      calls.push(['evaluateOnNewDocument', source]);
+      return {identifier: 'seed-1'};
+    },
+    removeScriptToEvaluateOnNewDocument: async (identifier) =>
+      calls.push(['removeScriptToEvaluateOnNewDocument', identifier]),
+  };
+
+  const {removeSeedScript} = await applyStorageState(page, state);
+  await removeSeedScript();
+
+  assert.deepEqual(calls[0], ['setCookie', state.cookies]);
+  assert.deepEqual(calls[2], ['removeScriptToEvaluateOnNewDocument', 'seed-1']);
+
+  const seedScript = calls[1][1];
+  const matching = new JSDOM('', {url: 'http://localhost:3000/', runScripts: 'outside-only'});
+  matching.window.eval(seedScript);
+  assert.equal(matching.window.localStorage.getItem('token'), 'xyz');
+  assert.equal(matching.window.sessionStorage.getItem('tab'), '2');
+
+  const otherOrigin = new JSDOM('', {url: 'http://localhost:4000/', runScripts: 'outside-only'});
+  otherOrigin.window.eval(seedScript);
+  assert.equal(otherOrigin.window.localStorage.length, 0);
+});
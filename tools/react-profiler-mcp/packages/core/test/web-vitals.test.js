@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import {test} from 'node:test';
+
+import {JSDOM} from 'jsdom';
+
+import {collectWebVitals, createWebVitalsScript} from '../src/web-vitals.js';
+
+const VITALS_GLOBAL = '__REACT_PROFILER_MCP_VITALS__';
+
+// jsdom has no PerformanceObserver, so the script only installs the store; entries are pushed into
+// it by hand the way the observers would.
+function createVitalsPage(setup = () => {}) {
+  const dom = new JSDOM('<!doctype html><body></body>', {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+  });
+  setup(dom.window);
+  dom.window.eval(createWebVitalsScript());
+  const page = {
+    // Results cross the protocol as JSON, like Puppeteer's page.evaluate.
+    evaluate: async (fn, ...args) =>
+      JSON.parse(JSON.stringify(await dom.window.eval(`(${fn})`)(...args))),
+  };
+  return {dom, page, store: dom.window[VITALS_GLOBAL]};
+}
+
+test('installs the store once', () => {
+  const {dom, store} = createVitalsPage();
+  dom.window.eval(createWebVitalsScript());
+
+  assert.equal(dom.window[VITALS_GLOBAL], store);
+  assert.equal(store.supported.longtask, false);
+  assert.equal(store.supported.event, false);
+});
+
+test('returns timings relative to profiling start and drops tasks outside it', async () => {
+  const {dom, page, store} = createVitalsPage();
+  store.longTasks.push(
+    {startTime: 900, duration: 50, containerType: null},
+    {startTime: 980, duration: 80, containerType: 'window'},
+    {startTime: 2500, duration: 60, containerType: null},
+  );
+  store.events.push({
+    name: 'click',
+    interactionId: 5,
+    startTime: 1500,
+    processingStart: 1510,
+    processingEnd: 1540,
+    duration: 64,
+    target: '#save',
+  });
+  store.lcp.push({startTime: 400, size: 5000, url: null, element: 'h1'});
+  store.layoutShifts.push({startTime: 1600, value: 0.05, hadRecentInput: false, sources: ['ul']});
+
+  const vitals = await collectWebVitals(page, {startPageTimeMs: 1000, stopPageTimeMs: 2000});
+  dom.window.close();
+
+  assert.deepEqual(vitals.longTasks, [{timestamp: -20, durationMs: 80, containerType: 'window'}]);
+  assert.deepEqual(vitals.events, [
+    {
+      name: 'click',
+      interactionId: 5,
+      target: '#save',
+      timestamp: 500,
+      durationMs: 64,
+      inputDelayMs: 10,
+      processingMs: 30,
+      presentationDelayMs: 24,
+    },
+  ]);
+  assert.deepEqual(vitals.lcp, [
+    {timestamp: -600, sinceNavigationMs: 400, size: 5000, element: 'h1', url: null},
+  ]);
+  assert.deepEqual(vitals.layoutShifts, [
+    {timestamp: 600, value: 0.05, hadRecentInput: false, sources: ['ul']},
+  ]);
+});
+
+test('moves entries onto the profiling clock after a navigation', async () => {
+  const {dom, page, store} = createVitalsPage();
+  store.longTasks.push({startTime: 1200, duration: 80, containerType: null});
+
+  // Profiling started 6000ms into a document that began 5000ms before this one.
+  const vitals = await collectWebVitals(page, {
+    timeOrigin: dom.window.performance.timeOrigin - 5000,
+    startPageTimeMs: 6000,
+    stopPageTimeMs: 7000,
+  });
+  dom.window.close();
+
+  assert.deepEqual(vitals.longTasks, [{timestamp: 200, durationMs: 80, containerType: null}]);
+});
+
+test('takes entries the observers have queued but not delivered', async () => {
+  const observers = [];
+  const {dom, page} = createVitalsPage((window) => {
+    window.PerformanceObserver = class {
+      static supportedEntryTypes = ['longtask'];
+      queued = [];
+      constructor() {
+        observers.push(this);
+      }
+      observe() {}
+      takeRecords() {
+        return this.queued.splice(0);
+      }
+    };
+  });
+  observers[0].queued.push({startTime: 1100, duration: 70, attribution: []});
+
+  const vitals = await collectWebVitals(page, {startPageTimeMs: 1000, stopPageTimeMs: 2000});
+  dom.window.close();
+
+  assert.equal(vitals.supported.longtask, true);
+  assert.deepEqual(vitals.longTasks, [{timestamp: 100, durationMs: 70, containerType: null}]);
+});
+
+test('returns null when the script never ran', async () => {
+  const page = {evaluate: async () => null};
+
+  assert.equal(await collectWebVitals(page, {startPageTimeMs: 0, stopPageTimeMs: 100}), null);
+});
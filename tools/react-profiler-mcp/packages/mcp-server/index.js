@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import {randomUUID} from 'node:crypto';
 import os from 'node:os';
 import path from 'node:path';
 import {existsSync} from 'node:fs';
@@ -7,7 +8,14 @@ import {mkdtemp, readFile} from 'node:fs/promises';
 import {execFile} from 'node:child_process';
 import {promisify} from 'node:util';
 import {fileURLToPath} from 'node:url';
-import {recordReactDevToolsProfile} from '@react-profiler-mcp/core';
+import {
+  getComponentTree,
+  inspectComponent,
+  listComponents,
+  recordReactDevToolsProfile,
+  recordReactProfileInNode,
+  startProfilingSession,
+} from '@react-profiler-mcp/core';
 
 import {Server} from '@modelcontextprotocol/sdk/server/index.js';
 import {StdioServerTransport} from '@modelcontextprotocol/sdk/server/stdio.js';
@@ -18,6 +26,23 @@ import {
 
 const execFileAsync = promisify(execFile);
 
+// Open profiling sessions by ID. Each one holds a browser page and a DevTools bridge until
+// stop_profiling_session closes it.
+const profilingSessions = new Map();
+
+function getProfilingSession(sessionId) {
+  const session = profilingSessions.get(String(sessionId));
+  if (!session) {
+    const openIds = [...profilingSessions.keys()];
+    throw new Error(
+      `Unknown profiling session: ${String(sessionId)}. Open sessions: ${
+        openIds.length > 0 ? openIds.join(', ') : '(none)'
+      }`,
+    );
+  }
+  return session;
+}
+
 function asBoolean(value, fallback) {
   if (value == null) return fallback;
   if (typeof value === 'boolean') return value;
@@ -36,6 +61,56 @@ function asNumber(value, fallback, name) {
   return parsed;
 }
 
+// Shared by the component tree tools, which load a page with the DevTools backend but never
+// start profiling.
+const LIVE_PAGE_PROPERTIES = {
+  sessionId: {type: 'string'},
+  url: {type: 'string'},
+  targetUrlPattern: {
+    type: 'string',
+    description:
+      'Read the open tab whose URL contains this (or matches /regex/) instead of loading url. Needs browserURL or browserWSEndpoint. The tab is reloaded with the backend injected and again afterwards to remove it, which resets its state; the result warns about this.',
+  },
+  waitForSelector: {type: 'string'},
+  waitForSelectorTimeoutMs: {type: 'number'},
+  headless: {type: 'boolean'},
+  chromePath: {type: 'string'},
+  viewportWidth: {type: 'number'},
+  viewportHeight: {type: 'number'},
+  browserWSEndpoint: {type: 'string'},
+  browserURL: {type: 'string'},
+  navigationTimeoutMs: {type: 'number'},
+  launchArgs: {type: 'array'},
+};
+
+function toLivePageOptions(args) {
+  const hasViewportArgs = args.viewportWidth != null || args.viewportHeight != null;
+  return {
+    url: typeof args.url === 'string' ? args.url : undefined,
+    targetUrlPattern:
+      typeof args.targetUrlPattern === 'string' ? args.targetUrlPattern : undefined,
+    waitForSelector: typeof args.waitForSelector === 'string' ? args.waitForSelector : undefined,
+    waitForSelectorTimeoutMs: asNumber(
+      args.waitForSelectorTimeoutMs,
+      30000,
+      'waitForSelectorTimeoutMs',
+    ),
+    headless: asBoolean(args.headless, true),
+    chromePath: typeof args.chromePath === 'string' ? args.chromePath : undefined,
+    viewport: hasViewportArgs
+      ? {
+          width: asNumber(args.viewportWidth, 1440, 'viewportWidth'),
+          height: asNumber(args.viewportHeight, 900, 'viewportHeight'),
+        }
+      : undefined,
+    browserWSEndpoint:
+      typeof args.browserWSEndpoint === 'string' ? args.browserWSEndpoint : undefined,
+    browserURL: typeof args.browserURL === 'string' ? args.browserURL : undefined,
+    navigationTimeoutMs: asNumber(args.navigationTimeoutMs, 60000, 'navigationTimeoutMs'),
+    launchArgs: Array.isArray(args.launchArgs) ? args.launchArgs.map(value => String(value)) : [],
+  };
+}
+
 function getCodexHome() {
   if (typeof process.env.CODEX_HOME === 'string' && process.env.CODEX_HOME !== '') {
     return process.env.CODEX_HOME;
@@ -143,7 +218,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     {
       name: 'record_react_devtools_profile',
       description:
-        'Automate React DevTools profiling for a target URL, then export a React DevTools profile JSON (version 5).',
+        'Load url with the React DevTools backend injected, run interactionSteps while profiling and write a React DevTools profile JSON (version 5) to outputPath. Optional recordings (Chrome trace, filmstrip, heap, Web Vitals), network replay and emulation are described on each option.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -159,24 +234,264 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           chromePath: {type: 'string'},
           viewportWidth: {type: 'number'},
           viewportHeight: {type: 'number'},
+          browserWSEndpoint: {
+            type: 'string',
+            description: 'Attach to a running Chrome through its DevTools WebSocket URL.',
+          },
+          browserURL: {
+            type: 'string',
+            description: 'Attach to a running Chrome through its remote debugging URL.',
+          },
+          targetUrlPattern: {
+            type: 'string',
+            description:
+              'Profile the open tab whose URL contains this (or matches /regex/) instead of opening url. The tab is reloaded with the backend injected. Needs browserURL or browserWSEndpoint.',
+          },
+          devicePreset: {type: 'string', enum: ['desktop', 'mid-tier-mobile', 'low-end-mobile']},
+          userAgent: {type: 'string'},
+          cpuThrottlingRate: {type: 'number'},
+          networkPreset: {type: 'string', enum: ['none', 'slow-3g', 'slow-4g', 'fast-4g', 'offline']},
+          networkConditions: {type: 'object'},
+          harPath: {
+            type: 'string',
+            description:
+              'HAR file that serves every page request, so the recording runs fully offline. See harMode for recording it.',
+          },
+          harMode: {
+            type: 'string',
+            enum: ['replay', 'record', 'auto'],
+            description:
+              'replay (default) serves harPath; record writes it from the live run; auto records it when it does not exist and replays it otherwise.',
+          },
+          routeFixturesDir: {
+            type: 'string',
+            description: 'Directory of route fixtures that serve page requests.',
+          },
+          unmatchedRequests: {type: 'string', enum: ['abort', 'continue', 'not-found']},
+          fakeClock: {
+            type: 'boolean',
+            description:
+              'Replace page timers with a clock that only moves on advanceClock steps, so timer-driven commits are reproducible.',
+          },
+          fakeClockStartTime: {type: ['string', 'number']},
+          randomSeed: {type: 'number', description: 'Seed Math.random in the page.'},
+          filmstrip: {
+            type: 'boolean',
+            description:
+              'Save screencast frames next to the export so each commit can be matched to what was on screen.',
+          },
+          filmstripMaxFrames: {type: 'number'},
+          heapProfile: {
+            type: 'boolean',
+            description: 'Sample allocations and record GC events, attributed to each commit.',
+          },
+          heapSamplingIntervalBytes: {type: 'number'},
+          captureConsole: {
+            type: 'boolean',
+            description:
+              'Record console errors and warnings and per-component error/warning counts. Defaults to true.',
+          },
+          webVitals: {
+            type: 'boolean',
+            description:
+              'Collect long tasks, event timing (INP candidates), LCP and layout shifts so slow interactions can be matched to commits.',
+          },
           navigationTimeoutMs: {type: 'number'},
           launchArgs: {type: 'array'},
           inspectElements: {type: 'boolean'},
           inspectElementsMaxPerRoot: {type: 'number'},
           inspectElementsTimeoutMs: {type: 'number'},
+          inspectElementsBudgetMs: {type: 'number'},
           inspectElementsConcurrency: {type: 'number'},
           parseHookNamesEnabled: {type: 'boolean'},
           parseHookNamesTimeoutMs: {type: 'number'},
           parseHookNamesSourceRoots: {type: 'array'},
           parseHookNamesSourceRoot: {type: 'string'},
+          chromeTraceOutputPath: {
+            type: 'string',
+            description:
+              'Also record a Chrome trace here, with its clock correlated to the export.',
+          },
+          chromeTraceCategories: {type: 'array'},
+          runs: {
+            type: 'number',
+            description:
+              'Number of recordings. Above 1, one export is written per run plus a run manifest at outputPath.',
+          },
+          runIsolation: {type: 'string', enum: ['context', 'page']},
+          warmupSteps: {type: 'array'},
+          warmupIterations: {type: 'number'},
+          warmupReset: {type: 'string', enum: ['none', 'reload']},
+          recorderFlowPath: {
+            type: 'string',
+            description:
+              'Chrome DevTools Recorder flow file used instead of url and interactionSteps.',
+          },
+          recorderFlow: {
+            type: 'object',
+            description: 'Inline Chrome DevTools Recorder flow, as for recorderFlowPath.',
+          },
+          storageStatePath: {type: 'string'},
+          storageState: {type: 'object'},
+          setupSteps: {type: 'array'},
+          saveStorageStatePath: {type: 'string'},
+          componentFilters: {
+            type: 'array',
+            description:
+              'React DevTools component filters (elementType, displayName regex, location regex or hoc), applied by the backend while recording and saved in automationMeta.componentFilters.',
+          },
+        },
+        required: ['outputPath'],
+      },
+    },
+    {
+      name: 'record_react_profile_in_node',
+      description:
+        'Profile a React component in Node with jsdom (no browser needed) and export a React DevTools profile JSON (version 5). The module default export (or exportName) is rendered with react-dom; an exported async interact({document, container, rerender, sleep}) drives updates while profiling.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          modulePath: {type: 'string'},
+          outputPath: {type: 'string'},
+          exportName: {type: 'string'},
+          props: {type: 'object'},
+          htmlPath: {type: 'string'},
+          containerSelector: {type: 'string'},
+          profileMount: {type: 'boolean'},
+          profileDurationMs: {type: 'number'},
+          settleMs: {type: 'number'},
+          recordChangeDescriptions: {type: 'boolean'},
+          recordTimeline: {type: 'boolean'},
+          inspectElements: {type: 'boolean'},
+          parseHookNamesEnabled: {type: 'boolean'},
+          parseHookNamesSourceRoots: {type: 'array'},
+        },
+        required: ['modulePath', 'outputPath'],
+      },
+    },
+    {
+      name: 'start_profiling_session',
+      description:
+        'Open the url with the React DevTools backend injected and start profiling, keeping the browser and bridge alive between calls. Returns a sessionId for session_step, session_snapshot, stop_profiling_session and the component tree tools. Navigations and reloads during the session are followed.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: {type: 'string'},
+          waitForSelector: {type: 'string'},
+          waitForSelectorTimeoutMs: {type: 'number'},
+          recordChangeDescriptions: {type: 'boolean'},
+          recordTimeline: {type: 'boolean'},
+          headless: {type: 'boolean'},
+          chromePath: {type: 'string'},
+          viewportWidth: {type: 'number'},
+          viewportHeight: {type: 'number'},
+          browserWSEndpoint: {type: 'string'},
+          browserURL: {type: 'string'},
+          devicePreset: {type: 'string', enum: ['desktop', 'mid-tier-mobile', 'low-end-mobile']},
+          userAgent: {type: 'string'},
+          cpuThrottlingRate: {type: 'number'},
+          networkPreset: {type: 'string', enum: ['none', 'slow-3g', 'slow-4g', 'fast-4g', 'offline']},
+          navigationTimeoutMs: {type: 'number'},
+          launchArgs: {type: 'array'},
+          componentFilters: {type: 'array'},
+        },
+        required: ['url'],
+      },
+    },
+    {
+      name: 'session_step',
+      description:
+        'Run one interaction step (same shape as an interactionSteps entry) or evaluate a JavaScript expression in the page of an open profiling session. Pass exactly one of step or expression.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: {type: 'string'},
+          step: {type: 'object'},
+          expression: {type: 'string'},
+        },
+        required: ['sessionId'],
+      },
+    },
+    {
+      name: 'session_snapshot',
+      description:
+        'Report interim results of an open profiling session without stopping it: commit count, total commit time, the latest commit and the top components by self time.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: {type: 'string'},
+          topComponentCount: {type: 'number'},
+        },
+        required: ['sessionId'],
+      },
+    },
+    {
+      name: 'stop_profiling_session',
+      description:
+        'Stop profiling, write the React DevTools profile JSON (version 5) to outputPath and close the session browser page.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: {type: 'string'},
+          outputPath: {type: 'string'},
+          inspectElements: {type: 'boolean'},
+          inspectElementsMaxPerRoot: {type: 'number'},
+          inspectElementsTimeoutMs: {type: 'number'},
+          inspectElementsBudgetMs: {type: 'number'},
+          inspectElementsConcurrency: {type: 'number'},
+          parseHookNamesEnabled: {type: 'boolean'},
+          parseHookNamesTimeoutMs: {type: 'number'},
+          parseHookNamesSourceRoots: {type: 'array'},
+        },
+        required: ['sessionId', 'outputPath'],
+      },
+    },
+    {
+      name: 'list_components',
+      description:
+        'List mounted components whose display name matches namePattern (a regular expression). With sessionId the page of that open profiling session is read and its fiber ids stay valid for inspect_component and get_component_tree on the same session; otherwise the url is loaded (or the tab matching targetUrlPattern reloaded) with the React DevTools backend for this call only, so its ids do not carry over to the next call.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...LIVE_PAGE_PROPERTIES,
+          namePattern: {type: 'string'},
+          limit: {type: 'number'},
+        },
+      },
+    },
+    {
+      name: 'inspect_component',
+      description:
+        'Inspect one mounted component: props, state, context, hooks with values, owners and source location. Pass id (from list_components or get_component_tree on the same sessionId), or namePattern with an optional matchIndex, which also works without a session.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...LIVE_PAGE_PROPERTIES,
+          id: {type: 'number'},
+          namePattern: {type: 'string'},
+          matchIndex: {type: 'number'},
+          inspectTimeoutMs: {type: 'number'},
+        },
+      },
+    },
+    {
+      name: 'get_component_tree',
+      description:
+        'Return the mounted component tree, from every root or from the component with id, limited to depth levels and maxNodes nodes. Cut-off nodes report childCount. Pass sessionId to read the page of an open profiling session.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...LIVE_PAGE_PROPERTIES,
+          id: {type: 'number'},
+          depth: {type: 'number'},
+          maxNodes: {type: 'number'},
         },
-        required: ['url', 'outputPath'],
       },
     },
     {
       name: 'analyze_profile',
       description:
-        'Run the react-profiler-optimize analyze script on a Chrome trace or React DevTools export and return the normalized report.',
+        'Run the react-profiler-optimize analyze script on a Chrome trace or React DevTools export and return the normalized report. componentFilters (same shape as for recording) hides matching components and rolls their self time into the nearest visible ancestor.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -184,6 +499,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           outputPath: {type: 'string'},
           sourceRoot: {type: 'string'},
           enableHookNameEnrichment: {type: 'boolean'},
+          componentFilters: {type: 'array'},
         },
         required: ['inputPath'],
       },
@@ -205,7 +521,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     {
       name: 'compare_profiles_end_to_end',
       description:
-        'Analyze baseline and optimized profile inputs, then compare them using the skill scripts.',
+        'Analyze baseline and optimized profile inputs, then compare them using the skill scripts. componentFilters is applied to both sides.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -214,6 +530,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           outputPath: {type: 'string'},
           sourceRoot: {type: 'string'},
           enableHookNameEnrichment: {type: 'boolean'},
+          componentFilters: {type: 'array'},
         },
         required: ['beforeProfilePath', 'afterProfilePath'],
       },
@@ -226,9 +543,18 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
 
   try {
     if (name === 'record_react_devtools_profile') {
+      let recorderFlow;
+      if (typeof args.recorderFlowPath === 'string' && args.recorderFlowPath !== '') {
+        const raw = await readFile(path.resolve(process.cwd(), args.recorderFlowPath), 'utf8');
+        recorderFlow = JSON.parse(raw);
+      } else if (args.recorderFlow && typeof args.recorderFlow === 'object') {
+        recorderFlow = args.recorderFlow;
+      }
+
+      const hasViewportArgs = args.viewportWidth != null || args.viewportHeight != null;
       const result = await recordReactDevToolsProfile({
         cwd: process.cwd(),
-        url: String(args.url),
+        url: typeof args.url === 'string' ? args.url : undefined,
         outputPath: String(args.outputPath),
         waitForSelector:
           typeof args.waitForSelector === 'string' ? args.waitForSelector : undefined,
@@ -243,10 +569,48 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
         recordTimeline: asBoolean(args.recordTimeline, false),
         headless: asBoolean(args.headless, true),
         chromePath: typeof args.chromePath === 'string' ? args.chromePath : undefined,
-        viewport: {
-          width: asNumber(args.viewportWidth, 1440, 'viewportWidth'),
-          height: asNumber(args.viewportHeight, 900, 'viewportHeight'),
-        },
+        viewport:
+          !hasViewportArgs
+            ? undefined
+            : {
+                width: asNumber(args.viewportWidth, 1440, 'viewportWidth'),
+                height: asNumber(args.viewportHeight, 900, 'viewportHeight'),
+              },
+        browserWSEndpoint:
+          typeof args.browserWSEndpoint === 'string' ? args.browserWSEndpoint : undefined,
+        browserURL: typeof args.browserURL === 'string' ? args.browserURL : undefined,
+        targetUrlPattern:
+          typeof args.targetUrlPattern === 'string' ? args.targetUrlPattern : undefined,
+        devicePreset: typeof args.devicePreset === 'string' ? args.devicePreset : undefined,
+        userAgent: typeof args.userAgent === 'string' ? args.userAgent : undefined,
+        cpuThrottlingRate: asNumber(args.cpuThrottlingRate, undefined, 'cpuThrottlingRate'),
+        networkPreset: typeof args.networkPreset === 'string' ? args.networkPreset : undefined,
+        networkConditions:
+          args.networkConditions && typeof args.networkConditions === 'object'
+            ? args.networkConditions
+            : undefined,
+        harPath: typeof args.harPath === 'string' ? args.harPath : undefined,
+        harMode: typeof args.harMode === 'string' ? args.harMode : undefined,
+        routeFixturesDir:
+          typeof args.routeFixturesDir === 'string' ? args.routeFixturesDir : undefined,
+        unmatchedRequests:
+          typeof args.unmatchedRequests === 'string' ? args.unmatchedRequests : undefined,
+        fakeClock: asBoolean(args.fakeClock, false),
+        fakeClockStartTime:
+          typeof args.fakeClockStartTime === 'string' || typeof args.fakeClockStartTime === 'number'
+            ? args.fakeClockStartTime
+            : undefined,
+        randomSeed: asNumber(args.randomSeed, undefined, 'randomSeed'),
+        filmstrip: asBoolean(args.filmstrip, false),
+        filmstripMaxFrames: asNumber(args.filmstripMaxFrames, 300, 'filmstripMaxFrames'),
+        heapProfile: asBoolean(args.heapProfile, false),
+        heapSamplingIntervalBytes: asNumber(
+          args.heapSamplingIntervalBytes,
+          32768,
+          'heapSamplingIntervalBytes',
+        ),
+        captureConsole: asBoolean(args.captureConsole, true),
+        webVitals: asBoolean(args.webVitals, false),
         navigationTimeoutMs: asNumber(args.navigationTimeoutMs, 60000, 'navigationTimeoutMs'),
         launchArgs: Array.isArray(args.launchArgs)
           ? args.launchArgs.map(value => String(value))
@@ -262,6 +626,11 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
           4000,
           'inspectElementsTimeoutMs',
         ),
+        inspectElementsBudgetMs: asNumber(
+          args.inspectElementsBudgetMs,
+          60000,
+          'inspectElementsBudgetMs',
+        ),
         inspectElementsConcurrency: asNumber(
           args.inspectElementsConcurrency,
           8,
@@ -278,6 +647,25 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
           : typeof args.parseHookNamesSourceRoot === 'string'
             ? [String(args.parseHookNamesSourceRoot)]
             : [],
+        chromeTraceOutputPath:
+          typeof args.chromeTraceOutputPath === 'string' ? args.chromeTraceOutputPath : undefined,
+        chromeTraceCategories: Array.isArray(args.chromeTraceCategories)
+          ? args.chromeTraceCategories.map(value => String(value))
+          : undefined,
+        runs: asNumber(args.runs, 1, 'runs'),
+        runIsolation: typeof args.runIsolation === 'string' ? args.runIsolation : undefined,
+        warmupSteps: Array.isArray(args.warmupSteps) ? args.warmupSteps : [],
+        warmupIterations: asNumber(args.warmupIterations, 0, 'warmupIterations'),
+        warmupReset: typeof args.warmupReset === 'string' ? args.warmupReset : undefined,
+        recorderFlow,
+        storageStatePath:
+          typeof args.storageStatePath === 'string' ? args.storageStatePath : undefined,
+        storageState:
+          args.storageState && typeof args.storageState === 'object' ? args.storageState : undefined,
+        setupSteps: Array.isArray(args.setupSteps) ? args.setupSteps : [],
+        saveStorageStatePath:
+          typeof args.saveStorageStatePath === 'string' ? args.saveStorageStatePath : undefined,
+        componentFilters: Array.isArray(args.componentFilters) ? args.componentFilters : undefined,
       });
 
       return {
@@ -290,6 +678,236 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       };
     }
 
+    if (name === 'record_react_profile_in_node') {
+      const result = await recordReactProfileInNode({
+        cwd: process.cwd(),
+        modulePath: String(args.modulePath),
+        outputPath: String(args.outputPath),
+        exportName: typeof args.exportName === 'string' ? args.exportName : undefined,
+        props: args.props && typeof args.props === 'object' ? args.props : {},
+        htmlPath: typeof args.htmlPath === 'string' ? args.htmlPath : undefined,
+        containerSelector:
+          typeof args.containerSelector === 'string' ? args.containerSelector : undefined,
+        profileMount: asBoolean(args.profileMount, false),
+        profileDurationMs: asNumber(args.profileDurationMs, 1000, 'profileDurationMs'),
+        settleMs: asNumber(args.settleMs, 50, 'settleMs'),
+        recordChangeDescriptions: asBoolean(args.recordChangeDescriptions, true),
+        recordTimeline: asBoolean(args.recordTimeline, false),
+        inspectElements: asBoolean(args.inspectElements, true),
+        parseHookNamesEnabled: asBoolean(args.parseHookNamesEnabled, true),
+        parseHookNamesSourceRoots: Array.isArray(args.parseHookNamesSourceRoots)
+          ? args.parseHookNamesSourceRoots.map(value => String(value))
+          : [],
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({profile: result}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'start_profiling_session') {
+      const hasViewportArgs = args.viewportWidth != null || args.viewportHeight != null;
+      const session = await startProfilingSession({
+        cwd: process.cwd(),
+        url: typeof args.url === 'string' ? args.url : undefined,
+        waitForSelector:
+          typeof args.waitForSelector === 'string' ? args.waitForSelector : undefined,
+        waitForSelectorTimeoutMs: asNumber(
+          args.waitForSelectorTimeoutMs,
+          30000,
+          'waitForSelectorTimeoutMs',
+        ),
+        recordChangeDescriptions: asBoolean(args.recordChangeDescriptions, true),
+        recordTimeline: asBoolean(args.recordTimeline, false),
+        headless: asBoolean(args.headless, true),
+        chromePath: typeof args.chromePath === 'string' ? args.chromePath : undefined,
+        viewport:
+          !hasViewportArgs
+            ? undefined
+            : {
+                width: asNumber(args.viewportWidth, 1440, 'viewportWidth'),
+                height: asNumber(args.viewportHeight, 900, 'viewportHeight'),
+              },
+        browserWSEndpoint:
+          typeof args.browserWSEndpoint === 'string' ? args.browserWSEndpoint : undefined,
+        browserURL: typeof args.browserURL === 'string' ? args.browserURL : undefined,
+        devicePreset: typeof args.devicePreset === 'string' ? args.devicePreset : undefined,
+        userAgent: typeof args.userAgent === 'string' ? args.userAgent : undefined,
+        cpuThrottlingRate: asNumber(args.cpuThrottlingRate, undefined, 'cpuThrottlingRate'),
+        networkPreset: typeof args.networkPreset === 'string' ? args.networkPreset : undefined,
+        navigationTimeoutMs: asNumber(args.navigationTimeoutMs, 60000, 'navigationTimeoutMs'),
+        launchArgs: Array.isArray(args.launchArgs)
+          ? args.launchArgs.map(value => String(value))
+          : [],
+        componentFilters: Array.isArray(args.componentFilters) ? args.componentFilters : undefined,
+      });
+      const sessionId = randomUUID();
+      profilingSessions.set(sessionId, session);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({sessionId, session: session.info}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'session_step') {
+      const session = getProfilingSession(args.sessionId);
+      const hasStep = args.step && typeof args.step === 'object';
+      const hasExpression = typeof args.expression === 'string' && args.expression !== '';
+      if (hasStep === hasExpression) {
+        throw new Error('session_step takes exactly one of step or expression');
+      }
+      const result = hasStep
+        ? await session.step(args.step)
+        : await session.evaluate(args.expression);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({[hasStep ? 'step' : 'evaluation']: result}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'session_snapshot') {
+      const snapshot = await getProfilingSession(args.sessionId).snapshot({
+        topComponentCount: asNumber(args.topComponentCount, 10, 'topComponentCount'),
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({snapshot}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'stop_profiling_session') {
+      const session = getProfilingSession(args.sessionId);
+      if (typeof args.outputPath !== 'string' || args.outputPath === '') {
+        throw new Error('stop_profiling_session requires outputPath');
+      }
+      profilingSessions.delete(String(args.sessionId));
+      const result = await session.stop({
+        outputPath: args.outputPath,
+        inspectElements: asBoolean(args.inspectElements, true),
+        inspectElementsMaxPerRoot: asNumber(
+          args.inspectElementsMaxPerRoot,
+          1500,
+          'inspectElementsMaxPerRoot',
+        ),
+        inspectElementsTimeoutMs: asNumber(
+          args.inspectElementsTimeoutMs,
+          4000,
+          'inspectElementsTimeoutMs',
+        ),
+        inspectElementsBudgetMs: asNumber(
+          args.inspectElementsBudgetMs,
+          60000,
+          'inspectElementsBudgetMs',
+        ),
+        inspectElementsConcurrency: asNumber(
+          args.inspectElementsConcurrency,
+          8,
+          'inspectElementsConcurrency',
+        ),
+        parseHookNamesEnabled: asBoolean(args.parseHookNamesEnabled, true),
+        parseHookNamesTimeoutMs: asNumber(
+          args.parseHookNamesTimeoutMs,
+          5000,
+          'parseHookNamesTimeoutMs',
+        ),
+        parseHookNamesSourceRoots: Array.isArray(args.parseHookNamesSourceRoots)
+          ? args.parseHookNamesSourceRoots.map(value => String(value))
+          : [],
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({profile: result}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'list_components') {
+      const options = {
+        namePattern: typeof args.namePattern === 'string' ? args.namePattern : undefined,
+        limit: asNumber(args.limit, 100, 'limit'),
+      };
+      const result =
+        args.sessionId != null
+          ? await getProfilingSession(args.sessionId).listComponents(options)
+          : await listComponents({...toLivePageOptions(args), ...options});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({components: result}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'inspect_component') {
+      const options = {
+        id: asNumber(args.id, undefined, 'id'),
+        namePattern: typeof args.namePattern === 'string' ? args.namePattern : undefined,
+        matchIndex: asNumber(args.matchIndex, 0, 'matchIndex'),
+        inspectTimeoutMs: asNumber(args.inspectTimeoutMs, 4000, 'inspectTimeoutMs'),
+      };
+      const result =
+        args.sessionId != null
+          ? await getProfilingSession(args.sessionId).inspectComponent(options)
+          : await inspectComponent({...toLivePageOptions(args), ...options});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({component: result}, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === 'get_component_tree') {
+      const options = {
+        id: asNumber(args.id, undefined, 'id'),
+        depth: asNumber(args.depth, 3, 'depth'),
+        maxNodes: asNumber(args.maxNodes, 500, 'maxNodes'),
+      };
+      const result =
+        args.sessionId != null
+          ? await getProfilingSession(args.sessionId).getComponentTree(options)
+          : await getComponentTree({...toLivePageOptions(args), ...options});
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({tree: result}, null, 2),
+          },
+        ],
+      };
+    }
+
     if (name === 'analyze_profile') {
       const scriptPath = getAnalyzeScriptPath();
       const scriptArgs = ['--input', String(args.inputPath)];
@@ -302,6 +920,9 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       if (args.enableHookNameEnrichment === false) {
         scriptArgs.push('--no-hook-name-enrichment');
       }
+      if (Array.isArray(args.componentFilters)) {
+        scriptArgs.push('--component-filters-json', JSON.stringify(args.componentFilters));
+      }
 
       const {stdout, stderr} = await runNodeScript(scriptPath, scriptArgs);
       const report = await parseAnalyzeOutput({
@@ -377,6 +998,9 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
           ? ['--source-root', String(args.sourceRoot)]
           : []),
         ...(args.enableHookNameEnrichment === false ? ['--no-hook-name-enrichment'] : []),
+        ...(Array.isArray(args.componentFilters)
+          ? ['--component-filters-json', JSON.stringify(args.componentFilters)]
+          : []),
       ]);
       const afterAnalyze = await runNodeScript(analyzeScript, [
         '--input',
@@ -387,6 +1011,9 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
           ? ['--source-root', String(args.sourceRoot)]
           : []),
         ...(args.enableHookNameEnrichment === false ? ['--no-hook-name-enrichment'] : []),
+        ...(Array.isArray(args.componentFilters)
+          ? ['--component-filters-json', JSON.stringify(args.componentFilters)]
+          : []),
       ]);
 
       const compareArgs = [
@@ -445,5 +1072,22 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
   }
 });
 
+// Session pages belong to this server; close them when the client goes away or the server is
+// stopped.
+let shuttingDown = false;
+function abortSessionsAndExit() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  Promise.allSettled([...profilingSessions.values()].map(session => session.abort())).then(() =>
+    process.exit(0),
+  );
+}
+
+process.stdin.once('close', abortSessionsAndExit);
+process.once('SIGINT', abortSessionsAndExit);
+process.once('SIGTERM', abortSessionsAndExit);
+
 const transport = new StdioServerTransport();
 await server.connect(transport);